@@ -1,5 +1,18 @@
 import { MaterialCommunityIcons } from '@expo/vector-icons'; // Import icons for tab bar
-import { Tabs } from 'expo-router';
+import { router, Tabs, usePathname } from 'expo-router';
+import { useEffect, useRef } from 'react';
+import { TouchableOpacity, View } from 'react-native';
+
+import { useTheme } from '@/hooks/useTheme';
+import { getLaunchNotificationRoute } from '@/services/reminders';
+import { getPreferences } from '@/storage/preferences';
+
+/**
+ * Whether the start tab chosen in Settings has been opened since the app launched,
+ * so it is only opened once rather than every time the tabs remount.
+ * @type {boolean}
+ */
+let hasOpenedDefaultTab = false;
 
 /**
  * Layout component for the tab navigation.
@@ -7,25 +20,69 @@ import { Tabs } from 'expo-router';
  * 'screenOptions' apply to all tabs unless overridden by individual Tabs.Screen options.
  */
 export default function TabLayout() {
+  const { colors } = useTheme();
+  const pathname = usePathname();
+  /**
+   * The current path, read once the preferences have loaded.
+   * @type {React.MutableRefObject<string>}
+   */
+  const pathnameRef = useRef(pathname);
+  pathnameRef.current = pathname;
+
+  /**
+   * Effect hook that switches to the start tab chosen in Settings when the app launches.
+   * The app stays where it is if a tapped reminder launched it, if it was opened on another
+   * screen by a link, or if the user already moved on while the preferences loaded.
+   * A failed reminder lookup is reported by the root layout and counts as no reminder here.
+   */
+  useEffect(() => {
+    if (hasOpenedDefaultTab) {
+      return;
+    }
+    hasOpenedDefaultTab = true;
+    Promise.all([getPreferences(), getLaunchNotificationRoute().catch(() => null)])
+      .then(([{ defaultTab }, launchNotificationRoute]) => {
+        if (defaultTab !== 'index' && !launchNotificationRoute && pathnameRef.current === '/') {
+          router.navigate(`/${defaultTab}`);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading preferences:', error);
+      });
+  }, []);
+
+  /**
+   * Renders the header button that opens Settings.
+   *
+   * @returns {JSX.Element} The rendered button.
+   */
+  const renderSettingsButton = () => (
+    <TouchableOpacity style={{ marginRight: 15 }} onPress={() => router.push('/settings')}>
+      <MaterialCommunityIcons name="cog-outline" color={colors.headerText} size={24} />
+    </TouchableOpacity>
+  );
+
   return (
     <Tabs
       screenOptions={{
-        tabBarActiveTintColor: '#6A5ACD', 
-        tabBarInactiveTintColor: '#888', 
+        tabBarActiveTintColor: colors.tabIconSelected, 
+        tabBarInactiveTintColor: colors.tabIconDefault, 
         tabBarStyle: {
-          backgroundColor: '#FFF', 
+          backgroundColor: colors.tabBar, 
           borderTopWidth: 1, 
-          borderTopColor: '#EEE', 
+          borderTopColor: colors.tabBarBorder, 
           paddingBottom: 5, 
           height: 60, 
         },
         headerStyle: {
-          backgroundColor: '#6A5ACD', 
+          backgroundColor: colors.header, 
         },
-        headerTintColor: '#fff', 
+        headerTintColor: colors.headerText, 
         headerTitleStyle: {
           fontWeight: 'bold', 
         },
+        // Every tab header opens Settings
+        headerRight: renderSettingsButton,
       }}
     >
       {/* Tab for New Entry Screen (corresponds to app/(tabs)/index.js) */}
@@ -37,6 +94,15 @@ export default function TabLayout() {
           tabBarIcon: ({ color, size }) => (
             <MaterialCommunityIcons name="pencil-plus" color={color} size={size} />
           ),
+          // Opens the daily check-in reminder settings, next to the Settings button
+          headerRight: () => (
+            <View style={{ flexDirection: 'row' }}>
+              <TouchableOpacity style={{ marginRight: 20 }} onPress={() => router.push('/reminders')}>
+                <MaterialCommunityIcons name="bell-outline" color={colors.headerText} size={24} />
+              </TouchableOpacity>
+              {renderSettingsButton()}
+            </View>
+          ),
         }}
       />
 
@@ -52,6 +118,18 @@ export default function TabLayout() {
         }}
       />
 
+      {/* Tab for Insights Screen (corresponds to app/(tabs)/insights.js) */}
+      <Tabs.Screen
+        name="insights"
+        options={{
+          title: 'Mood Insights',
+          tabBarLabel: 'Insights',
+          tabBarIcon: ({ color, size }) => (
+            <MaterialCommunityIcons name="chart-bar" color={color} size={size} />
+          ),
+        }}
+      />
+
       {/* Tab for Inspiration Board Screen (corresponds to app/(tabs)/inspiration.js) */}
       <Tabs.Screen
         name="inspiration" 
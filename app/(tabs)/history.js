@@ -1,77 +1,546 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
-  FlatList,
-  Image,
+  SectionList,
   Alert,
-  ScrollView
+  ActivityIndicator,
+  ScrollView,
+  TouchableOpacity
 } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useFocusEffect } from 'expo-router';
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { router, useFocusEffect } from 'expo-router';
 import { LinearGradient } from 'expo-linear-gradient';
 
+import HistoryFilters from '@/components/HistoryFilters';
+import MoodCalendar from '@/components/MoodCalendar';
+import PhotoGallery from '@/components/PhotoGallery';
+import SyncStatusBadge from '@/components/SyncStatusBadge';
+import UndoBar from '@/components/UndoBar';
+import VoiceMemoPlayer from '@/components/VoiceMemoPlayer';
+import { useActivityTags } from '@/hooks/useActivityTags';
+import { useHistoryFilters } from '@/hooks/useHistoryFilters';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { UnreadableDataError } from '@/storage/encryption';
+import {
+  countMoodEntries,
+  getMoodEntriesPage,
+  getMoodEntriesRevision,
+  queryMoodEntries,
+  resetMoodEntries,
+  restoreMoodEntry,
+  subscribeToMoodEntries,
+} from '@/storage/moodEntries';
+import { deletePhoto, getThumbnailUri } from '@/storage/photos';
+import { deleteVoiceMemo } from '@/storage/voiceMemos';
+import { formatDate, formatDayHeading, formatMonthYear, formatTime } from '@/utils/dateFormat';
+import {
+  createEntryFilter,
+  getSortComparator,
+  groupEntriesByMonth,
+  isSortedByDate,
+} from '@/utils/entryFilters';
+import { findMood } from '@/utils/moods';
+
+/**
+ * The ways the history can be displayed: a chronological list, or a month calendar
+ * where each day is colored by its dominant mood.
+ * @type {Array<{key: string, label: string, icon: string}>}
+ */
+const VIEW_MODES = [
+  { key: 'list', label: 'List', icon: 'format-list-bulleted' },
+  { key: 'calendar', label: 'Calendar', icon: 'calendar-month' },
+];
+
+/**
+ * The fewest entries loaded at a time. Pages are rounded up to whole months.
+ * @type {number}
+ */
+const PAGE_SIZE = 30;
+
 /**
- * Key used for storing and retrieving mood entries in AsyncStorage.
- * @type {string}
+ * The list before anything is loaded.
+ * @type {{entries: Array<Object>, nextCursor: string|null}}
  */
-const MOOD_ENTRIES_KEY = 'moodEntries';
+const EMPTY_PAGE = { entries: [], nextCursor: null };
+
+/**
+ * Loads a page of the entries matching the filters, in the order they ask for.
+ * Entries sorted by date are paged a month range at a time, starting at `cursor`.
+ * Other sort orders need every matching entry to be sorted, so they come in one page.
+ *
+ * @param {Object} filters The search, filter and sort options.
+ * @param {Array<Object>} moods The mood catalog, whose order the mood sort follows.
+ * @param {string|null} cursor Where the page starts, or `null` for the first page.
+ * @returns {Promise<{entries: Array<Object>, nextCursor: string|null}>} A promise resolving to the page.
+ */
+async function loadEntriesPage(filters, moods, cursor) {
+  const filter = createEntryFilter(filters);
+  if (!isSortedByDate(filters.sortBy)) {
+    const entries = await queryMoodEntries({ filter, sort: getSortComparator(filters.sortBy, moods) });
+    return { entries, nextCursor: null };
+  }
+  return getMoodEntriesPage({ filter, cursor, newestFirst: filters.sortBy === 'newest', minCount: PAGE_SIZE });
+}
+
+/**
+ * Applies a change to a single entry to the loaded list, without loading it again.
+ * The changed entry is dropped from the list, then put back in its sorted place if
+ * it still matches the filters and falls within the loaded date range.
+ *
+ * @param {{entries: Array<Object>, nextCursor: string|null}} page The loaded list.
+ * @param {{type: string, entry: Object}} change The change reported by the mood entry store.
+ * @param {Object} filters The search, filter and sort options.
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {{entries: Array<Object>, nextCursor: string|null}} The updated list.
+ */
+function applyChangeToPage(page, change, filters, moods) {
+  const entries = page.entries.filter((entry) => entry.id !== change.entry.id);
+  const isInLoadedRange =
+    !page.nextCursor ||
+    (new Date(change.entry.timestamp) >= new Date(page.nextCursor)) === (filters.sortBy === 'newest');
+  if (change.type !== 'deleted' && isInLoadedRange && createEntryFilter(filters)(change.entry)) {
+    entries.push(change.entry);
+    entries.sort(getSortComparator(filters.sortBy, moods));
+  }
+  return { ...page, entries };
+}
+
+/**
+ * Deletes the photo and voice memo files of an entry whose deletion can no longer be undone.
+ *
+ * @param {Object} entry The deleted entry.
+ * @returns {void}
+ */
+function deleteEntryFiles(entry) {
+  for (const uri of entry.imageUris) {
+    deletePhoto(uri).catch((error) => {
+      console.error('Error deleting photo:', error);
+    });
+  }
+  deleteVoiceMemo(entry.voiceMemo?.uri).catch((error) => {
+    console.error('Error deleting voice memo:', error);
+  });
+}
 
 /**
  * MoodHistoryScreen component displays a history of user's mood entries.
  * It allows users to view past entries, including their mood, date, journal text, and associated images.
+ * Tapping an entry opens it in the entry edit screen, and deletions made there can be undone from here.
+ * The list can be searched, filtered and sorted; the filters are kept when switching tabs.
+ * The history can also be viewed as a calendar; tapping a day there narrows the list to that day.
+ *
+ * Journals can hold years of entries, so the list loads them a page of whole months at a
+ * time as it is scrolled, grouped under sticky month headings, and shows photo thumbnails.
+ * Changes made elsewhere are applied to the loaded entries one by one rather than by
+ * loading the list again, and coming back to the tab only loads it again if something was missed.
  *
  * This component serves as the 'History' tab in the application.
  *
  * @returns {JSX.Element} The rendered Mood History Screen.
  */
 export default function MoodHistoryScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
   /**
-   * State hook to manage the list of mood entries.
+   * State hook to store the loaded entries matching the filters, in display order, and
+   * the cursor for loading the next page (`null` once every matching entry is loaded).
+   * @type {[{entries: Array<Object>, nextCursor: string|null}, Function]}
+   */
+  const [page, setPage] = useState(EMPTY_PAGE);
+  /**
+   * State hook to store whether the journal has any entries at all, whether or not the filters hide them.
+   * @type {[boolean, Function]}
+   */
+  const [hasEntries, setHasEntries] = useState(false);
+  /**
+   * State hook to store the entries of the month shown in calendar mode.
    * @type {[Array<Object>, Function]}
    */
-  const [moodEntries, setMoodEntries] = useState([]);
+  const [calendarEntries, setCalendarEntries] = useState([]);
+  /**
+   * State hook to store the mood entry store's revision, so the calendar reloads when entries change.
+   * @type {[number, Function]}
+   */
+  const [revision, setRevision] = useState(getMoodEntriesRevision);
+  /**
+   * State hook to store why the stored entries could not be read, or `null` if they could.
+   * @type {[string|null, Function]}
+   */
+  const [loadError, setLoadError] = useState(null);
+  /**
+   * State hook holding the most recently deleted entry and its former position,
+   * while the undo bar for it is showing.
+   * @type {[{entry: Object, index: number}|null, Function]}
+   */
+  const [recentlyDeleted, setRecentlyDeleted] = useState(null);
+  /**
+   * State hook to store the current view mode, either `'list'` or `'calendar'`.
+   * @type {[string, Function]}
+   */
+  const [viewMode, setViewMode] = useState('list');
+  /**
+   * State hook to store the month shown in calendar mode.
+   * @type {[Date, Function]}
+   */
+  const [visibleMonth, setVisibleMonth] = useState(() => new Date());
+  /**
+   * State hook to store the search, filter and sort options.
+   * Unlike the entries, these are not reset when the screen is reloaded on focus.
+   * @type {[Object, Function]}
+   */
+  const [filters, setFilters] = useHistoryFilters();
+  /**
+   * The mood catalog, used to show each entry's mood and to filter and sort by mood.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * Every activity tag, used to label the tag chips on each entry.
+   * @type {Array<Object>}
+   */
+  const tags = useActivityTags();
+  /**
+   * The user's preferences, for how entry dates and times are written.
+   * @type {Object}
+   */
+  const preferences = usePreferences();
+
+  /**
+   * The day the list is narrowed to, if the date filter covers exactly one day.
+   * @type {string|null}
+   */
+  const selectedDayKey =
+    filters.startDayKey && filters.startDayKey === filters.endDayKey ? filters.startDayKey : null;
+
+  /**
+   * The store revision the list was last loaded at or brought up to date with, or `null` before the first load.
+   * @type {React.MutableRefObject<number|null>}
+   */
+  const loadedRevisionRef = useRef(null);
+  /**
+   * Counts loads of the first page, so a page loaded for filters that have since changed is dropped.
+   * @type {React.MutableRefObject<number>}
+   */
+  const loadIdRef = useRef(0);
+  /**
+   * Whether the next page is being loaded, so scrolling to the end does not ask for it twice.
+   * @type {React.MutableRefObject<boolean>}
+   */
+  const isLoadingMoreRef = useRef(false);
+  /**
+   * The deletion the undo bar is showing, kept alongside the state so a deletion made
+   * while it shows can clean up the files of the one it replaces.
+   * @type {React.MutableRefObject<{entry: Object, index: number}|null>}
+   */
+  const recentlyDeletedRef = useRef(null);
 
   /**
-   * Loads mood entries from AsyncStorage.
-   * This function is memoized using `useCallback` to prevent unnecessary re-renders.
-   * If entries are found, they are parsed from JSON and set as the component's state.
-   * If no entries are found or an error occurs, an empty array is set, and an alert is shown.
+   * The loaded entries grouped for the list: under month headings when sorted by date,
+   * otherwise in a single group without a heading.
+   * @type {Array<{key: string, month: Date|null, data: Array<Object>}>}
+   */
+  const sections = useMemo(() => {
+    if (page.entries.length === 0) {
+      return [];
+    }
+    return isSortedByDate(filters.sortBy)
+      ? groupEntriesByMonth(page.entries)
+      : [{ key: 'all', month: null, data: page.entries }];
+  }, [page.entries, filters.sortBy]);
+
+  /**
+   * Loads the first page of entries matching the filters from the mood entry store.
+   * This function is memoized using `useCallback`, so it changes only when the filters or moods do.
+   * If the stored entries are damaged or cannot be decrypted, a recovery message is
+   * shown in place of the list. For other errors, an alert is shown and the current entries are kept.
    *
    * @returns {Promise<void>} A promise that resolves when mood entries are loaded.
    */
   const loadMoodEntries = useCallback(async () => {
+    loadIdRef.current += 1;
+    const loadId = loadIdRef.current;
+    const loadedRevision = getMoodEntriesRevision();
     try {
-      const storedEntries = await AsyncStorage.getItem(MOOD_ENTRIES_KEY);
-      if (storedEntries !== null) {
-        setMoodEntries(JSON.parse(storedEntries));
+      const [firstPage, entryCount] = await Promise.all([
+        loadEntriesPage(filters, moods, null),
+        countMoodEntries(),
+      ]);
+      if (loadId !== loadIdRef.current) {
+        return;
+      }
+      loadedRevisionRef.current = loadedRevision;
+      setPage(firstPage);
+      setHasEntries(entryCount > 0);
+      setLoadError(null);
+    } catch (error) {
+      console.error('Error loading mood entries:', error);
+      if (error instanceof UnreadableDataError) {
+        setPage(EMPTY_PAGE);
+        setHasEntries(false);
+        setLoadError(error.message);
       } else {
-        setMoodEntries([]);
+        Alert.alert('Error', 'Failed to load mood entries.');
+      }
+    }
+  }, [filters, moods]);
+
+  /**
+   * Loads the next page of entries once the list is scrolled near its end.
+   *
+   * @returns {Promise<void>} A promise that resolves when the page is added to the list.
+   */
+  const loadMoreEntries = async () => {
+    if (!page.nextCursor || isLoadingMoreRef.current) {
+      return;
+    }
+    isLoadingMoreRef.current = true;
+    const loadId = loadIdRef.current;
+    try {
+      const nextPage = await loadEntriesPage(filters, moods, page.nextCursor);
+      if (loadId === loadIdRef.current) {
+        setPage((current) => ({
+          entries: [...current.entries, ...nextPage.entries],
+          nextCursor: nextPage.nextCursor,
+        }));
       }
     } catch (error) {
       console.error('Error loading mood entries:', error);
-      Alert.alert('Error', 'Failed to load mood entries.');
+      Alert.alert('Error', 'Failed to load more mood entries.');
+    } finally {
+      isLoadingMoreRef.current = false;
     }
-  }, []);
+  };
+
+  /**
+   * Effect hook that loads the first page when the screen opens and whenever the filters change.
+   */
+  useEffect(() => {
+    loadMoodEntries();
+  }, [loadMoodEntries]);
 
   /**
    * Effect hook that runs when the screen comes into focus.
-   * It calls `loadMoodEntries` to refresh the displayed mood entries.
-   * `useFocusEffect` is used here instead of `useEffect` to ensure data is fresh
-   * whenever the user navigates back to this screen.
+   * Changes are normally applied as they happen, so the list is only loaded again
+   * if the stored entries changed in a way it was not told about.
    */
   useFocusEffect(
     useCallback(() => {
-      loadMoodEntries();
+      if (loadedRevisionRef.current !== null && loadedRevisionRef.current !== getMoodEntriesRevision()) {
+        loadMoodEntries();
+      }
       return () => {};
     }, [loadMoodEntries])
   );
 
   /**
-   * Renders an individual mood entry card for the FlatList.
+   * Effect hook that keeps the list in sync with changes made on other screens,
+   * such as the entry edit screen, which is pushed on top of the tabs.
+   * A change to one entry is applied to the loaded list; imports, clearing and
+   * resets load the list again. When an entry is deleted, it is remembered so the
+   * deletion can be undone; the deletion it replaces can no longer be undone, so that
+   * entry's files are cleaned up.
+   */
+  useEffect(() => {
+    return subscribeToMoodEntries((change) => {
+      setRevision(getMoodEntriesRevision());
+      if (change.type === 'deleted') {
+        if (recentlyDeletedRef.current) {
+          deleteEntryFiles(recentlyDeletedRef.current.entry);
+        }
+        recentlyDeletedRef.current = { entry: change.entry, index: change.index };
+        setRecentlyDeleted(recentlyDeletedRef.current);
+      }
+      if (!change.entry) {
+        loadMoodEntries();
+        return;
+      }
+      loadedRevisionRef.current = getMoodEntriesRevision();
+      setPage((current) => applyChangeToPage(current, change, filters, moods));
+      countMoodEntries()
+        .then((entryCount) => setHasEntries(entryCount > 0))
+        .catch((error) => {
+          console.error('Error counting mood entries:', error);
+        });
+    });
+  }, [loadMoodEntries, filters, moods]);
+
+  /**
+   * Effect hook that loads the entries of the month shown in calendar mode,
+   * again whenever the month or the stored entries change.
+   */
+  useEffect(() => {
+    if (viewMode !== 'calendar') {
+      return;
+    }
+    let isCurrent = true;
+    const monthStart = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth(), 1);
+    const nextMonthStart = new Date(visibleMonth.getFullYear(), visibleMonth.getMonth() + 1, 1);
+    queryMoodEntries({
+      filter: (entry) => {
+        const date = new Date(entry.timestamp);
+        return date >= monthStart && date < nextMonthStart;
+      },
+    })
+      .then((entries) => {
+        if (isCurrent) {
+          setCalendarEntries(entries);
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading mood entries:', error);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [viewMode, visibleMonth, revision]);
+
+  /**
+   * Puts the most recently deleted entry back where it was and hides the undo bar.
+   *
+   * @returns {Promise<void>} A promise that resolves when the entry is restored.
+   */
+  const undoDelete = async () => {
+    if (!recentlyDeleted) {
+      return;
+    }
+    recentlyDeletedRef.current = null;
+    setRecentlyDeleted(null);
+    try {
+      await restoreMoodEntry(recentlyDeleted.entry, recentlyDeleted.index);
+    } catch (error) {
+      console.error('Error restoring mood entry:', error);
+      Alert.alert('Error', 'Failed to restore mood entry.');
+    }
+  };
+
+  /**
+   * Hides the undo bar once its undo window has passed.
+   * The deletion is now final, so the entry's photo and voice memo files are cleaned up.
+   * Memoized so the undo bar's timer is not restarted on every render.
+   */
+  const dismissUndo = useCallback(() => {
+    if (recentlyDeletedRef.current) {
+      deleteEntryFiles(recentlyDeletedRef.current.entry);
+    }
+    recentlyDeletedRef.current = null;
+    setRecentlyDeleted(null);
+  }, []);
+
+  /**
+   * Asks for confirmation, then starts a new, empty journal in place of the unreadable one.
+   *
+   * @returns {void}
+   */
+  const confirmResetJournal = () => {
+    Alert.alert(
+      'Start a New Journal?',
+      'Your entries will be replaced by an empty journal. The unreadable data is kept aside on this device, ' +
+        'and you can restore entries from a backup afterwards.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Start New Journal',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await resetMoodEntries();
+            } catch (error) {
+              console.error('Error resetting mood entries:', error);
+              Alert.alert('Error', 'Failed to reset your journal.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Renders the recovery card shown in place of the list when the stored entries cannot be read.
+   *
+   * @returns {JSX.Element} The rendered recovery card.
+   */
+  const renderLoadError = () => (
+    <ScrollView contentContainerStyle={styles.emptyStateScrollView}>
+      <View style={styles.entryCard}>
+        <MaterialCommunityIcons name="alert-circle-outline" size={40} color={colors.danger} style={styles.recoveryIcon} />
+        <Text style={styles.recoveryTitle}>Your journal could not be opened</Text>
+        <Text style={styles.recoveryText}>{loadError}</Text>
+        <Text style={styles.recoveryText}>
+          Nothing has been deleted. You can try again, or start a new journal and restore your
+          entries from a backup in Backup & Restore.
+        </Text>
+        <TouchableOpacity style={styles.recoveryButton} onPress={loadMoodEntries}>
+          <Text style={styles.recoveryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.recoveryButton, styles.resetButton]} onPress={confirmResetJournal}>
+          <Text style={styles.recoveryButtonText}>Start New Journal</Text>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+
+  /**
+   * Narrows the list to a day tapped in the calendar and switches to list mode to show it.
+   *
+   * @param {string} dayKey The day key of the tapped day.
+   * @returns {void}
+   */
+  const selectDay = (dayKey) => {
+    setFilters({ ...filters, startDayKey: dayKey, endDayKey: dayKey });
+    setViewMode('list');
+  };
+
+  /**
+   * Renders the banner shown above the list while it is narrowed to a single day,
+   * with a button to show all days again.
+   *
+   * @returns {JSX.Element|null} The rendered banner, or `null` if no day is selected.
+   */
+  const renderDayFilter = () => {
+    if (!selectedDayKey) {
+      return null;
+    }
+    const formattedDay = formatDayHeading(new Date(`${selectedDayKey}T00:00:00`), preferences);
+    return (
+      <View style={styles.dayFilter}>
+        <Text style={styles.dayFilterText}>Showing {formattedDay}</Text>
+        <TouchableOpacity onPress={() => setFilters({ ...filters, startDayKey: null, endDayKey: null })}>
+          <MaterialCommunityIcons name="close-circle" size={22} color={colors.tint} />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  /**
+   * Renders the sticky heading above a month of entries. Entries that are not
+   * sorted by date are not grouped, so they have no heading.
+   *
+   * @param {Object} props - The props for rendering a section header.
+   * @param {{month: Date|null, data: Array<Object>}} props.section - The month's group of entries.
+   * @returns {JSX.Element|null} The rendered heading, or `null` when the group has no month.
+   */
+  const renderMonthHeader = ({ section }) => {
+    if (!section.month) {
+      return null;
+    }
+    return (
+      <View style={styles.monthHeader}>
+        <Text style={styles.monthHeaderText}>{formatMonthYear(section.month, preferences)}</Text>
+      </View>
+    );
+  };
+
+  /**
+   * Renders an individual mood entry card for the list.
    * This function formats the date and time, determines the appropriate emoji and color
    * based on the mood, and displays the journal text and image if available.
+   * Photos are shown as thumbnails, so long lists stay light.
+   * Pressing the card opens the entry in the edit screen; pressing a photo opens it full screen.
    *
    * @param {Object} props - The props for rendering a list item.
    * @param {Object} props.item - The mood entry object to render.
@@ -79,68 +548,149 @@ export default function MoodHistoryScreen() {
    */
   const renderMoodEntry = ({ item }) => {
     const entryDate = new Date(item.timestamp);
-    const formattedDate = entryDate.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    });
-    const formattedTime = entryDate.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+    const formattedDate = formatDate(entryDate, preferences);
+    const formattedTime = formatTime(entryDate, preferences);
 
-    /**
-     * Defines the available mood options with their corresponding emojis and colors.
-     * @type {Array<Object>}
-     */
-    const moodOptions = [
-      { mood: 'Happy', emoji: '😊', color: '#8BC34A' },
-      { mood: 'Neutral', emoji: '😐', color: '#FFEB3B' },
-      { mood: 'Sad', emoji: '😞', color: '#2196F3' },
-      { mood: 'Anxious', emoji: '😟', color: '#FF9800' },
-      { mood: 'Stressed', emoji: '😩', color: '#F44336' },
-      { mood: 'Excited', emoji: '😃', color: '#FFD700' },
-      { mood: 'Calm', emoji: '😌', color: '#66CDAA' },
-      { mood: 'Angry', emoji: '😡', color: '#DC143C' },
-    ];
-    const moodOption = moodOptions.find(opt => opt.mood === item.mood);
-    const moodEmoji = moodOption ? moodOption.emoji : '';
-    const moodColor = moodOption ? moodOption.color : '#666';
+    const mood = findMood(moods, item.moodId);
+    const secondaryMood = item.secondaryMoodId ? findMood(moods, item.secondaryMoodId) : null;
+    const entryTags = (item.tagIds ?? [])
+      .map((tagId) => tags.find((tag) => tag.id === tagId))
+      .filter(Boolean);
+
+    const isEdited = item.updatedAt !== item.createdAt;
 
     return (
-      <View style={styles.entryCard}>
+      <TouchableOpacity
+        style={styles.entryCard}
+        activeOpacity={0.8}
+        onPress={() => router.push({ pathname: '/entry/[id]', params: { id: item.id } })}
+      >
         <View style={styles.entryHeader}>
-          <Text style={[styles.entryMood, { color: moodColor }]}>
-            {moodEmoji} {item.mood}
+          <Text style={[styles.entryMood, { color: mood.color }]}>
+            {mood.emoji} {mood.label}
+          </Text>
+          <Text style={styles.entryDate}>
+            {formattedDate} at {formattedTime}
+            {isEdited ? ' (edited)' : ''}
           </Text>
-          <Text style={styles.entryDate}>{formattedDate} at {formattedTime}</Text>
         </View>
+        {item.intensity || secondaryMood ? (
+          <Text style={styles.entryDetails}>
+            {item.intensity ? `Intensity ${item.intensity}/10` : ''}
+            {item.intensity && secondaryMood ? ' · ' : ''}
+            {secondaryMood ? `Also ${secondaryMood.emoji} ${secondaryMood.label}` : ''}
+          </Text>
+        ) : null}
+        {entryTags.length > 0 && (
+          <View style={styles.tagRow}>
+            {entryTags.map((tag) => (
+              <View key={tag.id} style={styles.tagChip}>
+                <Text style={styles.tagChipText}>#{tag.label}</Text>
+              </View>
+            ))}
+          </View>
+        )}
+        {item.pickMeUpImageIds.length > 0 && (
+          <Text style={styles.entryDetails}>
+            {`💛 Pick-me-up offered (${item.pickMeUpImageIds.length} ${item.pickMeUpImageIds.length === 1 ? 'photo' : 'photos'})`}
+          </Text>
+        )}
         {item.journalText ? (
           <Text style={styles.entryJournal}>{item.journalText}</Text>
         ) : null}
-        {item.imageUri && (
-          <Image source={{ uri: item.imageUri }} style={styles.entryImage} />
+        {item.voiceMemo && (
+          <View style={styles.entryVoiceMemo}>
+            <VoiceMemoPlayer voiceMemo={item.voiceMemo} />
+          </View>
         )}
-      </View>
+        <PhotoGallery
+          imageUris={item.imageUris.map(getThumbnailUri)}
+          onPressImage={(index) =>
+            router.push({ pathname: '/photo-viewer', params: { source: 'entry', id: item.id, index } })
+          }
+        />
+      </TouchableOpacity>
     );
   };
 
   return (
     <LinearGradient
-      colors={['#E6E6FA', '#D8BFD8']}
+      colors={colors.gradient}
       style={styles.gradientBackground}
     >
       <View style={styles.contentContainer}>
         <Text style={styles.title}>Your Mood Journey</Text>
         <Text style={styles.subtitle}>All your past vibes, right here.</Text>
+        <SyncStatusBadge />
+
+        {/* View mode toggle */}
+        <View style={styles.viewModeToggle}>
+          {VIEW_MODES.map((mode) => (
+            <TouchableOpacity
+              key={mode.key}
+              style={[styles.viewModeButton, viewMode === mode.key && styles.selectedViewModeButton]}
+              onPress={() => setViewMode(mode.key)}
+            >
+              <MaterialCommunityIcons
+                name={mode.icon}
+                size={18}
+                color={viewMode === mode.key ? colors.onTint : colors.tint}
+              />
+              <Text
+                style={[
+                  styles.viewModeButtonText,
+                  viewMode === mode.key && styles.selectedViewModeButtonText,
+                ]}
+              >
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
 
-        {moodEntries.length > 0 ? (
-          <FlatList
-            data={moodEntries}
-            renderItem={renderMoodEntry}
-            keyExtractor={(item) => item.id}
-            contentContainerStyle={styles.flatListContent}
-          />
+        {loadError ? (
+          renderLoadError()
+        ) : viewMode === 'calendar' ? (
+          <ScrollView style={styles.calendarScrollView}>
+            <View style={styles.entryCard}>
+              <MoodCalendar
+                entries={calendarEntries}
+                moods={moods}
+                month={visibleMonth}
+                onChangeMonth={setVisibleMonth}
+                selectedDayKey={selectedDayKey}
+                onSelectDay={selectDay}
+              />
+            </View>
+          </ScrollView>
+        ) : hasEntries ? (
+          <>
+            <HistoryFilters filters={filters} onChangeFilters={setFilters} moods={moods} />
+            <SectionList
+              style={styles.flatList}
+              sections={sections}
+              renderItem={renderMoodEntry}
+              renderSectionHeader={renderMonthHeader}
+              stickySectionHeadersEnabled
+              keyExtractor={(item) => item.id}
+              initialNumToRender={6}
+              maxToRenderPerBatch={6}
+              windowSize={7}
+              onEndReached={loadMoreEntries}
+              onEndReachedThreshold={0.5}
+              ListHeaderComponent={renderDayFilter()}
+              ListFooterComponent={
+                page.nextCursor ? <ActivityIndicator style={styles.loadingMore} color={colors.tint} /> : null
+              }
+              ListEmptyComponent={
+                <View style={styles.emptyState}>
+                  <Text style={styles.emptyStateText}>No entries match your search and filters.</Text>
+                </View>
+              }
+              keyboardShouldPersistTaps="handled"
+              contentContainerStyle={styles.flatListContent}
+            />
+          </>
         ) : (
           <ScrollView contentContainerStyle={styles.emptyStateScrollView}>
             <View style={styles.emptyState}>
@@ -151,6 +701,15 @@ export default function MoodHistoryScreen() {
           </ScrollView>
         )}
       </View>
+
+      {recentlyDeleted && (
+        <UndoBar
+          key={recentlyDeleted.entry.id}
+          message="Entry deleted."
+          onUndo={undoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
     </LinearGradient>
   );
 }
@@ -159,8 +718,11 @@ export default function MoodHistoryScreen() {
  * StyleSheet for the MoodHistoryScreen component.
  * Defines the visual styles for the gradient background, containers, text,
  * mood entry cards, images, and buttons.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   gradientBackground: {
     flex: 1,
   },
@@ -174,22 +736,85 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 10,
-    color: '#333',
+    color: colors.text,
     textAlign: 'center',
     marginTop: 10,
   },
   subtitle: {
     fontSize: 18,
-    color: '#666',
+    color: colors.textSecondary,
     marginBottom: 20,
     textAlign: 'center',
   },
+  flatList: {
+    width: '100%',
+  },
   flatListContent: {
     paddingBottom: 20,
     width: '100%',
   },
+  viewModeToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  viewModeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 15,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: colors.tint,
+  },
+  selectedViewModeButton: {
+    backgroundColor: colors.tint,
+  },
+  viewModeButtonText: {
+    fontSize: 14,
+    color: colors.tint,
+    marginLeft: 6,
+  },
+  selectedViewModeButtonText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  calendarScrollView: {
+    width: '100%',
+  },
+  dayFilter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    marginTop: 5,
+  },
+  dayFilterText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  monthHeader: {
+    backgroundColor: colors.card,
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 15,
+    marginTop: 10,
+  },
+  monthHeaderText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  loadingMore: {
+    marginVertical: 15,
+  },
   entryCard: {
-    backgroundColor: '#FFF',
+    backgroundColor: colors.card,
     borderRadius: 15,
     padding: 20,
     marginVertical: 10,
@@ -213,19 +838,37 @@ const styles = StyleSheet.create({
   },
   entryDate: {
     fontSize: 14,
-    color: '#888',
+    color: colors.textMuted,
+  },
+  entryDetails: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  tagRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  tagChip: {
+    backgroundColor: colors.tintSoft,
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  tagChipText: {
+    fontSize: 13,
+    color: colors.tint,
   },
   entryJournal: {
     fontSize: 16,
-    color: '#444',
+    color: colors.text,
     marginBottom: 10,
   },
-  entryImage: {
-    width: '100%',
-    height: 200,
-    borderRadius: 8,
-    marginTop: 10,
-    resizeMode: 'cover',
+  entryVoiceMemo: {
+    marginBottom: 10,
   },
 
   emptyStateScrollView: {
@@ -239,7 +882,40 @@ const styles = StyleSheet.create({
   },
   emptyStateText: {
     fontSize: 16,
-    color: '#777',
+    color: colors.textMuted,
     textAlign: 'center',
   },
+  recoveryIcon: {
+    alignSelf: 'center',
+    marginBottom: 10,
+  },
+  recoveryTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  recoveryText: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 10,
+  },
+  recoveryButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  resetButton: {
+    backgroundColor: colors.danger,
+  },
+  recoveryButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
 });
@@ -1,141 +1,349 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as ImagePicker from 'expo-image-picker';
 import { LinearGradient } from 'expo-linear-gradient';
-import React, { useState } from 'react';
+import { router } from 'expo-router';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   Alert,
-  Image,
+  AppState,
   Keyboard,
   ScrollView,
   StyleSheet,
   Text,
-  TextInput,
   TouchableOpacity,
   TouchableWithoutFeedback,
   View,
 } from 'react-native';
 
+import EntryTimeField from '@/components/EntryTimeField';
+import IntensitySlider, { DEFAULT_INTENSITY } from '@/components/IntensitySlider';
+import JournalInput from '@/components/JournalInput';
+import MoodPicker from '@/components/MoodPicker';
+import PhotoAttachments from '@/components/PhotoAttachments';
+import PickMeUpSheet from '@/components/PickMeUpSheet';
+import SecondaryMoodPicker from '@/components/SecondaryMoodPicker';
+import TagPicker from '@/components/TagPicker';
+import VoiceMemoRecorder from '@/components/VoiceMemoRecorder';
+import { useActivityTags } from '@/hooks/useActivityTags';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { clearEntryDraft, getEntryDraft, saveEntryDraft } from '@/storage/entryDraft';
+import { getInspirationImages } from '@/storage/inspirationImages';
+import { createMoodEntry } from '@/storage/moodEntries';
+import { deletePhoto } from '@/storage/photos';
+import { deleteVoiceMemo } from '@/storage/voiceMemos';
+import { formatDateTime } from '@/utils/dateFormat';
+import { getPickMeUpImages } from '@/utils/inspirationBoards';
+import { findMood, isLowMood } from '@/utils/moods';
+
 /**
- * Key used for storing and retrieving mood entries in AsyncStorage.
- * @type {string}
+ * How long the form must sit unchanged before it is saved as a draft, in milliseconds.
+ * @type {number}
  */
-const MOOD_ENTRIES_KEY = 'moodEntries';
+const DRAFT_SAVE_DELAY_MS = 800;
 
 /**
- * NewEntryScreen component allows users to log their current mood,
- * write a journal entry, and optionally attach a photo.
+ * NewEntryScreen component allows users to log their mood and how intense it is, now or backdated,
+ * optionally a secondary mood and activity tags, write a journal entry or record a voice memo, and attach a photo.
  * This component serves as the 'New Entry' tab in the application.
  *
+ * The form is saved as a draft a moment after each change, and straight away when the
+ * app goes to the background, so nothing is lost if the app is closed or crashes.
+ * When the screen opens and a draft is found, a banner offers to continue it or discard it.
+ * Until one is chosen, the draft is left as it is.
+ *
  * @returns {JSX.Element} The rendered New Entry Screen.
  */
 export default function NewEntryScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store when the entry happened, or `null` for when it is saved.
+   * @type {[Date|null, Function]}
+   */
+  const [entryTime, setEntryTime] = useState(null);
+  /**
+   * State hook to store the id of the currently selected mood.
+   * @type {[string|null, Function]}
+   */
+  const [selectedMoodId, setSelectedMoodId] = useState(null);
   /**
-   * State hook to store the currently selected mood.
+   * State hook to store how intense the mood is, from 1 to 10.
+   * @type {[number, Function]}
+   */
+  const [intensity, setIntensity] = useState(DEFAULT_INTENSITY);
+  /**
+   * State hook to store the id of the secondary mood, if any.
    * @type {[string|null, Function]}
    */
-  const [selectedMood, setSelectedMood] = useState(null);
+  const [secondaryMoodId, setSecondaryMoodId] = useState(null);
+  /**
+   * State hook to store the ids of the activity tags on the entry.
+   * @type {[Array<string>, Function]}
+   */
+  const [tagIds, setTagIds] = useState([]);
   /**
    * State hook to store the text entered in the journal.
    * @type {[string, Function]}
    */
   const [journalText, setJournalText] = useState('');
   /**
-   * State hook to store the URI of the captured image.
-   * @type {[string|null, Function]}
+   * State hook to store the URIs of the attached photos, in gallery order.
+   * @type {[Array<string>, Function]}
    */
-  const [imageUri, setImageUri] = useState(null);
-
+  const [imageUris, setImageUris] = useState([]);
+  /**
+   * State hook to store the recorded voice memo, if any.
+   * @type {[{uri: string, durationMillis: number}|null, Function]}
+   */
+  const [voiceMemo, setVoiceMemo] = useState(null);
   /**
-   * Array defining available mood options, including their display name,
-   * corresponding emoji, and a color for styling.
+   * State hook to store whether a voice memo is being recorded. Saving waits until it is attached.
+   * @type {[boolean, Function]}
+   */
+  const [isRecordingVoiceMemo, setIsRecordingVoiceMemo] = useState(false);
+  /**
+   * The mood catalog offered by the mood picker.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * Every activity tag, offered by the tag picker.
    * @type {Array<Object>}
    */
-  const moodOptions = [
-    { mood: 'Happy', emoji: '😊', color: '#8BC34A' },
-    { mood: 'Neutral', emoji: '😐', color: '#FFEB3B' },
-    { mood: 'Sad', emoji: '😞', color: '#2196F3' },
-    { mood: 'Anxious', emoji: '😟', color: '#FF9800' },
-    { mood: 'Stressed', emoji: '😩', color: '#F44336' },
-    { mood: 'Excited', emoji: '😃', color: '#FFD700' },
-    { mood: 'Calm', emoji: '😌', color: '#66CDAA' },
-    { mood: 'Angry', emoji: '😡', color: '#DC143C' },
-  ];
+  const tags = useActivityTags();
+  /**
+   * State hook to store the pick-me-up offered after a low mood is saved,
+   * or `null` when none is shown.
+   * @type {[{mood: Object, images: Array<Object>}|null, Function]}
+   */
+  const [pickMeUp, setPickMeUp] = useState(null);
+  /**
+   * The display preferences, used to show when the draft was saved.
+   * @type {Object}
+   */
+  const preferences = usePreferences();
+  /**
+   * State hook to store whether the stored draft has been looked for, so autosaving
+   * cannot overwrite it before it is offered.
+   * @type {[boolean, Function]}
+   */
+  const [isDraftLoaded, setIsDraftLoaded] = useState(false);
+  /**
+   * State hook to store the draft offered by the banner, or `null` when none is offered.
+   * @type {[Object|null, Function]}
+   */
+  const [offeredDraft, setOfferedDraft] = useState(null);
+  /**
+   * State hook to store whether the entry is being saved, so it is not saved as a draft meanwhile.
+   * @type {[boolean, Function]}
+   */
+  const [isSavingEntry, setIsSavingEntry] = useState(false);
 
   /**
-   * Handles taking a picture using the device's camera.
-   * Requests camera permissions, launches the camera, and if a photo is taken
-   * successfully, sets the `imageUri` state with the URI of the captured image.
-   * Displays alerts for permission denial or if the camera operation is cancelled.
-   *
-   * @returns {Promise<void>} A promise that resolves when the picture is taken or cancelled.
+   * Whether the form may be saved as a draft: once the stored draft has been looked
+   * for, and not while one is still offered or the entry is being saved.
+   * @type {boolean}
    */
-  const takePicture = async () => {
-    const { status } = await ImagePicker.requestCameraPermissionsAsync();
-    if (status !== 'granted') {
-      Alert.alert('Permission Denied', 'Sorry, we need camera permissions to make this work!');
+  const canSaveDraft = isDraftLoaded && offeredDraft === null && !isSavingEntry;
+  /**
+   * The form's fields, in the shape of a draft.
+   * @type {Object}
+   */
+  const draft = {
+    timestamp: entryTime?.toISOString() ?? null,
+    moodId: selectedMoodId,
+    intensity, secondaryMoodId, tagIds, journalText, imageUris, voiceMemo };
+  /**
+   * The latest draft and whether it may be saved, for use inside the app state listener.
+   * @type {React.MutableRefObject<{draft: Object, canSaveDraft: boolean}>}
+   */
+  const latestDraftRef = useRef({ draft, canSaveDraft });
+  latestDraftRef.current = { draft, canSaveDraft };
+  /**
+   * The pending delayed draft save, or `null` when none is pending.
+   * @type {React.MutableRefObject<number|null>}
+   */
+  const draftSaveTimeoutRef = useRef(null);
+
+  /**
+   * Effect hook that looks for a draft left from last time and offers it.
+   */
+  useEffect(() => {
+    getEntryDraft()
+      .then((storedDraft) => setOfferedDraft(storedDraft))
+      .catch((error) => {
+        console.error('Error loading entry draft:', error);
+      })
+      .finally(() => setIsDraftLoaded(true));
+  }, []);
+
+  /**
+   * Effect hook that saves the form as a draft once it has sat unchanged for a moment.
+   * An emptied form removes the draft.
+   */
+  useEffect(() => {
+    if (!canSaveDraft) {
       return;
     }
+    draftSaveTimeoutRef.current = setTimeout(() => {
+      draftSaveTimeoutRef.current = null;
+      saveEntryDraft(latestDraftRef.current.draft).catch((error) => {
+        console.error('Error saving entry draft:', error);
+      });
+    }, DRAFT_SAVE_DELAY_MS);
+    return () => clearTimeout(draftSaveTimeoutRef.current);
+  }, [canSaveDraft, entryTime, selectedMoodId, intensity, secondaryMoodId, tagIds, journalText, imageUris, voiceMemo]);
 
-    let result = await ImagePicker.launchCameraAsync({
-      mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      allowsEditing: true,
-      aspect: [4, 3],
-      quality: 1,
+  /**
+   * Effect hook that saves the draft straight away when the app goes to the background,
+   * where it may be closed before the delayed save runs.
+   */
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      const latest = latestDraftRef.current;
+      if (nextAppState === 'background' && latest.canSaveDraft) {
+        saveEntryDraft(latest.draft).catch((error) => {
+          console.error('Error saving entry draft:', error);
+        });
+      }
     });
+    return () => subscription.remove();
+  }, []);
 
-    if (!result.canceled) {
-      setImageUri(result.assets[0].uri);
+  /**
+   * Fills the form with the offered draft and hides the banner.
+   *
+   * @returns {void}
+   */
+  const continueDraft = () => {
+    setEntryTime(offeredDraft.timestamp ? new Date(offeredDraft.timestamp) : null);
+    setSelectedMoodId(offeredDraft.moodId);
+    setIntensity(offeredDraft.intensity);
+    setSecondaryMoodId(offeredDraft.secondaryMoodId);
+    setTagIds(offeredDraft.tagIds);
+    setJournalText(offeredDraft.journalText);
+    setImageUris(offeredDraft.imageUris);
+    setVoiceMemo(offeredDraft.voiceMemo ?? null);
+    setOfferedDraft(null);
+  };
+
+  /**
+   * Asks for confirmation, then throws the offered draft away along with its photos and voice memo.
+   *
+   * @returns {void}
+   */
+  const confirmDiscardDraft = () => {
+    Alert.alert('Discard Draft?', 'The unsaved entry, its photos and its voice memo will be deleted.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await clearEntryDraft();
+            for (const uri of offeredDraft.imageUris) {
+              await deletePhoto(uri);
+            }
+            await deleteVoiceMemo(offeredDraft.voiceMemo?.uri);
+          } catch (error) {
+            console.error('Error discarding entry draft:', error);
+          }
+          setOfferedDraft(null);
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Selects the main mood. If it was picked as the secondary mood, that choice is cleared.
+   *
+   * @param {string} moodId The id of the selected mood.
+   * @returns {void}
+   */
+  const selectMood = (moodId) => {
+    setSelectedMoodId(moodId);
+    if (secondaryMoodId === moodId) {
+      setSecondaryMoodId(null);
     }
   };
 
   /**
-   * Saves the current mood entry to AsyncStorage.
-   * Validates if a mood has been selected. If not, an alert is displayed.
-   * Constructs a new mood entry object with a unique ID and timestamp.
-   * Retrieves existing entries from AsyncStorage, adds the new entry to the beginning,
-   * and saves the updated list back to AsyncStorage.
-   * Resets the form fields (selected mood, journal text, image URI) upon successful save.
+   * Saves the current mood entry through the mood entry store.
+   * Validates if a mood has been selected and that the entry is not set in the future.
+   * If not, an alert is displayed.
+   * The store assigns the new entry a unique ID, stamps it with the picked time or
+   * else the current time, and keeps it in order of when it happened.
+   * Resets the form fields (time, mood, intensity, secondary mood, tags, journal text, photos, voice memo)
+   * and removes the draft upon successful save. A draft still offered by the banner is kept.
+   * No draft is saved while the entry is being saved, so one cannot come back after it is removed.
+   * When the mood is an unpleasant one and inspiration photos are tagged as helping
+   * with it, those photos are offered as a pick-me-up instead of the usual
+   * confirmation, and recorded on the entry so it can later be seen whether they helped.
    *
    * @returns {Promise<void>} A promise that resolves when the mood entry is saved.
    */
   const saveMoodEntry = async () => {
-    if (!selectedMood) {
+    if (!selectedMoodId) {
       Alert.alert('Missing Mood', 'Please select your mood before saving!');
       return;
     }
+    if (entryTime && entryTime > new Date()) {
+      Alert.alert('Time in the Future', 'Entries cannot be dated in the future. Please pick an earlier time.');
+      return;
+    }
 
-    const timestampToSave = new Date().toISOString();
-
-    const newEntry = {
-      id: Date.now().toString(),
-      mood: selectedMood,
-      journalText: journalText,
-      imageUri: imageUri,
-      timestamp: timestampToSave, 
-    };
-
+    // Stop draft saves right away, before the re-render that turns `canSaveDraft` off
+    clearTimeout(draftSaveTimeoutRef.current);
+    latestDraftRef.current = { ...latestDraftRef.current, canSaveDraft: false };
+    setIsSavingEntry(true);
     try {
-      const storedEntries = await AsyncStorage.getItem(MOOD_ENTRIES_KEY);
-      const currentEntries = storedEntries ? JSON.parse(storedEntries) : [];
-      // Add the new entry at the beginning of the array
-      const updatedEntries = [newEntry, ...currentEntries];
-      await AsyncStorage.setItem(MOOD_ENTRIES_KEY, JSON.stringify(updatedEntries));
+      const mood = findMood(moods, selectedMoodId);
+      const pickMeUpImages = isLowMood(mood)
+        ? getPickMeUpImages(await getInspirationImages(), selectedMoodId)
+        : [];
 
-      Alert.alert('Success', 'Mood entry saved!');
+      await createMoodEntry({
+        timestamp: entryTime?.toISOString(),
+        moodId: selectedMoodId,
+        intensity: intensity,
+        secondaryMoodId: secondaryMoodId,
+        tagIds: tagIds,
+        journalText: journalText,
+        imageUris: imageUris,
+        voiceMemo: voiceMemo,
+        pickMeUpImageIds: pickMeUpImages.map((image) => image.id),
+      });
+      if (canSaveDraft) {
+        await clearEntryDraft();
+      }
+
+      if (pickMeUpImages.length > 0) {
+        setPickMeUp({ mood, images: pickMeUpImages });
+      } else {
+        Alert.alert('Success', 'Mood entry saved!');
+      }
       // Reset form fields
-      setSelectedMood(null);
+      setEntryTime(null);
+      setSelectedMoodId(null);
+      setIntensity(DEFAULT_INTENSITY);
+      setSecondaryMoodId(null);
+      setTagIds([]);
       setJournalText('');
-      setImageUri(null);
+      setImageUris([]);
+      setVoiceMemo(null);
       Keyboard.dismiss(); 
     } catch (error) {
       console.error('Error saving mood entry:', error);
       Alert.alert('Error', 'Failed to save mood entry.');
+    } finally {
+      setIsSavingEntry(false);
     }
   };
 
   return (
     <LinearGradient
-      colors={['#E6E6FA', '#D8BFD8']}
+      colors={colors.gradient}
       style={styles.gradientBackground}
     >
       {/* TouchableWithoutFeedback to dismiss keyboard when tapping outside input fields */}
@@ -147,69 +355,106 @@ export default function NewEntryScreen() {
             {/* Subtitle providing a brief description */}
             <Text style={styles.subtitle}>Welcome to MoodSnap! Log your daily feelings and reflections.</Text>
 
+            {/* Banner offering the draft left from last time */}
+            {offeredDraft && (
+              <View style={[styles.card, styles.draftBanner]}>
+                <Text style={styles.draftTitle}>Continue your draft?</Text>
+                <Text style={styles.draftDetail}>
+                  {`You have an unsaved entry from ${formatDateTime(new Date(offeredDraft.savedAt), preferences)}.`}
+                </Text>
+                <View style={styles.draftButtons}>
+                  <TouchableOpacity style={styles.draftButton} onPress={confirmDiscardDraft}>
+                    <Text style={styles.discardDraftText}>Discard</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={[styles.draftButton, styles.continueDraftButton]} onPress={continueDraft}>
+                    <Text style={styles.continueDraftText}>Continue</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
+            {/* Entry Time Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>When was this?</Text>
+              <EntryTimeField value={entryTime} onChange={setEntryTime} />
+            </View>
+
             {/* Mood Selection Card */}
             <View style={styles.card}>
               <Text style={styles.sectionTitle}>How are you feeling?</Text>
-              <View style={styles.moodSelectorContainer}>
-                {moodOptions.map((option) => (
-                  <TouchableOpacity
-                    key={option.mood}
-                    style={[
-                      styles.moodButton,
-                      { backgroundColor: option.color },
-                      selectedMood === option.mood && styles.selectedMoodButton, 
-                    ]}
-                    onPress={() => setSelectedMood(option.mood)}
-                  >
-                    <Text style={styles.moodEmoji}>{option.emoji}</Text>
-                    <Text style={styles.moodText}>{option.mood}</Text>
-                  </TouchableOpacity>
-                ))}
-              </View>
+              <MoodPicker moods={moods} selectedMoodId={selectedMoodId} onSelectMood={selectMood} />
+              <IntensitySlider value={intensity} onChange={setIntensity} />
+              <SecondaryMoodPicker
+                moods={moods}
+                primaryMoodId={selectedMoodId}
+                selectedMoodId={secondaryMoodId}
+                onSelectMood={setSecondaryMoodId}
+              />
+              <TouchableOpacity style={styles.manageMoodsButton} onPress={() => router.push('/moods')}>
+                <Text style={styles.manageMoodsButtonText}>Customize moods</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Activity Tags Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>What have you been up to?</Text>
+              <TagPicker tags={tags} selectedTagIds={tagIds} onChangeSelectedTagIds={setTagIds} />
             </View>
 
             {/* Journal Entry Card */}
             <View style={styles.card}>
               <Text style={styles.sectionTitle}>Journal Entry:</Text>
-              <TextInput
-                style={styles.textInput}
-                placeholder="What's on your mind?"
-                multiline
-                numberOfLines={4}
-                value={journalText}
-                onChangeText={setJournalText}
-                placeholderTextColor="#999"
+              <JournalInput value={journalText} onChangeText={setJournalText} />
+            </View>
+
+            {/* Voice Memo Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Rather say it out loud?</Text>
+              <VoiceMemoRecorder
+                voiceMemo={voiceMemo}
+                onChangeVoiceMemo={setVoiceMemo}
+                onRecordingChange={setIsRecordingVoiceMemo}
               />
             </View>
 
             {/* Camera Section Card */}
             <View style={styles.card}>
               <Text style={styles.sectionTitle}>Capture a moment:</Text>
-              <TouchableOpacity style={styles.cameraButton} onPress={takePicture}>
-                <Text style={styles.cameraButtonText}>Take Photo</Text>
-              </TouchableOpacity>
-              {imageUri && (
-                <Image source={{ uri: imageUri }} style={styles.previewImage} />
-              )}
+              <PhotoAttachments imageUris={imageUris} onChangeImageUris={setImageUris} />
             </View>
 
             {/* Save Button */}
-            <TouchableOpacity style={styles.saveButton} onPress={saveMoodEntry}>
+            <TouchableOpacity
+              style={[styles.saveButton, isRecordingVoiceMemo && styles.disabledButton]}
+              disabled={isRecordingVoiceMemo}
+              onPress={saveMoodEntry}
+            >
               <Text style={styles.saveButtonText}>Save Mood</Text>
             </TouchableOpacity>
           </View>
         </ScrollView>
       </TouchableWithoutFeedback>
+
+      {/* Pick-me-up offered after saving a low mood */}
+      <PickMeUpSheet
+        visible={pickMeUp !== null}
+        mood={pickMeUp?.mood ?? null}
+        images={pickMeUp?.images ?? []}
+        onClose={() => setPickMeUp(null)}
+      />
     </LinearGradient>
   );
 }
 
 /**
  * StyleSheet for the NewEntryScreen component.
- * Defines the visual styles for the gradient background, containers, text,
- * mood selection buttons, text input, camera section, image preview, and save button.
+ * Defines the visual styles for the gradient background, containers, text, cards and save button.
+ * The mood selector, journal input and camera section are styled by their own components.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   gradientBackground: {
     flex: 1,
   },
@@ -225,7 +470,7 @@ const styles = StyleSheet.create({
   appName: {
     fontSize: 36,
     fontWeight: 'bold',
-    color: '#6A5ACD', 
+    color: colors.tint, 
     marginBottom: 5,
     textAlign: 'center',
     textShadowColor: 'rgba(0, 0, 0, 0.1)', 
@@ -236,18 +481,18 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 10,
-    color: '#333',
+    color: colors.text,
     textAlign: 'center',
     marginTop: 10,
   },
   subtitle: {
     fontSize: 18,
-    color: '#666',
+    color: colors.textSecondary,
     marginBottom: 20,
     textAlign: 'center',
   },
   card: {
-    backgroundColor: '#FFF',
+    backgroundColor: colors.card,
     borderRadius: 15,
     padding: 20,
     marginVertical: 10,
@@ -262,87 +507,59 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
     marginBottom: 15,
-    color: '#333',
+    color: colors.text,
     textAlign: 'center',
   },
-  moodSelectorContainer: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
-    justifyContent: 'center',
-    marginBottom: 10,
-  },
-  moodButton: {
-    paddingVertical: 12,
-    paddingHorizontal: 18,
-    borderRadius: 25,
-    margin: 6,
-    alignItems: 'center',
-    justifyContent: 'center',
-    minWidth: 90,
+  draftBanner: {
     borderWidth: 2,
-    borderColor: 'transparent',
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 4,
-    elevation: 4,
-  },
-  selectedMoodButton: {
-    borderColor: '#6A5ACD', 
-    shadowOpacity: 0.3,
-    shadowRadius: 6,
-    elevation: 6,
+    borderColor: colors.tint,
   },
-  moodEmoji: {
-    fontSize: 32,
-    marginBottom: 4,
+  draftTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
   },
-  moodText: {
+  draftDetail: {
     fontSize: 15,
-    fontWeight: 'bold',
-    color: '#FFF',
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 6,
   },
-  textInput: {
-    width: '100%',
-    height: 120,
-    borderColor: '#E0E0E0',
-    borderWidth: 1,
+  draftButtons: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 15,
+  },
+  draftButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
     borderRadius: 10,
-    padding: 15,
-    backgroundColor: '#F9F9F9',
-    textAlignVertical: 'top', 
-    fontSize: 16,
-    color: '#333',
+    marginHorizontal: 6,
   },
-  cameraButton: {
-    backgroundColor: '#6A5ACD', 
-    paddingVertical: 14,
-    paddingHorizontal: 30,
-    borderRadius: 30,
-    marginBottom: 15,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 4 },
-    shadowOpacity: 0.3,
-    shadowRadius: 6,
-    elevation: 6,
-    alignSelf: 'center', 
+  continueDraftButton: {
+    backgroundColor: colors.tint,
   },
-  cameraButtonText: {
-    color: '#FFF',
-    fontSize: 18,
+  discardDraftText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+  continueDraftText: {
+    color: colors.onTint,
+    fontSize: 16,
     fontWeight: 'bold',
   },
-  previewImage: {
-    width: '100%',
-    height: 200,
-    borderRadius: 10,
-    marginTop: 15,
-    resizeMode: 'cover',
-    borderWidth: 1,
-    borderColor: '#DDD',
+  manageMoodsButton: {
+    alignSelf: 'center',
+    paddingVertical: 5,
+  },
+  manageMoodsButtonText: {
+    color: colors.tint,
+    fontSize: 15,
+    fontWeight: 'bold',
   },
   saveButton: {
-    backgroundColor: '#4CAF50', 
+    backgroundColor: colors.success, 
     paddingVertical: 16,
     paddingHorizontal: 40,
     borderRadius: 30,
@@ -354,8 +571,11 @@ const styles = StyleSheet.create({
     shadowRadius: 6,
     elevation: 6,
   },
+  disabledButton: {
+    opacity: 0.5,
+  },
   saveButtonText: {
-    color: '#FFF',
+    color: colors.onTint,
     fontSize: 20,
     fontWeight: 'bold',
   },
@@ -0,0 +1,323 @@
+import { useFocusEffect } from 'expo-router';
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useCallback, useMemo, useState } from 'react';
+import {
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import HorizontalBarChart from '@/components/charts/HorizontalBarChart';
+import StackedBarChart from '@/components/charts/StackedBarChart';
+import TrendChart from '@/components/charts/TrendChart';
+import { useActivityTags } from '@/hooks/useActivityTags';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { getMoodEntries } from '@/storage/moodEntries';
+import {
+  computeMoodByTag,
+  computeMoodByTimeOfDay,
+  computeMoodByWeekday,
+  computeMoodDistribution,
+  computeMoodTrend,
+  computeStreaks,
+} from '@/utils/moodStats';
+
+/**
+ * Time ranges, in days, the trend chart can show.
+ * @type {Array<number>}
+ */
+const TREND_RANGES = [7, 30, 90];
+
+/**
+ * InsightsScreen summarizes the user's mood entries: how often each mood is logged,
+ * logging streaks, moods by weekday, time of day and activity tag, and how moods trend over time.
+ * All charts are drawn with plain React Native views.
+ *
+ * This component serves as the 'Insights' tab in the application.
+ *
+ * @returns {JSX.Element} The rendered Insights Screen.
+ */
+export default function InsightsScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to manage the list of mood entries.
+   * @type {[Array<Object>, Function]}
+   */
+  const [moodEntries, setMoodEntries] = useState([]);
+  /**
+   * State hook to store how many days the trend chart covers.
+   * @type {[number, Function]}
+   */
+  const [trendRange, setTrendRange] = useState(TREND_RANGES[0]);
+  /**
+   * The mood catalog, for each mood's label, color and score.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * Every activity tag, for the per-tag breakdown.
+   * @type {Array<Object>}
+   */
+  const tags = useActivityTags();
+  /**
+   * The user's preferences, for the day the weekday chart starts on.
+   * @type {Object}
+   */
+  const { firstDayOfWeek } = usePreferences();
+
+  /**
+   * Effect hook that reloads the entries whenever the screen comes into focus,
+   * so new entries are reflected right away.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      const loadMoodEntries = async () => {
+        try {
+          setMoodEntries(await getMoodEntries());
+        } catch (error) {
+          console.error('Error loading mood entries:', error);
+          Alert.alert('Error', 'Failed to load mood entries.');
+        }
+      };
+      loadMoodEntries();
+    }, [])
+  );
+
+  /**
+   * Statistics derived from the entries, recomputed only when the entries, moods, tags or first day of the week change.
+   * @type {Object}
+   */
+  const stats = useMemo(() => ({
+    distribution: computeMoodDistribution(moodEntries, moods),
+    streaks: computeStreaks(moodEntries),
+    byWeekday: computeMoodByWeekday(moodEntries, moods, firstDayOfWeek),
+    byTimeOfDay: computeMoodByTimeOfDay(moodEntries, moods),
+    byTag: computeMoodByTag(moodEntries, moods, tags),
+  }), [moodEntries, moods, tags, firstDayOfWeek]);
+
+  /**
+   * Daily average mood scores for the selected trend range.
+   * @type {Array<Object>}
+   */
+  const trend = useMemo(
+    () => computeMoodTrend(moodEntries, moods, trendRange),
+    [moodEntries, moods, trendRange]
+  );
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        <Text style={styles.title}>Your Mood Insights</Text>
+        <Text style={styles.subtitle}>Patterns from your past vibes.</Text>
+
+        {moodEntries.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>
+              No mood entries yet! Log a few moods to start seeing insights.
+            </Text>
+          </View>
+        ) : (
+          <>
+            {/* Streaks */}
+            <View style={styles.statRow}>
+              <View style={[styles.card, styles.statCard]}>
+                <Text style={styles.statValue}>{stats.streaks.current}</Text>
+                <Text style={styles.statLabel}>Current streak (days)</Text>
+              </View>
+              <View style={[styles.card, styles.statCard]}>
+                <Text style={styles.statValue}>{stats.streaks.longest}</Text>
+                <Text style={styles.statLabel}>Longest streak (days)</Text>
+              </View>
+              <View style={[styles.card, styles.statCard]}>
+                <Text style={styles.statValue}>{moodEntries.length}</Text>
+                <Text style={styles.statLabel}>Total entries</Text>
+              </View>
+            </View>
+
+            {/* Trend */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Mood Trend</Text>
+              <View style={styles.rangeSelector}>
+                {TREND_RANGES.map((range) => (
+                  <TouchableOpacity
+                    key={range}
+                    style={[styles.rangeButton, trendRange === range && styles.selectedRangeButton]}
+                    onPress={() => setTrendRange(range)}
+                  >
+                    <Text
+                      style={[
+                        styles.rangeButtonText,
+                        trendRange === range && styles.selectedRangeButtonText,
+                      ]}
+                    >
+                      {range} days
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TrendChart points={trend} />
+              <Text style={styles.chartCaption}>
+                Bars above the line are pleasant days, bars below are unpleasant ones.
+              </Text>
+            </View>
+
+            {/* Distribution */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Mood Distribution</Text>
+              <HorizontalBarChart
+                rows={stats.distribution.map((row) => ({
+                  key: row.moodId,
+                  label: `${row.emoji} ${row.label}`.trim(),
+                  value: row.count,
+                  color: row.color,
+                  valueLabel: `${Math.round(row.share * 100)}%`,
+                }))}
+              />
+            </View>
+
+            {/* Weekday */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Mood by Weekday</Text>
+              <StackedBarChart rows={stats.byWeekday} />
+            </View>
+
+            {/* Time of day */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Mood by Time of Day</Text>
+              <StackedBarChart rows={stats.byTimeOfDay} />
+            </View>
+
+            {/* Activity tags */}
+            {stats.byTag.length > 0 && (
+              <View style={styles.card}>
+                <Text style={styles.sectionTitle}>Mood by Activity</Text>
+                <StackedBarChart rows={stats.byTag} />
+              </View>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the InsightsScreen component.
+ * Defines the visual styles for the gradient background, cards, streak counters,
+ * the trend range selector and the empty state.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  subtitle: {
+    fontSize: 18,
+    color: colors.textSecondary,
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 15,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  statRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  statCard: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingHorizontal: 8,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  statLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  rangeSelector: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  rangeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 15,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: colors.tint,
+  },
+  selectedRangeButton: {
+    backgroundColor: colors.tint,
+  },
+  rangeButtonText: {
+    fontSize: 14,
+    color: colors.tint,
+  },
+  selectedRangeButtonText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  chartCaption: {
+    fontSize: 12,
+    color: colors.textMuted,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 30,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: colors.textMuted,
+    textAlign: 'center',
+  },
+});
@@ -1,37 +1,48 @@
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as ImagePicker from 'expo-image-picker';
 import { LinearGradient } from 'expo-linear-gradient';
-import React, { useEffect, useState } from 'react';
+import { router, useFocusEffect } from 'expo-router';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   Alert,
-  Dimensions,
   FlatList,
   Image,
   ScrollView,
   StyleSheet,
   Text,
   TouchableOpacity,
+  useWindowDimensions,
   View
 } from 'react-native';
+import DraggableFlatList from 'react-native-draggable-flatlist';
 
-/**
- * Key used for storing and retrieving inspiration images in AsyncStorage.
- * @type {string}
- */
-const INSPIRATION_KEY = 'inspirationImages';
-
-/**
- * Retrieves the full width of the device screen.
- * @type {number}
- */
-const { width: screenWidth } = Dimensions.get('window');
+import BoardNameSheet from '@/components/BoardNameSheet';
+import BoardPickerSheet from '@/components/BoardPickerSheet';
+import PhotoNoteSheet from '@/components/PhotoNoteSheet';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import {
+  DEFAULT_BOARD_ID,
+  getInspirationBoards,
+  getInspirationImages,
+  saveInspirationBoards as storeInspirationBoards,
+  saveInspirationImages as storeInspirationImages,
+} from '@/storage/inspirationImages';
+import { deletePhoto, getThumbnailUri, persistPhoto } from '@/storage/photos';
+import { savePreferences } from '@/storage/preferences';
+import { formatDate } from '@/utils/dateFormat';
+import { buildMasonryColumns, getCardWidth, getColumnCount } from '@/utils/gridLayout';
+import { getImagePickerOptions } from '@/utils/imagePickerOptions';
+import { countBoardImages, getBoardImages, reorderBoardImages } from '@/utils/inspirationBoards';
+import { findMood, getActiveMoods, isLowMood } from '@/utils/moods';
 
 /**
- * Defines the number of columns for the image grid in the Inspiration Board.
+ * Narrowest an image card may be. The board uses as many columns as fit at this
+ * width, so phones show two and tablets, landscape screens and wide web windows show more.
  * @type {number}
  */
-const NUM_COLUMNS = 2;
+const MIN_CARD_WIDTH = 150;
 
 /**
  * Defines the horizontal margin for each image card.
@@ -46,50 +57,195 @@ const CARD_HORIZONTAL_MARGIN = 8;
 const CONTAINER_HORIZONTAL_PADDING = 15;
 
 /**
- * Calculates the width of each image card to fit into the specified number of columns
- * with appropriate margins and padding.
+ * Width-to-height ratio of the photos in the grid layout, and of photos in the
+ * masonry layout until their own shape is known.
  * @type {number}
  */
-const calculatedCardWidth =
-  (screenWidth - (CONTAINER_HORIZONTAL_PADDING * 2) - (CARD_HORIZONTAL_MARGIN * NUM_COLUMNS * 2)) / NUM_COLUMNS;
+const DEFAULT_ASPECT_RATIO = 4 / 3;
 
+/**
+ * Height of a card below its photo, for the note and footer. Used to balance the
+ * masonry columns; it does not need to be exact.
+ * @type {number}
+ */
+const CARD_CAPTION_HEIGHT = 80;
 
 /**
  * The Inspiration Board screen component.
- * This screen allows users to capture inspiring images, optionally add notes to them,
+ * This screen allows users to capture inspiring images, add or change notes on them,
  * and view or delete their collection of inspiration photos.
- * It provides a visual board for motivational content.
+ * Photos are sorted onto named boards, shown one board at a time. Within a board,
+ * photos can be pinned to the top and dragged into any order, and each can be
+ * moved to another board. Photos can be tagged with the moods they help with, to be
+ * offered as a pick-me-up when one of those moods is logged.
  *
  * @returns {JSX.Element} The rendered Inspiration Board Screen.
  */
 export default function InspirationBoardScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { width: windowWidth } = useWindowDimensions();
+
   /**
-   * State hook to manage the array of inspiration images.
-   * Each image object typically includes an `id`, `uri`, and `note`.
+   * State hook to manage the array of inspiration images, across all boards.
+   * Each image object includes an `id`, `uri`, `note`, `boardId`, `pinned` and `createdAt`.
    * @type {[Array<Object>, Function]}
    */
   const [inspirationImages, setInspirationImages] = useState([]);
+  /**
+   * State hook to store the boards, in the order they were created.
+   * @type {[Array<{id: string, name: string}>, Function]}
+   */
+  const [boards, setBoards] = useState([]);
+  /**
+   * State hook to store the id of the board being shown.
+   * @type {[string, Function]}
+   */
+  const [selectedBoardId, setSelectedBoardId] = useState(DEFAULT_BOARD_ID);
+  /**
+   * State hook to store whether the board is being rearranged by dragging.
+   * @type {[boolean, Function]}
+   */
+  const [isArranging, setIsArranging] = useState(false);
+  /**
+   * State hook to store the board being named, or `null` when the name sheet is closed.
+   * `boardId` is `null` for a new board.
+   * @type {[{boardId: string|null, name: string}|null, Function]}
+   */
+  const [boardEditor, setBoardEditor] = useState(null);
+  /**
+   * State hook to store the photo being moved to another board, or `null` when the board picker is closed.
+   * @type {[Object|null, Function]}
+   */
+  const [movingImage, setMovingImage] = useState(null);
+  /**
+   * State hook to store the shape of photos added before their shape was recorded,
+   * looked up for the masonry layout, as width-to-height ratios keyed by image id.
+   * @type {[Object<string, number>, Function]}
+   */
+  const [measuredAspectRatios, setMeasuredAspectRatios] = useState({});
+  /**
+   * Ids of the photos whose shape has already been looked up, so each is only measured once.
+   * @type {{current: Set<string>}}
+   */
+  const measuredImageIds = useRef(new Set());
+  /**
+   * State hook to store the photo whose note and moods are being edited, or `null` when the note sheet is closed.
+   * `imageId` is `null` for a photo that was just taken and is not on the board yet.
+   * `aspectRatio` is the shape of a photo that was just taken, if known.
+   * @type {[{imageId: string|null, uri: string, note: string, moodIds: Array<string>, aspectRatio?: number|null}|null, Function]}
+   */
+  const [noteEditor, setNoteEditor] = useState(null);
+  /**
+   * The mood catalog, for tagging photos with the moods they help with.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * The user's preferences, for the quality and crop of new photos and how dates are written.
+   * @type {Object}
+   */
+  const preferences = usePreferences();
+
+  /**
+   * Effect hook to load inspiration images from storage whenever the screen comes into focus,
+   * so images added elsewhere (such as by importing a journal archive) show up.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      loadInspirationImages();
+    }, [])
+  );
+
+  /**
+   * The board being shown. Falls back to the default board if the selected one no longer exists.
+   * @type {string}
+   */
+  const activeBoardId = boards.some((board) => board.id === selectedBoardId) ? selectedBoardId : DEFAULT_BOARD_ID;
+  /**
+   * The photos on the board being shown, pinned photos first.
+   * @type {Array<Object>}
+   */
+  const boardImages = useMemo(
+    () => getBoardImages(inspirationImages, activeBoardId),
+    [inspirationImages, activeBoardId]
+  );
+  /**
+   * How many photos are on each board, shown on the board chips.
+   * @type {Map<string, number>}
+   */
+  const boardCounts = useMemo(() => countBoardImages(inspirationImages), [inspirationImages]);
+  /**
+   * The moods a photo can be tagged with: the unpleasant ones, which offer a pick-me-up when logged.
+   * @type {Array<Object>}
+   */
+  const lowMoods = useMemo(() => getActiveMoods(moods).filter(isLowMood), [moods]);
+
+  /**
+   * The board's layout, worked out from the window width so it adapts to rotation,
+   * split screen, tablets and resized web windows.
+   */
+  const availableWidth = windowWidth - CONTAINER_HORIZONTAL_PADDING * 2;
+  const columns = getColumnCount(availableWidth, MIN_CARD_WIDTH, CARD_HORIZONTAL_MARGIN);
+  const cardWidth = getCardWidth(availableWidth, columns, CARD_HORIZONTAL_MARGIN);
+  const isMasonry = preferences.inspirationLayout === 'masonry';
+
+  /**
+   * Returns the width-to-height ratio of a photo: its recorded shape, the shape
+   * looked up for it, or the default while neither is known.
+   *
+   * @param {Object} image The inspiration image.
+   * @returns {number} The photo's aspect ratio.
+   */
+  const getAspectRatio = (image) =>
+    image.aspectRatio ?? measuredAspectRatios[image.id] ?? DEFAULT_ASPECT_RATIO;
 
   /**
-   * Effect hook to load inspiration images from AsyncStorage when the component mounts.
+   * The board's photos split into columns of similar height, for the masonry layout.
+   * @type {Array<Array<Object>>}
+   */
+  const masonryColumns = isMasonry
+    ? buildMasonryColumns(boardImages, columns, (image) => cardWidth / getAspectRatio(image) + CARD_CAPTION_HEIGHT)
+    : [];
+
+  /**
+   * Effect hook that looks up the shape of photos added before it was recorded,
+   * so the masonry layout can show them at their own proportions.
    */
   useEffect(() => {
-    loadInspirationImages();
-  }, []); // Empty dependency array ensures this runs only once on mount
+    if (!isMasonry) {
+      return;
+    }
+    boardImages
+      .filter((image) => !image.aspectRatio && !measuredImageIds.current.has(image.id))
+      .forEach((image) => {
+        measuredImageIds.current.add(image.id);
+        Image.getSize(
+          image.uri,
+          (width, height) => {
+            if (width > 0 && height > 0) {
+              setMeasuredAspectRatios((ratios) => ({ ...ratios, [image.id]: width / height }));
+            }
+          },
+          (error) => {
+            console.error('Error measuring inspiration photo:', error);
+          }
+        );
+      });
+  }, [isMasonry, boardImages]);
 
   /**
-   * Asynchronously loads inspiration images from AsyncStorage.
-   * If stored images are found, they are parsed and set as the component's state.
+   * Asynchronously loads the boards and inspiration images from the inspiration image store
+   * and sets them as the component's state.
    * Handles potential errors during data retrieval.
    *
    * @returns {Promise<void>} A promise that resolves when images are loaded.
    */
   const loadInspirationImages = async () => {
     try {
-      const storedImages = await AsyncStorage.getItem(INSPIRATION_KEY);
-      if (storedImages !== null) {
-        setInspirationImages(JSON.parse(storedImages));
-      }
+      const [storedBoards, storedImages] = await Promise.all([getInspirationBoards(), getInspirationImages()]);
+      setBoards(storedBoards);
+      setInspirationImages(storedImages);
     } catch (error) {
       console.error('Error loading inspiration images:', error);
       Alert.alert('Error', 'Failed to load inspiration images.');
@@ -97,7 +253,7 @@ export default function InspirationBoardScreen() {
   };
 
   /**
-   * Asynchronously saves the current array of inspiration images to AsyncStorage.
+   * Asynchronously saves the current array of inspiration images to the inspiration image store.
    * Handles potential errors during data storage.
    *
    * @param {Array<Object>} images The array of image objects to save.
@@ -105,7 +261,7 @@ export default function InspirationBoardScreen() {
    */
   const saveInspirationImages = async (images) => {
     try {
-      await AsyncStorage.setItem(INSPIRATION_KEY, JSON.stringify(images));
+      await storeInspirationImages(images);
     } catch (error) {
       console.error('Error saving inspiration images:', error);
       Alert.alert('Error', 'Failed to save inspiration images.');
@@ -113,73 +269,140 @@ export default function InspirationBoardScreen() {
   };
 
   /**
-   * Initiates the process of taking an inspiration picture using the device's camera.
-   * Requests camera permissions first. If granted, launches the camera.
-   * Upon successful photo capture, it prompts the user to add an optional note.
-   * The new image and its note (if any) are then added to the `inspirationImages` state
-   * and saved to AsyncStorage.
+   * Asynchronously saves the boards to the inspiration image store.
+   * Handles potential errors during data storage.
+   *
+   * @param {Array<Object>} updatedBoards The boards to save.
+   * @returns {Promise<void>} A promise that resolves when the boards are saved.
+   */
+  const saveInspirationBoards = async (updatedBoards) => {
+    try {
+      await storeInspirationBoards(updatedBoards);
+    } catch (error) {
+      console.error('Error saving inspiration boards:', error);
+      Alert.alert('Error', 'Failed to save inspiration boards.');
+    }
+  };
+
+  /**
+   * Adds an inspiration photo, either taken with the device's camera or chosen from
+   * the photo library. Requests the matching permission first. Once a photo is taken
+   * or chosen, it is copied into app storage, and the note sheet opens so the user
+   * can add an optional note. The photo is added to the board when the sheet is
+   * closed, with or without a note.
    *
-   * @returns {Promise<void>} A promise that resolves after the camera operation and saving.
+   * @param {'camera'|'library'} source Where the photo comes from.
+   * @returns {Promise<void>} A promise that resolves after the photo is picked and stored.
    */
-  const takeInspirationPicture = async () => {
-    const { status } = await ImagePicker.requestCameraPermissionsAsync();
+  const addInspirationPicture = async (source) => {
+    const { status } = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
     if (status !== 'granted') {
-      Alert.alert('Permission Denied', 'Sorry, we need camera permissions to take photos for your inspiration board.');
+      Alert.alert(
+        'Permission Denied',
+        source === 'camera'
+          ? 'Sorry, we need camera permissions to take photos for your inspiration board.'
+          : 'Sorry, we need photo library permissions to add photos to your inspiration board.'
+      );
       return;
     }
 
-    let result = await ImagePicker.launchCameraAsync({
-      mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      allowsEditing: true,
-      aspect: [4, 3],
-      quality: 1,
-    });
+    const options = getImagePickerOptions(preferences);
+    let result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
 
     if (!result.canceled) {
-      const newImageUri = result.assets[0].uri;
+      const asset = result.assets[0];
+      let newImageUri;
+      try {
+        newImageUri = await persistPhoto(asset.uri);
+      } catch (error) {
+        console.error('Error storing inspiration photo:', error);
+        Alert.alert('Error', 'Failed to save the photo.');
+        return;
+      }
 
-      // Prompt for a note after taking the picture
-      Alert.prompt(
-        'Add a Note',
-        'Enter a note for this inspiration photo (optional):',
-        [
-          {
-            text: 'Cancel',
-            onPress: () => {
-              // Add image without a note if cancelled
-              const updatedImages = [
-                ...inspirationImages,
-                { id: Date.now().toString(), uri: newImageUri, note: '' },
-              ];
-              setInspirationImages(updatedImages);
-              saveInspirationImages(updatedImages);
-              Alert.alert('Success', 'Image added without a note.');
-            },
-            style: 'cancel',
-          },
+      // Ask for a note after picking the photo
+      setNoteEditor({
+        imageId: null,
+        uri: newImageUri,
+        note: '',
+        moodIds: [],
+        aspectRatio: asset.width > 0 && asset.height > 0 ? asset.width / asset.height : null,
+      });
+    }
+  };
+
+  /**
+   * Asks whether to take a new photo or choose one from the library.
+   *
+   * @returns {void}
+   */
+  const chooseInspirationSource = () => {
+    Alert.alert('Add Inspiration Photo', undefined, [
+      { text: 'Take Photo', onPress: () => addInspirationPicture('camera') },
+      { text: 'Choose from Library', onPress: () => addInspirationPicture('library') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  /**
+   * Saves the note and moods chosen in the note sheet and closes it.
+   * A photo that was just taken is added to the end of the board being shown, with the note;
+   * a photo already on the board has its note and moods replaced.
+   *
+   * @param {string} note The note, already trimmed. May be empty.
+   * @param {Array<string>} [moodIds=[]] The ids of the moods the photo helps with.
+   * @returns {Promise<void>} A promise that resolves when the board is saved.
+   */
+  const saveNote = async (note, moodIds = []) => {
+    const { imageId, uri, aspectRatio } = noteEditor;
+    setNoteEditor(null);
+
+    const updatedImages = imageId
+      ? inspirationImages.map((image) => (image.id === imageId ? { ...image, note, moodIds } : image))
+      : [
+          ...inspirationImages,
           {
-            text: 'Save',
-            onPress: (noteText) => {
-              // Add image with the entered note
-              const updatedImages = [
-                ...inspirationImages,
-                { id: Date.now().toString(), uri: newImageUri, note: noteText ? noteText.trim() : '' },
-              ];
-              setInspirationImages(updatedImages);
-              saveInspirationImages(updatedImages);
-              Alert.alert('Success', 'Image and note added to your Inspiration Board!');
-            },
+            id: Date.now().toString(),
+            uri,
+            note,
+            boardId: activeBoardId,
+            pinned: false,
+            createdAt: new Date().toISOString(),
+            moodIds,
+            ...(aspectRatio && { aspectRatio }),
           },
-        ],
-        'plain-text' 
-      );
+        ];
+    setInspirationImages(updatedImages);
+    await saveInspirationImages(updatedImages);
+    if (!imageId) {
+      Alert.alert('Success', note ? 'Image and note added to your Inspiration Board!' : 'Image added without a note.');
+    }
+  };
+
+  /**
+   * Closes the note sheet without changing the note.
+   * A photo that was just taken is still added to the board, without a note,
+   * so closing the sheet never loses the photo.
+   *
+   * @returns {Promise<void>} A promise that resolves when the board is saved.
+   */
+  const cancelNote = async () => {
+    if (noteEditor && !noteEditor.imageId) {
+      await saveNote('');
+      return;
     }
+    setNoteEditor(null);
   };
 
   /**
    * Handles the deletion of a specific inspiration image.
    * Displays an alert to confirm the deletion. If confirmed, the image is removed
-   * from the `inspirationImages` state and the updated list is saved back to AsyncStorage.
+   * from the `inspirationImages` state, the updated list is saved back to storage,
+   * and the photo file is deleted.
    *
    * @param {string} idToDelete The unique identifier of the image to be deleted.
    * @returns {void}
@@ -196,11 +419,15 @@ export default function InspirationBoardScreen() {
         {
           text: 'Delete',
           onPress: async () => {
+            const imageToDelete = inspirationImages.find((image) => image.id === idToDelete);
             const updatedImages = inspirationImages.filter(
               (image) => image.id !== idToDelete
             );
             setInspirationImages(updatedImages);
-            await saveInspirationImages(updatedImages); // Save changes to AsyncStorage
+            await saveInspirationImages(updatedImages); // Save changes to storage
+            await deletePhoto(imageToDelete?.uri).catch((error) => {
+              console.error('Error deleting inspiration photo:', error);
+            });
             Alert.alert('Deleted', 'Image removed from your Inspiration Board.');
           },
           style: 'destructive',
@@ -211,19 +438,183 @@ export default function InspirationBoardScreen() {
   };
 
   /**
-   * Renders an individual item for the FlatList, representing an inspiration image card.
-   * Displays the image, its associated note (if any), and a delete button.
+   * Pins a photo to the top of its board, or unpins it.
    *
-   * @param {Object} props - The props for rendering a list item.
-   * @param {Object} props.item - The inspiration image object to render.
+   * @param {string} imageId The id of the photo.
+   * @returns {Promise<void>} A promise that resolves when the board is saved.
+   */
+  const togglePinned = async (imageId) => {
+    const updatedImages = inspirationImages.map((image) =>
+      image.id === imageId ? { ...image, pinned: !image.pinned } : image
+    );
+    setInspirationImages(updatedImages);
+    await saveInspirationImages(updatedImages);
+  };
+
+  /**
+   * Moves the photo chosen in the board picker to another board, at the end of it, and closes the picker.
+   *
+   * @param {string} boardId The id of the board to move the photo to.
+   * @returns {Promise<void>} A promise that resolves when the board is saved.
+   */
+  const moveImageToBoard = async (boardId) => {
+    const imageId = movingImage.id;
+    setMovingImage(null);
+    const movedImage = { ...inspirationImages.find((image) => image.id === imageId), boardId };
+    const updatedImages = [...inspirationImages.filter((image) => image.id !== imageId), movedImage];
+    setInspirationImages(updatedImages);
+    await saveInspirationImages(updatedImages);
+  };
+
+  /**
+   * Saves the order the photos were dragged into.
+   *
+   * @param {Object} params The drag result.
+   * @param {Array<Object>} params.data The board's photos, in their new order.
+   * @returns {Promise<void>} A promise that resolves when the board is saved.
+   */
+  const saveArrangement = async ({ data }) => {
+    const updatedImages = reorderBoardImages(inspirationImages, activeBoardId, data);
+    setInspirationImages(updatedImages);
+    await saveInspirationImages(updatedImages);
+  };
+
+  /**
+   * Saves the name written in the board name sheet and closes it.
+   * A new board is created and shown; an existing board is renamed.
+   *
+   * @param {string} name The board's name, already trimmed.
+   * @returns {Promise<void>} A promise that resolves when the boards are saved.
+   */
+  const saveBoardName = async (name) => {
+    const { boardId } = boardEditor;
+    setBoardEditor(null);
+
+    if (boardId) {
+      const updatedBoards = boards.map((board) => (board.id === boardId ? { ...board, name } : board));
+      setBoards(updatedBoards);
+      await saveInspirationBoards(updatedBoards);
+      return;
+    }
+    const newBoard = { id: `board-${Date.now()}`, name };
+    const updatedBoards = [...boards, newBoard];
+    setBoards(updatedBoards);
+    setSelectedBoardId(newBoard.id);
+    setIsArranging(false);
+    await saveInspirationBoards(updatedBoards);
+  };
+
+  /**
+   * Asks for confirmation, then deletes a board. Its photos are kept and moved to the default board.
+   *
+   * @param {Object} boardToDelete The board to delete.
+   * @returns {void}
+   */
+  const deleteBoard = (boardToDelete) => {
+    const defaultBoard = boards.find((board) => board.id === DEFAULT_BOARD_ID);
+    Alert.alert(
+      'Delete Board',
+      `Delete "${boardToDelete.name}"? Its photos will be moved to "${defaultBoard?.name}".`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const updatedBoards = boards.filter((board) => board.id !== boardToDelete.id);
+            const updatedImages = inspirationImages.map((image) =>
+              image.boardId === boardToDelete.id ? { ...image, boardId: DEFAULT_BOARD_ID } : image
+            );
+            setBoards(updatedBoards);
+            setInspirationImages(updatedImages);
+            setSelectedBoardId(DEFAULT_BOARD_ID);
+            await saveInspirationImages(updatedImages);
+            await saveInspirationBoards(updatedBoards);
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Offers to rename a board or, unless it is the default board, to delete it.
+   * Shown when a board chip is long-pressed.
+   *
+   * @param {Object} board The board that was long-pressed.
+   * @returns {void}
+   */
+  const showBoardOptions = (board) => {
+    Alert.alert(board.name, undefined, [
+      { text: 'Rename', onPress: () => setBoardEditor({ boardId: board.id, name: board.name }) },
+      ...(board.id !== DEFAULT_BOARD_ID
+        ? [{ text: 'Delete', style: 'destructive', onPress: () => deleteBoard(board) }]
+        : []),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  /**
+   * Switches the board between the grid and masonry layouts, remembering the choice.
+   *
+   * @returns {Promise<void>} A promise that resolves when the preference is saved.
+   */
+  const toggleLayout = async () => {
+    try {
+      await savePreferences({ ...preferences, inspirationLayout: isMasonry ? 'grid' : 'masonry' });
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+      Alert.alert('Error', 'Failed to change the layout.');
+    }
+  };
+
+  /**
+   * Renders an inspiration image card, for either layout.
+   * Displays the image's thumbnail, its associated note (if any), the date it was added,
+   * and buttons to pin, move and delete it.
+   * Pressing the photo opens it in the full-screen viewer; pressing the note opens
+   * the note sheet to add or change it.
+   *
+   * @param {Object} item The inspiration image object to render.
+   * @param {number} imageHeight The height to show the photo at.
    * @returns {JSX.Element} A React Native View component representing a single image card.
    */
-  const renderItem = ({ item }) => (
-    <View style={styles.imageCard}>
-      <Image source={{ uri: item.uri }} style={styles.inspirationImage} />
-      {item.note && item.note.trim() !== '' && ( // Only render note if it exists and isn't empty
-        <Text style={styles.imageNote}>{item.note}</Text>
-      )}
+  const renderCard = (item, imageHeight) => (
+    <View key={item.id} style={[styles.imageCard, { width: cardWidth }]}>
+      <TouchableOpacity
+        activeOpacity={0.8}
+        onPress={() => router.push({ pathname: '/photo-viewer', params: { source: 'inspiration', id: item.id } })}
+        accessibilityHint="Opens the photo full screen"
+      >
+        <Image source={{ uri: getThumbnailUri(item.uri) }} style={[styles.inspirationImage, { height: imageHeight }]} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        onPress={() => setNoteEditor({ imageId: item.id, uri: item.uri, note: item.note ?? '', moodIds: item.moodIds })}
+        accessibilityHint={item.note ? 'Edits the note' : 'Adds a note'}
+      >
+        {item.note && item.note.trim() !== '' ? ( // Only render note if it exists and isn't empty
+          <Text style={styles.imageNote}>{item.note}</Text>
+        ) : (
+          <Text style={[styles.imageNote, styles.addNoteHint]}>Tap to add a note</Text>
+        )}
+      </TouchableOpacity>
+      <View style={styles.cardFooter}>
+        <Text style={styles.imageDate}>
+          {formatDate(new Date(item.createdAt), preferences)}
+          {item.moodIds.length > 0 ? ` ${item.moodIds.map((moodId) => findMood(moods, moodId).emoji).join('')}` : ''}
+        </Text>
+        {boards.length > 1 && (
+          <TouchableOpacity onPress={() => setMovingImage(item)} accessibilityLabel="Move to another board">
+            <MaterialCommunityIcons name="folder-move-outline" size={20} color={colors.tint} />
+          </TouchableOpacity>
+        )}
+      </View>
+      <TouchableOpacity
+        style={styles.pinButton}
+        onPress={() => togglePinned(item.id)}
+        accessibilityLabel={item.pinned ? 'Unpin' : 'Pin to top'}
+      >
+        <MaterialCommunityIcons name={item.pinned ? 'pin' : 'pin-outline'} size={20} color="#FFF" />
+      </TouchableOpacity>
       <TouchableOpacity
         style={styles.deleteButton}
         onPress={() => deleteImage(item.id)}
@@ -233,23 +624,121 @@ export default function InspirationBoardScreen() {
     </View>
   );
 
+  /**
+   * Renders a row of the list shown while the board is being rearranged.
+   * Pressing and holding a row picks it up so it can be dragged into place.
+   *
+   * @param {Object} props - The props for rendering a draggable item.
+   * @param {Object} props.item - The inspiration image object to render.
+   * @param {Function} props.drag - Starts dragging the row.
+   * @param {boolean} props.isActive - Whether the row is being dragged.
+   * @returns {JSX.Element} The rendered row.
+   */
+  const renderArrangeItem = ({ item, drag, isActive }) => (
+    <TouchableOpacity
+      style={[styles.arrangeRow, isActive && styles.activeArrangeRow]}
+      onLongPress={drag}
+      delayLongPress={150}
+      disabled={isActive}
+    >
+      <Image source={{ uri: getThumbnailUri(item.uri) }} style={styles.arrangeThumbnail} />
+      <View style={styles.arrangeText}>
+        <Text style={styles.arrangeNote} numberOfLines={2}>
+          {item.pinned ? '📌 ' : ''}
+          {item.note || formatDate(new Date(item.createdAt), preferences)}
+        </Text>
+      </View>
+      <MaterialCommunityIcons name="drag-horizontal-variant" size={24} color={colors.textMuted} />
+    </TouchableOpacity>
+  );
+
   return (
     <LinearGradient
-      colors={['#E6E6FA', '#D8BFD8']} 
+      colors={colors.gradient} 
       style={styles.gradientBackground}
     >
       <View style={styles.contentContainer}>
         <Text style={styles.title}>Your Inspiration Board</Text>
         <Text style={styles.subtitle}>Capture and cherish your motivating moments.</Text>
 
+        {/* Boards: tap to show one, hold to rename or delete it */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.boardBar}>
+          {boards.map((board) => {
+            const isSelected = board.id === activeBoardId;
+            return (
+              <TouchableOpacity
+                key={board.id}
+                style={[styles.boardChip, isSelected && styles.selectedBoardChip]}
+                onPress={() => {
+                  setSelectedBoardId(board.id);
+                  setIsArranging(false);
+                }}
+                onLongPress={() => showBoardOptions(board)}
+              >
+                <Text style={[styles.boardChipText, isSelected && styles.selectedBoardChipText]}>
+                  {`${board.name} (${boardCounts.get(board.id) ?? 0})`}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+          <TouchableOpacity
+            style={styles.boardChip}
+            onPress={() => setBoardEditor({ boardId: null, name: '' })}
+            accessibilityLabel="New board"
+          >
+            <MaterialCommunityIcons name="plus" size={18} color={colors.tint} />
+          </TouchableOpacity>
+        </ScrollView>
+
+        <View style={styles.boardControls}>
+          {!isArranging && (
+            <TouchableOpacity
+              onPress={toggleLayout}
+              accessibilityLabel={isMasonry ? 'Show as grid' : 'Show as masonry'}
+            >
+              <MaterialCommunityIcons
+                name={isMasonry ? 'view-grid-outline' : 'view-dashboard-outline'}
+                size={22}
+                color={colors.tint}
+              />
+            </TouchableOpacity>
+          )}
+          {boardImages.length > 1 && (
+            <TouchableOpacity style={styles.arrangeToggle} onPress={() => setIsArranging(!isArranging)}>
+              <Text style={styles.arrangeToggleText}>{isArranging ? 'Done' : 'Arrange'}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
         <View style={styles.listArea}>
-          {inspirationImages.length > 0 ? (
+          {isArranging ? (
+            // Drag photos into a new order
+            <DraggableFlatList
+              data={boardImages}
+              renderItem={renderArrangeItem}
+              keyExtractor={(item) => item.id}
+              onDragEnd={saveArrangement}
+              containerStyle={styles.arrangeList}
+            />
+          ) : boardImages.length > 0 && isMasonry ? (
+            // Masonry: photos at their own proportions, in columns of similar height
+            <ScrollView contentContainerStyle={styles.imageList}>
+              <View style={styles.masonryRow}>
+                {masonryColumns.map((columnImages, columnIndex) => (
+                  <View key={columnIndex}>
+                    {columnImages.map((image) => renderCard(image, cardWidth / getAspectRatio(image)))}
+                  </View>
+                ))}
+              </View>
+            </ScrollView>
+          ) : boardImages.length > 0 ? (
             // Display FlatList if there are images
             <FlatList
-              data={inspirationImages}
-              renderItem={renderItem}
+              key={`grid-${columns}`} // The column count can only change on a fresh list
+              data={boardImages}
+              renderItem={({ item }) => renderCard(item, cardWidth / DEFAULT_ASPECT_RATIO)}
               keyExtractor={(item) => item.id}
-              numColumns={NUM_COLUMNS} // Render items in two columns
+              numColumns={columns}
               contentContainerStyle={styles.imageList}
             />
           ) : (
@@ -265,10 +754,41 @@ export default function InspirationBoardScreen() {
         </View>
 
         {/* Button to add new inspiration photos */}
-        <TouchableOpacity style={styles.cameraButton} onPress={takeInspirationPicture}>
+        <TouchableOpacity style={styles.cameraButton} onPress={chooseInspirationSource}>
           <Text style={styles.cameraButtonText}>Add Inspiration Photo</Text>
         </TouchableOpacity>
       </View>
+
+      {/* Note sheet, for a photo that was just taken or one already on the board */}
+      <PhotoNoteSheet
+        visible={noteEditor !== null}
+        imageUri={noteEditor?.uri ?? null}
+        initialNote={noteEditor?.note ?? ''}
+        title={noteEditor?.imageId ? 'Edit Note' : 'Add a Note'}
+        cancelLabel={noteEditor?.imageId ? 'Cancel' : 'Skip'}
+        moodOptions={lowMoods}
+        initialMoodIds={noteEditor?.moodIds}
+        onSave={saveNote}
+        onCancel={cancelNote}
+      />
+
+      {/* Name sheet, for a new board or one being renamed */}
+      <BoardNameSheet
+        visible={boardEditor !== null}
+        initialName={boardEditor?.name ?? ''}
+        title={boardEditor?.boardId ? 'Rename Board' : 'New Board'}
+        onSave={saveBoardName}
+        onCancel={() => setBoardEditor(null)}
+      />
+
+      {/* Board picker, for moving a photo to another board */}
+      <BoardPickerSheet
+        visible={movingImage !== null}
+        boards={boards}
+        currentBoardId={movingImage?.boardId ?? null}
+        onSelect={moveImageToBoard}
+        onCancel={() => setMovingImage(null)}
+      />
     </LinearGradient>
   );
 }
@@ -278,8 +798,11 @@ export default function InspirationBoardScreen() {
  * StyleSheet for the InspirationBoardScreen component.
  * Defines the visual styles for the gradient background, content containers,
  * titles, image cards, buttons, and empty state display.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
  */
-const styles = StyleSheet.create({
+const createStyles = (colors) => StyleSheet.create({
   gradientBackground: {
     flex: 1,
   },
@@ -294,23 +817,103 @@ const styles = StyleSheet.create({
     fontSize: 28,
     fontWeight: 'bold',
     marginBottom: 10,
-    color: '#333',
+    color: colors.text,
     textAlign: 'center',
     marginTop: 10,
   },
   subtitle: {
     fontSize: 18,
-    color: '#666',
+    color: colors.textSecondary,
     marginBottom: 20,
     textAlign: 'center',
   },
+  boardBar: {
+    flexGrow: 0,
+    alignSelf: 'stretch',
+    marginBottom: 5,
+  },
+  boardChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    backgroundColor: colors.card,
+    marginRight: 8,
+  },
+  selectedBoardChip: {
+    backgroundColor: colors.tint,
+  },
+  boardChipText: {
+    fontSize: 14,
+    color: colors.tint,
+  },
+  selectedBoardChipText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  boardControls: {
+    flexDirection: 'row',
+    alignSelf: 'stretch',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+  },
+  masonryRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  arrangeToggle: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  arrangeToggleText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  arrangeList: {
+    flex: 1,
+    width: '100%',
+  },
+  arrangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    padding: 8,
+    marginVertical: 4,
+  },
+  activeArrangeRow: {
+    opacity: 0.8,
+    elevation: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+  },
+  arrangeThumbnail: {
+    width: 56,
+    height: 56,
+    borderRadius: 8,
+    resizeMode: 'cover',
+  },
+  arrangeText: {
+    flex: 1,
+    marginHorizontal: 8,
+  },
+  arrangeNote: {
+    fontSize: 14,
+    color: colors.text,
+  },
   listArea: {
     flex: 1,
     width: '100%',
     alignItems: 'center', 
   },
   cameraButton: {
-    backgroundColor: '#6A5ACD', 
+    backgroundColor: colors.tint, 
     paddingVertical: 15,
     paddingHorizontal: 30,
     borderRadius: 30,
@@ -323,7 +926,7 @@ const styles = StyleSheet.create({
     elevation: 6,
   },
   cameraButtonText: {
-    color: '#FFF',
+    color: colors.onTint,
     fontSize: 18,
     fontWeight: 'bold',
   },
@@ -332,7 +935,7 @@ const styles = StyleSheet.create({
     alignSelf: 'center', 
   },
   imageCard: {
-    backgroundColor: '#FFF',
+    backgroundColor: colors.card,
     borderRadius: 15,
     paddingBottom: 10,
     margin: CARD_HORIZONTAL_MARGIN,
@@ -342,11 +945,9 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 8,
     overflow: 'hidden', 
-    width: calculatedCardWidth, 
   },
   inspirationImage: {
     width: '100%',
-    height: 120,
     resizeMode: 'cover',
     borderTopLeftRadius: 15,
     borderTopRightRadius: 15,
@@ -354,11 +955,34 @@ const styles = StyleSheet.create({
   },
   imageNote: {
     fontSize: 14,
-    color: '#444',
+    color: colors.text,
     paddingHorizontal: 8,
     textAlign: 'center',
     minHeight: 40, 
   },
+  addNoteHint: {
+    color: colors.textMuted,
+    fontStyle: 'italic',
+  },
+  cardFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    marginTop: 5,
+  },
+  imageDate: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  pinButton: {
+    position: 'absolute',
+    top: 5,
+    left: 5,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    borderRadius: 15,
+    padding: 3,
+  },
   deleteButton: {
     position: 'absolute',
     top: 5,
@@ -378,7 +1002,7 @@ const styles = StyleSheet.create({
   },
   emptyStateText: {
     fontSize: 16,
-    color: '#777',
+    color: colors.textMuted,
     textAlign: 'center',
   },
 });
\ No newline at end of file
@@ -1,4 +1,20 @@
-import { Stack } from 'expo-router';
+import * as Notifications from 'expo-notifications';
+import { router, Stack } from 'expo-router';
+import { useEffect } from 'react';
+import { Platform, StyleSheet } from 'react-native';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
+
+import AppLockGate from '@/components/AppLockGate';
+import ThemeProvider from '@/components/ThemeProvider';
+import { useTheme } from '@/hooks/useTheme';
+import { getLaunchNotificationRoute, rescheduleReminders } from '@/services/reminders';
+import { startSync } from '@/services/sync';
+import { initializeActivityTags } from '@/storage/activityTags';
+import { initializeInspirationImages } from '@/storage/inspirationImages';
+import { initializeMoodCatalog } from '@/storage/moodCatalog';
+import { initializeMoodEntries, subscribeToMoodEntries } from '@/storage/moodEntries';
+import { sweepOrphanedPhotos } from '@/storage/photoCleanup';
+import { sweepOrphanedVoiceMemos } from '@/storage/voiceMemoCleanup';
 
 /**
  * Root layout component for Expo Router.
@@ -8,13 +24,148 @@ import { Stack } from 'expo-router';
  * as the tabs themselves will have their own headers defined in (tabs)/_layout.js.
  */
 export default function RootLayout() {
+  /**
+   * Effect hook that upgrades stored data to the latest schema on startup,
+   * then removes photo and voice memo files that nothing refers to anymore.
+   * Screens that read data before the upgrade finishes simply wait for it.
+   */
+  useEffect(() => {
+    Promise.all([
+      initializeMoodCatalog(),
+      initializeActivityTags(),
+      initializeMoodEntries(),
+      initializeInspirationImages(),
+    ])
+      .then(sweepOrphanedPhotos)
+      .then(sweepOrphanedVoiceMemos)
+      .catch((error) => {
+        console.error('Error preparing stored data:', error);
+      });
+  }, []);
+
+  /**
+   * Effect hook that keeps the daily reminders up to date: they are rescheduled
+   * on startup and whenever entries change, so today's remaining reminders are
+   * skipped as soon as an entry is logged.
+   */
+  useEffect(() => {
+    const reschedule = () => {
+      rescheduleReminders().catch((error) => {
+        console.error('Error scheduling reminders:', error);
+      });
+    };
+    reschedule();
+    return subscribeToMoodEntries(reschedule);
+  }, []);
+
+  /**
+   * Effect hook that keeps the journal synced with the user's sync server, if sync is on:
+   * changes are sent as they are made and the server is checked for changes from
+   * other devices on startup, when the app comes back to the foreground and periodically.
+   */
+  useEffect(() => startSync(), []);
+
+  /**
+   * Effect hook that opens the screen a tapped reminder points to (the New Entry screen),
+   * both when the app is already running and when the tap launched the app.
+   * Reminders are never scheduled on web, where notification responses are unavailable.
+   */
+  useEffect(() => {
+    if (Platform.OS === 'web') {
+      return undefined;
+    }
+    let isMounted = true;
+
+    const openNotificationRoute = (notification) => {
+      const url = notification.request.content.data?.url;
+      if (typeof url === 'string') {
+        router.navigate(url);
+      }
+    };
+
+    getLaunchNotificationRoute()
+      .then((url) => {
+        if (isMounted && url) {
+          router.navigate(url);
+        }
+      })
+      .catch((error) => {
+        console.error('Error opening the reminder that launched the app:', error);
+      });
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      openNotificationRoute(response.notification);
+    });
+
+    return () => {
+      isMounted = false;
+      subscription.remove();
+    };
+  }, []);
+
+  return (
+    <GestureHandlerRootView style={styles.root}>
+      <ThemeProvider>
+        <AppLockGate>
+          <ThemedStack />
+        </AppLockGate>
+      </ThemeProvider>
+    </GestureHandlerRootView>
+  );
+}
+
+/**
+ * The app's navigation stack, with headers in the theme's header color.
+ * Rendered inside `ThemeProvider` so it can read the active theme.
+ */
+function ThemedStack() {
+  const { colors } = useTheme();
+
+  /**
+   * Header options shared by every screen pushed on top of the tabs.
+   */
+  const headerOptions = {
+    headerStyle: { backgroundColor: colors.header },
+    headerTintColor: colors.headerText,
+    headerTitleStyle: { fontWeight: 'bold' },
+  };
+
   return (
     <Stack>
       {/* This Stack.Screen points to the (tabs) group.
           It ensures that the tab navigation is rendered within the main app stack. */}
       <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
+      {/* Entry edit screen, pushed from the History list on top of the tabs. */}
+      <Stack.Screen name="entry/[id]" options={{ title: 'Edit Entry', ...headerOptions }} />
+      {/* Daily reminder settings, opened from the New Entry tab header. */}
+      <Stack.Screen name="reminders" options={{ title: 'Reminders', ...headerOptions }} />
+      {/* Export and import of the whole journal, opened from Settings. */}
+      <Stack.Screen name="backup" options={{ title: 'Backup & Restore', ...headerOptions }} />
+      {/* Mood catalog editor, opened from the New Entry screen. */}
+      <Stack.Screen name="moods" options={{ title: 'Customize Moods', ...headerOptions }} />
+      {/* App lock settings, opened from Settings. */}
+      <Stack.Screen name="app-lock" options={{ title: 'App Lock', ...headerOptions }} />
+      {/* Sync server settings and status, opened from Settings and the History tab. */}
+      <Stack.Screen name="sync" options={{ title: 'Sync', ...headerOptions }} />
+      {/* Light/dark mode and accent color, opened from Settings. */}
+      <Stack.Screen name="appearance" options={{ title: 'Appearance', ...headerOptions }} />
+      {/* Preferences and links to the other settings screens, opened from the tab headers. */}
+      <Stack.Screen name="settings" options={{ title: 'Settings', ...headerOptions }} />
+      {/* Full-screen photo viewer, opened from History and the Inspiration board. */}
+      <Stack.Screen
+        name="photo-viewer"
+        options={{ headerShown: false, presentation: 'fullScreenModal', animation: 'fade' }}
+      />
       {/* You could add other screens here that are not part of the tabs,
           e.g., a modal screen, a login screen that appears before tabs, etc. */}
     </Stack>
   );
 }
+
+/**
+ * StyleSheet for the RootLayout component.
+ */
+const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
+});
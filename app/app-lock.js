@@ -0,0 +1,374 @@
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import PinPad from '@/components/PinPad';
+import { usePinCheck } from '@/hooks/usePinCheck';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import {
+  clearPin,
+  IS_APP_LOCK_SUPPORTED,
+  isBiometricUnlockAvailable,
+  setPin,
+} from '@/services/appLock';
+import {
+  DEFAULT_LOCK_SETTINGS,
+  getLockSettings,
+  saveLockSettings,
+} from '@/storage/lockSettings';
+
+/**
+ * Choices for how long the app may stay in the background before it locks.
+ * @type {Array<{seconds: number, label: string}>}
+ */
+const AUTO_LOCK_OPTIONS = [
+  { seconds: 0, label: 'Immediately' },
+  { seconds: 60, label: 'After 1 minute' },
+  { seconds: 5 * 60, label: 'After 5 minutes' },
+  { seconds: 15 * 60, label: 'After 15 minutes' },
+];
+
+/**
+ * Prompts shown on the PIN pad for each step of the PIN flows.
+ * @type {Object<string, string>}
+ */
+const PIN_STEP_TITLES = {
+  current: 'Enter your current PIN',
+  new: 'Choose a new PIN',
+  confirm: 'Enter the new PIN again',
+};
+
+/**
+ * AppLockScreen lets users protect their journal with a PIN and, where the device
+ * supports it, biometric unlock. It also sets how long the app may stay in the
+ * background before it locks again. Turning the lock off or changing the PIN
+ * requires the current PIN, with wrong PINs limited as on the lock screen.
+ *
+ * @returns {JSX.Element} The rendered App Lock Screen.
+ */
+export default function AppLockScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { checkPin, isKeypadDisabled, message: pinCheckMessage } = usePinCheck();
+
+  /**
+   * State hook to store the lock settings being edited.
+   * @type {[Object, Function]}
+   */
+  const [settings, setSettings] = useState(DEFAULT_LOCK_SETTINGS);
+  /**
+   * State hook to store whether this device can unlock with biometrics.
+   * @type {[boolean, Function]}
+   */
+  const [canUseBiometrics, setCanUseBiometrics] = useState(false);
+  /**
+   * State hook to store the PIN flow in progress, or `null` when none is.
+   * `purpose` is `'enable'`, `'change'` or `'disable'`; `step` is a key of `PIN_STEP_TITLES`;
+   * `newPin` holds the new PIN while it is being confirmed; `message` is shown under the prompt,
+   * except on the `'current'` step, where the PIN check provides it.
+   * @type {[{purpose: string, step: string, newPin?: string, message?: string}|null, Function]}
+   */
+  const [pinFlow, setPinFlow] = useState(null);
+
+  /**
+   * Effect hook to load the stored settings and check for biometric support when the screen opens.
+   */
+  useEffect(() => {
+    if (!IS_APP_LOCK_SUPPORTED) {
+      return;
+    }
+    getLockSettings()
+      .then(setSettings)
+      .catch((error) => {
+        console.error('Error loading lock settings:', error);
+        Alert.alert('Error', 'Failed to load app lock settings.');
+      });
+    isBiometricUnlockAvailable()
+      .then(setCanUseBiometrics)
+      .catch((error) => {
+        console.error('Error checking biometric support:', error);
+      });
+  }, []);
+
+  /**
+   * Applies changes to the settings and saves them.
+   *
+   * @param {Object} changes The settings fields to change.
+   * @returns {Promise<void>} A promise that resolves when the settings are saved.
+   */
+  const updateSettings = async (changes) => {
+    const updatedSettings = { ...settings, ...changes };
+    setSettings(updatedSettings);
+    try {
+      await saveLockSettings(updatedSettings);
+    } catch (error) {
+      console.error('Error saving lock settings:', error);
+      Alert.alert('Error', 'Failed to save app lock settings.');
+    }
+  };
+
+  /**
+   * Starts the PIN flow for turning the lock on or off.
+   *
+   * @param {boolean} enabled Whether the lock should be on.
+   * @returns {void}
+   */
+  const toggleEnabled = (enabled) => {
+    setPinFlow(enabled ? { purpose: 'enable', step: 'new' } : { purpose: 'disable', step: 'current' });
+  };
+
+  /**
+   * Finishes a PIN flow once every step has been completed.
+   *
+   * @param {string} purpose The purpose of the flow.
+   * @param {string} [newPin] The new PIN, for flows that set one.
+   * @returns {Promise<void>} A promise that resolves when the change is saved.
+   */
+  const completePinFlow = async (purpose, newPin) => {
+    setPinFlow(null);
+    try {
+      if (purpose === 'disable') {
+        // Turn the lock off before removing the PIN, so a failed save cannot leave the lock on without a PIN.
+        const updatedSettings = { ...settings, enabled: false, biometricsEnabled: false };
+        await saveLockSettings(updatedSettings);
+        setSettings(updatedSettings);
+        await clearPin();
+        return;
+      }
+      await setPin(newPin);
+      if (purpose === 'enable') {
+        await updateSettings({ enabled: true });
+      } else {
+        Alert.alert('PIN Changed', 'Your new PIN is now in use.');
+      }
+    } catch (error) {
+      console.error('Error updating app lock PIN:', error);
+      Alert.alert('Error', 'Failed to update your PIN. Please try again.');
+    }
+  };
+
+  /**
+   * Handles a PIN entered on the current step of the PIN flow and moves to the next step.
+   *
+   * @param {string} pin The entered PIN.
+   * @returns {Promise<void>} A promise that resolves when the PIN is handled.
+   */
+  const submitPin = async (pin) => {
+    const { purpose, step, newPin } = pinFlow;
+
+    if (step === 'current') {
+      if (!(await checkPin(pin))) {
+        return;
+      }
+      if (purpose === 'disable') {
+        await completePinFlow(purpose);
+      } else {
+        setPinFlow({ purpose, step: 'new' });
+      }
+    } else if (step === 'new') {
+      setPinFlow({ purpose, step: 'confirm', newPin: pin });
+    } else if (pin !== newPin) {
+      setPinFlow({ purpose, step: 'new', message: "The PINs didn't match. Please start again." });
+    } else {
+      await completePinFlow(purpose, newPin);
+    }
+  };
+
+  if (!IS_APP_LOCK_SUPPORTED) {
+    return (
+      <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+        <View style={styles.scrollViewContent}>
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Not available</Text>
+            <Text style={styles.description}>The app lock is only available in the MoodSnap mobile app.</Text>
+          </View>
+        </View>
+      </LinearGradient>
+    );
+  }
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <Text style={styles.sectionTitle}>Lock with PIN</Text>
+            <Switch
+              value={settings.enabled}
+              onValueChange={toggleEnabled}
+              trackColor={{ true: colors.tint }}
+            />
+          </View>
+          <Text style={styles.description}>
+            Ask for a PIN when MoodSnap opens, and hide your journal in the app switcher.
+          </Text>
+        </View>
+
+        {settings.enabled && (
+          <>
+            {canUseBiometrics && (
+              <View style={styles.card}>
+                <View style={styles.switchRow}>
+                  <Text style={styles.sectionTitle}>Unlock with biometrics</Text>
+                  <Switch
+                    value={settings.biometricsEnabled}
+                    onValueChange={(biometricsEnabled) => updateSettings({ biometricsEnabled })}
+                    trackColor={{ true: colors.tint }}
+                  />
+                </View>
+                <Text style={styles.description}>
+                  Use Face ID or your fingerprint instead of typing your PIN.
+                </Text>
+              </View>
+            )}
+
+            {/* Auto-lock Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Lock when leaving the app</Text>
+              {AUTO_LOCK_OPTIONS.map((option) => {
+                const isSelected = settings.autoLockSeconds === option.seconds;
+                return (
+                  <TouchableOpacity
+                    key={option.seconds}
+                    style={styles.optionRow}
+                    onPress={() => updateSettings({ autoLockSeconds: option.seconds })}
+                  >
+                    <View style={[styles.radio, isSelected && styles.selectedRadio]} />
+                    <Text style={styles.optionText}>{option.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            <TouchableOpacity
+              style={styles.button}
+              onPress={() => setPinFlow({ purpose: 'change', step: 'current' })}
+            >
+              <Text style={styles.buttonText}>Change PIN</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </ScrollView>
+
+      {/* PIN entry for turning the lock on or off and changing the PIN */}
+      <Modal visible={pinFlow !== null} animationType="slide" onRequestClose={() => setPinFlow(null)}>
+        <LinearGradient colors={[colors.header, colors.tintDeep]} style={styles.pinModal}>
+          {pinFlow && (
+            <PinPad
+              key={`${pinFlow.purpose}-${pinFlow.step}`}
+              title={PIN_STEP_TITLES[pinFlow.step]}
+              message={pinFlow.step === 'current' ? pinCheckMessage : pinFlow.message}
+              onComplete={submitPin}
+              disabled={pinFlow.step === 'current' && isKeypadDisabled}
+            />
+          )}
+          <TouchableOpacity style={styles.cancelButton} onPress={() => setPinFlow(null)}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </LinearGradient>
+      </Modal>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the AppLockScreen component.
+ * Defines the visual styles for the gradient background, cards, switches,
+ * auto-lock options, the Change PIN button and the PIN entry modal.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  radio: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: colors.tint,
+    marginRight: 12,
+  },
+  selectedRadio: {
+    backgroundColor: colors.tint,
+  },
+  optionText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  button: {
+    backgroundColor: colors.tint,
+    paddingVertical: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: {
+    color: colors.onTint,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  pinModal: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButton: {
+    marginTop: 20,
+    padding: 10,
+  },
+  cancelButtonText: {
+    color: '#FFF',
+    fontSize: 16,
+  },
+});
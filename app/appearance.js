@@ -0,0 +1,182 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import React from 'react';
+import { Alert, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { AccentPalettes } from '@/constants/Colors';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { saveThemeSettings } from '@/storage/themeSettings';
+
+/**
+ * Choices for whether the app is light, dark, or follows the device setting.
+ * @type {Array<{mode: string, label: string}>}
+ */
+const THEME_MODE_OPTIONS = [
+  { mode: 'system', label: 'Same as device' },
+  { mode: 'light', label: 'Light' },
+  { mode: 'dark', label: 'Dark' },
+];
+
+/**
+ * AppearanceScreen lets users switch between light and dark mode, or follow the
+ * device setting, and pick the accent color used throughout the app.
+ * Changes apply immediately.
+ *
+ * @returns {JSX.Element} The rendered Appearance Screen.
+ */
+export default function AppearanceScreen() {
+  const { colorScheme, colors, settings } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * Saves a change to the appearance settings.
+   *
+   * @param {Object} changes The settings to change.
+   * @returns {Promise<void>} A promise that resolves when the settings are saved.
+   */
+  const updateSettings = async (changes) => {
+    try {
+      await saveThemeSettings({ ...settings, ...changes });
+    } catch (error) {
+      console.error('Error saving appearance settings:', error);
+      Alert.alert('Error', 'Failed to save appearance settings.');
+    }
+  };
+
+  return (
+    <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        {/* Light/Dark Mode Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Theme</Text>
+          {THEME_MODE_OPTIONS.map((option) => {
+            const isSelected = settings.mode === option.mode;
+            return (
+              <TouchableOpacity
+                key={option.mode}
+                style={styles.optionRow}
+                onPress={() => updateSettings({ mode: option.mode })}
+              >
+                <View style={[styles.radio, isSelected && styles.selectedRadio]} />
+                <Text style={styles.optionText}>{option.label}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        {/* Accent Color Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Accent color</Text>
+          <View style={styles.swatchRow}>
+            {Object.entries(AccentPalettes).map(([accent, palette]) => {
+              const isSelected = settings.accent === accent;
+              return (
+                <TouchableOpacity
+                  key={accent}
+                  style={styles.swatchOption}
+                  onPress={() => updateSettings({ accent })}
+                  accessibilityLabel={`${palette.label} accent`}
+                  accessibilityState={{ selected: isSelected }}
+                >
+                  <LinearGradient
+                    colors={palette[colorScheme].gradient}
+                    style={[styles.swatch, isSelected && { borderColor: palette[colorScheme].tint }]}
+                  >
+                    <View style={[styles.swatchDot, { backgroundColor: palette[colorScheme].tint }]}>
+                      {isSelected && <MaterialCommunityIcons name="check" size={18} color="#FFF" />}
+                    </View>
+                  </LinearGradient>
+                  <Text style={styles.swatchLabel}>{palette.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the AppearanceScreen component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  radio: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: colors.tint,
+    marginRight: 12,
+  },
+  selectedRadio: {
+    backgroundColor: colors.tint,
+  },
+  optionText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  swatchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  swatchOption: {
+    alignItems: 'center',
+    marginVertical: 5,
+  },
+  swatch: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    borderWidth: 3,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swatchDot: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  swatchLabel: {
+    marginTop: 6,
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+});
@@ -0,0 +1,214 @@
+import * as DocumentPicker from 'expo-document-picker';
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import {
+  exportJournalAsCsv,
+  exportJournalAsJson,
+  importJournalArchive,
+} from '@/storage/journalArchive';
+
+/**
+ * BackupScreen lets users export their whole journal, as a JSON archive (optionally
+ * with photos and voice memos) or a CSV spreadsheet, and import a JSON archive back in.
+ * Exports go through the system share sheet, so they can be saved to files,
+ * cloud storage or sent to another device.
+ *
+ * @returns {JSX.Element} The rendered Backup & Restore Screen.
+ */
+export default function BackupScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store whether JSON exports bundle the photo and voice memo files.
+   * @type {[boolean, Function]}
+   */
+  const [includePhotos, setIncludePhotos] = useState(true);
+  /**
+   * State hook to store whether an export or import is in progress.
+   * @type {[boolean, Function]}
+   */
+  const [isBusy, setIsBusy] = useState(false);
+
+  /**
+   * Runs an export or import, showing a spinner meanwhile and an alert if it fails.
+   *
+   * @param {Function} task The asynchronous work to run.
+   * @param {string} failureMessage The message to show if the task fails without a message of its own.
+   * @returns {Promise<void>} A promise that resolves when the task is finished.
+   */
+  const runTask = async (task, failureMessage) => {
+    setIsBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      console.error(failureMessage, error);
+      Alert.alert('Error', error.message || failureMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Lets the user pick a JSON archive and merges it into the journal.
+   * Reports how many entries and inspiration photos were added.
+   *
+   * @returns {Promise<void>} A promise that resolves when the import is finished or cancelled.
+   */
+  const importArchive = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: 'application/json',
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled) {
+      return;
+    }
+
+    await runTask(async () => {
+      const { entriesAdded, imagesAdded } = await importJournalArchive(result.assets[0].uri);
+      Alert.alert(
+        'Import Complete',
+        `Added ${entriesAdded} mood ${entriesAdded === 1 ? 'entry' : 'entries'} and ` +
+          `${imagesAdded} inspiration ${imagesAdded === 1 ? 'photo' : 'photos'}. ` +
+          'Anything already in your journal was skipped.'
+      );
+    }, 'Failed to import the archive.');
+  };
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        {/* Export Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Export</Text>
+          <Text style={styles.description}>
+            A JSON archive holds your whole journal and can be imported again on any device.
+            A CSV file opens in spreadsheet apps.
+          </Text>
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Include photos and voice memos in JSON archive</Text>
+            <Switch
+              value={includePhotos}
+              onValueChange={setIncludePhotos}
+              trackColor={{ true: colors.tint }}
+            />
+          </View>
+          <TouchableOpacity
+            style={styles.actionButton}
+            disabled={isBusy}
+            onPress={() => runTask(() => exportJournalAsJson({ includePhotos }), 'Failed to export the journal.')}
+          >
+            <Text style={styles.actionButtonText}>Export JSON Archive</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            disabled={isBusy}
+            onPress={() => runTask(exportJournalAsCsv, 'Failed to export the journal.')}
+          >
+            <Text style={styles.actionButtonText}>Export CSV</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Import Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Import</Text>
+          <Text style={styles.description}>
+            Merge a MoodSnap JSON archive into this journal. Entries you already have are kept as they are.
+          </Text>
+          <TouchableOpacity style={styles.actionButton} disabled={isBusy} onPress={importArchive}>
+            <Text style={styles.actionButtonText}>Import JSON Archive</Text>
+          </TouchableOpacity>
+        </View>
+
+        {isBusy && <ActivityIndicator size="large" color={colors.tint} />}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the BackupScreen component.
+ * Defines the visual styles for the gradient background, cards, descriptions,
+ * the photo switch and the action buttons.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: colors.text,
+    flex: 1,
+  },
+  actionButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 14,
+    paddingHorizontal: 30,
+    borderRadius: 30,
+    marginTop: 10,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  actionButtonText: {
+    color: colors.onTint,
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,384 @@
+import { LinearGradient } from 'expo-linear-gradient';
+import { router, useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  Keyboard,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  TouchableWithoutFeedback,
+  View,
+} from 'react-native';
+
+import IntensitySlider, { DEFAULT_INTENSITY } from '@/components/IntensitySlider';
+import JournalInput from '@/components/JournalInput';
+import MoodPicker from '@/components/MoodPicker';
+import PhotoAttachments from '@/components/PhotoAttachments';
+import SecondaryMoodPicker from '@/components/SecondaryMoodPicker';
+import TagPicker from '@/components/TagPicker';
+import VoiceMemoRecorder from '@/components/VoiceMemoRecorder';
+import { useActivityTags } from '@/hooks/useActivityTags';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { deleteMoodEntry, getMoodEntry, updateMoodEntry } from '@/storage/moodEntries';
+import { deletePhoto } from '@/storage/photos';
+import { deleteVoiceMemo } from '@/storage/voiceMemos';
+import { formatDateTime } from '@/utils/dateFormat';
+
+/**
+ * EditEntryScreen lets users change or delete a mood entry they have already saved.
+ * It is pushed on top of the tabs when an entry is tapped in the History list,
+ * and reuses the mood, tag, journal, voice memo and photo inputs from the New Entry screen.
+ * Deleting returns to History, which offers to undo the deletion.
+ *
+ * @returns {JSX.Element} The rendered Edit Entry Screen.
+ */
+export default function EditEntryScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * The id of the entry being edited, taken from the route.
+   * @type {{id: string}}
+   */
+  const { id } = useLocalSearchParams();
+  /**
+   * State hook to store the entry as it was loaded, or `null` while loading.
+   * @type {[Object|null, Function]}
+   */
+  const [entry, setEntry] = useState(null);
+  /**
+   * State hook to store the id of the currently selected mood.
+   * @type {[string|null, Function]}
+   */
+  const [selectedMoodId, setSelectedMoodId] = useState(null);
+  /**
+   * State hook to store how intense the mood is, from 1 to 10.
+   * `null` for older entries logged before intensity was recorded.
+   * @type {[number|null, Function]}
+   */
+  const [intensity, setIntensity] = useState(null);
+  /**
+   * State hook to store the id of the secondary mood, if any.
+   * @type {[string|null, Function]}
+   */
+  const [secondaryMoodId, setSecondaryMoodId] = useState(null);
+  /**
+   * State hook to store the ids of the activity tags on the entry.
+   * @type {[Array<string>, Function]}
+   */
+  const [tagIds, setTagIds] = useState([]);
+  /**
+   * State hook to store the text entered in the journal.
+   * @type {[string, Function]}
+   */
+  const [journalText, setJournalText] = useState('');
+  /**
+   * State hook to store the URIs of the entry's photos, in gallery order.
+   * @type {[Array<string>, Function]}
+   */
+  const [imageUris, setImageUris] = useState([]);
+  /**
+   * State hook to store the entry's voice memo, if any.
+   * @type {[{uri: string, durationMillis: number}|null, Function]}
+   */
+  const [voiceMemo, setVoiceMemo] = useState(null);
+  /**
+   * State hook to store whether a voice memo is being recorded. Saving waits until it is attached.
+   * @type {[boolean, Function]}
+   */
+  const [isRecordingVoiceMemo, setIsRecordingVoiceMemo] = useState(false);
+  /**
+   * The mood catalog offered by the mood picker.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * Every activity tag, offered by the tag picker.
+   * @type {Array<Object>}
+   */
+  const tags = useActivityTags();
+  /**
+   * The user's preferences, for how the entry's dates are written.
+   * @type {Object}
+   */
+  const preferences = usePreferences();
+
+  /**
+   * Effect hook that loads the entry when the screen opens.
+   * If the entry no longer exists, the user is told and sent back.
+   */
+  useEffect(() => {
+    const loadEntry = async () => {
+      try {
+        const storedEntry = await getMoodEntry(id);
+        if (!storedEntry) {
+          Alert.alert('Not Found', 'This mood entry no longer exists.');
+          router.back();
+          return;
+        }
+        setEntry(storedEntry);
+        setSelectedMoodId(storedEntry.moodId);
+        setIntensity(storedEntry.intensity);
+        setSecondaryMoodId(storedEntry.secondaryMoodId);
+        setTagIds(storedEntry.tagIds);
+        setJournalText(storedEntry.journalText);
+        setImageUris(storedEntry.imageUris);
+        setVoiceMemo(storedEntry.voiceMemo);
+      } catch (error) {
+        console.error('Error loading mood entry:', error);
+        Alert.alert('Error', 'Failed to load mood entry.');
+      }
+    };
+    loadEntry();
+  }, [id]);
+
+  /**
+   * Selects the main mood. If it was picked as the secondary mood, that choice is cleared.
+   *
+   * @param {string} moodId The id of the selected mood.
+   * @returns {void}
+   */
+  const selectMood = (moodId) => {
+    setSelectedMoodId(moodId);
+    if (secondaryMoodId === moodId) {
+      setSecondaryMoodId(null);
+    }
+  };
+
+  /**
+   * Saves the edited mood details, journal text, voice memo and photos back to the entry.
+   * The original timestamp is kept; the store records the edit time in `updatedAt`.
+   * The files of any photos removed from the entry, and of a replaced or removed voice memo, are deleted.
+   *
+   * @returns {Promise<void>} A promise that resolves when the entry is saved.
+   */
+  const saveChanges = async () => {
+    try {
+      await updateMoodEntry(id, {
+        moodId: selectedMoodId,
+        intensity: intensity,
+        secondaryMoodId: secondaryMoodId,
+        tagIds: tagIds,
+        journalText: journalText,
+        imageUris: imageUris,
+        voiceMemo: voiceMemo,
+      });
+      for (const uri of entry.imageUris) {
+        if (!imageUris.includes(uri)) {
+          await deletePhoto(uri);
+        }
+      }
+      if (entry.voiceMemo && entry.voiceMemo.uri !== voiceMemo?.uri) {
+        await deleteVoiceMemo(entry.voiceMemo.uri);
+      }
+      Keyboard.dismiss();
+      router.back();
+    } catch (error) {
+      console.error('Error updating mood entry:', error);
+      Alert.alert('Error', 'Failed to save changes.');
+    }
+  };
+
+  /**
+   * Asks for confirmation, then deletes the entry and returns to History,
+   * where the deletion can still be undone for a few seconds.
+   *
+   * @returns {void}
+   */
+  const confirmDelete = () => {
+    Alert.alert(
+      'Delete Entry',
+      'Are you sure you want to delete this mood entry?',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          onPress: async () => {
+            try {
+              await deleteMoodEntry(id);
+              router.back();
+            } catch (error) {
+              console.error('Error deleting mood entry:', error);
+              Alert.alert('Error', 'Failed to delete mood entry.');
+            }
+          },
+          style: 'destructive',
+        },
+      ],
+      { cancelable: true }
+    );
+  };
+
+  if (!entry) {
+    return (
+      <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+        <ActivityIndicator style={styles.loadingIndicator} size="large" color={colors.tint} />
+      </LinearGradient>
+    );
+  }
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      {/* TouchableWithoutFeedback to dismiss keyboard when tapping outside input fields */}
+      <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+        <ScrollView contentContainerStyle={styles.scrollViewContent}>
+          <View style={styles.contentContainer}>
+            <Text style={styles.entryTimestamp}>Logged {formatDateTime(new Date(entry.timestamp), preferences)}</Text>
+            {entry.createdAt !== entry.timestamp && (
+              <Text style={styles.entryTimestamp}>Added later, on {formatDateTime(new Date(entry.createdAt), preferences)}</Text>
+            )}
+            {entry.updatedAt !== entry.createdAt && (
+              <Text style={styles.entryTimestamp}>Last edited {formatDateTime(new Date(entry.updatedAt), preferences)}</Text>
+            )}
+
+            {/* Mood Selection Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>How were you feeling?</Text>
+              <MoodPicker moods={moods} selectedMoodId={selectedMoodId} onSelectMood={selectMood} />
+              <IntensitySlider value={intensity ?? DEFAULT_INTENSITY} onChange={setIntensity} />
+              <SecondaryMoodPicker
+                moods={moods}
+                primaryMoodId={selectedMoodId}
+                selectedMoodId={secondaryMoodId}
+                onSelectMood={setSecondaryMoodId}
+              />
+            </View>
+
+            {/* Activity Tags Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>What have you been up to?</Text>
+              <TagPicker tags={tags} selectedTagIds={tagIds} onChangeSelectedTagIds={setTagIds} />
+            </View>
+
+            {/* Journal Entry Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Journal Entry:</Text>
+              <JournalInput value={journalText} onChangeText={setJournalText} />
+            </View>
+
+            {/* Voice Memo Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Voice Memo:</Text>
+              <VoiceMemoRecorder
+                voiceMemo={voiceMemo}
+                onChangeVoiceMemo={setVoiceMemo}
+                onRecordingChange={setIsRecordingVoiceMemo}
+              />
+            </View>
+
+            {/* Camera Section Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Photo:</Text>
+              <PhotoAttachments imageUris={imageUris} onChangeImageUris={setImageUris} />
+            </View>
+
+            <TouchableOpacity
+              style={[styles.saveButton, isRecordingVoiceMemo && styles.disabledButton]}
+              disabled={isRecordingVoiceMemo}
+              onPress={saveChanges}
+            >
+              <Text style={styles.buttonText}>Save Changes</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.deleteButton} onPress={confirmDelete}>
+              <Text style={styles.buttonText}>Delete Entry</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </TouchableWithoutFeedback>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the EditEntryScreen component.
+ * Defines the visual styles for the gradient background, containers, cards,
+ * timestamps, and the save and delete buttons.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  loadingIndicator: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingVertical: 20,
+  },
+  contentContainer: {
+    alignItems: 'center',
+    paddingHorizontal: 15,
+  },
+  entryTimestamp: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginBottom: 4,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    width: '100%',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 15,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  saveButton: {
+    backgroundColor: colors.success,
+    paddingVertical: 16,
+    paddingHorizontal: 40,
+    borderRadius: 30,
+    marginTop: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  deleteButton: {
+    backgroundColor: colors.danger,
+    paddingVertical: 16,
+    paddingHorizontal: 40,
+    borderRadius: 30,
+    marginTop: 15,
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  buttonText: {
+    color: colors.onTint,
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,438 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useState } from 'react';
+import {
+  Alert,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { MOOD_COLORS, MOOD_SCORES } from '@/constants/Moods';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { addMood, moveMood, updateMood } from '@/storage/moodCatalog';
+import { getActiveMoods } from '@/utils/moods';
+
+/**
+ * Field values the mood editor starts with when adding a new mood.
+ * @type {{label: string, emoji: string, color: string, score: number}}
+ */
+const NEW_MOOD_FIELDS = { label: '', emoji: '', color: MOOD_COLORS[0], score: 0 };
+
+/**
+ * MoodsScreen lets users customize the moods they can log: add new ones, rename,
+ * recolor and reorder them, and archive moods they no longer use.
+ * Archived moods stay attached to past entries and can be restored at any time.
+ *
+ * @returns {JSX.Element} The rendered Moods Screen.
+ */
+export default function MoodsScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * The mood catalog, kept up to date as it is edited.
+   * @type {Array<Object>}
+   */
+  const moods = useMoodCatalog();
+  /**
+   * State hook to store the mood being edited, or `null` while the editor is closed.
+   * `id` is `null` for a new mood.
+   * @type {[{id: string|null, label: string, emoji: string, color: string, score: number}|null, Function]}
+   */
+  const [editingMood, setEditingMood] = useState(null);
+
+  const activeMoods = getActiveMoods(moods);
+  const archivedMoods = moods.filter((mood) => mood.archived);
+
+  /**
+   * Runs a change to the catalog, showing an alert if it fails.
+   *
+   * @param {Function} change The async function making the change.
+   * @returns {Promise<boolean>} A promise resolving to `true` if the change was saved.
+   */
+  const runChange = async (change) => {
+    try {
+      await change();
+      return true;
+    } catch (error) {
+      console.error('Error updating moods:', error);
+      Alert.alert('Error', error.message || 'Failed to update your moods.');
+      return false;
+    }
+  };
+
+  /**
+   * Saves the mood in the editor, adding it if it is new, and closes the editor.
+   *
+   * @returns {Promise<void>} A promise that resolves when the mood is saved.
+   */
+  const saveEditingMood = async () => {
+    const { id, ...fields } = editingMood;
+    if (!fields.label.trim()) {
+      Alert.alert('Missing Name', 'Please give the mood a name.');
+      return;
+    }
+    const isSaved = await runChange(() => (id ? updateMood(id, fields) : addMood(fields)));
+    if (isSaved) {
+      setEditingMood(null);
+    }
+  };
+
+  /**
+   * Archives a mood after confirmation. Past entries keep showing it.
+   *
+   * @param {Object} mood The mood to archive.
+   * @returns {void}
+   */
+  const confirmArchive = (mood) => {
+    if (activeMoods.length === 1) {
+      Alert.alert('Keep One Mood', 'You need at least one mood to log entries with.');
+      return;
+    }
+    Alert.alert(
+      'Archive Mood',
+      `"${mood.label}" will no longer be offered for new entries. Past entries keep it, and you can restore it later.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Archive', onPress: () => runChange(() => updateMood(mood.id, { archived: true })) },
+      ]
+    );
+  };
+
+  /**
+   * Renders one row of the mood list.
+   *
+   * @param {Object} mood The mood to render.
+   * @param {number} index The mood's position in its list.
+   * @param {Array<Object>} list The list the mood is in.
+   * @returns {JSX.Element} The rendered row.
+   */
+  const renderMoodRow = (mood, index, list) => (
+    <View key={mood.id} style={styles.moodRow}>
+      <View style={[styles.colorDot, { backgroundColor: mood.color }]}>
+        <Text style={styles.colorDotEmoji}>{mood.emoji}</Text>
+      </View>
+      <Text style={[styles.moodLabel, mood.archived && styles.archivedMoodLabel]}>{mood.label}</Text>
+
+      {!mood.archived && (
+        <>
+          <TouchableOpacity
+            style={styles.iconButton}
+            disabled={index === 0}
+            onPress={() => runChange(() => moveMood(mood.id, list[index - 1].id))}
+          >
+            <MaterialCommunityIcons name="chevron-up" size={24} color={index === 0 ? colors.border : colors.tint} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            disabled={index === list.length - 1}
+            onPress={() => runChange(() => moveMood(mood.id, list[index + 1].id))}
+          >
+            <MaterialCommunityIcons
+              name="chevron-down"
+              size={24}
+              color={index === list.length - 1 ? colors.border : colors.tint}
+            />
+          </TouchableOpacity>
+        </>
+      )}
+      <TouchableOpacity style={styles.iconButton} onPress={() => setEditingMood(mood)}>
+        <MaterialCommunityIcons name="pencil-outline" size={22} color={colors.tint} />
+      </TouchableOpacity>
+      {mood.archived ? (
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => runChange(() => updateMood(mood.id, { archived: false }))}
+        >
+          <MaterialCommunityIcons name="archive-arrow-up-outline" size={22} color={colors.success} />
+        </TouchableOpacity>
+      ) : (
+        <TouchableOpacity style={styles.iconButton} onPress={() => confirmArchive(mood)}>
+          <MaterialCommunityIcons name="archive-outline" size={22} color={colors.textMuted} />
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Your moods</Text>
+          <Text style={styles.description}>
+            Renaming or recoloring a mood updates every entry logged with it.
+          </Text>
+          {activeMoods.map(renderMoodRow)}
+          <TouchableOpacity style={styles.addButton} onPress={() => setEditingMood({ id: null, ...NEW_MOOD_FIELDS })}>
+            <Text style={styles.addButtonText}>+ Add a mood</Text>
+          </TouchableOpacity>
+        </View>
+
+        {archivedMoods.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Archived</Text>
+            <Text style={styles.description}>
+              Archived moods are not offered for new entries, but past entries keep them.
+            </Text>
+            {archivedMoods.map(renderMoodRow)}
+          </View>
+        )}
+      </ScrollView>
+
+      {/* Mood editor */}
+      <Modal
+        visible={editingMood !== null}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setEditingMood(null)}
+      >
+        <View style={styles.modalBackdrop}>
+          {editingMood && (
+            <View style={[styles.card, styles.modalCard]}>
+              <Text style={styles.sectionTitle}>{editingMood.id ? 'Edit Mood' : 'New Mood'}</Text>
+
+              <View style={styles.nameRow}>
+                <TextInput
+                  style={[styles.input, styles.emojiInput]}
+                  placeholder="🙂"
+                  value={editingMood.emoji}
+                  onChangeText={(emoji) => setEditingMood({ ...editingMood, emoji })}
+                  maxLength={8}
+                />
+                <TextInput
+                  style={[styles.input, styles.labelInput]}
+                  placeholder="Name, e.g. Grateful"
+                  placeholderTextColor={colors.textMuted}
+                  value={editingMood.label}
+                  onChangeText={(label) => setEditingMood({ ...editingMood, label })}
+                  maxLength={20}
+                />
+              </View>
+
+              <Text style={styles.fieldLabel}>Color</Text>
+              <View style={styles.swatchRow}>
+                {MOOD_COLORS.map((color) => (
+                  <TouchableOpacity
+                    key={color}
+                    style={[
+                      styles.swatch,
+                      { backgroundColor: color },
+                      editingMood.color === color && styles.selectedSwatch,
+                    ]}
+                    onPress={() => setEditingMood({ ...editingMood, color })}
+                  />
+                ))}
+              </View>
+
+              <Text style={styles.fieldLabel}>How does it feel?</Text>
+              <View style={styles.swatchRow}>
+                {MOOD_SCORES.map(({ score, label }) => (
+                  <TouchableOpacity
+                    key={score}
+                    style={[styles.chip, editingMood.score === score && styles.selectedChip]}
+                    onPress={() => setEditingMood({ ...editingMood, score })}
+                  >
+                    <Text style={[styles.chipText, editingMood.score === score && styles.selectedChipText]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setEditingMood(null)}>
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.saveButton} onPress={saveEditingMood}>
+                  <Text style={styles.saveButtonText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+        </View>
+      </Modal>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the MoodsScreen component.
+ * Defines the visual styles for the gradient background, cards, mood rows
+ * and the mood editor.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 10,
+  },
+  moodRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  colorDot: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  colorDotEmoji: {
+    fontSize: 18,
+  },
+  moodLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+  },
+  archivedMoodLabel: {
+    color: colors.textMuted,
+  },
+  iconButton: {
+    padding: 4,
+    marginLeft: 4,
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 5,
+    marginTop: 5,
+  },
+  addButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalCard: {
+    marginVertical: 0,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+  emojiInput: {
+    width: 56,
+    textAlign: 'center',
+    marginRight: 10,
+  },
+  labelInput: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+  swatchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 15,
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    margin: 4,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  selectedSwatch: {
+    borderColor: colors.text,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    margin: 4,
+  },
+  selectedChip: {
+    backgroundColor: colors.tint,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.tint,
+  },
+  selectedChipText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 10,
+    paddingHorizontal: 25,
+    borderRadius: 10,
+  },
+  saveButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
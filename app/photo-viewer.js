@@ -0,0 +1,243 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { router, useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  useWindowDimensions,
+  View,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import ZoomableImage from '@/components/ZoomableImage';
+import { useMoodCatalog } from '@/hooks/useMoodCatalog';
+import { usePreferences } from '@/hooks/usePreferences';
+import { getInspirationImages } from '@/storage/inspirationImages';
+import { getMoodEntry } from '@/storage/moodEntries';
+import { formatDate, formatDateTime } from '@/utils/dateFormat';
+import { getBoardImages } from '@/utils/inspirationBoards';
+import { findMood } from '@/utils/moods';
+
+/**
+ * PhotoViewerScreen shows photos full screen, one at a time. Photos can be swiped
+ * between, pinched to zoom and double-tapped to zoom in or out. A caption is laid
+ * over the photo: an entry's mood and date, or an inspiration photo's note and the
+ * date it was added.
+ * Tapping the photo hides or shows the caption and controls.
+ *
+ * It is opened from History with `{ source: 'entry', id, index }`, showing the
+ * photos of one entry starting from `index`, and from the Inspiration board with
+ * `{ source: 'inspiration', id }`, showing that photo's board, in board order, starting from it.
+ *
+ * @returns {JSX.Element} The rendered Photo Viewer Screen.
+ */
+export default function PhotoViewerScreen() {
+  const { width, height } = useWindowDimensions();
+  const insets = useSafeAreaInsets();
+  const moods = useMoodCatalog();
+  const preferences = usePreferences();
+
+  /**
+   * What to show, taken from the route.
+   * @type {{source: string, id: string, index?: string}}
+   */
+  const { source, id, index } = useLocalSearchParams();
+  /**
+   * State hook to store the entry or inspiration photos being shown, or `null` while loading.
+   * @type {[{entry: Object}|{images: Array<Object>}|null, Function]}
+   */
+  const [content, setContent] = useState(null);
+  /**
+   * State hook to store the position of the photo in view.
+   * @type {[number, Function]}
+   */
+  const [activeIndex, setActiveIndex] = useState(0);
+  /**
+   * State hook to store whether the photo in view is zoomed in, which stops swiping.
+   * @type {[boolean, Function]}
+   */
+  const [isZoomed, setIsZoomed] = useState(false);
+  /**
+   * State hook to store whether the caption and controls are shown.
+   * @type {[boolean, Function]}
+   */
+  const [showOverlay, setShowOverlay] = useState(true);
+
+  /**
+   * Effect hook that loads the entry or the inspiration board, and starts from the photo that was tapped.
+   */
+  useEffect(() => {
+    const loadContent = async () => {
+      try {
+        if (source === 'inspiration') {
+          const allImages = await getInspirationImages();
+          const boardId = allImages.find((image) => image.id === id)?.boardId;
+          const images = getBoardImages(allImages, boardId);
+          setActiveIndex(Math.max(0, images.findIndex((image) => image.id === id)));
+          setContent({ images });
+        } else {
+          const entry = await getMoodEntry(id);
+          if (!entry) {
+            Alert.alert('Not Found', 'This entry no longer exists.');
+            router.back();
+            return;
+          }
+          setActiveIndex(Math.min(Number(index) || 0, Math.max(0, entry.imageUris.length - 1)));
+          setContent({ entry });
+        }
+      } catch (error) {
+        console.error('Error loading photos:', error);
+        Alert.alert('Error', 'Failed to load photos.');
+      }
+    };
+    loadContent();
+  }, [source, id, index]);
+
+  /**
+   * The photos to page through, each with the caption laid over it.
+   * @type {Array<{key: string, uri: string, title: string, detail: string}>}
+   */
+  const photos = useMemo(() => {
+    if (!content) {
+      return [];
+    }
+    if (content.images) {
+      return content.images.map((image) => ({
+        key: image.id,
+        uri: image.uri,
+        title: image.note ?? '',
+        detail: formatDate(new Date(image.createdAt), preferences),
+      }));
+    }
+    const { entry } = content;
+    const mood = findMood(moods, entry.moodId);
+    return entry.imageUris.map((uri) => ({
+      key: uri,
+      uri,
+      title: `${mood.emoji} ${mood.label}`,
+      detail: formatDateTime(new Date(entry.timestamp), preferences),
+    }));
+  }, [content, moods, preferences]);
+
+  /**
+   * Tracks the photo in view once a swipe settles.
+   *
+   * @param {Object} event The scroll event.
+   * @returns {void}
+   */
+  const handleScrollEnd = (event) => {
+    setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  if (!content) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#FFF" />
+      </View>
+    );
+  }
+
+  const activePhoto = photos[activeIndex];
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={photos}
+        keyExtractor={(photo) => photo.key}
+        horizontal
+        pagingEnabled
+        scrollEnabled={!isZoomed}
+        showsHorizontalScrollIndicator={false}
+        initialScrollIndex={activeIndex}
+        getItemLayout={(_, itemIndex) => ({ length: width, offset: width * itemIndex, index: itemIndex })}
+        onMomentumScrollEnd={handleScrollEnd}
+        renderItem={({ item, index: itemIndex }) => (
+          <ZoomableImage
+            uri={item.uri}
+            width={width}
+            height={height}
+            isActive={itemIndex === activeIndex}
+            onZoomChange={setIsZoomed}
+            onSingleTap={() => setShowOverlay((shown) => !shown)}
+          />
+        )}
+      />
+
+      {showOverlay && (
+        <>
+          <View style={[styles.topBar, { paddingTop: insets.top + 10 }]}>
+            <TouchableOpacity onPress={() => router.back()} accessibilityLabel="Close">
+              <MaterialCommunityIcons name="close" size={28} color="#FFF" />
+            </TouchableOpacity>
+            {photos.length > 1 && (
+              <Text style={styles.counter}>{`${activeIndex + 1} / ${photos.length}`}</Text>
+            )}
+          </View>
+          {activePhoto && (activePhoto.title || activePhoto.detail) ? (
+            <View style={[styles.caption, { paddingBottom: insets.bottom + 20 }]}>
+              {activePhoto.title ? <Text style={styles.captionTitle}>{activePhoto.title}</Text> : null}
+              {activePhoto.detail ? <Text style={styles.captionDetail}>{activePhoto.detail}</Text> : null}
+            </View>
+          ) : null}
+        </>
+      )}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the PhotoViewerScreen component.
+ * The viewer is always dark, whatever the theme, so photos are shown against black.
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#000',
+  },
+  topBar: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  counter: {
+    color: '#FFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  caption: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    paddingHorizontal: 20,
+    paddingTop: 15,
+    backgroundColor: 'rgba(0, 0, 0, 0.55)',
+  },
+  captionTitle: {
+    color: '#FFF',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  captionDetail: {
+    color: '#DDD',
+    fontSize: 14,
+    marginTop: 4,
+  },
+});
@@ -0,0 +1,326 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import TimeField from '@/components/TimeField';
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import {
+  isInQuietHours,
+  requestReminderPermission,
+  rescheduleReminders,
+} from '@/services/reminders';
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  getReminderSettings,
+  saveReminderSettings,
+} from '@/storage/reminderSettings';
+import { getOrderedWeekdays, WEEKDAY_LABELS } from '@/utils/moodStats';
+
+/**
+ * Most reminders allowed per day, to stay well within the platform's limit on scheduled notifications.
+ * @type {number}
+ */
+const MAX_REMINDER_TIMES = 4;
+
+/**
+ * RemindersScreen lets users set up daily check-in reminders: whether they are on,
+ * what times and on which weekdays they fire, and a quiet-hours window during which
+ * no reminder is shown. Changes are saved and rescheduled immediately.
+ *
+ * @returns {JSX.Element} The rendered Reminders Screen.
+ */
+export default function RemindersScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store the reminder settings being edited.
+   * @type {[Object, Function]}
+   */
+  const [settings, setSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  /**
+   * The user's preferences, for the day the weekday buttons start on.
+   * @type {Object}
+   */
+  const { firstDayOfWeek } = usePreferences();
+
+  /**
+   * Effect hook to load the stored settings when the screen opens.
+   */
+  useEffect(() => {
+    getReminderSettings()
+      .then(setSettings)
+      .catch((error) => {
+        console.error('Error loading reminder settings:', error);
+        Alert.alert('Error', 'Failed to load reminder settings.');
+      });
+  }, []);
+
+  /**
+   * Applies changes to the settings, saves them and reschedules the reminders.
+   *
+   * @param {Object} changes The settings fields to change.
+   * @returns {Promise<void>} A promise that resolves when the reminders are rescheduled.
+   */
+  const updateSettings = async (changes) => {
+    const updatedSettings = { ...settings, ...changes };
+    setSettings(updatedSettings);
+    try {
+      await saveReminderSettings(updatedSettings);
+      await rescheduleReminders();
+    } catch (error) {
+      console.error('Error saving reminder settings:', error);
+      Alert.alert('Error', 'Failed to save reminder settings.');
+    }
+  };
+
+  /**
+   * Turns reminders on or off. Turning them on asks for notification permission first.
+   *
+   * @param {boolean} enabled Whether reminders should be on.
+   * @returns {Promise<void>} A promise that resolves when the change is saved.
+   */
+  const toggleEnabled = async (enabled) => {
+    if (enabled && !(await requestReminderPermission())) {
+      Alert.alert(
+        'Notifications Disabled',
+        'Please allow notifications for MoodSnap in your device settings to get reminders.'
+      );
+      return;
+    }
+    await updateSettings({ enabled });
+  };
+
+  /**
+   * Adds or removes a weekday from the days reminders fire on.
+   *
+   * @param {number} weekday The weekday, as a `Date.getDay()` number.
+   * @returns {Promise<void>} A promise that resolves when the change is saved.
+   */
+  const toggleWeekday = (weekday) =>
+    updateSettings({
+      weekdays: settings.weekdays.includes(weekday)
+        ? settings.weekdays.filter((day) => day !== weekday)
+        : [...settings.weekdays, weekday].sort(),
+    });
+
+  /**
+   * Changes one of the reminder times.
+   *
+   * @param {number} index The position of the time to change.
+   * @param {string} time The new `HH:MM` time.
+   * @returns {Promise<void>} A promise that resolves when the change is saved.
+   */
+  const changeTime = (index, time) =>
+    updateSettings({ times: settings.times.map((existing, i) => (i === index ? time : existing)) });
+
+  return (
+    <LinearGradient
+      colors={colors.gradient}
+      style={styles.gradientBackground}
+    >
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <Text style={styles.sectionTitle}>Daily check-in reminders</Text>
+            <Switch
+              value={settings.enabled}
+              onValueChange={toggleEnabled}
+              trackColor={{ true: colors.tint }}
+            />
+          </View>
+          <Text style={styles.description}>
+            Reminders open the New Entry screen. On days you have already logged a mood,
+            the rest of that day&apos;s reminders are skipped.
+          </Text>
+        </View>
+
+        {settings.enabled && (
+          <>
+            {/* Times Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Times</Text>
+              {settings.times.map((time, index) => (
+                <View key={index} style={styles.timeRow}>
+                  <TimeField value={time} onChange={(newTime) => changeTime(index, newTime)} style={styles.timeField} />
+                  {isInQuietHours(time, settings.quietHours) && (
+                    <Text style={styles.warningText}>In quiet hours</Text>
+                  )}
+                  {settings.times.length > 1 && (
+                    <TouchableOpacity
+                      onPress={() => updateSettings({ times: settings.times.filter((_, i) => i !== index) })}
+                    >
+                      <MaterialCommunityIcons name="close-circle" size={24} color={colors.danger} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              {settings.times.length < MAX_REMINDER_TIMES && (
+                <TouchableOpacity
+                  style={styles.addButton}
+                  onPress={() => updateSettings({ times: [...settings.times, '12:00'] })}
+                >
+                  <Text style={styles.addButtonText}>+ Add a time</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+
+            {/* Weekdays Card */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Days</Text>
+              <View style={styles.weekdayRow}>
+                {getOrderedWeekdays(firstDayOfWeek).map((weekday) => {
+                  const isSelected = settings.weekdays.includes(weekday);
+                  return (
+                    <TouchableOpacity
+                      key={weekday}
+                      style={[styles.weekdayButton, isSelected && styles.selectedWeekdayButton]}
+                      onPress={() => toggleWeekday(weekday)}
+                    >
+                      <Text style={[styles.weekdayText, isSelected && styles.selectedWeekdayText]}>
+                        {WEEKDAY_LABELS[weekday]}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+
+            {/* Quiet Hours Card */}
+            <View style={styles.card}>
+              <View style={styles.switchRow}>
+                <Text style={styles.sectionTitle}>Quiet hours</Text>
+                <Switch
+                  value={settings.quietHours.enabled}
+                  onValueChange={(enabled) =>
+                    updateSettings({ quietHours: { ...settings.quietHours, enabled } })
+                  }
+                  trackColor={{ true: colors.tint }}
+                />
+              </View>
+              {settings.quietHours.enabled && (
+                <View style={styles.timeRow}>
+                  <Text style={styles.description}>From</Text>
+                  <TimeField
+                    value={settings.quietHours.start}
+                    onChange={(start) => updateSettings({ quietHours: { ...settings.quietHours, start } })}
+                    style={styles.timeField}
+                  />
+                  <Text style={styles.description}>to</Text>
+                  <TimeField
+                    value={settings.quietHours.end}
+                    onChange={(end) => updateSettings({ quietHours: { ...settings.quietHours, end } })}
+                    style={styles.timeField}
+                  />
+                </View>
+              )}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the RemindersScreen component.
+ * Defines the visual styles for the gradient background, cards, switches,
+ * reminder times, weekday buttons and quiet-hours fields.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    marginRight: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  timeField: {
+    marginRight: 10,
+  },
+  warningText: {
+    fontSize: 13,
+    color: colors.warning,
+    marginRight: 10,
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+    paddingVertical: 5,
+  },
+  addButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  weekdayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  weekdayButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectedWeekdayButton: {
+    backgroundColor: colors.tint,
+  },
+  weekdayText: {
+    fontSize: 12,
+    color: colors.tint,
+  },
+  selectedWeekdayText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,375 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { router } from 'expo-router';
+import React, { useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { exportJournalAsJson } from '@/storage/journalArchive';
+import { clearJournalData } from '@/storage/journalData';
+import { savePreferences } from '@/storage/preferences';
+import { formatDateTime } from '@/utils/dateFormat';
+
+/**
+ * Languages and regions dates can be written in.
+ * @type {Array<{value: string, label: string}>}
+ */
+const LOCALE_OPTIONS = [
+  { value: 'system', label: 'Device' },
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'fr-FR', label: 'Français' },
+];
+
+/**
+ * Ways dates can be written, from the most to the least spelled out.
+ * @type {Array<{value: string, label: string}>}
+ */
+const DATE_STYLE_OPTIONS = [
+  { value: 'long', label: 'Long' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'short', label: 'Short' },
+];
+
+/**
+ * Choices for the clock times are shown on.
+ * @type {Array<{value: string, label: string}>}
+ */
+const HOUR_CYCLE_OPTIONS = [
+  { value: 'system', label: 'Automatic' },
+  { value: 'h12', label: '12-hour' },
+  { value: 'h23', label: '24-hour' },
+];
+
+/**
+ * Days the week can start on, as `Date.getDay()` numbers.
+ * @type {Array<{value: number, label: string}>}
+ */
+const FIRST_DAY_OPTIONS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 6, label: 'Saturday' },
+];
+
+/**
+ * Compression qualities for new photos. Lower qualities take less storage and make smaller backups.
+ * @type {Array<{value: number, label: string}>}
+ */
+const PHOTO_QUALITY_OPTIONS = [
+  { value: 1, label: 'Best' },
+  { value: 0.7, label: 'High' },
+  { value: 0.4, label: 'Compact' },
+];
+
+/**
+ * Crops offered for new photos, as `[width, height]`, or `null` for a free crop.
+ * @type {Array<{value: Array<number>|null, label: string}>}
+ */
+const PHOTO_ASPECT_OPTIONS = [
+  { value: [4, 3], label: '4:3' },
+  { value: [1, 1], label: 'Square' },
+  { value: [16, 9], label: '16:9' },
+  { value: null, label: 'Free' },
+];
+
+/**
+ * Tabs the app can open on.
+ * @type {Array<{value: string, label: string}>}
+ */
+const DEFAULT_TAB_OPTIONS = [
+  { value: 'index', label: 'New Entry' },
+  { value: 'history', label: 'History' },
+  { value: 'insights', label: 'Insights' },
+  { value: 'inspiration', label: 'Inspiration' },
+];
+
+/**
+ * Other settings screens, listed at the top of Settings.
+ * @type {Array<{route: string, icon: string, label: string}>}
+ */
+const SETTINGS_LINKS = [
+  { route: '/appearance', icon: 'palette-outline', label: 'Appearance' },
+  { route: '/reminders', icon: 'bell-outline', label: 'Reminders' },
+  { route: '/moods', icon: 'emoticon-outline', label: 'Customize Moods' },
+  { route: '/app-lock', icon: 'lock-outline', label: 'App Lock' },
+  { route: '/backup', icon: 'cloud-upload-outline', label: 'Backup & Restore' },
+  { route: '/sync', icon: 'cloud-sync-outline', label: 'Sync' },
+];
+
+/**
+ * SettingsScreen gathers the app's preferences: how dates and times are written,
+ * the first day of the week, the quality and crop of new photos and the tab the
+ * app opens on. It links to the other settings screens and offers exporting or
+ * deleting the whole journal. Preferences are saved as soon as they are changed.
+ *
+ * @returns {JSX.Element} The rendered Settings Screen.
+ */
+export default function SettingsScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * The user's preferences, as last saved.
+   * @type {Object}
+   */
+  const preferences = usePreferences();
+  /**
+   * State hook to store whether an export or deletion is in progress.
+   * @type {[boolean, Function]}
+   */
+  const [isBusy, setIsBusy] = useState(false);
+
+  /**
+   * Saves a change to the preferences.
+   *
+   * @param {Object} changes The preferences to change.
+   * @returns {Promise<void>} A promise that resolves when the preferences are saved.
+   */
+  const updatePreferences = async (changes) => {
+    try {
+      await savePreferences({ ...preferences, ...changes });
+    } catch (error) {
+      console.error('Error saving preferences:', error);
+      Alert.alert('Error', 'Failed to save your settings.');
+    }
+  };
+
+  /**
+   * Exports the whole journal, with photos, as a JSON archive through the share sheet.
+   *
+   * @returns {Promise<void>} A promise that resolves when the share sheet is closed.
+   */
+  const exportJournal = async () => {
+    setIsBusy(true);
+    try {
+      await exportJournalAsJson({ includePhotos: true });
+    } catch (error) {
+      console.error('Error exporting journal:', error);
+      Alert.alert('Error', 'Failed to export the journal.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Asks for confirmation, then deletes every entry, inspiration photo and photo file.
+   *
+   * @returns {void}
+   */
+  const confirmClearData = () => {
+    Alert.alert(
+      'Delete All Data',
+      'This permanently deletes all your mood entries and inspiration photos from this device, ' +
+        'and turns sync off. Export a backup first if you might want them back.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete Everything',
+          style: 'destructive',
+          onPress: async () => {
+            setIsBusy(true);
+            try {
+              await clearJournalData();
+              Alert.alert('Journal Cleared', 'All entries and photos have been deleted.');
+            } catch (error) {
+              console.error('Error clearing journal:', error);
+              Alert.alert('Error', 'Failed to delete your data.');
+            } finally {
+              setIsBusy(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Renders a labelled row of chips, one per option, with the chosen option highlighted.
+   *
+   * @param {string} label The label shown above the chips.
+   * @param {Array<{value: *, label: string}>} options The options to offer.
+   * @param {string} preferenceKey The preference the options set.
+   * @returns {JSX.Element} The rendered option group.
+   */
+  const renderOptions = (label, options, preferenceKey) => (
+    <>
+      <Text style={styles.optionLabel}>{label}</Text>
+      <View style={styles.chipRow}>
+        {options.map((option) => {
+          const isSelected = String(option.value) === String(preferences[preferenceKey]);
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.chip, isSelected && styles.selectedChip]}
+              onPress={() => updatePreferences({ [preferenceKey]: option.value })}
+            >
+              <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </>
+  );
+
+  return (
+    <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+      <ScrollView contentContainerStyle={styles.scrollViewContent}>
+        {/* Links to the other settings screens */}
+        <View style={styles.card}>
+          {SETTINGS_LINKS.map((link) => (
+            <TouchableOpacity key={link.route} style={styles.linkRow} onPress={() => router.push(link.route)}>
+              <MaterialCommunityIcons name={link.icon} size={22} color={colors.tint} />
+              <Text style={styles.linkText}>{link.label}</Text>
+              <MaterialCommunityIcons name="chevron-right" size={22} color={colors.textMuted} />
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {/* Dates & Times Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Dates & Times</Text>
+          <Text style={styles.example}>{formatDateTime(new Date(), preferences)}</Text>
+          {renderOptions('Language and region', LOCALE_OPTIONS, 'locale')}
+          {renderOptions('Date format', DATE_STYLE_OPTIONS, 'dateStyle')}
+          {renderOptions('Clock', HOUR_CYCLE_OPTIONS, 'hourCycle')}
+          {renderOptions('First day of the week', FIRST_DAY_OPTIONS, 'firstDayOfWeek')}
+        </View>
+
+        {/* Photos Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Photos</Text>
+          {renderOptions('Quality', PHOTO_QUALITY_OPTIONS, 'photoQuality')}
+          {renderOptions('Crop', PHOTO_ASPECT_OPTIONS, 'photoAspect')}
+        </View>
+
+        {/* Start Screen Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Start Screen</Text>
+          {renderOptions('Open MoodSnap on', DEFAULT_TAB_OPTIONS, 'defaultTab')}
+        </View>
+
+        {/* Data Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Your Data</Text>
+          <TouchableOpacity style={styles.button} disabled={isBusy} onPress={exportJournal}>
+            <Text style={styles.buttonText}>Export Journal</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.button, styles.dangerButton]} disabled={isBusy} onPress={confirmClearData}>
+            <Text style={styles.buttonText}>Delete All Data</Text>
+          </TouchableOpacity>
+        </View>
+
+        {isBusy && <ActivityIndicator size="large" color={colors.tint} />}
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the SettingsScreen component.
+ * Defines the visual styles for the gradient background, cards, link rows,
+ * option chips and the data buttons.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  example: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    marginBottom: 5,
+  },
+  linkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+  },
+  linkText: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: 12,
+  },
+  optionLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: colors.tint,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.tint,
+  },
+  selectedChipText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: colors.tint,
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  dangerButton: {
+    backgroundColor: colors.danger,
+  },
+  buttonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,325 @@
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useEffect, useState } from 'react';
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Switch,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useSyncStatus } from '@/hooks/useSyncStatus';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { syncNow, updateSyncSettings } from '@/services/sync';
+import { DEFAULT_SYNC_SETTINGS, getSyncSettings, IS_SYNC_SUPPORTED } from '@/storage/syncSettings';
+import { formatDateTime } from '@/utils/dateFormat';
+
+/**
+ * How each sync state is described on this screen.
+ * @type {Object<string, string>}
+ */
+const SYNC_STATE_LABELS = {
+  disabled: 'Sync is off',
+  idle: 'Up to date',
+  syncing: 'Syncing…',
+  offline: 'Server unreachable. Changes will be sent once it can be reached.',
+  error: 'Sync failed',
+};
+
+/**
+ * SyncScreen sets up syncing the journal with a self-hosted sync server: whether sync
+ * is on, the server's address and its access token. It shows the sync status, how many
+ * changes are waiting to be sent and when the last sync finished, and can sync on demand.
+ *
+ * @returns {JSX.Element} The rendered Sync Screen.
+ */
+export default function SyncScreen() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  const status = useSyncStatus();
+
+  /**
+   * State hook to store the sync settings as last saved.
+   * @type {[Object, Function]}
+   */
+  const [settings, setSettings] = useState(DEFAULT_SYNC_SETTINGS);
+  /**
+   * State hook to store the server address being typed.
+   * @type {[string, Function]}
+   */
+  const [serverUrl, setServerUrl] = useState('');
+  /**
+   * State hook to store the access token being typed.
+   * @type {[string, Function]}
+   */
+  const [token, setToken] = useState('');
+
+  /**
+   * Effect hook to load the stored settings when the screen opens.
+   */
+  useEffect(() => {
+    getSyncSettings()
+      .then((storedSettings) => {
+        setSettings(storedSettings);
+        setServerUrl(storedSettings.serverUrl);
+        setToken(storedSettings.token);
+      })
+      .catch((error) => {
+        console.error('Error loading sync settings:', error);
+        Alert.alert('Error', 'Failed to load sync settings.');
+      });
+  }, []);
+
+  /**
+   * Whether the server address or token have been edited but not saved.
+   * @type {boolean}
+   */
+  const hasUnsavedServer = serverUrl.trim() !== settings.serverUrl || token.trim() !== settings.token;
+
+  /**
+   * Applies changes to the settings and saves them.
+   *
+   * @param {Object} changes The settings fields to change.
+   * @returns {Promise<void>} A promise that resolves when the settings are saved.
+   */
+  const updateSettings = async (changes) => {
+    const updatedSettings = { ...settings, ...changes };
+    try {
+      await updateSyncSettings(updatedSettings);
+      setSettings(updatedSettings);
+    } catch (error) {
+      console.error('Error saving sync settings:', error);
+      Alert.alert('Error', 'Failed to save sync settings.');
+    }
+  };
+
+  /**
+   * Saves the server address and access token after checking the address looks like a web address.
+   *
+   * @returns {Promise<void>} A promise that resolves when the settings are saved.
+   */
+  const saveServer = async () => {
+    const trimmedUrl = serverUrl.trim();
+    if (trimmedUrl && !/^https?:\/\/\S+$/i.test(trimmedUrl)) {
+      Alert.alert('Invalid Address', 'The server address must start with http:// or https://.');
+      return;
+    }
+    await updateSettings({ serverUrl: trimmedUrl, token: token.trim(), enabled: settings.enabled && Boolean(trimmedUrl) });
+  };
+
+  /**
+   * Turns sync on or off. Sync can only be turned on once a server is saved.
+   *
+   * @param {boolean} enabled Whether sync should be on.
+   * @returns {Promise<void>} A promise that resolves when the change is saved.
+   */
+  const toggleEnabled = async (enabled) => {
+    if (enabled && !settings.serverUrl) {
+      Alert.alert('No Server', 'Enter and save the address of your sync server first.');
+      return;
+    }
+    await updateSettings({ enabled });
+  };
+
+  if (!IS_SYNC_SUPPORTED) {
+    return (
+      <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+        <View style={styles.scrollViewContent}>
+          <View style={styles.card}>
+            <Text style={styles.description}>Sync is not available on this platform.</Text>
+          </View>
+        </View>
+      </LinearGradient>
+    );
+  }
+
+  return (
+    <LinearGradient colors={colors.gradient} style={styles.gradientBackground}>
+      <ScrollView contentContainerStyle={styles.scrollViewContent} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <Text style={styles.sectionTitle}>Sync this journal</Text>
+            <Switch value={settings.enabled} onValueChange={toggleEnabled} trackColor={{ true: colors.tint }} />
+          </View>
+          <Text style={styles.description}>
+            Keeps your entries, voice memos, inspiration boards and photos the same on all your devices, through a sync
+            server you run yourself. Changes made offline are sent once the server can be reached. When the
+            same entry is changed on two devices, the most recent change wins.
+          </Text>
+        </View>
+
+        {/* Server Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Server</Text>
+          <Text style={styles.label}>Address</Text>
+          <TextInput
+            style={styles.input}
+            value={serverUrl}
+            onChangeText={setServerUrl}
+            placeholder="http://192.168.1.10:8787"
+            placeholderTextColor={colors.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <Text style={styles.label}>Access token (if the server needs one)</Text>
+          <TextInput
+            style={styles.input}
+            value={token}
+            onChangeText={setToken}
+            placeholder="Optional"
+            placeholderTextColor={colors.textMuted}
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+          />
+          <Text style={styles.hint}>
+            Your journal is sent to the server as it is, so use a server you trust, over HTTPS when it is
+            not on your own network. Switching to another server sends everything to it again.
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, !hasUnsavedServer && styles.disabledButton]}
+            disabled={!hasUnsavedServer}
+            onPress={saveServer}
+          >
+            <Text style={styles.buttonText}>Save Server</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Status Card */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Status</Text>
+          <View style={styles.statusRow}>
+            {status.state === 'syncing' && <ActivityIndicator color={colors.tint} style={styles.statusSpinner} />}
+            <Text style={[styles.statusText, status.state === 'error' && styles.errorText]}>
+              {SYNC_STATE_LABELS[status.state]}
+            </Text>
+          </View>
+          {status.state === 'error' && status.errorMessage ? (
+            <Text style={styles.description}>{status.errorMessage}</Text>
+          ) : null}
+          <Text style={styles.description}>
+            {status.lastSyncedAt
+              ? `Last synced ${formatDateTime(new Date(status.lastSyncedAt), preferences)}`
+              : 'Not synced yet'}
+          </Text>
+          {status.pendingCount > 0 && (
+            <Text style={styles.description}>
+              {`${status.pendingCount} ${status.pendingCount === 1 ? 'change' : 'changes'} waiting to be sent`}
+            </Text>
+          )}
+          <TouchableOpacity
+            style={[styles.button, (!settings.enabled || status.state === 'syncing') && styles.disabledButton]}
+            disabled={!settings.enabled || status.state === 'syncing'}
+            onPress={syncNow}
+          >
+            <Text style={styles.buttonText}>Sync Now</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </LinearGradient>
+  );
+}
+
+/**
+ * StyleSheet for the SyncScreen component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  gradientBackground: {
+    flex: 1,
+  },
+  scrollViewContent: {
+    flexGrow: 1,
+    paddingHorizontal: 15,
+    paddingVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 20,
+    marginVertical: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 10,
+    color: colors.text,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    lineHeight: 21,
+    marginTop: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    backgroundColor: colors.inputBackground,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    fontSize: 16,
+    color: colors.text,
+  },
+  hint: {
+    fontSize: 13,
+    color: colors.textMuted,
+    marginTop: 10,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusSpinner: {
+    marginRight: 8,
+  },
+  statusText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  errorText: {
+    color: colors.danger,
+  },
+  button: {
+    backgroundColor: colors.tint,
+    paddingVertical: 14,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,280 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import * as ScreenCapture from 'expo-screen-capture';
+import { LinearGradient } from 'expo-linear-gradient';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { AppState, Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import PinPad from '@/components/PinPad';
+import { useTheme } from '@/hooks/useTheme';
+import { usePinCheck } from '@/hooks/usePinCheck';
+import { authenticateWithBiometrics, IS_APP_LOCK_SUPPORTED, resetPinAttempts } from '@/services/appLock';
+import { getLockSettings, subscribeToLockSettings } from '@/storage/lockSettings';
+
+/**
+ * Key identifying this component's request to block screenshots and app switcher previews on Android.
+ * @type {string}
+ */
+const SCREEN_CAPTURE_KEY = 'appLock';
+
+/**
+ * LockScreen covers the app until the user enters their PIN or passes the biometric check.
+ * If biometric unlock is enabled, the prompt is shown as soon as the lock screen appears.
+ * Wrong PINs are limited as described in `usePinCheck`.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.biometricsEnabled - Whether biometric unlock is offered.
+ * @param {Function} props.onUnlock - Called once the user is verified.
+ * @returns {JSX.Element} The rendered lock screen.
+ */
+function LockScreen({ biometricsEnabled, onUnlock }) {
+  const { colors } = useTheme();
+  const { checkPin, isKeypadDisabled, message } = usePinCheck();
+
+  /**
+   * Shows the biometric prompt and unlocks the app if the user is recognized.
+   * Failures are silent; the user can always fall back to the PIN.
+   *
+   * @returns {Promise<void>} A promise that resolves when the prompt is closed.
+   */
+  const unlockWithBiometrics = useCallback(async () => {
+    try {
+      if (await authenticateWithBiometrics()) {
+        resetPinAttempts().catch((error) => {
+          console.error('Error resetting PIN attempts:', error);
+        });
+        onUnlock();
+      }
+    } catch (error) {
+      console.error('Error during biometric unlock:', error);
+    }
+  }, [onUnlock]);
+
+  /**
+   * Effect hook that offers biometric unlock as soon as the lock screen appears.
+   */
+  useEffect(() => {
+    if (biometricsEnabled) {
+      unlockWithBiometrics();
+    }
+  }, [biometricsEnabled, unlockWithBiometrics]);
+
+  /**
+   * Checks an entered PIN, unlocking the app if it is correct.
+   *
+   * @param {string} pin The entered PIN.
+   * @returns {Promise<void>} A promise that resolves when the PIN is checked.
+   */
+  const submitPin = async (pin) => {
+    if (await checkPin(pin)) {
+      onUnlock();
+    }
+  };
+
+  return (
+    <LinearGradient colors={[colors.header, colors.tintDeep]} style={styles.overlay}>
+      <MaterialCommunityIcons name="lock" size={40} color="#FFF" style={styles.lockIcon} />
+      <PinPad
+        title="Enter your MoodSnap PIN"
+        message={message}
+        onComplete={submitPin}
+        onBiometricPress={biometricsEnabled ? unlockWithBiometrics : undefined}
+        disabled={isKeypadDisabled}
+      />
+    </LinearGradient>
+  );
+}
+
+/**
+ * AppLockGate wraps the whole app and, when the app lock is enabled:
+ * - shows the lock screen on launch, and again when the app returns from the
+ *   background after the configured auto-lock time;
+ * - covers the app's content while it is inactive or in the background, so
+ *   journal entries do not show in the app switcher (and, on Android, blocks
+ *   screenshots and app switcher previews altogether).
+ * When the lock is disabled, it renders its children unchanged.
+ *
+ * @param {Object} props - The component props.
+ * @param {React.ReactNode} props.children - The app content to protect.
+ * @returns {JSX.Element} The gated app content.
+ */
+export default function AppLockGate({ children }) {
+  const { colors } = useTheme();
+  /**
+   * State hook to store the lock settings, or `null` while they are loading.
+   * @type {[Object|null, Function]}
+   */
+  const [settings, setSettings] = useState(null);
+  /**
+   * State hook to store whether the lock settings could not be loaded. The app stays covered until they are.
+   * @type {[boolean, Function]}
+   */
+  const [hasLoadFailed, setHasLoadFailed] = useState(false);
+  /**
+   * State hook to store whether the app is currently locked.
+   * @type {[boolean, Function]}
+   */
+  const [isLocked, setIsLocked] = useState(false);
+  /**
+   * State hook to store the current app state (`active`, `inactive` or `background`).
+   * @type {[string, Function]}
+   */
+  const [appState, setAppState] = useState(AppState.currentState);
+  /**
+   * The latest settings, for use inside the app state listener.
+   * @type {React.MutableRefObject<Object|null>}
+   */
+  const settingsRef = useRef(null);
+  /**
+   * When the app last went to the background, or `null` while it is in the foreground.
+   * @type {React.MutableRefObject<number|null>}
+   */
+  const backgroundedAtRef = useRef(null);
+
+  /**
+   * Loads the lock settings, locking the app if the lock is enabled. If they cannot be
+   * read, the app stays covered, since it cannot tell whether the lock is enabled.
+   */
+  const loadSettings = useCallback(() => {
+    setHasLoadFailed(false);
+    getLockSettings()
+      .then((storedSettings) => {
+        settingsRef.current = storedSettings;
+        setSettings(storedSettings);
+        setIsLocked(storedSettings.enabled);
+      })
+      .catch((error) => {
+        console.error('Error loading lock settings:', error);
+        setHasLoadFailed(true);
+      });
+  }, []);
+
+  /**
+   * Effect hook that loads the lock settings on launch, and keeps them up to date
+   * when they are changed in the lock settings screen.
+   */
+  useEffect(() => {
+    if (!IS_APP_LOCK_SUPPORTED) {
+      setSettings({ enabled: false });
+      return undefined;
+    }
+
+    loadSettings();
+    return subscribeToLockSettings((updatedSettings) => {
+      settingsRef.current = updatedSettings;
+      setSettings(updatedSettings);
+      if (!updatedSettings.enabled) {
+        setIsLocked(false);
+      }
+    });
+  }, [loadSettings]);
+
+  /**
+   * Effect hook that tracks the app state, locking the app when it returns from
+   * the background after at least the configured auto-lock time.
+   */
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      setAppState(nextAppState);
+      if (nextAppState === 'background') {
+        backgroundedAtRef.current = Date.now();
+      } else if (nextAppState === 'active' && backgroundedAtRef.current !== null) {
+        const backgroundMs = Date.now() - backgroundedAtRef.current;
+        backgroundedAtRef.current = null;
+        const currentSettings = settingsRef.current;
+        if (currentSettings?.enabled && backgroundMs >= currentSettings.autoLockSeconds * 1000) {
+          setIsLocked(true);
+        }
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Effect hook that blocks screenshots and app switcher previews on Android while the lock is enabled.
+   */
+  useEffect(() => {
+    if (Platform.OS !== 'android' || !settings) {
+      return;
+    }
+    const update = settings.enabled
+      ? ScreenCapture.preventScreenCaptureAsync(SCREEN_CAPTURE_KEY)
+      : ScreenCapture.allowScreenCaptureAsync(SCREEN_CAPTURE_KEY);
+    update.catch((error) => {
+      console.error('Error updating screen capture protection:', error);
+    });
+  }, [settings]);
+
+  const unlock = useCallback(() => setIsLocked(false), []);
+
+  const isContentHidden = settings === null || isLocked || (settings.enabled && appState !== 'active');
+
+  return (
+    <View style={styles.container}>
+      <View
+        style={styles.container}
+        accessibilityElementsHidden={isContentHidden}
+        importantForAccessibility={isContentHidden ? 'no-hide-descendants' : 'auto'}
+      >
+        {children}
+      </View>
+
+      {settings === null || (!isLocked && isContentHidden) ? (
+        // Privacy cover, shown while loading and while the app is in the app switcher
+        <LinearGradient colors={[colors.header, colors.tintDeep]} style={styles.overlay}>
+          <Text style={styles.coverTitle}>MoodSnap</Text>
+          {hasLoadFailed && (
+            <>
+              <Text style={styles.coverMessage}>Your lock settings could not be loaded.</Text>
+              <TouchableOpacity style={styles.retryButton} onPress={loadSettings}>
+                <Text style={styles.retryButtonText}>Try Again</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </LinearGradient>
+      ) : isLocked ? (
+        <LockScreen biometricsEnabled={settings.biometricsEnabled} onUnlock={unlock} />
+      ) : null}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the AppLockGate and LockScreen components.
+ */
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  lockIcon: {
+    marginBottom: 15,
+  },
+  coverTitle: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+  coverMessage: {
+    marginTop: 20,
+    fontSize: 16,
+    color: '#FFF',
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: 15,
+    paddingVertical: 10,
+    paddingHorizontal: 24,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#FFF',
+  },
+  retryButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+});
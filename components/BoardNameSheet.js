@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import {
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * Longest name, in characters, a board can have.
+ * @type {number}
+ */
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * BoardNameSheet is a bottom sheet for naming a new inspiration board or renaming
+ * one. Save stays disabled until a name is entered.
+ * Tapping outside the sheet or the back button counts as cancelling.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.visible - Whether the sheet is shown.
+ * @param {string} props.initialName - The name the text field starts with.
+ * @param {string} props.title - The heading of the sheet.
+ * @param {Function} props.onSave - Called with the trimmed name when Save is pressed.
+ * @param {Function} props.onCancel - Called when the sheet is closed without saving.
+ * @returns {JSX.Element} The rendered sheet.
+ */
+export default function BoardNameSheet({ visible, initialName, title, onSave, onCancel }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store the name being written.
+   * @type {[string, Function]}
+   */
+  const [name, setName] = useState(initialName);
+
+  /**
+   * Effect hook that starts the text field from the board's current name each time the sheet opens.
+   */
+  useEffect(() => {
+    if (visible) {
+      setName(initialName);
+    }
+  }, [visible, initialName]);
+
+  const trimmedName = name.trim();
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <Pressable style={styles.dismissArea} onPress={onCancel} accessibilityLabel="Close" />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Board name"
+            placeholderTextColor={colors.textMuted}
+            value={name}
+            onChangeText={setName}
+            maxLength={MAX_NAME_LENGTH}
+            autoFocus
+            returnKeyType="done"
+            onSubmitEditing={() => trimmedName && onSave(trimmedName)}
+          />
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.saveButton, !trimmedName && styles.disabledButton]}
+              disabled={!trimmedName}
+              onPress={() => onSave(trimmedName)}
+            >
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+/**
+ * StyleSheet for the BoardNameSheet component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  dismissArea: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 30,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 16,
+    color: colors.text,
+    backgroundColor: colors.inputBackground,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 10,
+    paddingHorizontal: 25,
+    borderRadius: 10,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,116 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import React from 'react';
+import { Modal, Pressable, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * BoardPickerSheet is a bottom sheet listing the inspiration boards, for moving a
+ * photo to another board. The board the photo is on is marked and cannot be picked.
+ * Tapping outside the sheet or the back button counts as cancelling.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.visible - Whether the sheet is shown.
+ * @param {Array<{id: string, name: string}>} props.boards - Every board.
+ * @param {string|null} props.currentBoardId - The id of the board the photo is on.
+ * @param {Function} props.onSelect - Called with the id of the board picked.
+ * @param {Function} props.onCancel - Called when the sheet is closed without picking a board.
+ * @returns {JSX.Element} The rendered sheet.
+ */
+export default function BoardPickerSheet({ visible, boards, currentBoardId, onSelect, onCancel }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <View style={styles.backdrop}>
+        <Pressable style={styles.dismissArea} onPress={onCancel} accessibilityLabel="Close" />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Move to Board</Text>
+          <ScrollView style={styles.list}>
+            {boards.map((board) => {
+              const isCurrent = board.id === currentBoardId;
+              return (
+                <TouchableOpacity
+                  key={board.id}
+                  style={styles.boardRow}
+                  disabled={isCurrent}
+                  onPress={() => onSelect(board.id)}
+                >
+                  <MaterialCommunityIcons
+                    name={isCurrent ? 'check-circle' : 'folder-outline'}
+                    size={22}
+                    color={isCurrent ? colors.textMuted : colors.tint}
+                  />
+                  <Text style={[styles.boardName, isCurrent && styles.currentBoardName]}>{board.name}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+/**
+ * StyleSheet for the BoardPickerSheet component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  dismissArea: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 30,
+    maxHeight: '70%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  boardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  boardName: {
+    fontSize: 16,
+    color: colors.text,
+    marginLeft: 12,
+  },
+  currentBoardName: {
+    color: colors.textMuted,
+  },
+  cancelButton: {
+    alignSelf: 'flex-end',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginTop: 10,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,155 @@
+import DateTimePicker from '@react-native-community/datetimepicker';
+import React, { useState } from 'react';
+import { Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { formatDate, formatTime } from '@/utils/dateFormat';
+
+/**
+ * EntryTimeField shows when an entry happened, as a date and a time that each open
+ * the platform picker when pressed, so entries can be backdated. Until a time is
+ * picked the entry happens "now", meaning whenever it is saved.
+ * Days after today cannot be picked, and a time later than now is brought back to now.
+ * On Android the pickers are dialogs that close themselves; on iOS they appear
+ * inline below the field with a "Done" button.
+ *
+ * @param {Object} props - The component props.
+ * @param {Date|null} props.value - When the entry happened, or `null` for now.
+ * @param {Function} props.onChange - Called with the newly picked `Date`, or `null` when reset to now.
+ * @returns {JSX.Element} The rendered field.
+ */
+export default function EntryTimeField({ value, onChange }) {
+  const { colorScheme } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  /**
+   * State hook to store which picker is open: `'date'`, `'time'`, or `null` when neither is.
+   * @type {[string|null, Function]}
+   */
+  const [pickerMode, setPickerMode] = useState(null);
+
+  const pickerValue = value ?? new Date();
+
+  /**
+   * Handles a change from the picker, closing it on Android. The picked date or time
+   * replaces that part of the entry's time, and a time in the future is brought back to now.
+   *
+   * @param {Object} event The picker event; its `type` is `'dismissed'` if the dialog was cancelled.
+   * @param {Date|undefined} date The picked date or time.
+   * @returns {void}
+   */
+  const handlePickerChange = (event, date) => {
+    const mode = pickerMode;
+    if (Platform.OS === 'android') {
+      setPickerMode(null);
+    }
+    if (event.type === 'dismissed' || !date) {
+      return;
+    }
+    const pickedTime = new Date(pickerValue);
+    if (mode === 'date') {
+      pickedTime.setFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+    } else {
+      pickedTime.setHours(date.getHours(), date.getMinutes(), 0, 0);
+    }
+    const now = new Date();
+    onChange(pickedTime > now ? now : pickedTime);
+  };
+
+  /**
+   * Opens a picker, or closes it if it is already open.
+   *
+   * @param {string} mode The picker to open: `'date'` or `'time'`.
+   * @returns {void}
+   */
+  const togglePicker = (mode) => {
+    setPickerMode(pickerMode === mode ? null : mode);
+  };
+
+  return (
+    <View>
+      <View style={styles.row}>
+        <TouchableOpacity style={styles.field} onPress={() => togglePicker('date')}>
+          <Text style={styles.fieldText}>{value ? formatDate(value, preferences) : 'Today'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.field} onPress={() => togglePicker('time')}>
+          <Text style={styles.fieldText}>{value ? formatTime(value, preferences) : 'Now'}</Text>
+        </TouchableOpacity>
+        {value && (
+          <TouchableOpacity
+            style={styles.resetButton}
+            onPress={() => {
+              setPickerMode(null);
+              onChange(null);
+            }}
+          >
+            <Text style={styles.resetButtonText}>Use now</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {pickerMode && (
+        <>
+          <DateTimePicker
+            value={pickerValue}
+            mode={pickerMode}
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            maximumDate={pickerMode === 'date' ? new Date() : undefined}
+            onChange={handlePickerChange}
+            themeVariant={colorScheme}
+          />
+          {Platform.OS === 'ios' && (
+            <TouchableOpacity style={styles.doneButton} onPress={() => setPickerMode(null)}>
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the EntryTimeField component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  field: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    backgroundColor: colors.inputBackground,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    margin: 4,
+  },
+  fieldText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  resetButton: {
+    padding: 8,
+  },
+  resetButtonText: {
+    color: colors.tint,
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  doneButton: {
+    alignSelf: 'flex-end',
+    padding: 5,
+  },
+  doneButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
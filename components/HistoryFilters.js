@@ -0,0 +1,284 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { StyleSheet, Switch, Text, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import {
+  countActiveFilters,
+  DATE_RANGE_PRESETS,
+  DEFAULT_FILTERS,
+  getPresetDateRange,
+  SORT_OPTIONS,
+} from '@/utils/entryFilters';
+
+/**
+ * HistoryFilters is the search bar shown above the History list, with an expandable
+ * panel for mood, date range and photo filters and the sort order.
+ *
+ * @param {Object} props - The component props.
+ * @param {Object} props.filters - The current filters (see `DEFAULT_FILTERS`).
+ * @param {Function} props.onChangeFilters - Called with the complete new filters on every change.
+ * @param {Array<Object>} props.moods - The mood catalog. Archived moods are offered only while selected.
+ * @returns {JSX.Element} The rendered search and filter controls.
+ */
+export default function HistoryFilters({ filters, onChangeFilters, moods }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  /**
+   * State hook to store whether the filter panel is expanded.
+   * @type {[boolean, Function]}
+   */
+  const [isExpanded, setIsExpanded] = useState(false);
+  const activeFilterCount = countActiveFilters(filters);
+
+  /**
+   * Applies changes on top of the current filters.
+   *
+   * @param {Object} changes The filter fields to change.
+   * @returns {void}
+   */
+  const updateFilters = (changes) => onChangeFilters({ ...filters, ...changes });
+
+  /**
+   * Adds a mood to the mood filter, or removes it if it is already selected.
+   *
+   * @param {string} moodId The id of the mood to toggle.
+   * @returns {void}
+   */
+  const toggleMood = (moodId) => {
+    updateFilters({
+      moods: filters.moods.includes(moodId)
+        ? filters.moods.filter((selected) => selected !== moodId)
+        : [...filters.moods, moodId],
+    });
+  };
+
+  /**
+   * Tells whether a date range preset matches the current date filter.
+   *
+   * @param {Object} preset The preset to check.
+   * @returns {boolean} `true` if the preset is the active date range.
+   */
+  const isPresetSelected = (preset) => {
+    const range = getPresetDateRange(preset.days);
+    return range.startDayKey === filters.startDayKey && range.endDayKey === filters.endDayKey;
+  };
+
+  /**
+   * Renders a selectable chip.
+   *
+   * @param {string} key The chip's React key.
+   * @param {string} label The chip's text.
+   * @param {boolean} isSelected Whether the chip is highlighted.
+   * @param {Function} onPress Called when the chip is pressed.
+   * @returns {JSX.Element} The rendered chip.
+   */
+  const renderChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.selectedChip]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <View style={styles.searchBox}>
+          <MaterialCommunityIcons name="magnify" size={20} color={colors.textMuted} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search your journal"
+            placeholderTextColor={colors.textMuted}
+            value={filters.searchText}
+            onChangeText={(searchText) => updateFilters({ searchText })}
+            returnKeyType="search"
+          />
+          {filters.searchText !== '' && (
+            <TouchableOpacity onPress={() => updateFilters({ searchText: '' })}>
+              <MaterialCommunityIcons name="close-circle" size={18} color={colors.textMuted} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity style={styles.filterButton} onPress={() => setIsExpanded(!isExpanded)}>
+          <MaterialCommunityIcons name="tune-variant" size={22} color={colors.onTint} />
+          {activeFilterCount > 0 && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>{activeFilterCount}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {isExpanded && (
+        <View style={styles.panel}>
+          <Text style={styles.panelLabel}>Moods</Text>
+          <View style={styles.chipRow}>
+            {moods
+              .filter((mood) => !mood.archived || filters.moods.includes(mood.id))
+              .map((mood) =>
+                renderChip(
+                  mood.id,
+                  `${mood.emoji} ${mood.label}`.trim(),
+                  filters.moods.includes(mood.id),
+                  () => toggleMood(mood.id)
+                )
+              )}
+          </View>
+
+          <Text style={styles.panelLabel}>Date range</Text>
+          <View style={styles.chipRow}>
+            {DATE_RANGE_PRESETS.map((preset) =>
+              renderChip(
+                preset.key,
+                preset.label,
+                isPresetSelected(preset),
+                () => updateFilters(getPresetDateRange(preset.days))
+              )
+            )}
+          </View>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.panelLabel}>Only entries with a photo</Text>
+            <Switch
+              value={filters.photoOnly}
+              onValueChange={(photoOnly) => updateFilters({ photoOnly })}
+              trackColor={{ true: colors.tint }}
+            />
+          </View>
+
+          <Text style={styles.panelLabel}>Sort by</Text>
+          <View style={styles.chipRow}>
+            {SORT_OPTIONS.map((option) =>
+              renderChip(
+                option.key,
+                option.label,
+                filters.sortBy === option.key,
+                () => updateFilters({ sortBy: option.key })
+              )
+            )}
+          </View>
+
+          <TouchableOpacity
+            style={styles.clearButton}
+            onPress={() => onChangeFilters(DEFAULT_FILTERS)}
+          >
+            <Text style={styles.clearButtonText}>Clear all</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the HistoryFilters component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    width: '100%',
+    marginBottom: 5,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.card,
+    borderRadius: 20,
+    paddingHorizontal: 12,
+    height: 40,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: colors.text,
+    marginHorizontal: 6,
+  },
+  filterButton: {
+    backgroundColor: colors.tint,
+    borderRadius: 20,
+    width: 40,
+    height: 40,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badge: {
+    position: 'absolute',
+    top: -4,
+    right: -4,
+    backgroundColor: colors.danger,
+    borderRadius: 9,
+    minWidth: 18,
+    height: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeText: {
+    color: colors.onTint,
+    fontSize: 11,
+    fontWeight: 'bold',
+  },
+  panel: {
+    backgroundColor: colors.card,
+    borderRadius: 15,
+    padding: 15,
+    marginTop: 10,
+  },
+  panelLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginTop: 5,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 5,
+  },
+  chip: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: colors.tint,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.tint,
+  },
+  selectedChipText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  clearButton: {
+    alignSelf: 'center',
+    marginTop: 5,
+    padding: 5,
+  },
+  clearButtonText: {
+    color: colors.danger,
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,90 @@
+import Slider from '@react-native-community/slider';
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * Lowest and highest intensity an entry can have.
+ * @type {{min: number, max: number}}
+ */
+export const INTENSITY_RANGE = { min: 1, max: 10 };
+
+/**
+ * Intensity new entries start with, halfway along the scale.
+ * @type {number}
+ */
+export const DEFAULT_INTENSITY = 5;
+
+/**
+ * IntensitySlider lets users rate how strongly they feel their mood, from 1 to 10.
+ *
+ * @param {Object} props - The component props.
+ * @param {number} props.value - The current intensity.
+ * @param {Function} props.onChange - Called with the new intensity as the slider moves.
+ * @returns {JSX.Element} The rendered intensity slider.
+ */
+export default function IntensitySlider({ value, onChange }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>Intensity</Text>
+        <Text style={styles.value}>{value}/{INTENSITY_RANGE.max}</Text>
+      </View>
+      <Slider
+        style={styles.slider}
+        minimumValue={INTENSITY_RANGE.min}
+        maximumValue={INTENSITY_RANGE.max}
+        step={1}
+        value={value}
+        onValueChange={onChange}
+        minimumTrackTintColor={colors.tint}
+        maximumTrackTintColor={colors.border}
+        thumbTintColor={colors.tint}
+        accessibilityLabel="Mood intensity"
+      />
+      <View style={styles.labelRow}>
+        <Text style={styles.hint}>Barely</Text>
+        <Text style={styles.hint}>Overwhelming</Text>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the IntensitySlider component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 10,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+  },
+  value: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.tint,
+  },
+  slider: {
+    width: '100%',
+    height: 40,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+});
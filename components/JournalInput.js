@@ -0,0 +1,50 @@
+import React from 'react';
+import { StyleSheet, TextInput } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * JournalInput is the multiline text field used to write a journal entry.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.value - The current journal text.
+ * @param {Function} props.onChangeText - Called with the new text on every change.
+ * @returns {JSX.Element} The rendered journal text input.
+ */
+export default function JournalInput({ value, onChangeText }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  return (
+    <TextInput
+      style={styles.textInput}
+      placeholder="What's on your mind?"
+      multiline
+      numberOfLines={4}
+      value={value}
+      onChangeText={onChangeText}
+      placeholderTextColor={colors.textMuted}
+    />
+  );
+}
+
+/**
+ * StyleSheet for the JournalInput component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  textInput: {
+    width: '100%',
+    height: 120,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 15,
+    backgroundColor: colors.inputBackground,
+    textAlignVertical: 'top',
+    fontSize: 16,
+    color: colors.text,
+  },
+});
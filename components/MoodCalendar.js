@@ -0,0 +1,194 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import React, { useMemo } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { formatMonthYear } from '@/utils/dateFormat';
+import { getDayKey, getDominantMood, getOrderedWeekdays, WEEKDAY_LABELS } from '@/utils/moodStats';
+import { findMood } from '@/utils/moods';
+
+/**
+ * MoodCalendar shows one month at a glance. Each day with entries is filled with
+ * the color of that day's dominant mood; tapping a day reports it to `onSelectDay`.
+ * Weeks start on the first day of the week chosen in Settings.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<Object>} props.entries - The mood entries to plot.
+ * @param {Array<Object>} props.moods - The mood catalog, for each mood's color.
+ * @param {Date} props.month - Any date within the month to show.
+ * @param {Function} props.onChangeMonth - Called with a date in the previous or next month.
+ * @param {string|null} props.selectedDayKey - The day key (see `getDayKey`) to highlight, if any.
+ * @param {Function} props.onSelectDay - Called with the day key of a tapped day.
+ * @returns {JSX.Element} The rendered calendar.
+ */
+export default function MoodCalendar({ entries, moods, month, onChangeMonth, selectedDayKey, onSelectDay }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  const { firstDayOfWeek } = preferences;
+  const year = month.getFullYear();
+  const monthIndex = month.getMonth();
+
+  /**
+   * Entries grouped by the day they were logged on.
+   * @type {Map<string, Array<Object>>}
+   */
+  const entriesByDay = useMemo(() => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const dayKey = getDayKey(new Date(entry.timestamp));
+      groups.set(dayKey, [...(groups.get(dayKey) ?? []), entry]);
+    });
+    return groups;
+  }, [entries]);
+
+  /**
+   * The calendar grid as rows of seven cells, starting on the first day of the week.
+   * Cells before the first and after the last day of the month are `null`.
+   * @type {Array<Array<Date|null>>}
+   */
+  const weeks = useMemo(() => {
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    const leadingBlanks = (new Date(year, monthIndex, 1).getDay() - firstDayOfWeek + 7) % 7;
+    const cells = [
+      ...Array(leadingBlanks).fill(null),
+      ...Array.from({ length: daysInMonth }, (_, index) => new Date(year, monthIndex, index + 1)),
+    ];
+    while (cells.length % 7 !== 0) {
+      cells.push(null);
+    }
+    const rows = [];
+    for (let index = 0; index < cells.length; index += 7) {
+      rows.push(cells.slice(index, index + 7));
+    }
+    return rows;
+  }, [year, monthIndex, firstDayOfWeek]);
+
+  const todayKey = getDayKey(new Date());
+  const monthLabel = formatMonthYear(month, preferences);
+
+  /**
+   * Renders a single day cell, colored by the day's dominant mood.
+   *
+   * @param {Date|null} date The day to render, or `null` for a blank cell.
+   * @param {number} index The cell's position within its week.
+   * @returns {JSX.Element} The rendered cell.
+   */
+  const renderDay = (date, index) => {
+    if (!date) {
+      return <View key={`blank-${index}`} style={styles.dayCell} />;
+    }
+
+    const dayKey = getDayKey(date);
+    const dayEntries = entriesByDay.get(dayKey) ?? [];
+    const dominantMoodId = getDominantMood(dayEntries, moods);
+    const moodColor = dominantMoodId ? findMood(moods, dominantMoodId).color : null;
+
+    return (
+      <TouchableOpacity
+        key={dayKey}
+        style={styles.dayCell}
+        disabled={dayEntries.length === 0}
+        onPress={() => onSelectDay(dayKey)}
+      >
+        <View
+          style={[
+            styles.dayFill,
+            moodColor && { backgroundColor: moodColor },
+            dayKey === todayKey && styles.today,
+            dayKey === selectedDayKey && styles.selectedDay,
+          ]}
+        >
+          <Text style={[styles.dayNumber, moodColor && styles.loggedDayNumber]}>
+            {date.getDate()}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <View style={styles.monthHeader}>
+        <TouchableOpacity onPress={() => onChangeMonth(new Date(year, monthIndex - 1, 1))}>
+          <MaterialCommunityIcons name="chevron-left" size={28} color={colors.tint} />
+        </TouchableOpacity>
+        <Text style={styles.monthLabel}>{monthLabel}</Text>
+        <TouchableOpacity onPress={() => onChangeMonth(new Date(year, monthIndex + 1, 1))}>
+          <MaterialCommunityIcons name="chevron-right" size={28} color={colors.tint} />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.week}>
+        {getOrderedWeekdays(firstDayOfWeek).map((weekday) => (
+          <Text key={weekday} style={styles.weekdayLabel}>{WEEKDAY_LABELS[weekday]}</Text>
+        ))}
+      </View>
+
+      {weeks.map((week, weekIndex) => (
+        <View key={weekIndex} style={styles.week}>
+          {week.map(renderDay)}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the MoodCalendar component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  monthHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  monthLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  week: {
+    flexDirection: 'row',
+  },
+  weekdayLabel: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    color: colors.textMuted,
+    marginBottom: 6,
+  },
+  dayCell: {
+    flex: 1,
+    aspectRatio: 1,
+    padding: 2,
+  },
+  dayFill: {
+    flex: 1,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.inputBackground,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  today: {
+    borderColor: colors.textMuted,
+  },
+  selectedDay: {
+    borderColor: colors.tint,
+  },
+  dayNumber: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  loggedDayNumber: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
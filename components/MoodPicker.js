@@ -0,0 +1,85 @@
+import React from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * MoodPicker renders one colored button per active mood in the catalog and highlights the selected one.
+ * An archived mood is shown only while it is selected, so older entries can keep it.
+ * Used by the New Entry screen and the entry edit screen.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<Object>} props.moods - The mood catalog.
+ * @param {string|null} props.selectedMoodId - The id of the currently selected mood, if any.
+ * @param {Function} props.onSelectMood - Called with the mood's id when a button is pressed.
+ * @returns {JSX.Element} The rendered mood selector.
+ */
+export default function MoodPicker({ moods, selectedMoodId, onSelectMood }) {
+  const styles = useThemedStyles(createStyles);
+  const visibleMoods = moods.filter((mood) => !mood.archived || mood.id === selectedMoodId);
+
+  return (
+    <View style={styles.moodSelectorContainer}>
+      {visibleMoods.map((mood) => (
+        <TouchableOpacity
+          key={mood.id}
+          style={[
+            styles.moodButton,
+            { backgroundColor: mood.color },
+            selectedMoodId === mood.id && styles.selectedMoodButton,
+          ]}
+          onPress={() => onSelectMood(mood.id)}
+        >
+          {mood.emoji ? <Text style={styles.moodEmoji}>{mood.emoji}</Text> : null}
+          <Text style={styles.moodText}>{mood.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the MoodPicker component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  moodSelectorContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginBottom: 10,
+  },
+  moodButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 18,
+    borderRadius: 25,
+    margin: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minWidth: 90,
+    borderWidth: 2,
+    borderColor: 'transparent',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 4,
+  },
+  selectedMoodButton: {
+    borderColor: colors.tint,
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  moodEmoji: {
+    fontSize: 32,
+    marginBottom: 4,
+  },
+  moodText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#FFF',
+  },
+});
@@ -0,0 +1,234 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import React from 'react';
+import { Alert, Image, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { persistPhoto } from '@/storage/photos';
+import { getImagePickerOptions, getMultiplePickerOptions } from '@/utils/imagePickerOptions';
+
+/**
+ * Most photos that can be attached to one entry.
+ * @type {number}
+ */
+export const MAX_ENTRY_PHOTOS = 6;
+
+/**
+ * PhotoAttachments lets the user attach photos to an entry, either by taking them
+ * with the camera or by choosing them from the photo library, and shows them as a
+ * row of thumbnails. Each thumbnail can be moved earlier or later, which sets the
+ * order of the gallery on History cards, or removed.
+ * Used by the New Entry screen and the entry edit screen.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<string>} props.imageUris - The URIs of the attached photos, in order.
+ * @param {Function} props.onChangeImageUris - Called with the new list of photo URIs.
+ * @returns {JSX.Element} The rendered photo section.
+ */
+export default function PhotoAttachments({ imageUris, onChangeImageUris }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+
+  const remaining = MAX_ENTRY_PHOTOS - imageUris.length;
+
+  /**
+   * Copies picked photos out of the picker's cache into app storage and appends
+   * the stored copies to the entry's photos.
+   *
+   * @param {Array<Object>} assets The assets returned by the image picker.
+   * @returns {Promise<void>} A promise that resolves when the photos are stored.
+   */
+  const addAssets = async (assets) => {
+    try {
+      const storedUris = [];
+      for (const asset of assets.slice(0, remaining)) {
+        storedUris.push(await persistPhoto(asset.uri));
+      }
+      onChangeImageUris([...imageUris, ...storedUris]);
+    } catch (error) {
+      console.error('Error storing photo:', error);
+      Alert.alert('Error', 'Failed to save the photo.');
+    }
+  };
+
+  /**
+   * Handles taking a picture using the device's camera.
+   * Requests camera permissions, launches the camera, and adds the photo if one is taken.
+   * Displays an alert if camera permission is denied.
+   *
+   * @returns {Promise<void>} A promise that resolves when the picture is taken or cancelled.
+   */
+  const takePicture = async () => {
+    const { status } = await ImagePicker.requestCameraPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Sorry, we need camera permissions to make this work!');
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync(getImagePickerOptions(preferences));
+    if (!result.canceled) {
+      await addAssets(result.assets);
+    }
+  };
+
+  /**
+   * Handles choosing photos from the library. A single photo can be cropped like
+   * one from the camera; several can be chosen at once, up to the photos left.
+   * Displays an alert if photo library permission is denied.
+   *
+   * @returns {Promise<void>} A promise that resolves when the photos are chosen or picking is cancelled.
+   */
+  const pickFromLibrary = async () => {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Sorry, we need photo library permissions to make this work!');
+      return;
+    }
+
+    const options = remaining > 1
+      ? getMultiplePickerOptions(preferences, remaining)
+      : getImagePickerOptions(preferences);
+    const result = await ImagePicker.launchImageLibraryAsync(options);
+    if (!result.canceled) {
+      await addAssets(result.assets);
+    }
+  };
+
+  /**
+   * Moves a photo one place earlier or later.
+   *
+   * @param {number} index The current position of the photo.
+   * @param {number} offset `-1` to move it earlier, `1` to move it later.
+   * @returns {void}
+   */
+  const movePhoto = (index, offset) => {
+    const reordered = [...imageUris];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+    onChangeImageUris(reordered);
+  };
+
+  /**
+   * Removes a photo from the entry.
+   *
+   * @param {number} index The position of the photo.
+   * @returns {void}
+   */
+  const removePhoto = (index) => {
+    onChangeImageUris(imageUris.filter((_, i) => i !== index));
+  };
+
+  return (
+    <>
+      {remaining > 0 ? (
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.cameraButton} onPress={takePicture}>
+            <Text style={styles.cameraButtonText}>Take Photo</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.cameraButton} onPress={pickFromLibrary}>
+            <Text style={styles.cameraButtonText}>From Library</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <Text style={styles.limitText}>{`You can attach up to ${MAX_ENTRY_PHOTOS} photos.`}</Text>
+      )}
+      {imageUris.length > 0 && (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.thumbnailRow}>
+          {imageUris.map((uri, index) => (
+            <View key={uri} style={styles.thumbnail}>
+              <Image source={{ uri }} style={styles.thumbnailImage} />
+              <View style={styles.thumbnailActions}>
+                <TouchableOpacity
+                  disabled={index === 0}
+                  onPress={() => movePhoto(index, -1)}
+                  accessibilityLabel="Move photo earlier"
+                >
+                  <MaterialCommunityIcons
+                    name="chevron-left"
+                    size={24}
+                    color={index === 0 ? colors.border : colors.tint}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => removePhoto(index)} accessibilityLabel="Remove photo">
+                  <MaterialCommunityIcons name="delete-outline" size={22} color={colors.danger} />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  disabled={index === imageUris.length - 1}
+                  onPress={() => movePhoto(index, 1)}
+                  accessibilityLabel="Move photo later"
+                >
+                  <MaterialCommunityIcons
+                    name="chevron-right"
+                    size={24}
+                    color={index === imageUris.length - 1 ? colors.border : colors.tint}
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+        </ScrollView>
+      )}
+    </>
+  );
+}
+
+/**
+ * StyleSheet for the PhotoAttachments component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  cameraButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderRadius: 30,
+    marginHorizontal: 5,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  cameraButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  limitText: {
+    textAlign: 'center',
+    color: colors.textMuted,
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  thumbnailRow: {
+    paddingVertical: 5,
+  },
+  thumbnail: {
+    marginRight: 10,
+    alignItems: 'center',
+  },
+  thumbnailImage: {
+    width: 110,
+    height: 110,
+    borderRadius: 10,
+    resizeMode: 'cover',
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  thumbnailActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    width: 110,
+    marginTop: 4,
+  },
+});
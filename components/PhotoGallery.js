@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { FlatList, Image, Pressable, StyleSheet, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * PhotoGallery shows an entry's photos one at a time, swiping sideways between
+ * them, with a row of dots marking the photo in view. A single photo is shown on
+ * its own, without dots. Used on History cards.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<string>} props.imageUris - The URIs of the photos, in gallery order.
+ * @param {number} [props.height=200] - The height of the gallery.
+ * @param {Function} [props.onPressImage] - Called with the position of a photo when it is tapped.
+ * @returns {JSX.Element|null} The rendered gallery, or `null` when there are no photos.
+ */
+export default function PhotoGallery({ imageUris, height = 200, onPressImage }) {
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store the width of the gallery, measured once it is laid out,
+   * so each photo fills exactly one page.
+   * @type {[number, Function]}
+   */
+  const [width, setWidth] = useState(0);
+  /**
+   * State hook to store the position of the photo in view.
+   * @type {[number, Function]}
+   */
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  if (imageUris.length === 0) {
+    return null;
+  }
+
+  if (imageUris.length === 1) {
+    return (
+      <Pressable onPress={() => onPressImage?.(0)} accessibilityRole="imagebutton">
+        <Image source={{ uri: imageUris[0] }} style={[styles.image, styles.singleImage, { height }]} />
+      </Pressable>
+    );
+  }
+
+  /**
+   * Updates the dots once a swipe settles on a photo.
+   *
+   * @param {Object} event The scroll event.
+   * @returns {void}
+   */
+  const handleScrollEnd = (event) => {
+    if (width > 0) {
+      setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+    }
+  };
+
+  return (
+    <View style={styles.container} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+      <FlatList
+        data={imageUris}
+        keyExtractor={(uri) => uri}
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={handleScrollEnd}
+        renderItem={({ item, index }) => (
+          <Pressable onPress={() => onPressImage?.(index)} accessibilityRole="imagebutton">
+            <Image source={{ uri: item }} style={[styles.image, { width, height }]} />
+          </Pressable>
+        )}
+      />
+      <View style={styles.dots}>
+        {imageUris.map((uri, index) => (
+          <View key={uri} style={[styles.dot, index === activeIndex && styles.activeDot]} />
+        ))}
+      </View>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the PhotoGallery component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    marginTop: 10,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  image: {
+    resizeMode: 'cover',
+  },
+  singleImage: {
+    width: '100%',
+    borderRadius: 8,
+    marginTop: 10,
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 6,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 3,
+    backgroundColor: colors.border,
+  },
+  activeDot: {
+    backgroundColor: colors.tint,
+  },
+});
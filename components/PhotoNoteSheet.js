@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Image,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * Longest note, in characters, that can be written for a photo.
+ * @type {number}
+ */
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Shared empty list for the optional props, so their default does not change on every render.
+ * @type {Array<*>}
+ */
+const EMPTY_LIST = [];
+
+/**
+ * PhotoNoteSheet is a bottom sheet for writing or changing the note on a photo,
+ * with a preview of the photo above the text field. It works the same on every
+ * platform, unlike `Alert.prompt`, which only exists on iOS.
+ * When moods are offered, the photo can also be tagged with the moods it helps with.
+ * Tapping outside the sheet or the back button counts as cancelling.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.visible - Whether the sheet is shown.
+ * @param {string|null} props.imageUri - The URI of the photo to preview.
+ * @param {string} props.initialNote - The note the text field starts with.
+ * @param {string} props.title - The heading of the sheet.
+ * @param {string} [props.cancelLabel='Cancel'] - The label of the button that closes the sheet without saving.
+ * @param {Array<Object>} [props.moodOptions=[]] - The moods the photo can be tagged with. No mood chips are shown when empty.
+ * @param {Array<string>} [props.initialMoodIds=[]] - The ids of the moods the photo starts tagged with.
+ * @param {Function} props.onSave - Called with the trimmed note and the ids of the tagged moods when Save is pressed.
+ * @param {Function} props.onCancel - Called when the sheet is closed without saving.
+ * @returns {JSX.Element} The rendered sheet.
+ */
+export default function PhotoNoteSheet({
+  visible,
+  imageUri,
+  initialNote,
+  title,
+  cancelLabel = 'Cancel',
+  moodOptions = EMPTY_LIST,
+  initialMoodIds = EMPTY_LIST,
+  onSave,
+  onCancel,
+}) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store the note being written.
+   * @type {[string, Function]}
+   */
+  const [note, setNote] = useState(initialNote);
+  /**
+   * State hook to store the ids of the moods the photo is tagged with.
+   * @type {[Array<string>, Function]}
+   */
+  const [moodIds, setMoodIds] = useState(initialMoodIds);
+
+  /**
+   * Effect hook that starts the text field and mood chips from the photo's current
+   * note and moods each time the sheet opens.
+   */
+  useEffect(() => {
+    if (visible) {
+      setNote(initialNote);
+      setMoodIds(initialMoodIds);
+    }
+  }, [visible, initialNote, initialMoodIds]);
+
+  /**
+   * Tags the photo with a mood, or removes the tag.
+   *
+   * @param {string} moodId The id of the mood.
+   * @returns {void}
+   */
+  const toggleMood = (moodId) => {
+    setMoodIds((currentIds) =>
+      currentIds.includes(moodId) ? currentIds.filter((id) => id !== moodId) : [...currentIds, moodId]
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onCancel}>
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <Pressable style={styles.dismissArea} onPress={onCancel} accessibilityLabel="Close" />
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          {imageUri && <Image source={{ uri: imageUri }} style={styles.preview} />}
+          <TextInput
+            style={styles.input}
+            placeholder="Add a note (optional)"
+            placeholderTextColor={colors.textMuted}
+            value={note}
+            onChangeText={setNote}
+            multiline
+            maxLength={MAX_NOTE_LENGTH}
+            autoFocus
+          />
+          <Text style={styles.counter}>{`${note.length}/${MAX_NOTE_LENGTH}`}</Text>
+          {moodOptions.length > 0 && (
+            <>
+              <Text style={styles.moodLabel}>Helps with these moods:</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+                {moodOptions.map((mood) => {
+                  const isSelected = moodIds.includes(mood.id);
+                  return (
+                    <TouchableOpacity
+                      key={mood.id}
+                      style={[styles.moodChip, isSelected && { backgroundColor: mood.color, borderColor: mood.color }]}
+                      onPress={() => toggleMood(mood.id)}
+                    >
+                      <Text style={[styles.moodChipText, isSelected && styles.selectedMoodChipText]}>
+                        {mood.emoji} {mood.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            </>
+          )}
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>{cancelLabel}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.saveButton} onPress={() => onSave(note.trim(), moodIds)}>
+              <Text style={styles.saveButtonText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+/**
+ * StyleSheet for the PhotoNoteSheet component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'flex-end',
+  },
+  dismissArea: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 30,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  preview: {
+    width: '100%',
+    height: 200,
+    borderRadius: 10,
+    resizeMode: 'cover',
+    marginBottom: 12,
+  },
+  input: {
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 16,
+    color: colors.text,
+    backgroundColor: colors.inputBackground,
+    textAlignVertical: 'top',
+  },
+  counter: {
+    alignSelf: 'flex-end',
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: 4,
+  },
+  moodLabel: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginTop: 6,
+    marginBottom: 6,
+  },
+  moodChip: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: 6,
+  },
+  moodChipText: {
+    fontSize: 13,
+    color: colors.text,
+  },
+  selectedMoodChipText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 10,
+    paddingHorizontal: 25,
+    borderRadius: 10,
+  },
+  saveButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
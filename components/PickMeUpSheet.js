@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { FlatList, Image, Modal, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * PickMeUpSheet offers a carousel of inspiration photos after a low mood is
+ * logged: the photos the user tagged as helping with that mood, each with its note.
+ * The photos can be swiped through, with dots marking the one in view.
+ * Tapping outside the card, the back button or the close button dismisses it.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.visible - Whether the sheet is shown.
+ * @param {Object|null} props.mood - The mood that was logged.
+ * @param {Array<Object>} props.images - The inspiration images to show.
+ * @param {Function} props.onClose - Called when the sheet is dismissed.
+ * @returns {JSX.Element} The rendered sheet.
+ */
+export default function PickMeUpSheet({ visible, mood, images, onClose }) {
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * State hook to store the width of the carousel, measured once it is laid out,
+   * so each photo fills exactly one page.
+   * @type {[number, Function]}
+   */
+  const [width, setWidth] = useState(0);
+  /**
+   * State hook to store the position of the photo in view.
+   * @type {[number, Function]}
+   */
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  /**
+   * Updates the dots once a swipe settles on a photo.
+   *
+   * @param {Object} event The scroll event.
+   * @returns {void}
+   */
+  const handleScrollEnd = (event) => {
+    if (width > 0) {
+      setActiveIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      onShow={() => setActiveIndex(0)}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose}>
+        <TouchableOpacity style={styles.card} activeOpacity={1}>
+          <Text style={styles.title}>A little pick-me-up 💛</Text>
+          {mood && (
+            <Text style={styles.subtitle}>
+              {`Feeling ${mood.emoji} ${mood.label.toLowerCase()}? Here's some of what you saved for moments like this.`}
+            </Text>
+          )}
+          <View style={styles.carousel} onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+            <FlatList
+              data={images}
+              keyExtractor={(image) => image.id}
+              horizontal
+              pagingEnabled
+              showsHorizontalScrollIndicator={false}
+              onMomentumScrollEnd={handleScrollEnd}
+              renderItem={({ item }) => (
+                <View style={{ width }}>
+                  <Image source={{ uri: item.uri }} style={styles.image} />
+                  {item.note ? <Text style={styles.note}>{item.note}</Text> : null}
+                </View>
+              )}
+            />
+          </View>
+          {images.length > 1 && (
+            <View style={styles.dots}>
+              {images.map((image, index) => (
+                <View key={image.id} style={[styles.dot, index === activeIndex && styles.activeDot]} />
+              ))}
+            </View>
+          )}
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>Thanks</Text>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+}
+
+/**
+ * StyleSheet for the PickMeUpSheet component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: colors.overlay,
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 20,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  carousel: {
+    width: '100%',
+  },
+  image: {
+    width: '100%',
+    height: 260,
+    borderRadius: 12,
+    resizeMode: 'cover',
+  },
+  note: {
+    fontSize: 16,
+    color: colors.text,
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  dots: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 10,
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    marginHorizontal: 3,
+    backgroundColor: colors.border,
+  },
+  activeDot: {
+    backgroundColor: colors.tint,
+  },
+  closeButton: {
+    backgroundColor: colors.tint,
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  closeButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,163 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { PIN_LENGTH } from '@/services/appLock';
+
+/**
+ * Keys of the on-screen keypad, row by row. `biometric` and `backspace` are special keys.
+ * @type {Array<Array<string>>}
+ */
+const KEYPAD_ROWS = [
+  ['1', '2', '3'],
+  ['4', '5', '6'],
+  ['7', '8', '9'],
+  ['biometric', '0', 'backspace'],
+];
+
+/**
+ * PinPad shows a row of dots for the digits entered so far and a numeric keypad.
+ * Once `PIN_LENGTH` digits have been entered, they are passed to `onComplete`
+ * and the pad is cleared for the next attempt.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.title - The prompt shown above the dots.
+ * @param {string} [props.message] - An extra line under the title, such as an error.
+ * @param {Function} props.onComplete - Called with the entered PIN.
+ * @param {Function} [props.onBiometricPress] - If given, a biometric key is shown that calls it.
+ * @param {boolean} [props.disabled=false] - Whether the keypad ignores presses.
+ * @returns {JSX.Element} The rendered PIN pad.
+ */
+export default function PinPad({ title, message, onComplete, onBiometricPress, disabled = false }) {
+  /**
+   * State hook to store the digits entered so far.
+   * @type {[string, Function]}
+   */
+  const [digits, setDigits] = useState('');
+
+  /**
+   * Handles a keypad press: adds a digit, removes the last one, or starts biometric unlock.
+   *
+   * @param {string} key The pressed key.
+   * @returns {void}
+   */
+  const pressKey = (key) => {
+    if (key === 'biometric') {
+      onBiometricPress?.();
+      return;
+    }
+    if (key === 'backspace') {
+      setDigits(digits.slice(0, -1));
+      return;
+    }
+
+    const updatedDigits = `${digits}${key}`;
+    if (updatedDigits.length === PIN_LENGTH) {
+      setDigits('');
+      onComplete(updatedDigits);
+    } else {
+      setDigits(updatedDigits);
+    }
+  };
+
+  /**
+   * Renders a single keypad key.
+   *
+   * @param {string} key The key to render.
+   * @returns {JSX.Element} The rendered key.
+   */
+  const renderKey = (key) => {
+    if (key === 'biometric' && !onBiometricPress) {
+      return <View key={key} style={[styles.key, styles.blankKey]} />;
+    }
+    return (
+      <TouchableOpacity
+        key={key}
+        style={styles.key}
+        disabled={disabled}
+        onPress={() => pressKey(key)}
+        accessibilityLabel={key === 'backspace' ? 'Delete' : key === 'biometric' ? 'Unlock with biometrics' : key}
+      >
+        {key === 'backspace' ? (
+          <MaterialCommunityIcons name="backspace-outline" size={26} color="#FFF" />
+        ) : key === 'biometric' ? (
+          <MaterialCommunityIcons name="fingerprint" size={30} color="#FFF" />
+        ) : (
+          <Text style={styles.keyText}>{key}</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+      <Text style={styles.message}>{message ?? ' '}</Text>
+      <View style={styles.dots}>
+        {Array.from({ length: PIN_LENGTH }, (_, index) => (
+          <View key={index} style={[styles.dot, index < digits.length && styles.filledDot]} />
+        ))}
+      </View>
+      {KEYPAD_ROWS.map((row, rowIndex) => (
+        <View key={rowIndex} style={styles.keypadRow}>
+          {row.map(renderKey)}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the PinPad component.
+ */
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFF',
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 15,
+    color: '#FFE4E1',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  dots: {
+    flexDirection: 'row',
+    marginVertical: 25,
+  },
+  dot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#FFF',
+    marginHorizontal: 10,
+  },
+  filledDot: {
+    backgroundColor: '#FFF',
+  },
+  keypadRow: {
+    flexDirection: 'row',
+  },
+  key: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    margin: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+  blankKey: {
+    backgroundColor: 'transparent',
+  },
+  keyText: {
+    fontSize: 28,
+    color: '#FFF',
+  },
+});
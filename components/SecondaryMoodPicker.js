@@ -0,0 +1,83 @@
+import React from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * SecondaryMoodPicker offers the moods other than the main one as small chips,
+ * for an emotion felt alongside it. Tapping the selected chip clears the choice.
+ * An archived mood is shown only while it is selected.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<Object>} props.moods - The mood catalog.
+ * @param {string|null} props.primaryMoodId - The id of the main mood, which is not offered.
+ * @param {string|null} props.selectedMoodId - The id of the selected secondary mood, if any.
+ * @param {Function} props.onSelectMood - Called with the mood's id, or `null` when cleared.
+ * @returns {JSX.Element} The rendered secondary mood chips.
+ */
+export default function SecondaryMoodPicker({ moods, primaryMoodId, selectedMoodId, onSelectMood }) {
+  const styles = useThemedStyles(createStyles);
+  const visibleMoods = moods.filter(
+    (mood) => mood.id !== primaryMoodId && (!mood.archived || mood.id === selectedMoodId)
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Also feeling</Text>
+      <View style={styles.chipRow}>
+        {visibleMoods.map((mood) => {
+          const isSelected = mood.id === selectedMoodId;
+          return (
+            <TouchableOpacity
+              key={mood.id}
+              style={[styles.chip, { borderColor: mood.color }, isSelected && { backgroundColor: mood.color }]}
+              onPress={() => onSelectMood(isSelected ? null : mood.id)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>
+                {`${mood.emoji} ${mood.label}`.trim()}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the SecondaryMoodPicker component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    width: '100%',
+    marginTop: 15,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.textSecondary,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    borderRadius: 15,
+    borderWidth: 2,
+    margin: 3,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.text,
+  },
+  selectedChipText: {
+    color: '#FFF',
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,82 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { router } from 'expo-router';
+import React from 'react';
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useSyncStatus } from '@/hooks/useSyncStatus';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { formatDateTime } from '@/utils/dateFormat';
+
+/**
+ * Icon and wording for each sync state, given the number of changes waiting to be sent.
+ * @type {Object<string, {icon: string, describe: Function}>}
+ */
+const SYNC_STATE_DISPLAY = {
+  syncing: { icon: 'cloud-sync-outline', describe: () => 'Syncing…' },
+  idle: { icon: 'cloud-check-outline', describe: () => 'Synced' },
+  offline: {
+    icon: 'cloud-off-outline',
+    describe: (pendingCount) => (pendingCount > 0 ? `Offline · ${pendingCount} waiting` : 'Offline'),
+  },
+  error: { icon: 'cloud-alert-outline', describe: () => 'Sync failed' },
+};
+
+/**
+ * SyncStatusBadge shows at a glance whether the journal is synced, syncing, offline
+ * with changes waiting, or failed to sync. Tapping it opens the sync settings.
+ * Nothing is shown while sync is off.
+ *
+ * @returns {JSX.Element|null} The rendered badge, or `null` while sync is off.
+ */
+export default function SyncStatusBadge() {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  const status = useSyncStatus();
+
+  const display = SYNC_STATE_DISPLAY[status.state];
+  if (!display) {
+    return null;
+  }
+
+  const label =
+    status.state === 'idle' && status.lastSyncedAt
+      ? `Synced ${formatDateTime(new Date(status.lastSyncedAt), preferences)}`
+      : display.describe(status.pendingCount);
+
+  return (
+    <TouchableOpacity style={styles.badge} onPress={() => router.push('/sync')} accessibilityRole="button">
+      <MaterialCommunityIcons
+        name={display.icon}
+        size={16}
+        color={status.state === 'error' ? colors.danger : colors.textSecondary}
+      />
+      <Text style={styles.label}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * StyleSheet for the SyncStatusBadge component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: colors.card,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginLeft: 6,
+  },
+});
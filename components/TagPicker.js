@@ -0,0 +1,157 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { Alert, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { createActivityTag } from '@/storage/activityTags';
+
+/**
+ * TagPicker shows every activity tag as a chip that can be toggled on the entry,
+ * and a field for creating a new tag inline. New tags are saved for reuse and
+ * selected right away.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<{id: string, label: string}>} props.tags - Every activity tag.
+ * @param {Array<string>} props.selectedTagIds - The ids of the tags on the entry.
+ * @param {Function} props.onChangeSelectedTagIds - Called with the new list of selected tag ids.
+ * @returns {JSX.Element} The rendered tag picker.
+ */
+export default function TagPicker({ tags, selectedTagIds, onChangeSelectedTagIds }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  /**
+   * State hook to store the label typed for a new tag.
+   * @type {[string, Function]}
+   */
+  const [newTagLabel, setNewTagLabel] = useState('');
+
+  /**
+   * Adds a tag to the entry, or removes it if it is already on it.
+   *
+   * @param {string} tagId The id of the tag to toggle.
+   * @returns {void}
+   */
+  const toggleTag = (tagId) => {
+    onChangeSelectedTagIds(
+      selectedTagIds.includes(tagId)
+        ? selectedTagIds.filter((selected) => selected !== tagId)
+        : [...selectedTagIds, tagId]
+    );
+  };
+
+  /**
+   * Creates a tag from the typed label (or reuses an existing one with the same label)
+   * and adds it to the entry.
+   *
+   * @returns {Promise<void>} A promise that resolves when the tag is created.
+   */
+  const addNewTag = async () => {
+    if (!newTagLabel.trim()) {
+      return;
+    }
+    try {
+      const tag = await createActivityTag(newTagLabel);
+      if (!selectedTagIds.includes(tag.id)) {
+        onChangeSelectedTagIds([...selectedTagIds, tag.id]);
+      }
+      setNewTagLabel('');
+    } catch (error) {
+      console.error('Error creating activity tag:', error);
+      Alert.alert('Error', 'Failed to create the tag.');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.chipRow}>
+        {tags.map((tag) => {
+          const isSelected = selectedTagIds.includes(tag.id);
+          return (
+            <TouchableOpacity
+              key={tag.id}
+              style={[styles.chip, isSelected && styles.selectedChip]}
+              onPress={() => toggleTag(tag.id)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.selectedChipText]}>#{tag.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.newTagRow}>
+        <TextInput
+          style={styles.newTagInput}
+          placeholder="New tag, e.g. Family"
+          placeholderTextColor={colors.textMuted}
+          value={newTagLabel}
+          onChangeText={setNewTagLabel}
+          onSubmitEditing={addNewTag}
+          returnKeyType="done"
+          maxLength={24}
+        />
+        <TouchableOpacity style={styles.addButton} onPress={addNewTag} accessibilityLabel="Add tag">
+          <MaterialCommunityIcons name="plus" size={22} color={colors.onTint} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the TagPicker component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: colors.tint,
+    margin: 3,
+  },
+  selectedChip: {
+    backgroundColor: colors.tint,
+  },
+  chipText: {
+    fontSize: 14,
+    color: colors.tint,
+  },
+  selectedChipText: {
+    color: colors.onTint,
+    fontWeight: 'bold',
+  },
+  newTagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  newTagInput: {
+    flex: 1,
+    height: 40,
+    borderColor: colors.border,
+    borderWidth: 1,
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    backgroundColor: colors.inputBackground,
+    fontSize: 15,
+    color: colors.text,
+  },
+  addButton: {
+    backgroundColor: colors.tint,
+    borderRadius: 20,
+    width: 40,
+    height: 40,
+    marginLeft: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
@@ -0,0 +1,92 @@
+import {
+  DarkTheme,
+  DefaultTheme,
+  ThemeProvider as NavigationThemeProvider,
+} from '@react-navigation/native';
+import { StatusBar } from 'expo-status-bar';
+import { useEffect, useMemo, useState } from 'react';
+
+import { getThemeColors } from '@/constants/Colors';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { ThemeContext } from '@/hooks/useTheme';
+import {
+  DEFAULT_THEME_SETTINGS,
+  getThemeSettings,
+  subscribeToThemeSettings,
+} from '@/storage/themeSettings';
+
+/**
+ * Provides the active theme to the app: the user's chosen color scheme (or the
+ * device's, when set to follow the system) combined with their chosen accent.
+ * The navigation containers and the status bar are themed to match.
+ *
+ * @param {Object} props The component's props.
+ * @param {React.ReactNode} props.children The app content.
+ */
+export default function ThemeProvider({ children }) {
+  /**
+   * State variable holding the user's appearance settings.
+   * @type {[{mode: string, accent: string}, Function]}
+   */
+  const [settings, setSettings] = useState(DEFAULT_THEME_SETTINGS);
+
+  /**
+   * The device's current color scheme, which changes while the app is running
+   * when the user switches it in the system settings.
+   */
+  const systemColorScheme = useColorScheme();
+
+  /**
+   * Effect hook that loads the appearance settings and applies changes
+   * made on the Appearance screen as soon as they are saved.
+   */
+  useEffect(() => {
+    getThemeSettings()
+      .then(setSettings)
+      .catch((error) => {
+        console.error('Error loading appearance settings:', error);
+      });
+    return subscribeToThemeSettings(setSettings);
+  }, []);
+
+  const colorScheme =
+    settings.mode === 'system' ? (systemColorScheme === 'dark' ? 'dark' : 'light') : settings.mode;
+
+  /**
+   * The value handed to `ThemeContext`. Memoized so the theme colors keep their
+   * identity between renders, which is what `useThemedStyles` relies on.
+   */
+  const theme = useMemo(
+    () => ({ colorScheme, colors: getThemeColors(colorScheme, settings.accent), settings }),
+    [colorScheme, settings]
+  );
+
+  /**
+   * Navigation theme matching the app theme, which colors the area behind screens
+   * during transitions and the default header and tab bar.
+   */
+  const navigationTheme = useMemo(() => {
+    const baseTheme = colorScheme === 'dark' ? DarkTheme : DefaultTheme;
+    return {
+      ...baseTheme,
+      colors: {
+        ...baseTheme.colors,
+        primary: theme.colors.tint,
+        background: theme.colors.gradient[0],
+        card: theme.colors.tabBar,
+        text: theme.colors.text,
+        border: theme.colors.tabBarBorder,
+      },
+    };
+  }, [colorScheme, theme.colors]);
+
+  return (
+    <ThemeContext.Provider value={theme}>
+      <NavigationThemeProvider value={navigationTheme}>
+        {children}
+        {/* Every screen has a header in the accent color (or a dark one), so the status bar text stays light. */}
+        <StatusBar style="light" />
+      </NavigationThemeProvider>
+    </ThemeContext.Provider>
+  );
+}
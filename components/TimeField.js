@@ -0,0 +1,107 @@
+import DateTimePicker from '@react-native-community/datetimepicker';
+import React, { useState } from 'react';
+import { Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { formatTime } from '@/utils/dateFormat';
+
+/**
+ * TimeField shows a time of day and opens the platform time picker when pressed.
+ * On Android the picker is a dialog that closes itself; on iOS it appears
+ * inline below the field with a "Done" button.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.value - The current time, as an `HH:MM` string in 24-hour time.
+ * @param {Function} props.onChange - Called with the newly picked `HH:MM` time.
+ * @param {Object} [props.style] - Extra styles for the field.
+ * @returns {JSX.Element} The rendered time field.
+ */
+export default function TimeField({ value, onChange, style }) {
+  const { colorScheme } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  /**
+   * State hook to store whether the time picker is open.
+   * @type {[boolean, Function]}
+   */
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+
+  const [hours, minutes] = value.split(':').map(Number);
+  const pickerValue = new Date();
+  pickerValue.setHours(hours, minutes, 0, 0);
+
+  const displayValue = formatTime(pickerValue, preferences);
+
+  /**
+   * Handles a change from the time picker, closing it on Android.
+   *
+   * @param {Object} event The picker event; its `type` is `'dismissed'` if the dialog was cancelled.
+   * @param {Date|undefined} date The picked time.
+   * @returns {void}
+   */
+  const handlePickerChange = (event, date) => {
+    if (Platform.OS === 'android') {
+      setIsPickerOpen(false);
+    }
+    if (event.type === 'dismissed' || !date) {
+      return;
+    }
+    onChange(`${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`);
+  };
+
+  return (
+    <View style={style}>
+      <TouchableOpacity style={styles.field} onPress={() => setIsPickerOpen(!isPickerOpen)}>
+        <Text style={styles.fieldText}>{displayValue}</Text>
+      </TouchableOpacity>
+      {isPickerOpen && (
+        <>
+          <DateTimePicker
+            value={pickerValue}
+            mode="time"
+            display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+            onChange={handlePickerChange}
+            themeVariant={colorScheme}
+          />
+          {Platform.OS === 'ios' && (
+            <TouchableOpacity style={styles.doneButton} onPress={() => setIsPickerOpen(false)}>
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the TimeField component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  field: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 10,
+    backgroundColor: colors.inputBackground,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    alignSelf: 'flex-start',
+  },
+  fieldText: {
+    fontSize: 16,
+    color: colors.text,
+  },
+  doneButton: {
+    alignSelf: 'flex-end',
+    padding: 5,
+  },
+  doneButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
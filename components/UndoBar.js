@@ -0,0 +1,79 @@
+import React, { useEffect } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * How long the undo bar stays on screen before dismissing itself, in milliseconds.
+ * @type {number}
+ */
+const UNDO_TIMEOUT_MS = 5000;
+
+/**
+ * UndoBar is a snackbar shown at the bottom of a screen after a destructive action,
+ * offering a short window to take it back. It dismisses itself after a few seconds.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.message - The message describing what happened.
+ * @param {Function} props.onUndo - Called when the user taps "Undo".
+ * @param {Function} props.onDismiss - Called when the bar times out.
+ * @returns {JSX.Element} The rendered undo bar.
+ */
+export default function UndoBar({ message, onUndo, onDismiss }) {
+  const styles = useThemedStyles(createStyles);
+
+  /**
+   * Effect hook that dismisses the bar once the undo window has passed.
+   * The timer restarts whenever a new message is shown.
+   */
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [message, onDismiss]);
+
+  return (
+    <View style={styles.undoBar}>
+      <Text style={styles.undoMessage}>{message}</Text>
+      <TouchableOpacity onPress={onUndo}>
+        <Text style={styles.undoButtonText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the UndoBar component.
+ * The bar inverts the theme, so it stands out from the screen in both color schemes.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  undoBar: {
+    position: 'absolute',
+    left: 15,
+    right: 15,
+    bottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: colors.text,
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 18,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  undoMessage: {
+    color: colors.background,
+    fontSize: 15,
+  },
+  undoButtonText: {
+    color: colors.tintSoft,
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
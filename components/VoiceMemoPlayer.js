@@ -0,0 +1,217 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { setAudioModeAsync, useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { formatDuration } from '@/utils/dateFormat';
+
+/**
+ * The player currently playing a memo, so starting another memo pauses it.
+ * @type {Object|null}
+ */
+let activePlayer = null;
+
+/**
+ * Starts a player, pausing any other memo that is playing. A memo that has
+ * played to the end starts again from the beginning.
+ *
+ * @param {Object} player The audio player.
+ * @returns {void}
+ */
+function playExclusively(player) {
+  if (activePlayer && activePlayer !== player) {
+    activePlayer.pause();
+  }
+  activePlayer = player;
+  if (player.duration > 0 && player.currentTime >= player.duration) {
+    player.seekTo(0);
+  }
+  setAudioModeAsync({ playsInSilentMode: true }).catch((error) => {
+    console.error('Error setting audio mode:', error);
+  });
+  player.play();
+}
+
+/**
+ * VoiceMemoPlayer plays an entry's voice memo, with a play/pause button, a progress
+ * bar that can be tapped to jump to a point in the memo, and the time played and in total.
+ * The audio is only loaded once play is first pressed, so a list of entries stays light.
+ * Used on History cards and wherever a memo is attached.
+ *
+ * @param {Object} props - The component props.
+ * @param {{uri: string, durationMillis: number}} props.voiceMemo - The voice memo to play.
+ * @returns {JSX.Element} The rendered player.
+ */
+export default function VoiceMemoPlayer({ voiceMemo }) {
+  /**
+   * State hook to store whether the audio has been loaded, which happens on the first press of play.
+   * @type {[boolean, Function]}
+   */
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  if (!isLoaded) {
+    return (
+      <PlayerControls
+        isPlaying={false}
+        positionMillis={0}
+        durationMillis={voiceMemo.durationMillis}
+        onTogglePlay={() => setIsLoaded(true)}
+      />
+    );
+  }
+  return <LoadedVoiceMemoPlayer voiceMemo={voiceMemo} />;
+}
+
+/**
+ * The player once its audio is loaded. Playback starts as soon as it appears.
+ *
+ * @param {Object} props - The component props.
+ * @param {{uri: string, durationMillis: number}} props.voiceMemo - The voice memo to play.
+ * @returns {JSX.Element} The rendered player.
+ */
+function LoadedVoiceMemoPlayer({ voiceMemo }) {
+  const player = useAudioPlayer(voiceMemo.uri);
+  const status = useAudioPlayerStatus(player);
+
+  /**
+   * Effect hook that starts playing when the player appears, and forgets the
+   * player when it goes away.
+   */
+  useEffect(() => {
+    playExclusively(player);
+    return () => {
+      if (activePlayer === player) {
+        activePlayer = null;
+      }
+    };
+  }, [player]);
+
+  /**
+   * Effect hook that winds the memo back to the start once it has played to the end.
+   */
+  useEffect(() => {
+    if (status.didJustFinish) {
+      player.seekTo(0);
+    }
+  }, [player, status.didJustFinish]);
+
+  const durationMillis = status.duration > 0 ? status.duration * 1000 : voiceMemo.durationMillis;
+
+  return (
+    <PlayerControls
+      isPlaying={status.playing}
+      positionMillis={status.currentTime * 1000}
+      durationMillis={durationMillis}
+      onTogglePlay={() => (status.playing ? player.pause() : playExclusively(player))}
+      onSeek={(millis) => player.seekTo(millis / 1000)}
+    />
+  );
+}
+
+/**
+ * The player's controls: the play/pause button, the progress bar and the times.
+ *
+ * @param {Object} props - The component props.
+ * @param {boolean} props.isPlaying - Whether the memo is playing.
+ * @param {number} props.positionMillis - How far into the memo playback is, in milliseconds.
+ * @param {number} props.durationMillis - How long the memo is, in milliseconds.
+ * @param {Function} props.onTogglePlay - Called when the play/pause button is pressed.
+ * @param {Function} [props.onSeek] - Called with the time, in milliseconds, tapped on the progress bar.
+ * @returns {JSX.Element} The rendered controls.
+ */
+function PlayerControls({ isPlaying, positionMillis, durationMillis, onTogglePlay, onSeek }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  /**
+   * State hook to store the width of the progress bar, measured once it is laid out.
+   * @type {[number, Function]}
+   */
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const progress = durationMillis > 0 ? Math.min(positionMillis / durationMillis, 1) : 0;
+
+  /**
+   * Jumps to the point of the memo that was tapped on the progress bar.
+   *
+   * @param {Object} event The press event.
+   * @returns {void}
+   */
+  const handleTrackPress = (event) => {
+    if (onSeek && trackWidth > 0) {
+      onSeek((event.nativeEvent.locationX / trackWidth) * durationMillis);
+    }
+  };
+
+  return (
+    <View style={styles.player}>
+      <TouchableOpacity
+        style={styles.playButton}
+        onPress={onTogglePlay}
+        accessibilityLabel={isPlaying ? 'Pause voice memo' : 'Play voice memo'}
+      >
+        <MaterialCommunityIcons name={isPlaying ? 'pause' : 'play'} size={22} color={colors.onTint} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.trackArea}
+        activeOpacity={1}
+        disabled={!onSeek}
+        onPress={handleTrackPress}
+        onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+      >
+        <View style={styles.track}>
+          <View style={[styles.trackFill, { width: `${progress * 100}%` }]} />
+        </View>
+      </TouchableOpacity>
+      <Text style={styles.time}>
+        {`${formatDuration(positionMillis)} / ${formatDuration(durationMillis)}`}
+      </Text>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the VoiceMemoPlayer component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  player: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.inputBackground,
+    borderRadius: 22,
+    paddingVertical: 6,
+    paddingLeft: 6,
+    paddingRight: 12,
+  },
+  playButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.tint,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  trackArea: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 10,
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.border,
+    overflow: 'hidden',
+  },
+  trackFill: {
+    height: 4,
+    backgroundColor: colors.tint,
+  },
+  time: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontVariant: ['tabular-nums'],
+  },
+});
@@ -0,0 +1,411 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+import {
+  RecordingPresets,
+  requestRecordingPermissionsAsync,
+  setAudioModeAsync,
+  useAudioRecorder,
+  useAudioRecorderState,
+} from 'expo-audio';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Alert, Platform, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+
+import VoiceMemoPlayer from '@/components/VoiceMemoPlayer';
+import { useTheme, useThemedStyles } from '@/hooks/useTheme';
+import { persistVoiceMemo } from '@/storage/voiceMemos';
+import { formatDuration } from '@/utils/dateFormat';
+
+/**
+ * Longest a voice memo can be, in milliseconds. Recording stops by itself once it is reached.
+ * @type {number}
+ */
+export const MAX_VOICE_MEMO_MILLIS = 5 * 60 * 1000;
+
+/**
+ * The recording options. The length limit is enforced by the recorder itself, so it
+ * holds even while the app is in the background: on iOS by recording for the time
+ * left, and on Android, which cannot limit the length, by capping the file at the
+ * size the limit comes to at the preset's bit rate.
+ * @type {Object}
+ */
+const RECORDING_OPTIONS = {
+  ...RecordingPresets.HIGH_QUALITY,
+  android: {
+    ...RecordingPresets.HIGH_QUALITY.android,
+    maxFileSize: Math.round((RecordingPresets.HIGH_QUALITY.bitRate / 8) * (MAX_VOICE_MEMO_MILLIS / 1000)),
+  },
+};
+
+/**
+ * Whether the recorder stops by itself at the length limit. Elsewhere (on web), the
+ * recording is stopped once the elapsed time shown reaches it.
+ * @type {boolean}
+ */
+const HAS_RECORDER_LIMIT = Platform.OS === 'ios' || Platform.OS === 'android';
+
+/**
+ * VoiceMemoRecorder lets the user record a voice memo for an entry, alongside or
+ * instead of writing in the journal. Recording can be paused and resumed, and stops
+ * by itself at the length limit. Once finished, the memo is moved into app storage
+ * and can be played back or removed; removing it makes room to record another.
+ * A recording in progress can be thrown away without being kept. The screen using it
+ * is told while a recording is in progress, so it can hold off saving until the memo
+ * is attached. Used by the New Entry screen and the entry edit screen.
+ *
+ * @param {Object} props - The component props.
+ * @param {{uri: string, durationMillis: number}|null} props.voiceMemo - The attached voice memo, if any.
+ * @param {Function} props.onChangeVoiceMemo - Called with the newly recorded memo, or `null` when it is removed.
+ * @param {Function} [props.onRecordingChange] - Called with `true` when recording starts and `false` once it is over.
+ * @returns {JSX.Element} The rendered voice memo section.
+ */
+export default function VoiceMemoRecorder({ voiceMemo, onChangeVoiceMemo, onRecordingChange }) {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  /**
+   * State hook to store where recording is at: `'idle'`, `'recording'`, `'paused'`,
+   * or `'saving'` while a finished recording is being stored.
+   * @type {[string, Function]}
+   */
+  const [recordingState, setRecordingState] = useState('idle');
+  /**
+   * Whether the recording is being stopped from here, so the recorder reporting that it
+   * stopped is not taken for it reaching the length limit.
+   * @type {React.MutableRefObject<boolean>}
+   */
+  const isStoppingRef = useRef(false);
+  /**
+   * State hook to store the recorder's final status once it stopped by itself at the
+   * length limit, until the recording is kept.
+   * @type {[{url: string|null, error: string|null}|null, Function]}
+   */
+  const [limitStatus, setLimitStatus] = useState(null);
+
+  const recorder = useAudioRecorder(RECORDING_OPTIONS, (status) => {
+    if (status.isFinished && !isStoppingRef.current) {
+      isStoppingRef.current = true;
+      setLimitStatus(status);
+    }
+  });
+  const recorderState = useAudioRecorderState(recorder, 250);
+
+  /**
+   * Effect hook that tells the screen whether a recording is in progress, including
+   * while a finished one is being stored.
+   */
+  useEffect(() => {
+    onRecordingChange?.(recordingState !== 'idle');
+  }, [recordingState, onRecordingChange]);
+
+  /**
+   * Starts or resumes recording, for no longer than the time left before the length limit.
+   *
+   * @returns {void}
+   */
+  const recordUpToLimit = () => {
+    if (Platform.OS === 'ios') {
+      const elapsedMillis = recorder.getStatus().durationMillis;
+      recorder.recordForDuration(Math.max(MAX_VOICE_MEMO_MILLIS - elapsedMillis, 0) / 1000);
+    } else {
+      recorder.record();
+    }
+  };
+
+  /**
+   * Asks for microphone access, then starts recording.
+   * Displays an alert if microphone permission is denied.
+   *
+   * @returns {Promise<void>} A promise that resolves once recording has started.
+   */
+  const startRecording = async () => {
+    const { status } = await requestRecordingPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Sorry, we need microphone permissions to record a voice memo!');
+      return;
+    }
+
+    try {
+      await setAudioModeAsync({ allowsRecording: true, playsInSilentMode: true });
+      await recorder.prepareToRecordAsync();
+      isStoppingRef.current = false;
+      recordUpToLimit();
+      setRecordingState('recording');
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      Alert.alert('Error', 'Failed to start recording.');
+    }
+  };
+
+  /**
+   * Pauses or resumes the recording.
+   *
+   * @returns {void}
+   */
+  const togglePause = () => {
+    if (recordingState === 'recording') {
+      recorder.pause();
+      setRecordingState('paused');
+    } else {
+      recordUpToLimit();
+      setRecordingState('recording');
+    }
+  };
+
+  /**
+   * Moves a finished recording into app storage and attaches it to the entry.
+   *
+   * @param {string|null} recordingUri The URI of the recorded file.
+   * @param {number} durationMillis How long the recording is, in milliseconds.
+   * @returns {Promise<void>} A promise that resolves when the memo is stored.
+   */
+  const saveRecording = useCallback(async (recordingUri, durationMillis) => {
+    setRecordingState('saving');
+    try {
+      await setAudioModeAsync({ allowsRecording: false });
+      if (!recordingUri) {
+        throw new Error('The recorder did not produce a file.');
+      }
+      const uri = await persistVoiceMemo(recordingUri);
+      onChangeVoiceMemo({ uri, durationMillis: Math.min(durationMillis, MAX_VOICE_MEMO_MILLIS) });
+    } catch (error) {
+      console.error('Error saving voice memo:', error);
+      Alert.alert('Error', 'Failed to save the voice memo.');
+    } finally {
+      setRecordingState('idle');
+    }
+  }, [onChangeVoiceMemo]);
+
+  /**
+   * Stops recording and attaches the recording to the entry, once moved into app storage.
+   *
+   * @returns {Promise<void>} A promise that resolves when the memo is stored.
+   */
+  const finishRecording = useCallback(async () => {
+    isStoppingRef.current = true;
+    const { durationMillis } = recorder.getStatus();
+    try {
+      await recorder.stop();
+    } catch (error) {
+      console.error('Error saving voice memo:', error);
+      Alert.alert('Error', 'Failed to save the voice memo.');
+      setRecordingState('idle');
+      return;
+    }
+    await saveRecording(recorder.uri, durationMillis);
+  }, [recorder, saveRecording]);
+
+  /**
+   * Effect hook that keeps a recording the recorder stopped by itself at the length
+   * limit. If it stopped because of an error instead, the recording is lost and the user is told.
+   */
+  useEffect(() => {
+    if (!limitStatus) {
+      return;
+    }
+    setLimitStatus(null);
+    if (limitStatus.url) {
+      saveRecording(limitStatus.url, MAX_VOICE_MEMO_MILLIS);
+    } else {
+      console.error('Error recording voice memo:', limitStatus.error);
+      Alert.alert('Error', 'The recording stopped unexpectedly.');
+      setRecordingState('idle');
+    }
+  }, [limitStatus, saveRecording]);
+
+  /**
+   * Asks for confirmation, then stops recording without keeping the recording.
+   *
+   * @returns {void}
+   */
+  const confirmDiscardRecording = () => {
+    Alert.alert('Discard Recording?', 'What you have recorded so far will not be kept.', [
+      { text: 'Keep Recording', style: 'cancel' },
+      {
+        text: 'Discard',
+        style: 'destructive',
+        onPress: async () => {
+          isStoppingRef.current = true;
+          try {
+            await recorder.stop();
+            await setAudioModeAsync({ allowsRecording: false });
+          } catch (error) {
+            console.error('Error discarding recording:', error);
+          }
+          setRecordingState('idle');
+        },
+      },
+    ]);
+  };
+
+  /**
+   * Whether the recording has reached the length limit on a platform where the recorder
+   * does not stop by itself.
+   * @type {boolean}
+   */
+  const hasReachedLimit =
+    !HAS_RECORDER_LIMIT && recordingState === 'recording' && recorderState.durationMillis >= MAX_VOICE_MEMO_MILLIS;
+
+  /**
+   * Effect hook that stops recording and keeps the memo once it reaches the length
+   * limit, where the recorder does not stop by itself.
+   */
+  useEffect(() => {
+    if (hasReachedLimit) {
+      finishRecording();
+    }
+  }, [hasReachedLimit, finishRecording]);
+
+  if (recordingState === 'saving') {
+    return <ActivityIndicator color={colors.tint} style={styles.saving} />;
+  }
+
+  if (recordingState !== 'idle') {
+    const isPaused = recordingState === 'paused';
+    return (
+      <View>
+        <View style={styles.statusRow}>
+          <View style={[styles.recordingDot, isPaused && styles.pausedDot]} />
+          <Text style={styles.elapsedText}>
+            {`${formatDuration(recorderState.durationMillis)} / ${formatDuration(MAX_VOICE_MEMO_MILLIS)}`}
+          </Text>
+          {isPaused && <Text style={styles.pausedText}>Paused</Text>}
+        </View>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.secondaryButton} onPress={confirmDiscardRecording}>
+            <Text style={styles.secondaryButtonText}>Discard</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.secondaryButton} onPress={togglePause}>
+            <MaterialCommunityIcons name={isPaused ? 'microphone' : 'pause'} size={20} color={colors.tint} />
+            <Text style={styles.secondaryButtonText}>{isPaused ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.recordButton} onPress={finishRecording}>
+            <MaterialCommunityIcons name="stop" size={20} color={colors.onTint} />
+            <Text style={styles.recordButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  if (voiceMemo) {
+    return (
+      <View style={styles.memoRow}>
+        <View style={styles.memoPlayer}>
+          <VoiceMemoPlayer voiceMemo={voiceMemo} />
+        </View>
+        <TouchableOpacity
+          style={styles.removeButton}
+          onPress={() => onChangeVoiceMemo(null)}
+          accessibilityLabel="Remove voice memo"
+        >
+          <MaterialCommunityIcons name="delete-outline" size={24} color={colors.danger} />
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.idle}>
+      <TouchableOpacity style={styles.recordButton} onPress={startRecording}>
+        <MaterialCommunityIcons name="microphone" size={20} color={colors.onTint} />
+        <Text style={styles.recordButtonText}>Record Voice Memo</Text>
+      </TouchableOpacity>
+      <Text style={styles.limitText}>{`Up to ${MAX_VOICE_MEMO_MILLIS / 60000} minutes`}</Text>
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the VoiceMemoRecorder component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  idle: {
+    alignItems: 'center',
+  },
+  recordButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.tint,
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    borderRadius: 30,
+    marginHorizontal: 5,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 6,
+    elevation: 6,
+  },
+  recordButtonText: {
+    color: colors.onTint,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  limitText: {
+    textAlign: 'center',
+    color: colors.textMuted,
+    fontSize: 14,
+    marginTop: 10,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  recordingDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: colors.danger,
+    marginRight: 8,
+  },
+  pausedDot: {
+    backgroundColor: colors.textMuted,
+  },
+  elapsedText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    fontVariant: ['tabular-nums'],
+  },
+  pausedText: {
+    fontSize: 15,
+    color: colors.textMuted,
+    marginLeft: 8,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    marginHorizontal: 5,
+  },
+  secondaryButtonText: {
+    color: colors.tint,
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+  memoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  memoPlayer: {
+    flex: 1,
+  },
+  removeButton: {
+    padding: 8,
+    marginLeft: 4,
+  },
+  saving: {
+    paddingVertical: 14,
+  },
+});
@@ -0,0 +1,184 @@
+import React, { useEffect, useState } from 'react';
+import { StyleSheet } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import Animated, {
+  runOnJS,
+  useAnimatedStyle,
+  useSharedValue,
+  withTiming,
+} from 'react-native-reanimated';
+
+/**
+ * Furthest a photo can be zoomed in, as a multiple of its fitted size.
+ * @type {number}
+ */
+const MAX_SCALE = 4;
+
+/**
+ * Zoom a double tap jumps to.
+ * @type {number}
+ */
+const DOUBLE_TAP_SCALE = 2.5;
+
+/**
+ * Keeps an offset within the distance a zoomed photo can be moved before its
+ * edge would come away from the edge of the screen.
+ *
+ * @param {number} offset The offset to clamp.
+ * @param {number} size The width or height of the view.
+ * @param {number} scale The current zoom.
+ * @returns {number} The clamped offset.
+ */
+function clampOffset(offset, size, scale) {
+  'worklet';
+  const limit = (size * (scale - 1)) / 2;
+  return Math.min(limit, Math.max(-limit, offset));
+}
+
+/**
+ * ZoomableImage shows a photo fitted to the given size that can be pinched to
+ * zoom, dragged around while zoomed in, and double-tapped to zoom in on the tapped
+ * spot or back out. Dragging is only claimed while zoomed in, so a surrounding
+ * pager can still be swiped when the photo is at its fitted size.
+ * Used by the full-screen photo viewer.
+ *
+ * @param {Object} props - The component props.
+ * @param {string} props.uri - The URI of the photo.
+ * @param {number} props.width - The width of the view.
+ * @param {number} props.height - The height of the view.
+ * @param {boolean} props.isActive - Whether the photo is the one in view. The zoom is reset when it is swiped away.
+ * @param {Function} [props.onZoomChange] - Called with `true` when the photo is zoomed in and `false` when it is back at its fitted size.
+ * @param {Function} [props.onSingleTap] - Called when the photo is tapped once.
+ * @returns {JSX.Element} The rendered photo.
+ */
+export default function ZoomableImage({ uri, width, height, isActive, onZoomChange, onSingleTap }) {
+  const scale = useSharedValue(1);
+  const savedScale = useSharedValue(1);
+  const translateX = useSharedValue(0);
+  const translateY = useSharedValue(0);
+  const savedTranslateX = useSharedValue(0);
+  const savedTranslateY = useSharedValue(0);
+
+  /**
+   * State hook to store whether the photo is zoomed in, which enables dragging it.
+   * @type {[boolean, Function]}
+   */
+  const [isZoomed, setIsZoomed] = useState(false);
+
+  /**
+   * Records a change in zoom and reports it to the parent.
+   *
+   * @param {boolean} zoomed Whether the photo is zoomed in.
+   * @returns {void}
+   */
+  const updateZoomed = (zoomed) => {
+    setIsZoomed(zoomed);
+    onZoomChange?.(zoomed);
+  };
+
+  /**
+   * Reports a single tap to the parent.
+   *
+   * @returns {void}
+   */
+  const handleSingleTap = () => {
+    onSingleTap?.();
+  };
+
+  /**
+   * Effect hook that returns the photo to its fitted size once it is swiped away.
+   */
+  useEffect(() => {
+    if (!isActive) {
+      scale.value = 1;
+      savedScale.value = 1;
+      translateX.value = 0;
+      translateY.value = 0;
+      savedTranslateX.value = 0;
+      savedTranslateY.value = 0;
+      setIsZoomed(false);
+    }
+  }, [isActive, scale, savedScale, translateX, translateY, savedTranslateX, savedTranslateY]);
+
+  const pinch = Gesture.Pinch()
+    .onUpdate((event) => {
+      scale.value = Math.min(MAX_SCALE, Math.max(1, savedScale.value * event.scale));
+      translateX.value = clampOffset(savedTranslateX.value, width, scale.value);
+      translateY.value = clampOffset(savedTranslateY.value, height, scale.value);
+    })
+    .onEnd(() => {
+      savedScale.value = scale.value;
+      savedTranslateX.value = translateX.value;
+      savedTranslateY.value = translateY.value;
+      runOnJS(updateZoomed)(scale.value > 1);
+    });
+
+  const pan = Gesture.Pan()
+    .enabled(isZoomed)
+    .averageTouches(true)
+    .onUpdate((event) => {
+      translateX.value = clampOffset(savedTranslateX.value + event.translationX, width, scale.value);
+      translateY.value = clampOffset(savedTranslateY.value + event.translationY, height, scale.value);
+    })
+    .onEnd(() => {
+      savedTranslateX.value = translateX.value;
+      savedTranslateY.value = translateY.value;
+    });
+
+  const doubleTap = Gesture.Tap()
+    .numberOfTaps(2)
+    .onEnd((event, success) => {
+      if (!success) {
+        return;
+      }
+      const zoomIn = scale.value === 1;
+      const nextScale = zoomIn ? DOUBLE_TAP_SCALE : 1;
+      // Zooming in keeps the tapped spot under the finger.
+      const nextX = zoomIn ? clampOffset((width / 2 - event.x) * (nextScale - 1), width, nextScale) : 0;
+      const nextY = zoomIn ? clampOffset((height / 2 - event.y) * (nextScale - 1), height, nextScale) : 0;
+      scale.value = withTiming(nextScale);
+      translateX.value = withTiming(nextX);
+      translateY.value = withTiming(nextY);
+      savedScale.value = nextScale;
+      savedTranslateX.value = nextX;
+      savedTranslateY.value = nextY;
+      runOnJS(updateZoomed)(zoomIn);
+    });
+
+  const singleTap = Gesture.Tap().onEnd((event, success) => {
+    if (success) {
+      runOnJS(handleSingleTap)();
+    }
+  });
+
+  const gesture = Gesture.Simultaneous(pinch, pan, Gesture.Exclusive(doubleTap, singleTap));
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [
+      { translateX: translateX.value },
+      { translateY: translateY.value },
+      { scale: scale.value },
+    ],
+  }));
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <Animated.View style={[styles.container, { width, height }]}>
+        <Animated.Image source={{ uri }} style={[styles.image, animatedStyle]} resizeMode="contain" />
+      </Animated.View>
+    </GestureDetector>
+  );
+}
+
+/**
+ * StyleSheet for the ZoomableImage component.
+ */
+const styles = StyleSheet.create({
+  container: {
+    overflow: 'hidden',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * HorizontalBarChart draws one labelled bar per row, scaled so the largest value fills the track.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<{key: string, label: string, value: number, color: string, valueLabel?: string}>} props.rows - The rows to draw, top to bottom.
+ * @returns {JSX.Element} The rendered bar chart.
+ */
+export default function HorizontalBarChart({ rows }) {
+  const styles = useThemedStyles(createStyles);
+  const maxValue = Math.max(1, ...rows.map((row) => row.value));
+
+  return (
+    <View>
+      {rows.map((row) => (
+        <View key={row.key} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{row.label}</Text>
+          <View style={styles.track}>
+            <View
+              style={[
+                styles.bar,
+                { width: `${(row.value / maxValue) * 100}%`, backgroundColor: row.color },
+              ]}
+            />
+          </View>
+          <Text style={styles.value}>{row.valueLabel ?? row.value}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the HorizontalBarChart component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  label: {
+    width: 100,
+    fontSize: 14,
+    color: colors.text,
+  },
+  track: {
+    flex: 1,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: colors.inputBackground,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: '100%',
+    borderRadius: 8,
+  },
+  value: {
+    width: 44,
+    fontSize: 13,
+    color: colors.textSecondary,
+    textAlign: 'right',
+  },
+});
@@ -0,0 +1,77 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+import { useThemedStyles } from '@/hooks/useTheme';
+
+/**
+ * StackedBarChart draws one labelled bar per row, split into colored segments.
+ * Each bar's length is scaled to the row with the largest total, and each segment's
+ * length is proportional to its count within the row.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<{key: string, label: string, total: number, segments: Array<{moodId: string, color: string, count: number}>}>} props.rows - The rows to draw, top to bottom.
+ * @returns {JSX.Element} The rendered stacked bar chart.
+ */
+export default function StackedBarChart({ rows }) {
+  const styles = useThemedStyles(createStyles);
+  const maxTotal = Math.max(1, ...rows.map((row) => row.total));
+
+  return (
+    <View>
+      {rows.map((row) => (
+        <View key={row.key} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{row.label}</Text>
+          <View style={styles.track}>
+            <View style={[styles.bar, { width: `${(row.total / maxTotal) * 100}%` }]}>
+              {row.segments.map((segment) => (
+                <View
+                  key={segment.moodId}
+                  style={{ flex: segment.count, backgroundColor: segment.color }}
+                />
+              ))}
+            </View>
+          </View>
+          <Text style={styles.value}>{row.total}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the StackedBarChart component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  label: {
+    width: 80,
+    fontSize: 14,
+    color: colors.text,
+  },
+  track: {
+    flex: 1,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: colors.inputBackground,
+    overflow: 'hidden',
+  },
+  bar: {
+    flexDirection: 'row',
+    height: '100%',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  value: {
+    width: 36,
+    fontSize: 13,
+    color: colors.textSecondary,
+    textAlign: 'right',
+  },
+});
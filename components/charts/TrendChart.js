@@ -0,0 +1,119 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+import { usePreferences } from '@/hooks/usePreferences';
+import { useThemedStyles } from '@/hooks/useTheme';
+import { formatShortDate } from '@/utils/dateFormat';
+
+/**
+ * Height, in pixels, of the area bars are drawn in.
+ * @type {number}
+ */
+const CHART_HEIGHT = 160;
+
+/**
+ * Largest absolute mood score; a bar of this score fills half the chart.
+ * @type {number}
+ */
+const MAX_SCORE = 2;
+
+/**
+ * TrendChart draws the average mood score of each day as a bar rising above
+ * (pleasant) or falling below (unpleasant) a neutral midline. Days without
+ * entries are left empty.
+ *
+ * @param {Object} props - The component props.
+ * @param {Array<{dayKey: string, date: Date, averageScore: number|null}>} props.points - One point per day, oldest first.
+ * @returns {JSX.Element} The rendered trend chart.
+ */
+export default function TrendChart({ points }) {
+  const styles = useThemedStyles(createStyles);
+  const preferences = usePreferences();
+  const halfHeight = CHART_HEIGHT / 2;
+
+  /**
+   * Formats a date as a short axis label, e.g. "Jul 4".
+   *
+   * @param {Date} date The date to format.
+   * @returns {string} The axis label.
+   */
+  const formatAxisDate = (date) => formatShortDate(date, preferences);
+
+  return (
+    <View>
+      <View style={styles.chartArea}>
+        <View style={styles.midline} />
+        {points.map((point) => {
+          if (point.averageScore === null) {
+            return <View key={point.dayKey} style={styles.column} />;
+          }
+          const barHeight = Math.max(2, (Math.abs(point.averageScore) / MAX_SCORE) * halfHeight);
+          const isPositive = point.averageScore >= 0;
+          return (
+            <View key={point.dayKey} style={styles.column}>
+              <View
+                style={[
+                  styles.bar,
+                  {
+                    height: barHeight,
+                    backgroundColor: isPositive ? '#8BC34A' : '#2196F3',
+                  },
+                  isPositive ? { bottom: halfHeight } : { top: halfHeight },
+                ]}
+              />
+            </View>
+          );
+        })}
+      </View>
+      {points.length > 0 && (
+        <View style={styles.axis}>
+          <Text style={styles.axisLabel}>{formatAxisDate(points[0].date)}</Text>
+          <Text style={styles.axisLabel}>{formatAxisDate(points[points.length - 1].date)}</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * StyleSheet for the TrendChart component.
+ *
+ * @param {Object} colors The active theme colors.
+ * @returns {Object} The styles.
+ */
+const createStyles = (colors) => StyleSheet.create({
+  chartArea: {
+    flexDirection: 'row',
+    height: CHART_HEIGHT,
+    backgroundColor: colors.inputBackground,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  midline: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    top: CHART_HEIGHT / 2,
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  column: {
+    flex: 1,
+    marginHorizontal: 1,
+  },
+  bar: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    borderRadius: 2,
+  },
+  axis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  axisLabel: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+});
@@ -1,26 +1,107 @@
 /**
  * Below are the colors that are used in the app. The colors are defined in the light and dark mode.
+ * The accent color, the screen background gradient and the tinted surfaces come from one of the
+ * accent palettes, so the app can be themed by combining a color scheme with an accent.
  * There are many other ways to style your app. For example, [Nativewind](https://www.nativewind.dev/), [Tamagui](https://tamagui.dev/), [unistyles](https://reactnativeunistyles.vercel.app), etc.
  */
 
-const tintColorLight = '#0a7ea4';
-const tintColorDark = '#fff';
-
 export const Colors = {
   light: {
-    text: '#11181C',
+    text: '#333',
+    textSecondary: '#666',
+    textMuted: '#999',
     background: '#fff',
-    tint: tintColorLight,
+    card: '#FFF',
+    border: '#E0E0E0',
+    inputBackground: '#F9F9F9',
+    tint: '#6A5ACD',
+    onTint: '#FFF',
     icon: '#687076',
-    tabIconDefault: '#687076',
-    tabIconSelected: tintColorLight,
+    tabBar: '#FFF',
+    tabBarBorder: '#EEE',
+    tabIconDefault: '#888',
+    tabIconSelected: '#6A5ACD',
+    danger: '#DC143C',
+    success: '#4CAF50',
+    warning: '#FF9800',
+    overlay: 'rgba(0, 0, 0, 0.4)',
   },
   dark: {
     text: '#ECEDEE',
+    textSecondary: '#B0B3B8',
+    textMuted: '#8A8F98',
     background: '#151718',
-    tint: tintColorDark,
+    card: '#23212E',
+    border: '#3A3848',
+    inputBackground: '#2C2A38',
+    tint: '#9D8DF1',
+    onTint: '#14121C',
     icon: '#9BA1A6',
-    tabIconDefault: '#9BA1A6',
-    tabIconSelected: tintColorDark,
+    tabBar: '#1C1A26',
+    tabBarBorder: '#2E2C3A',
+    tabIconDefault: '#8A8F98',
+    tabIconSelected: '#9D8DF1',
+    danger: '#FF5C7A',
+    success: '#66BB6A',
+    warning: '#FFB74D',
+    overlay: 'rgba(0, 0, 0, 0.6)',
   },
 };
+
+export type ColorSchemeName = keyof typeof Colors;
+
+type AccentColors = {
+  /** The accent color, for buttons, selected states and the header. */
+  tint: string;
+  /** A faint version of the accent, for chips and highlighted rows. */
+  tintSoft: string;
+  /** A deep version of the accent, behind light text on the lock screen. */
+  tintDeep: string;
+  /** The two colors of the screen background gradient, top to bottom. */
+  gradient: [string, string];
+};
+
+/**
+ * Accent palettes the user can choose from, each with colors for both color schemes.
+ */
+export const AccentPalettes: Record<string, { label: string } & Record<ColorSchemeName, AccentColors>> = {
+  lavender: {
+    label: 'Lavender',
+    light: { tint: '#6A5ACD', tintSoft: '#EDE7F6', tintDeep: '#483D8B', gradient: ['#E6E6FA', '#D8BFD8'] },
+    dark: { tint: '#9D8DF1', tintSoft: '#2E2A4A', tintDeep: '#2F2757', gradient: ['#1E1B2E', '#2A2140'] },
+  },
+  ocean: {
+    label: 'Ocean',
+    light: { tint: '#1E88E5', tintSoft: '#E1F0FC', tintDeep: '#0D47A1', gradient: ['#E3F2FD', '#B3E5FC'] },
+    dark: { tint: '#64B5F6', tintSoft: '#1B3048', tintDeep: '#123A5E', gradient: ['#0F1B2A', '#15293D'] },
+  },
+  forest: {
+    label: 'Forest',
+    light: { tint: '#2E7D32', tintSoft: '#E3F1E4', tintDeep: '#1B5E20', gradient: ['#E8F5E9', '#C8E6C9'] },
+    dark: { tint: '#81C784', tintSoft: '#1D3A25', tintDeep: '#1E4A25', gradient: ['#0F1F14', '#17301E'] },
+  },
+  sunset: {
+    label: 'Sunset',
+    light: { tint: '#E65100', tintSoft: '#FFE9D6', tintDeep: '#BF360C', gradient: ['#FFF3E0', '#FFCCBC'] },
+    dark: { tint: '#FFB74D', tintSoft: '#45291A', tintDeep: '#6B3410', gradient: ['#2A1A12', '#3A2418'] },
+  },
+};
+
+export const DEFAULT_ACCENT = 'lavender';
+
+/**
+ * Combines a color scheme with an accent palette into the full set of theme colors.
+ * In dark mode the header uses the tab bar color, so a bright accent does not glare.
+ */
+export function getThemeColors(colorScheme: ColorSchemeName, accent: string) {
+  const accentColors = (AccentPalettes[accent] ?? AccentPalettes[DEFAULT_ACCENT])[colorScheme];
+  return {
+    ...Colors[colorScheme],
+    ...accentColors,
+    tabIconSelected: accentColors.tint,
+    header: colorScheme === 'dark' ? Colors.dark.tabBar : accentColors.tint,
+    headerText: '#fff',
+  };
+}
+
+export type ThemeColors = ReturnType<typeof getThemeColors>;
@@ -0,0 +1,39 @@
+/**
+ * The moods every journal starts with, in their default order. Each has a stable `id`
+ * that entries reference, a display `label`, an emoji, a color for styling, and a score
+ * from -2 (most unpleasant) to 2 (most pleasant) used to chart how moods trend over time.
+ * Users can rename, recolor, reorder and archive these, and add their own.
+ * @type {Array<{id: string, label: string, emoji: string, color: string, score: number}>}
+ */
+export const DEFAULT_MOODS = [
+  { id: 'happy', label: 'Happy', emoji: '😊', color: '#8BC34A', score: 2 },
+  { id: 'neutral', label: 'Neutral', emoji: '😐', color: '#FFEB3B', score: 0 },
+  { id: 'sad', label: 'Sad', emoji: '😞', color: '#2196F3', score: -2 },
+  { id: 'anxious', label: 'Anxious', emoji: '😟', color: '#FF9800', score: -1 },
+  { id: 'stressed', label: 'Stressed', emoji: '😩', color: '#F44336', score: -1 },
+  { id: 'excited', label: 'Excited', emoji: '😃', color: '#FFD700', score: 2 },
+  { id: 'calm', label: 'Calm', emoji: '😌', color: '#66CDAA', score: 1 },
+  { id: 'angry', label: 'Angry', emoji: '😡', color: '#DC143C', score: -2 },
+];
+
+/**
+ * Colors offered when creating or recoloring a mood.
+ * @type {Array<string>}
+ */
+export const MOOD_COLORS = [
+  '#8BC34A', '#66CDAA', '#4CAF50', '#00BCD4', '#2196F3', '#3F51B5',
+  '#9C27B0', '#E91E63', '#DC143C', '#F44336', '#FF9800', '#FFD700',
+  '#FFEB3B', '#795548', '#607D8B', '#9E9E9E',
+];
+
+/**
+ * Scores a mood can have, with how each is described when editing a mood.
+ * @type {Array<{score: number, label: string}>}
+ */
+export const MOOD_SCORES = [
+  { score: -2, label: 'Very unpleasant' },
+  { score: -1, label: 'Unpleasant' },
+  { score: 0, label: 'Neutral' },
+  { score: 1, label: 'Pleasant' },
+  { score: 2, label: 'Very pleasant' },
+];
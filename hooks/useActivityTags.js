@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+import { getActivityTags, subscribeToActivityTags } from '@/storage/activityTags';
+
+/**
+ * The tags as last loaded, kept outside the components so screens that
+ * mount later start from them instead of an empty list.
+ * @type {Array<Object>}
+ */
+let latestTags = [];
+
+/**
+ * Hook returning every activity tag. The tags are loaded when the component
+ * mounts and kept up to date as new tags are created.
+ *
+ * @returns {Array<{id: string, label: string}>} The activity tags.
+ */
+export function useActivityTags() {
+  const [tags, setTags] = useState(latestTags);
+
+  useEffect(() => {
+    const updateTags = (updatedTags) => {
+      latestTags = updatedTags;
+      setTags(updatedTags);
+    };
+    getActivityTags()
+      .then(updateTags)
+      .catch((error) => {
+        console.error('Error loading activity tags:', error);
+      });
+    return subscribeToActivityTags(updateTags);
+  }, []);
+
+  return tags;
+}
@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+
+import { DEFAULT_FILTERS } from '@/utils/entryFilters';
+
+/**
+ * The History filters as last set, kept outside the component so they
+ * survive the History screen being unmounted and mounted again.
+ * @type {Object}
+ */
+let savedFilters = DEFAULT_FILTERS;
+
+/**
+ * State hook for the History screen's search, filter and sort options.
+ * Works like `useState`, except the value is remembered across remounts for
+ * the rest of the app session.
+ *
+ * @returns {[Object, Function]} The current filters and a function to replace them.
+ */
+export function useHistoryFilters() {
+  const [filters, setFilters] = useState(savedFilters);
+
+  useEffect(() => {
+    savedFilters = filters;
+  }, [filters]);
+
+  return [filters, setFilters];
+}
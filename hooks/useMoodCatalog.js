@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+import { getMoodCatalog, subscribeToMoodCatalog } from '@/storage/moodCatalog';
+
+/**
+ * The catalog as last loaded, kept outside the components so screens that
+ * mount later start from it instead of an empty list.
+ * @type {Array<Object>}
+ */
+let latestMoods = [];
+
+/**
+ * Hook returning the mood catalog, including archived moods, in display order.
+ * It is loaded when the component mounts and kept up to date as moods are edited.
+ *
+ * @returns {Array<Object>} The mood catalog.
+ */
+export function useMoodCatalog() {
+  const [moods, setMoods] = useState(latestMoods);
+
+  useEffect(() => {
+    const updateMoods = (updatedMoods) => {
+      latestMoods = updatedMoods;
+      setMoods(updatedMoods);
+    };
+    getMoodCatalog()
+      .then(updateMoods)
+      .catch((error) => {
+        console.error('Error loading mood catalog:', error);
+      });
+    return subscribeToMoodCatalog(updateMoods);
+  }, []);
+
+  return moods;
+}
@@ -0,0 +1,136 @@
+import { useEffect, useState } from 'react';
+
+import {
+  getPinAttempts,
+  IS_APP_LOCK_SUPPORTED,
+  resetPinAttempts,
+  savePinAttempts,
+  verifyPin,
+} from '@/services/appLock';
+
+/**
+ * Number of wrong PINs allowed before the keypad is disabled for a while.
+ * @type {number}
+ */
+const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * How long the keypad stays disabled after too many wrong PINs, in milliseconds.
+ * @type {number}
+ */
+const LOCKOUT_MS = 30 * 1000;
+
+/**
+ * Hook checking entered PINs against the app lock PIN. After too many wrong PINs in a row,
+ * the keypad is disabled for a while. Wrong PINs and the lockout they lead to are kept in
+ * the secure store, so closing and reopening the app does not give more tries.
+ *
+ * @returns {{checkPin: Function, isKeypadDisabled: boolean, message: string|undefined}} A function checking
+ * an entered PIN, whether the keypad should ignore presses, and a line to show under the prompt, if any.
+ */
+export function usePinCheck() {
+  /**
+   * State hook to store the number of wrong PINs entered in a row.
+   * @type {[number, Function]}
+   */
+  const [failedAttempts, setFailedAttempts] = useState(0);
+  /**
+   * State hook to store when the keypad becomes usable again after too many wrong PINs, or `null`.
+   * @type {[number|null, Function]}
+   */
+  const [lockedOutUntil, setLockedOutUntil] = useState(null);
+  /**
+   * State hook to store whether the stored wrong PIN count has been read. The keypad stays disabled until then.
+   * @type {[boolean, Function]}
+   */
+  const [hasLoadedAttempts, setHasLoadedAttempts] = useState(false);
+  /**
+   * State hook to store whether the last PIN could not be checked.
+   * @type {[boolean, Function]}
+   */
+  const [hasCheckFailed, setHasCheckFailed] = useState(false);
+
+  /**
+   * Effect hook that restores the wrong PIN count and any lockout still running.
+   * A deadline further away than a whole lockout, as after the device clock was
+   * turned back, is shortened to one lockout from now.
+   */
+  useEffect(() => {
+    if (!IS_APP_LOCK_SUPPORTED) {
+      return;
+    }
+    getPinAttempts()
+      .then((attempts) => {
+        const now = Date.now();
+        if (attempts.lockedOutUntil !== null && attempts.lockedOutUntil <= now) {
+          return resetPinAttempts();
+        }
+        setFailedAttempts(attempts.failedAttempts);
+        if (attempts.lockedOutUntil !== null) {
+          setLockedOutUntil(Math.min(attempts.lockedOutUntil, now + LOCKOUT_MS));
+        }
+      })
+      .catch((error) => {
+        console.error('Error loading PIN attempts:', error);
+      })
+      .finally(() => setHasLoadedAttempts(true));
+  }, []);
+
+  /**
+   * Effect hook that re-enables the keypad once the lockout period is over.
+   */
+  useEffect(() => {
+    if (lockedOutUntil === null) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => {
+      setLockedOutUntil(null);
+      setFailedAttempts(0);
+      resetPinAttempts().catch((error) => {
+        console.error('Error resetting PIN attempts:', error);
+      });
+    }, lockedOutUntil - Date.now());
+    return () => clearTimeout(timeout);
+  }, [lockedOutUntil]);
+
+  /**
+   * Checks an entered PIN. The attempt is stored as a wrong one before the PIN is
+   * checked, so closing the app while it is being checked does not undo it.
+   *
+   * @param {string} pin The entered PIN.
+   * @returns {Promise<boolean>} A promise resolving to `true` if the PIN is correct, and `false` if it is wrong or could not be checked.
+   */
+  const checkPin = async (pin) => {
+    setHasCheckFailed(false);
+    const attempts = failedAttempts + 1;
+    const lockout = attempts >= MAX_PIN_ATTEMPTS ? Date.now() + LOCKOUT_MS : null;
+    try {
+      await savePinAttempts({ failedAttempts: attempts, lockedOutUntil: lockout });
+      if (await verifyPin(pin)) {
+        setFailedAttempts(0);
+        resetPinAttempts().catch((error) => {
+          console.error('Error resetting PIN attempts:', error);
+        });
+        return true;
+      }
+    } catch (error) {
+      console.error('Error checking PIN:', error);
+      setHasCheckFailed(true);
+      return false;
+    }
+    setFailedAttempts(attempts);
+    setLockedOutUntil(lockout);
+    return false;
+  };
+
+  let message;
+  if (hasCheckFailed) {
+    message = 'Your PIN could not be checked. Please try again.';
+  } else if (lockedOutUntil !== null) {
+    message = 'Too many attempts. Try again in 30 seconds.';
+  } else if (failedAttempts > 0) {
+    message = 'Incorrect PIN. Please try again.';
+  }
+
+  return { checkPin, isKeypadDisabled: !hasLoadedAttempts || lockedOutUntil !== null, message };
+}
@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react';
+
+import { DEFAULT_PREFERENCES, getPreferences, subscribeToPreferences } from '@/storage/preferences';
+
+/**
+ * The preferences as last loaded, kept outside the components so screens that
+ * mount later start from them instead of the defaults.
+ * @type {Object}
+ */
+let latestPreferences = DEFAULT_PREFERENCES;
+
+/**
+ * Hook returning the user's preferences. They are loaded when the component
+ * mounts and kept up to date as they are changed on the Settings screen.
+ *
+ * @returns {Object} The preferences, as described by `DEFAULT_PREFERENCES`.
+ */
+export function usePreferences() {
+  const [preferences, setPreferences] = useState(latestPreferences);
+
+  useEffect(() => {
+    const updatePreferences = (updatedPreferences) => {
+      latestPreferences = updatedPreferences;
+      setPreferences(updatedPreferences);
+    };
+    getPreferences()
+      .then(updatePreferences)
+      .catch((error) => {
+        console.error('Error loading preferences:', error);
+      });
+    return subscribeToPreferences(updatePreferences);
+  }, []);
+
+  return preferences;
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+
+import { getSyncStatus, subscribeToSyncStatus } from '@/services/sync';
+
+/**
+ * Hook returning the sync status, kept up to date as syncs start and finish.
+ *
+ * @returns {{state: string, lastSyncedAt: string|null, pendingCount: number, errorMessage: string|null}} The sync status (see `getSyncStatus`).
+ */
+export function useSyncStatus() {
+  const [status, setStatus] = useState(getSyncStatus);
+
+  useEffect(() => {
+    setStatus(getSyncStatus());
+    return subscribeToSyncStatus(setStatus);
+  }, []);
+
+  return status;
+}
@@ -0,0 +1,35 @@
+import { createContext, useContext, useMemo } from 'react';
+
+import { DEFAULT_ACCENT, getThemeColors } from '@/constants/Colors';
+import { DEFAULT_THEME_SETTINGS } from '@/storage/themeSettings';
+
+/**
+ * Context carrying the active theme, provided by `ThemeProvider` at the root of the app.
+ * The default value is the light lavender theme, for components rendered outside the provider.
+ */
+export const ThemeContext = createContext({
+  colorScheme: 'light',
+  colors: getThemeColors('light', DEFAULT_ACCENT),
+  settings: DEFAULT_THEME_SETTINGS,
+});
+
+/**
+ * Hook returning the active theme.
+ *
+ * @returns {{colorScheme: string, colors: import('@/constants/Colors').ThemeColors, settings: {mode: string, accent: string}}} The color scheme in use (`'light'` or `'dark'`), its colors, and the user's appearance settings.
+ */
+export function useTheme() {
+  return useContext(ThemeContext);
+}
+
+/**
+ * Hook building a component's styles from the active theme colors.
+ * The styles are only rebuilt when the theme changes.
+ *
+ * @param {Function} createStyles A function taking the theme colors and returning a `StyleSheet`. Define it outside the component so it keeps its identity.
+ * @returns {Object} The styles for the active theme.
+ */
+export function useThemedStyles(createStyles) {
+  const { colors } = useTheme();
+  return useMemo(() => createStyles(colors), [createStyles, colors]);
+}
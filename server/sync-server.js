@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+/**
+ * A small reference sync server for MoodSnap, for running on your own computer or server.
+ * It has no dependencies besides Node.js and keeps everything in a data directory:
+ * the synced records in `db.json`, the photos in `photos/` and the voice memos in `voice-memos/`.
+ *
+ * Every record the app sends is a `{ collection, id, updatedAt, deleted, data }` object.
+ * When two devices change the same record, the server keeps exactly one version, chosen
+ * the same way whatever order the changes arrive in:
+ *   1. the version with the later `updatedAt` wins;
+ *   2. on a tie, a deletion wins over an edit;
+ *   3. on a further tie, the version whose data sorts last as JSON wins.
+ * Each change the server keeps gets the next sequence number, which devices use as a
+ * cursor to ask for the changes they have not seen yet.
+ *
+ * Configuration, through environment variables:
+ *   PORT           The port to listen on (default 8787).
+ *   SYNC_DATA_DIR  Where to keep the data (default ./sync-data).
+ *   SYNC_TOKEN     If set, requests must carry `Authorization: Bearer <SYNC_TOKEN>`.
+ *
+ * Run it with `npm run sync-server`. It speaks plain HTTP; put it behind an HTTPS
+ * reverse proxy before exposing it outside a network you trust.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+const TOKEN = process.env.SYNC_TOKEN || '';
+
+const DB_PATH = path.join(DATA_DIR, 'db.json');
+
+/** Where each kind of file is kept, by the first part of its path. */
+const FILE_DIRS = {
+  photos: path.join(DATA_DIR, 'photos'),
+  'voice-memos': path.join(DATA_DIR, 'voice-memos'),
+};
+
+/** The collections the app syncs. */
+const COLLECTIONS = new Set(['moodEntries', 'inspirationImages', 'inspirationBoards']);
+/** The most changes returned by one `GET /changes`. */
+const PAGE_LIMIT = 200;
+/** The largest JSON body accepted, in bytes. */
+const MAX_JSON_BYTES = 20 * 1024 * 1024;
+/** The largest photo or voice memo accepted, in bytes. */
+const MAX_FILE_BYTES = 25 * 1024 * 1024;
+/** File names the app creates: letters, digits, `_`, `-` and `.`, without a leading dot. */
+const FILE_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+/**
+ * Reads the stored records, or starts an empty store.
+ *
+ * @returns {{seq: number, records: Object<string, Object>}} The store.
+ */
+function loadDb() {
+  try {
+    return JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { seq: 0, records: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes the store, through a temporary file so a crash never leaves it half written.
+ *
+ * @returns {void}
+ */
+function saveDb() {
+  const temporaryPath = `${DB_PATH}.tmp`;
+  fs.writeFileSync(temporaryPath, JSON.stringify(db));
+  fs.renameSync(temporaryPath, DB_PATH);
+}
+
+for (const directory of Object.values(FILE_DIRS)) {
+  fs.mkdirSync(directory, { recursive: true });
+}
+const db = loadDb();
+
+/**
+ * Decides which of two versions of a record to keep.
+ *
+ * @param {Object} a A version of the record.
+ * @param {Object} b Another version of the same record.
+ * @returns {number} A positive number if `a` wins, a negative number if `b` wins, or 0 if they are the same.
+ */
+function compareVersions(a, b) {
+  const timeDifference = Date.parse(a.updatedAt) - Date.parse(b.updatedAt);
+  if (timeDifference !== 0) {
+    return timeDifference;
+  }
+  if (a.deleted !== b.deleted) {
+    return a.deleted ? 1 : -1;
+  }
+  const aData = JSON.stringify(a.data);
+  const bData = JSON.stringify(b.data);
+  return aData === bData ? 0 : aData > bData ? 1 : -1;
+}
+
+/**
+ * Checks that a record sent by a device has the expected shape.
+ *
+ * @param {any} record The record.
+ * @returns {boolean} Whether the record is valid.
+ */
+function isValidRecord(record) {
+  return (
+    record !== null &&
+    typeof record === 'object' &&
+    COLLECTIONS.has(record.collection) &&
+    typeof record.id === 'string' &&
+    record.id.length > 0 &&
+    typeof record.updatedAt === 'string' &&
+    !Number.isNaN(Date.parse(record.updatedAt)) &&
+    typeof record.deleted === 'boolean' &&
+    (record.deleted ? record.data === null : record.data !== null && typeof record.data === 'object')
+  );
+}
+
+/**
+ * Stores the changes a device sent, keeping whichever version of each record wins.
+ *
+ * @param {Array<Object>} records The records sent.
+ * @returns {Array<Object>} The stored versions that won over a record sent, so the device can take them instead.
+ */
+function storeChanges(records) {
+  const rejected = [];
+  for (const record of records) {
+    const key = `${record.collection}:${record.id}`;
+    const existing = db.records[key];
+    const comparison = existing ? compareVersions(record, existing) : 1;
+    if (comparison > 0) {
+      db.seq += 1;
+      db.records[key] = {
+        collection: record.collection,
+        id: record.id,
+        updatedAt: record.updatedAt,
+        deleted: record.deleted,
+        data: record.deleted ? null : record.data,
+        seq: db.seq,
+      };
+    } else if (comparison < 0) {
+      rejected.push(existing);
+    }
+  }
+  saveDb();
+  return rejected;
+}
+
+/**
+ * Lists the changes stored after a cursor, oldest first.
+ *
+ * @param {number} since The cursor: the sequence number of the last change already seen.
+ * @returns {{records: Array<Object>, cursor: number, hasMore: boolean}} A page of changes and the cursor to continue from.
+ */
+function listChanges(since) {
+  const changes = Object.values(db.records)
+    .filter((record) => record.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const records = changes.slice(0, PAGE_LIMIT);
+  return {
+    records,
+    cursor: records.length > 0 ? records[records.length - 1].seq : Math.min(Math.max(since, 0), db.seq),
+    hasMore: changes.length > records.length,
+  };
+}
+
+/**
+ * Sends a JSON answer.
+ *
+ * @param {http.ServerResponse} response The response.
+ * @param {number} status The HTTP status.
+ * @param {Object} body The answer.
+ * @returns {void}
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request's JSON body.
+ *
+ * @param {http.IncomingMessage} request The request.
+ * @returns {Promise<any>} A promise resolving to the parsed body.
+ */
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JSON_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Saves an uploaded file, through a temporary file so a broken upload never leaves a partial file.
+ *
+ * @param {http.IncomingMessage} request The upload request.
+ * @param {string} filePath Where to save the file.
+ * @returns {Promise<void>} A promise that resolves when the file is saved.
+ */
+function saveFile(request, filePath) {
+  const temporaryPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  return new Promise((resolve, reject) => {
+    const file = fs.createWriteStream(temporaryPath);
+    let size = 0;
+    const fail = (error) => {
+      file.destroy();
+      fs.rm(temporaryPath, { force: true }, () => reject(error));
+    };
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_FILE_BYTES) {
+        request.destroy();
+        fail(Object.assign(new Error('File too large'), { status: 413 }));
+      }
+    });
+    request.on('error', fail);
+    file.on('error', fail);
+    file.on('finish', () => {
+      fs.rename(temporaryPath, filePath, (error) => (error ? fail(error) : resolve()));
+    });
+    request.pipe(file);
+  });
+}
+
+/**
+ * Checks the request's access token, if the server requires one.
+ *
+ * @param {http.IncomingMessage} request The request.
+ * @returns {boolean} Whether the request may go ahead.
+ */
+function isAuthorized(request) {
+  if (!TOKEN) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  const received = Buffer.from(request.headers.authorization || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Handles one request.
+ *
+ * @param {http.IncomingMessage} request The request.
+ * @param {http.ServerResponse} response The response.
+ * @returns {Promise<void>} A promise that resolves once the request is answered.
+ */
+async function handleRequest(request, response) {
+  if (!isAuthorized(request)) {
+    sendJson(response, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(request.url, 'http://localhost');
+
+  if (url.pathname === '/changes' && request.method === 'GET') {
+    const since = Number(url.searchParams.get('since') ?? 0);
+    if (!Number.isInteger(since)) {
+      sendJson(response, 400, { error: 'Invalid cursor' });
+      return;
+    }
+    sendJson(response, 200, listChanges(since));
+    return;
+  }
+
+  if (url.pathname === '/changes' && request.method === 'POST') {
+    const body = await readJson(request);
+    if (!Array.isArray(body?.records) || !body.records.every(isValidRecord)) {
+      sendJson(response, 400, { error: 'Invalid records' });
+      return;
+    }
+    sendJson(response, 200, { rejected: storeChanges(body.records) });
+    return;
+  }
+
+  const fileMatch = url.pathname.match(/^\/([\w-]+)\/([^/]+)$/);
+  if (fileMatch && Object.hasOwn(FILE_DIRS, fileMatch[1])) {
+    let fileName;
+    try {
+      fileName = decodeURIComponent(fileMatch[2]);
+    } catch {
+      fileName = null;
+    }
+    if (!fileName || !FILE_NAME_PATTERN.test(fileName)) {
+      sendJson(response, 400, { error: 'Invalid file name' });
+      return;
+    }
+    const filePath = path.join(FILE_DIRS[fileMatch[1]], fileName);
+
+    if (request.method === 'PUT') {
+      await saveFile(request, filePath);
+      sendJson(response, 200, {});
+      return;
+    }
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': stats.size });
+      if (request.method === 'HEAD') {
+        response.end();
+      } else {
+        fs.createReadStream(filePath).pipe(response);
+      }
+      return;
+    }
+  }
+
+  sendJson(response, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((request, response) => {
+  handleRequest(request, response).catch((error) => {
+    if (!error.status) {
+      console.error('Error handling request:', error);
+    }
+    if (!response.headersSent) {
+      sendJson(response, error.status || 500, { error: error.status ? error.message : 'Internal error' });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`MoodSnap sync server listening on port ${PORT}, keeping data in ${DATA_DIR}`);
+  if (!TOKEN) {
+    console.log('No SYNC_TOKEN set: anyone who can reach this port can read and change the journal.');
+  }
+});
@@ -0,0 +1,452 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-secure-store', () => {
+  const items = new Map();
+  return {
+    getItemAsync: async (key) => items.get(key) ?? null,
+    setItemAsync: async (key, value) => {
+      items.set(key, value);
+    },
+    deleteItemAsync: async (key) => {
+      items.delete(key);
+    },
+  };
+});
+
+jest.mock('expo-crypto', () => ({
+  getRandomBytes: (length) => new Uint8Array(require('crypto').randomBytes(length)),
+}));
+
+// The device's files live in a temporary directory, reached through file:// URIs as on a phone.
+// Each test loads the modules afresh (see `loadDevice`), and so gets a directory of its own.
+jest.mock('expo-file-system', () => {
+  const mockFs = require('fs');
+  const root = mockFs.mkdtempSync(`${require('os').tmpdir()}/moodsnap-device-`);
+  const toPath = (uri) => decodeURIComponent(uri.replace(/^file:\/\//, ''));
+  return {
+    documentDirectory: `file://${root}/documents/`,
+    cacheDirectory: `file://${root}/cache/`,
+    EncodingType: { Base64: 'base64', UTF8: 'utf8' },
+    FileSystemUploadType: { BINARY_CONTENT: 0 },
+    getInfoAsync: async (uri) => {
+      try {
+        const stats = mockFs.statSync(toPath(uri));
+        return { exists: true, uri, isDirectory: stats.isDirectory(), modificationTime: stats.mtimeMs / 1000 };
+      } catch {
+        return { exists: false, uri, isDirectory: false };
+      }
+    },
+    makeDirectoryAsync: async (uri) => {
+      mockFs.mkdirSync(toPath(uri), { recursive: true });
+    },
+    readDirectoryAsync: async (uri) => mockFs.readdirSync(toPath(uri)),
+    copyAsync: async ({ from, to }) => {
+      mockFs.copyFileSync(toPath(from), toPath(to));
+    },
+    moveAsync: async ({ from, to }) => {
+      mockFs.renameSync(toPath(from), toPath(to));
+    },
+    deleteAsync: async (uri) => {
+      mockFs.rmSync(toPath(uri), { recursive: true, force: true });
+    },
+    readAsStringAsync: async (uri, { encoding = 'utf8' } = {}) => mockFs.readFileSync(toPath(uri), encoding),
+    writeAsStringAsync: async (uri, contents, { encoding = 'utf8' } = {}) => {
+      mockFs.writeFileSync(toPath(uri), contents, encoding);
+    },
+    uploadAsync: async (url, uri, { httpMethod, headers }) => {
+      const response = await fetch(url, { method: httpMethod, headers, body: mockFs.readFileSync(toPath(uri)) });
+      return { status: response.status };
+    },
+    downloadAsync: async (url, uri, { headers }) => {
+      const response = await fetch(url, { headers });
+      mockFs.mkdirSync(require('path').dirname(toPath(uri)), { recursive: true });
+      mockFs.writeFileSync(toPath(uri), Buffer.from(await response.arrayBuffer()));
+      return { status: response.status, uri };
+    },
+  };
+});
+
+jest.mock('expo-image-manipulator', () => ({
+  SaveFormat: { JPEG: 'jpeg' },
+  manipulateAsync: async (uri) => {
+    const mockFs = require('fs');
+    const thumbnailPath = `${uri.replace(/^file:\/\//, '')}.thumbnail`;
+    mockFs.copyFileSync(uri.replace(/^file:\/\//, ''), thumbnailPath);
+    return { uri: `file://${thumbnailPath}` };
+  },
+}));
+
+/**
+ * Finds a port nothing is listening on.
+ *
+ * @returns {Promise<number>} A promise resolving to the port.
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Starts the reference sync server on its own data directory.
+ *
+ * @param {number} port The port to listen on.
+ * @param {string} dataDirectory Where the server keeps its data.
+ * @returns {Promise<ChildProcess>} A promise resolving to the server process once it is listening.
+ */
+function startServer(port, dataDirectory) {
+  return new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, [path.join(__dirname, '../../server/sync-server.js')], {
+      env: { ...process.env, PORT: String(port), SYNC_DATA_DIR: dataDirectory, SYNC_TOKEN: '' },
+    });
+    server.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('listening')) {
+        resolve(server);
+      }
+    });
+    server.on('error', reject);
+    server.on('exit', (code) => reject(new Error(`The sync server exited early (${code}).`)));
+  });
+}
+
+/**
+ * Turns a file:// URI on the device into a path.
+ *
+ * @param {string} uri The file's URI.
+ * @returns {string} The file's path.
+ */
+function toPath(uri) {
+  return uri.replace(/^file:\/\//, '');
+}
+
+/**
+ * Writes a file into the device's storage.
+ *
+ * @param {string} uri The file's URI.
+ * @param {string} contents The file's contents.
+ * @returns {void}
+ */
+function writeDeviceFile(uri, contents) {
+  fs.mkdirSync(path.dirname(toPath(uri)), { recursive: true });
+  fs.writeFileSync(toPath(uri), contents);
+}
+
+/**
+ * Reads a file from the device's storage.
+ *
+ * @param {string} uri The file's URI.
+ * @returns {string|null} The file's contents, or `null` if there is no such file.
+ */
+function readDeviceFile(uri) {
+  return fs.existsSync(toPath(uri)) ? fs.readFileSync(toPath(uri), 'utf8') : null;
+}
+
+/**
+ * Loads the app's modules afresh, with empty storage and a directory of their own,
+ * as on a newly installed device. Sync is never started, so changes made on the
+ * device are only sent by the first sync, and the device can be set apart from the server.
+ *
+ * @returns {Object} The device's file system module and the exports of the modules under test.
+ */
+function loadDevice() {
+  jest.resetModules();
+  return {
+    FileSystem: require('expo-file-system'),
+    ...require('@/services/sync'),
+    ...require('@/storage/inspirationImages'),
+    ...require('@/storage/moodEntries'),
+    ...require('@/storage/photos'),
+    ...require('@/storage/voiceMemos'),
+  };
+}
+
+/**
+ * Builds the sync record of a mood entry, as another device would send it.
+ *
+ * @param {Object} fields The fields that differ from a plain entry with no photos or voice memo.
+ * @returns {Object} The sync record.
+ */
+function buildEntryRecord(fields) {
+  const data = {
+    id: 'entry-1',
+    timestamp: '2024-05-01T08:00:00.000Z',
+    createdAt: '2024-05-01T08:00:00.000Z',
+    updatedAt: '2024-05-01T08:00:00.000Z',
+    moodId: 'happy',
+    intensity: 3,
+    secondaryMoodId: null,
+    tagIds: [],
+    journalText: 'A good day',
+    imageUris: [],
+    voiceMemo: null,
+    pickMeUpImageIds: [],
+    ...fields,
+  };
+  return { collection: 'moodEntries', id: data.id, updatedAt: data.updatedAt, deleted: false, data };
+}
+
+describe('sync with the reference server', () => {
+  let device;
+  let server;
+  let serverUrl;
+  let dataDirectory;
+
+  /**
+   * Sends records to the server, as another device would.
+   *
+   * @param {Array<Object>} records The records to send.
+   * @returns {Promise<void>} A promise that resolves when the server has stored them.
+   */
+  async function sendFromOtherDevice(records) {
+    const response = await fetch(`${serverUrl}/changes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ records }),
+    });
+    expect(response.status).toBe(200);
+  }
+
+  /**
+   * Turns sync on for the device and runs its first sync.
+   *
+   * @returns {Promise<void>} A promise that resolves when the sync is over.
+   */
+  async function startSyncing() {
+    await device.updateSyncSettings({ enabled: true, serverUrl, token: '' });
+    await device.syncNow();
+  }
+
+  /**
+   * Runs a sync and collects the changes it makes to the device's mood entries and inspiration.
+   *
+   * @returns {Promise<{entryChanges: Array<Object>, inspirationChanges: Array<Object>}>} A promise resolving to the changes reported.
+   */
+  async function syncAndCollectChanges() {
+    const entryChanges = [];
+    const inspirationChanges = [];
+    const unsubscribeFromEntries = device.subscribeToMoodEntries((change) => entryChanges.push(change));
+    const unsubscribeFromInspiration = device.subscribeToInspiration((change) => inspirationChanges.push(change));
+    await device.syncNow();
+    unsubscribeFromEntries();
+    unsubscribeFromInspiration();
+    expect(device.getSyncStatus()).toMatchObject({ state: 'idle', pendingCount: 0, errorMessage: null });
+    return { entryChanges, inspirationChanges };
+  }
+
+  beforeEach(async () => {
+    device = loadDevice();
+    const port = await getFreePort();
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'moodsnap-server-'));
+    server = await startServer(port, dataDirectory);
+    serverUrl = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(() => {
+    server.removeAllListeners('exit');
+    server.kill();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+    fs.rmSync(path.dirname(toPath(device.FileSystem.documentDirectory)), { recursive: true, force: true });
+  });
+
+  it('keeps an entry’s photos and voice memo when its own changes come back from the server', async () => {
+    const photoUri = `${device.PHOTOS_DIRECTORY}1700000000000-abc123.jpg`;
+    const voiceMemoUri = `${device.VOICE_MEMOS_DIRECTORY}1700000000000-def456.m4a`;
+    // A photo still in the image picker's cache, which the app does not manage and the OS has since purged.
+    const unmanagedPhotoUri = 'file:///var/mobile/Caches/ImagePicker/picked.jpg';
+    writeDeviceFile(photoUri, 'photo');
+    writeDeviceFile(voiceMemoUri, 'voice memo');
+    const entry = await device.createMoodEntry({
+      moodId: 'happy',
+      journalText: 'A good day',
+      imageUris: [photoUri, unmanagedPhotoUri],
+      voiceMemo: { uri: voiceMemoUri, durationMillis: 4000 },
+    });
+
+    await device.updateSyncSettings({ enabled: true, serverUrl, token: '' });
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([entry]);
+    expect(entryChanges).toEqual([]);
+    expect(readDeviceFile(photoUri)).toBe('photo');
+    expect(readDeviceFile(voiceMemoUri)).toBe('voice memo');
+    expect(fs.readdirSync(path.join(dataDirectory, 'photos'))).toEqual(['1700000000000-abc123.jpg']);
+    expect(fs.readdirSync(path.join(dataDirectory, 'voice-memos'))).toEqual(['1700000000000-def456.m4a']);
+  });
+
+  it('applies a newer change from another device without losing the photos and voice memo', async () => {
+    const photoUri = `${device.PHOTOS_DIRECTORY}1700000000000-abc123.jpg`;
+    const voiceMemoUri = `${device.VOICE_MEMOS_DIRECTORY}1700000000000-def456.m4a`;
+    writeDeviceFile(photoUri, 'photo');
+    writeDeviceFile(voiceMemoUri, 'voice memo');
+    const entry = await device.createMoodEntry({
+      moodId: 'happy',
+      journalText: 'A good day',
+      imageUris: [photoUri],
+      voiceMemo: { uri: voiceMemoUri, durationMillis: 4000 },
+    });
+    await startSyncing();
+
+    const updatedAt = new Date(Date.parse(entry.updatedAt) + 1000).toISOString();
+    await sendFromOtherDevice([
+      buildEntryRecord({
+        ...entry,
+        imageUris: ['1700000000000-abc123.jpg'],
+        voiceMemo: { uri: '1700000000000-def456.m4a', durationMillis: 4000 },
+        journalText: 'An even better day',
+        updatedAt,
+      }),
+    ]);
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([{ ...entry, journalText: 'An even better day', updatedAt }]);
+    expect(entryChanges).toEqual([{ type: 'synced' }]);
+    expect(readDeviceFile(photoUri)).toBe('photo');
+    expect(readDeviceFile(voiceMemoUri)).toBe('voice memo');
+  });
+
+  it('skips a change older than the device’s copy', async () => {
+    await startSyncing();
+    await sendFromOtherDevice([buildEntryRecord({ updatedAt: '2024-05-01T08:00:00.000Z' })]);
+    await device.syncNow();
+    // The edit is not sent, so the server still has the version from before it.
+    const editedEntry = await device.updateMoodEntry('entry-1', { journalText: 'Edited on this device' });
+
+    await sendFromOtherDevice([
+      buildEntryRecord({ journalText: 'Edited on another device', updatedAt: '2024-05-01T09:00:00.000Z' }),
+    ]);
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([editedEntry]);
+    expect(entryChanges).toEqual([]);
+  });
+
+  it('applies a change made at the same time as the device’s copy when it differs', async () => {
+    await startSyncing();
+    await sendFromOtherDevice([buildEntryRecord({ journalText: 'A' })]);
+    await device.syncNow();
+
+    // The server settles the tie by comparing the data, so this version wins over the first one.
+    const winningRecord = buildEntryRecord({ journalText: 'B' });
+    await sendFromOtherDevice([winningRecord]);
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([winningRecord.data]);
+    expect(entryChanges).toEqual([{ type: 'synced' }]);
+  });
+
+  it('applies a deletion from another device and removes the entry’s files', async () => {
+    const photoUri = `${device.PHOTOS_DIRECTORY}1700000000000-abc123.jpg`;
+    writeDeviceFile(photoUri, 'photo');
+    const entry = await device.createMoodEntry({ moodId: 'happy', journalText: 'A good day', imageUris: [photoUri] });
+    await startSyncing();
+
+    await sendFromOtherDevice([
+      { collection: 'moodEntries', id: entry.id, updatedAt: new Date().toISOString(), deleted: true, data: null },
+    ]);
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([]);
+    expect(entryChanges).toEqual([{ type: 'synced' }]);
+    expect(readDeviceFile(photoUri)).toBeNull();
+  });
+
+  it('skips the deletion of an entry the device never had', async () => {
+    await startSyncing();
+
+    await sendFromOtherDevice([
+      { collection: 'moodEntries', id: 'entry-1', updatedAt: '2024-05-01T08:00:00.000Z', deleted: true, data: null },
+    ]);
+    const { entryChanges } = await syncAndCollectChanges();
+
+    expect(await device.getMoodEntries()).toEqual([]);
+    expect(entryChanges).toEqual([]);
+  });
+
+  it('keeps boards and photos as they are when their own changes come back from the server', async () => {
+    const photoUri = `${device.PHOTOS_DIRECTORY}1700000000000-abc123.jpg`;
+    const unmanagedPhotoUri = 'file:///var/mobile/Caches/ImagePicker/picked.jpg';
+    writeDeviceFile(photoUri, 'photo');
+    const boards = [...(await device.getInspirationBoards()), { id: 'board-1', name: 'Calm' }];
+    await device.saveInspirationBoards(boards);
+    await device.saveInspirationImages(
+      [photoUri, unmanagedPhotoUri].map((uri, index) => ({
+        id: `image-${index + 1}`,
+        uri,
+        note: '',
+        boardId: 'board-1',
+        pinned: false,
+        moodIds: [],
+        createdAt: '2024-05-01T08:00:00.000Z',
+      }))
+    );
+    const storedBoards = await device.getInspirationBoards();
+    const storedImages = await device.getInspirationImages();
+
+    await device.updateSyncSettings({ enabled: true, serverUrl, token: '' });
+    const { inspirationChanges } = await syncAndCollectChanges();
+
+    expect(await device.getInspirationBoards()).toEqual(storedBoards);
+    expect(await device.getInspirationImages()).toEqual(storedImages);
+    expect(inspirationChanges).toEqual([]);
+    expect(readDeviceFile(photoUri)).toBe('photo');
+    expect(fs.readdirSync(path.join(dataDirectory, 'photos'))).toEqual(['1700000000000-abc123.jpg']);
+  });
+
+  it('applies newer boards and photos from another device, downloading the photos, and skips older ones', async () => {
+    await startSyncing();
+    const board = { id: 'board-1', name: 'Calm', updatedAt: '2024-05-01T08:00:00.000Z' };
+    const image = {
+      id: 'image-1',
+      uri: '1700000000000-abc123.jpg',
+      note: '',
+      boardId: 'board-1',
+      pinned: false,
+      moodIds: [],
+      createdAt: '2024-05-01T08:00:00.000Z',
+      updatedAt: '2024-05-01T08:00:00.000Z',
+    };
+    await fetch(`${serverUrl}/photos/1700000000000-abc123.jpg`, { method: 'PUT', body: 'photo' });
+    await sendFromOtherDevice([
+      { collection: 'inspirationBoards', id: board.id, updatedAt: board.updatedAt, deleted: false, data: board },
+      { collection: 'inspirationImages', id: image.id, updatedAt: image.updatedAt, deleted: false, data: image },
+    ]);
+    const { inspirationChanges } = await syncAndCollectChanges();
+
+    const photoUri = `${device.PHOTOS_DIRECTORY}1700000000000-abc123.jpg`;
+    expect(await device.getInspirationBoards()).toContainEqual(board);
+    expect(await device.getInspirationImages()).toEqual([{ ...image, uri: photoUri }]);
+    expect(inspirationChanges).toHaveLength(1);
+    expect(readDeviceFile(photoUri)).toBe('photo');
+
+    // The rename is not sent, so the server still has the board's name from before it.
+    const boards = await device.getInspirationBoards();
+    await device.saveInspirationBoards(
+      boards.map((item) => (item.id === board.id ? { ...item, name: 'Quiet' } : item))
+    );
+    const renamedBoard = (await device.getInspirationBoards()).find((item) => item.id === board.id);
+    const updatedAt = '2024-05-01T09:00:00.000Z';
+    const editedImage = { ...image, note: 'Sunrise', updatedAt };
+    const editedBoard = { ...board, name: 'Still', updatedAt };
+    await sendFromOtherDevice([
+      { collection: 'inspirationBoards', id: board.id, updatedAt, deleted: false, data: editedBoard },
+      { collection: 'inspirationImages', id: image.id, updatedAt, deleted: false, data: editedImage },
+    ]);
+    await syncAndCollectChanges();
+
+    expect(await device.getInspirationBoards()).toContainEqual(renamedBoard);
+    expect(await device.getInspirationImages()).toEqual([{ ...editedImage, uri: photoUri }]);
+  });
+});
@@ -0,0 +1,146 @@
+import * as Crypto from 'expo-crypto';
+import * as LocalAuthentication from 'expo-local-authentication';
+import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
+
+/**
+ * Key under which the salted PIN hash is kept in the platform secure store.
+ * @type {string}
+ */
+const PIN_KEY = 'appLockPin';
+
+/**
+ * Key under which the wrong PIN count and lockout deadline are kept in the platform
+ * secure store, so closing the app does not reset them.
+ * @type {string}
+ */
+const PIN_ATTEMPTS_KEY = 'appLockPinAttempts';
+
+/**
+ * Wrong PIN count used when none is stored: no wrong PINs and no lockout.
+ * @type {{failedAttempts: number, lockedOutUntil: number|null}}
+ */
+const NO_PIN_ATTEMPTS = { failedAttempts: 0, lockedOutUntil: null };
+
+/**
+ * Number of digits in an app lock PIN.
+ * @type {number}
+ */
+export const PIN_LENGTH = 4;
+
+/**
+ * Whether the app lock can be used on this platform. The secure store it
+ * relies on is not available on web.
+ * @type {boolean}
+ */
+export const IS_APP_LOCK_SUPPORTED = Platform.OS !== 'web';
+
+/**
+ * Hashes a PIN with a salt, so the PIN itself is never stored.
+ *
+ * @param {string} pin The PIN to hash.
+ * @param {string} salt The salt, as a hex string.
+ * @returns {Promise<string>} A promise resolving to the hex-encoded SHA-256 hash.
+ */
+function hashPin(pin, salt) {
+  return Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`);
+}
+
+/**
+ * Sets (or replaces) the app lock PIN.
+ *
+ * @param {string} pin The new PIN.
+ * @returns {Promise<void>} A promise that resolves when the PIN is stored.
+ */
+export async function setPin(pin) {
+  const salt = Array.from(Crypto.getRandomBytes(16), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  const hash = await hashPin(pin, salt);
+  await SecureStore.setItemAsync(PIN_KEY, JSON.stringify({ salt, hash }));
+  await resetPinAttempts();
+}
+
+/**
+ * Checks a PIN against the stored one.
+ *
+ * @param {string} pin The PIN that was entered.
+ * @returns {Promise<boolean>} A promise resolving to `true` if the PIN is correct.
+ */
+export async function verifyPin(pin) {
+  const storedPin = await SecureStore.getItemAsync(PIN_KEY);
+  if (!storedPin) {
+    return false;
+  }
+  const { salt, hash } = JSON.parse(storedPin);
+  return (await hashPin(pin, salt)) === hash;
+}
+
+/**
+ * Removes the stored PIN, when the app lock is turned off.
+ *
+ * @returns {Promise<void>} A promise that resolves when the PIN is removed.
+ */
+export async function clearPin() {
+  await SecureStore.deleteItemAsync(PIN_KEY);
+  await resetPinAttempts();
+}
+
+/**
+ * Reads how many wrong PINs have been entered in a row, and until when the keypad is disabled.
+ *
+ * @returns {Promise<{failedAttempts: number, lockedOutUntil: number|null}>} A promise resolving to the stored attempts.
+ */
+export async function getPinAttempts() {
+  const storedAttempts = await SecureStore.getItemAsync(PIN_ATTEMPTS_KEY);
+  return storedAttempts ? { ...NO_PIN_ATTEMPTS, ...JSON.parse(storedAttempts) } : NO_PIN_ATTEMPTS;
+}
+
+/**
+ * Stores how many wrong PINs have been entered in a row, and until when the keypad is disabled.
+ *
+ * @param {{failedAttempts: number, lockedOutUntil: number|null}} attempts The attempts to store.
+ * @returns {Promise<void>} A promise that resolves when the attempts are stored.
+ */
+export async function savePinAttempts(attempts) {
+  await SecureStore.setItemAsync(PIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+/**
+ * Forgets the wrong PINs entered, once the right one is entered or the lockout is over.
+ *
+ * @returns {Promise<void>} A promise that resolves when the attempts are cleared.
+ */
+export async function resetPinAttempts() {
+  await SecureStore.deleteItemAsync(PIN_ATTEMPTS_KEY);
+}
+
+/**
+ * Tells whether the device can unlock the app with biometrics:
+ * it has the hardware and the user has enrolled a fingerprint or face.
+ *
+ * @returns {Promise<boolean>} A promise resolving to `true` if biometric unlock is possible.
+ */
+export async function isBiometricUnlockAvailable() {
+  if (!IS_APP_LOCK_SUPPORTED) {
+    return false;
+  }
+  const [hasHardware, isEnrolled] = await Promise.all([
+    LocalAuthentication.hasHardwareAsync(),
+    LocalAuthentication.isEnrolledAsync(),
+  ]);
+  return hasHardware && isEnrolled;
+}
+
+/**
+ * Shows the system biometric prompt to unlock the app.
+ * The device passcode fallback is disabled, since the app has its own PIN.
+ *
+ * @returns {Promise<boolean>} A promise resolving to `true` if the user was recognized.
+ */
+export async function authenticateWithBiometrics() {
+  const result = await LocalAuthentication.authenticateAsync({
+    promptMessage: 'Unlock MoodSnap',
+    cancelLabel: 'Use PIN',
+    disableDeviceFallback: true,
+  });
+  return result.success;
+}
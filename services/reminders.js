@@ -0,0 +1,243 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+import { queryMoodEntries } from '@/storage/moodEntries';
+import { getReminderSettings } from '@/storage/reminderSettings';
+import { getDayKey, startOfDay } from '@/utils/moodStats';
+
+/**
+ * How many days ahead reminders are scheduled. Reminders are scheduled one by one
+ * (rather than as repeating triggers) so today's can be skipped once an entry is
+ * logged; they are topped up every time the app starts or an entry changes.
+ * Kept small because iOS allows at most 64 pending notifications per app.
+ * @type {number}
+ */
+const SCHEDULE_DAYS = 7;
+
+/**
+ * Android notification channel that reminders are posted to.
+ * @type {string}
+ */
+const REMINDER_CHANNEL_ID = 'daily-reminders';
+
+/**
+ * App route opened when a reminder is tapped: the New Entry screen.
+ * @type {string}
+ */
+export const REMINDER_ROUTE = '/';
+
+/**
+ * The lookup of the notification tap that launched the app, started on first use.
+ * @type {Promise<string|null>|null}
+ */
+let launchNotificationRoute = null;
+
+/**
+ * Finds the app route of the notification whose tap launched the app, such as a reminder's.
+ * The tap is looked up once per launch and then cleared, so the root layout, which opens the
+ * route, and the tab layout, which must not open the start tab over it, get the same answer.
+ *
+ * @returns {Promise<string|null>} A promise resolving to the route, or `null` if the app was not launched from a notification.
+ */
+export function getLaunchNotificationRoute() {
+  if (!launchNotificationRoute) {
+    launchNotificationRoute = readLaunchNotificationRoute();
+  }
+  return launchNotificationRoute;
+}
+
+/**
+ * Reads and clears the notification tap that launched the app. Only ever runs through
+ * `getLaunchNotificationRoute`. Notification responses are unavailable on web.
+ *
+ * @returns {Promise<string|null>} A promise resolving to the tapped notification's route, or `null`.
+ */
+async function readLaunchNotificationRoute() {
+  if (Platform.OS === 'web') {
+    return null;
+  }
+  const response = await Notifications.getLastNotificationResponseAsync();
+  if (!response?.notification) {
+    return null;
+  }
+  await Notifications.clearLastNotificationResponseAsync();
+  const url = response.notification.request.content.data?.url;
+  return typeof url === 'string' ? url : null;
+}
+
+/**
+ * Converts an `HH:MM` time to minutes after midnight.
+ *
+ * @param {string} time The time to convert.
+ * @returns {number} The number of minutes after midnight.
+ */
+export function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converts minutes after midnight to an `HH:MM` time.
+ *
+ * @param {number} totalMinutes The number of minutes after midnight.
+ * @returns {string} The time, e.g. `07:30`.
+ */
+export function formatTime(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Tells whether a time falls within the quiet-hours window.
+ * A window whose start is after its end wraps around midnight.
+ *
+ * @param {string} time The `HH:MM` time to check.
+ * @param {{enabled: boolean, start: string, end: string}} quietHours The quiet-hours settings.
+ * @returns {boolean} `true` if reminders at this time should be skipped.
+ */
+export function isInQuietHours(time, quietHours) {
+  if (!quietHours.enabled) {
+    return false;
+  }
+  const minutes = parseTime(time);
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Works out when the next reminders should fire, according to the settings.
+ * Skips days that are not selected, times within quiet hours, times that have
+ * already passed, and all of today's reminders if an entry was logged today.
+ *
+ * @param {Object} settings The reminder settings.
+ * @param {Object} options The scheduling context.
+ * @param {boolean} options.hasEntryToday Whether an entry has been logged today.
+ * @param {Date} [options.now=new Date()] The current date.
+ * @returns {Array<Date>} The dates to fire reminders at, in order.
+ */
+export function computeReminderDates(settings, { hasEntryToday, now = new Date() }) {
+  if (!settings.enabled) {
+    return [];
+  }
+
+  const today = startOfDay(now);
+  const times = [...new Set(settings.times)]
+    .filter((time) => !isInQuietHours(time, settings.quietHours))
+    .map(parseTime)
+    .sort((a, b) => a - b);
+
+  const dates = [];
+  for (let offset = 0; offset < SCHEDULE_DAYS; offset += 1) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    if (!settings.weekdays.includes(day.getDay()) || (offset === 0 && hasEntryToday)) {
+      continue;
+    }
+    times.forEach((minutes) => {
+      const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+      if (date > now) {
+        dates.push(date);
+      }
+    });
+  }
+  return dates;
+}
+
+/**
+ * Asks for permission to show notifications, if it has not been granted yet.
+ *
+ * @returns {Promise<boolean>} A promise resolving to `true` if notifications are allowed.
+ */
+export async function requestReminderPermission() {
+  const { status } = await Notifications.getPermissionsAsync();
+  if (status === 'granted') {
+    return true;
+  }
+  const { status: requestedStatus } = await Notifications.requestPermissionsAsync();
+  return requestedStatus === 'granted';
+}
+
+/**
+ * The reschedule in progress, or a settled promise when none is.
+ * @type {Promise<void>}
+ */
+let activeReschedule = Promise.resolve();
+
+/**
+ * The reschedule waiting for the one in progress to finish, if any. Every call made
+ * meanwhile shares it, since it reads the settings and entries only once it starts.
+ * @type {Promise<void>|null}
+ */
+let queuedReschedule = null;
+
+/**
+ * Replaces all scheduled reminders with a fresh set based on the current settings
+ * and whether an entry has already been logged today.
+ * Safe to call as often as needed; it should run whenever the settings change,
+ * an entry is added or removed, and when the app starts. Reschedules run one at a
+ * time, so overlapping calls never leave reminders scheduled twice.
+ *
+ * @returns {Promise<void>} A promise that resolves when the reminders are scheduled.
+ */
+export function rescheduleReminders() {
+  if (!queuedReschedule) {
+    queuedReschedule = activeReschedule
+      .catch(() => {})
+      .then(() => {
+        queuedReschedule = null;
+        return replaceScheduledReminders();
+      });
+    activeReschedule = queuedReschedule;
+  }
+  return queuedReschedule;
+}
+
+/**
+ * Cancels every scheduled reminder and schedules the next ones. Only ever runs through
+ * `rescheduleReminders`, which keeps two runs from interleaving.
+ *
+ * @returns {Promise<void>} A promise that resolves when the reminders are scheduled.
+ */
+async function replaceScheduledReminders() {
+  if (Platform.OS === 'web') {
+    return;
+  }
+
+  const settings = await getReminderSettings();
+  await Notifications.cancelAllScheduledNotificationsAsync();
+  if (!settings.enabled) {
+    return;
+  }
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(REMINDER_CHANNEL_ID, {
+      name: 'Daily check-in reminders',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+  }
+
+  const todayKey = getDayKey(new Date());
+  const todaysEntries = await queryMoodEntries({
+    filter: (entry) => getDayKey(new Date(entry.timestamp)) === todayKey,
+    limit: 1,
+  });
+
+  const dates = computeReminderDates(settings, { hasEntryToday: todaysEntries.length > 0 });
+  for (const date of dates) {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: 'How are you feeling?',
+        body: 'Take a moment to log your mood in MoodSnap.',
+        data: { url: REMINDER_ROUTE },
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date,
+        channelId: REMINDER_CHANNEL_ID,
+      },
+    });
+  }
+}
@@ -0,0 +1,758 @@
+import * as FileSystem from 'expo-file-system';
+import { AppState } from 'react-native';
+
+import {
+  applySyncedInspiration,
+  getInspirationBoards,
+  getInspirationImages,
+  subscribeToInspiration,
+} from '@/storage/inspirationImages';
+import { applySyncedMoodEntries, getMoodEntries, subscribeToMoodEntries } from '@/storage/moodEntries';
+import {
+  adoptPhoto,
+  deletePhoto,
+  getManagedPhotoUri,
+  getPhotoFileName,
+  hasManagedPhoto,
+} from '@/storage/photos';
+import {
+  addToSyncOutbox,
+  clearSyncData,
+  getSyncOutbox,
+  getSyncRecordKey,
+  getSyncState,
+  removeFromSyncOutbox,
+  saveSyncState,
+} from '@/storage/syncOutbox';
+import { getSyncSettings, saveSyncSettings, subscribeToSyncSettings } from '@/storage/syncSettings';
+import {
+  adoptVoiceMemo,
+  deleteVoiceMemo,
+  getManagedVoiceMemoUri,
+  getVoiceMemoFileName,
+  hasManagedVoiceMemo,
+} from '@/storage/voiceMemos';
+
+/**
+ * How long to wait after a change before syncing it, so a burst of edits is sent together.
+ * @type {number}
+ */
+const SYNC_DELAY_MS = 3000;
+
+/**
+ * How often to sync while the app is open, to receive changes made on other devices.
+ * @type {number}
+ */
+const SYNC_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * How long to wait for the sync server to answer a request before treating it as unreachable.
+ * @type {number}
+ */
+const REQUEST_TIMEOUT_MS = 20000;
+
+/**
+ * The collections records can belong to, as named by the sync server.
+ * @type {{entries: string, images: string, boards: string}}
+ */
+const COLLECTIONS = {
+  entries: 'moodEntries',
+  images: 'inspirationImages',
+  boards: 'inspirationBoards',
+};
+
+/**
+ * The kinds of files records refer to: where the server keeps them, and how this device stores them.
+ * @type {Object<string, {path: string, hasFile: Function, getUri: Function, adopt: Function}>}
+ */
+const FILE_KINDS = {
+  photos: { path: '/photos/', hasFile: hasManagedPhoto, getUri: getManagedPhotoUri, adopt: adoptPhoto },
+  voiceMemos: {
+    path: '/voice-memos/',
+    hasFile: hasManagedVoiceMemo,
+    getUri: getManagedVoiceMemoUri,
+    adopt: adoptVoiceMemo,
+  },
+};
+
+/**
+ * Error thrown when the sync server cannot be reached, typically because the device is offline.
+ * Changes stay in the outbox and are sent on a later sync.
+ */
+class SyncUnreachableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncUnreachableError';
+  }
+}
+
+/**
+ * The current sync status. `state` is `'disabled'`, `'idle'`, `'syncing'`, `'offline'`
+ * or `'error'`; `pendingCount` is how many changes are waiting to be sent, and
+ * `errorMessage` says what went wrong in the `'error'` state.
+ * @type {{state: string, lastSyncedAt: string|null, pendingCount: number, errorMessage: string|null}}
+ */
+let status = { state: 'disabled', lastSyncedAt: null, pendingCount: 0, errorMessage: null };
+
+/**
+ * Functions to call whenever the sync status changes.
+ * @type {Set<Function>}
+ */
+const statusListeners = new Set();
+
+/**
+ * The sync settings, as last saved.
+ * @type {Object|null}
+ */
+let currentSettings = null;
+
+/**
+ * Whether this device has started syncing with the server. Changes are only queued
+ * from then on; the first sync sends everything on the device instead.
+ * @type {boolean}
+ */
+let hasSynced = false;
+
+/**
+ * The sync in progress, if any.
+ * @type {Promise<void>|null}
+ */
+let activeSync = null;
+
+/**
+ * Whether another sync was asked for while one was in progress.
+ * @type {boolean}
+ */
+let isSyncRequested = false;
+
+/**
+ * The timer for the sync scheduled after a change, if any.
+ * @type {ReturnType<typeof setTimeout>|null}
+ */
+let scheduledSync = null;
+
+/**
+ * Returns the current sync status.
+ *
+ * @returns {{state: string, lastSyncedAt: string|null, pendingCount: number, errorMessage: string|null}} The sync status.
+ */
+export function getSyncStatus() {
+  return status;
+}
+
+/**
+ * Registers a function to be called with the new status whenever it changes.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToSyncStatus(listener) {
+  statusListeners.add(listener);
+  return () => {
+    statusListeners.delete(listener);
+  };
+}
+
+/**
+ * Changes the sync status and notifies the listeners.
+ *
+ * @param {Object} changes The status fields to change.
+ * @returns {void}
+ */
+function updateStatus(changes) {
+  status = { ...status, ...changes };
+  statusListeners.forEach((listener) => listener(status));
+}
+
+/**
+ * Tells whether a photo or voice memo reference in a sync record is the file name of
+ * a file the app manages, rather than the URI of a file it does not manage.
+ *
+ * @param {string} reference The reference.
+ * @returns {boolean} Whether the reference is a file name.
+ */
+function isSyncedFileName(reference) {
+  return !/[/:]/.test(reference);
+}
+
+/**
+ * Turns a photo or voice memo URI into the reference kept in a sync record: the file name
+ * of a managed file, which is the same on every device, or else the URI itself, so files
+ * the app does not manage (such as ones in the image picker's cache) are not lost.
+ *
+ * @param {string} uri The file's URI on this device.
+ * @param {Function} getFileName Returns the file name of a managed file, or `null`.
+ * @returns {string} The reference.
+ */
+function toFileReference(uri, getFileName) {
+  return getFileName(uri) ?? uri;
+}
+
+/**
+ * Turns a photo or voice memo reference from a sync record back into a URI on this device.
+ *
+ * @param {string} reference The reference (see `toFileReference`).
+ * @param {Function} getUri Returns the URI of a managed file on this device.
+ * @returns {string} The file's URI.
+ */
+function fromFileReference(reference, getUri) {
+  return isSyncedFileName(reference) ? getUri(reference) : reference;
+}
+
+/**
+ * Turns a mood entry into a sync record. Photos and the voice memo are referred to
+ * as explained in `toFileReference`.
+ *
+ * @param {Object} entry The mood entry.
+ * @param {string} [updatedAt=entry.updatedAt] When the change being synced was made.
+ * @returns {Object} The sync record.
+ */
+function toEntryRecord(entry, updatedAt = entry.updatedAt) {
+  return {
+    collection: COLLECTIONS.entries,
+    id: entry.id,
+    updatedAt,
+    deleted: false,
+    data: {
+      ...entry,
+      imageUris: entry.imageUris.map((uri) => toFileReference(uri, getPhotoFileName)),
+      voiceMemo: entry.voiceMemo
+        ? { ...entry.voiceMemo, uri: toFileReference(entry.voiceMemo.uri, getVoiceMemoFileName) }
+        : null,
+    },
+  };
+}
+
+/**
+ * Turns an inspiration image into a sync record. Its photo is referred to as
+ * explained in `toFileReference`.
+ *
+ * @param {Object} image The inspiration image.
+ * @returns {Object} The sync record.
+ */
+function toImageRecord(image) {
+  return {
+    collection: COLLECTIONS.images,
+    id: image.id,
+    updatedAt: image.updatedAt,
+    deleted: false,
+    data: { ...image, uri: toFileReference(image.uri, getPhotoFileName) },
+  };
+}
+
+/**
+ * Turns an inspiration board into a sync record.
+ *
+ * @param {Object} board The inspiration board.
+ * @returns {Object} The sync record.
+ */
+function toBoardRecord(board) {
+  return { collection: COLLECTIONS.boards, id: board.id, updatedAt: board.updatedAt, deleted: false, data: board };
+}
+
+/**
+ * Builds the record of a deletion, kept by the server so other devices delete the record too.
+ *
+ * @param {string} collection The collection the record belonged to.
+ * @param {string} id The id of the deleted record.
+ * @returns {Object} The sync record.
+ */
+function toTombstone(collection, id) {
+  return { collection, id, updatedAt: new Date().toISOString(), deleted: true, data: null };
+}
+
+/**
+ * Returns the file names of the managed files of one kind a sync record refers to,
+ * which are the ones sent to and received from the server.
+ *
+ * @param {Object} record The sync record.
+ * @param {string} fileKind The kind of file, a key of `FILE_KINDS`.
+ * @returns {Array<string>} The files' names.
+ */
+function getRecordFiles(record, fileKind) {
+  if (record.deleted) {
+    return [];
+  }
+  let references = [];
+  if (fileKind === 'voiceMemos') {
+    const voiceMemo = record.collection === COLLECTIONS.entries ? record.data.voiceMemo : null;
+    references = voiceMemo ? [voiceMemo.uri] : [];
+  } else if (record.collection === COLLECTIONS.entries) {
+    references = record.data.imageUris;
+  } else if (record.collection === COLLECTIONS.images) {
+    references = [record.data.uri];
+  }
+  return references.filter(isSyncedFileName);
+}
+
+/**
+ * Builds a record for everything on the device, sent on the first sync.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the records.
+ */
+async function buildAllRecords() {
+  const [entries, boards, images] = await Promise.all([
+    getMoodEntries(),
+    getInspirationBoards(),
+    getInspirationImages(),
+  ]);
+  return [
+    ...entries.map((entry) => toEntryRecord(entry)),
+    ...boards.map(toBoardRecord),
+    ...images.map(toImageRecord),
+  ];
+}
+
+/**
+ * Builds the headers for a request to the sync server.
+ *
+ * @param {Object} settings The sync settings.
+ * @returns {Object<string, string>} The headers.
+ */
+function getAuthHeaders(settings) {
+  return settings.token ? { Authorization: `Bearer ${settings.token}` } : {};
+}
+
+/**
+ * Returns the URL of a path on the sync server.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {string} path The path, starting with `/`.
+ * @returns {string} The full URL.
+ */
+function getServerUrl(settings, path) {
+  return `${settings.serverUrl.trim().replace(/\/+$/, '')}${path}`;
+}
+
+/**
+ * Sends a request to the sync server.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {string} path The path, starting with `/`.
+ * @param {Object} [options] The request options.
+ * @param {string} [options.method='GET'] The HTTP method.
+ * @param {Object} [options.body] The JSON body to send.
+ * @returns {Promise<Response>} A promise resolving to the response, whatever its status.
+ * @throws {SyncUnreachableError} If the server cannot be reached or does not answer in time.
+ */
+async function sendRequest(settings, path, { method = 'GET', body } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    return await fetch(getServerUrl(settings, path), {
+      method,
+      headers: { ...getAuthHeaders(settings), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw new SyncUnreachableError(`The sync server could not be reached: ${error.message}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Sends a request to the sync server and reads its JSON answer.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {string} path The path, starting with `/`.
+ * @param {Object} [options] The request options (see `sendRequest`).
+ * @returns {Promise<Object>} A promise resolving to the answer.
+ * @throws {Error} If the server answers with an error.
+ */
+async function requestJson(settings, path, options) {
+  const response = await sendRequest(settings, path, options);
+  if (response.status === 401) {
+    throw new Error('The sync server did not accept the access token.');
+  }
+  if (!response.ok) {
+    throw new Error(`The sync server answered with an error (${response.status}).`);
+  }
+  return response.json();
+}
+
+/**
+ * Uploads the photos and voice memos the records refer to that the server does not have yet.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {Array<Object>} records The records about to be sent.
+ * @returns {Promise<void>} A promise that resolves when the files are uploaded.
+ */
+async function uploadFiles(settings, records) {
+  for (const [fileKind, { path: kindPath, hasFile, getUri }] of Object.entries(FILE_KINDS)) {
+    const fileNames = new Set(records.flatMap((record) => getRecordFiles(record, fileKind)));
+    for (const fileName of fileNames) {
+      if (!(await hasFile(fileName))) {
+        continue;
+      }
+      const path = `${kindPath}${encodeURIComponent(fileName)}`;
+      const existing = await sendRequest(settings, path, { method: 'HEAD' });
+      if (existing.ok) {
+        continue;
+      }
+      const upload = await FileSystem.uploadAsync(getServerUrl(settings, path), getUri(fileName), {
+        httpMethod: 'PUT',
+        uploadType: FileSystem.FileSystemUploadType.BINARY_CONTENT,
+        headers: { ...getAuthHeaders(settings), 'Content-Type': 'application/octet-stream' },
+      });
+      if (upload.status < 200 || upload.status >= 300) {
+        throw new Error(`A file could not be uploaded to the sync server (${upload.status}).`);
+      }
+    }
+  }
+}
+
+/**
+ * Downloads the photos and voice memos the records refer to that are not on this device yet.
+ * A file the server does not have is skipped; the record is applied without it.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {Array<Object>} records The records received.
+ * @returns {Promise<void>} A promise that resolves when the files are downloaded.
+ */
+async function downloadFiles(settings, records) {
+  for (const [fileKind, { path, hasFile, adopt }] of Object.entries(FILE_KINDS)) {
+    const fileNames = new Set(records.flatMap((record) => getRecordFiles(record, fileKind)));
+    for (const fileName of fileNames) {
+      if (await hasFile(fileName)) {
+        continue;
+      }
+      const temporaryUri = `${FileSystem.cacheDirectory}sync-${fileName}`;
+      const download = await FileSystem.downloadAsync(
+        getServerUrl(settings, `${path}${encodeURIComponent(fileName)}`),
+        temporaryUri,
+        { headers: getAuthHeaders(settings) }
+      );
+      if (download.status === 200) {
+        await adopt(temporaryUri, fileName);
+      } else {
+        console.error(`File ${fileName} could not be downloaded (${download.status}).`);
+        await FileSystem.deleteAsync(temporaryUri, { idempotent: true });
+      }
+    }
+  }
+}
+
+/**
+ * Tells whether a received record changes this device's copy of the record. Records
+ * older than the copy here are left out, as are ones this device sent itself and now
+ * receives back, and deletions of records this device does not have. A record as
+ * old as the copy here but different from it is taken, since it won over the copy
+ * when the server settled the tie.
+ *
+ * @param {Object} record The received record.
+ * @param {Object|undefined} localRecord This device's copy, as a sync record, if it has one.
+ * @returns {boolean} Whether the record should be applied.
+ */
+function isNewerThanLocal(record, localRecord) {
+  if (!localRecord) {
+    return !record.deleted;
+  }
+  const timeDifference = Date.parse(record.updatedAt) - Date.parse(localRecord.updatedAt);
+  if (timeDifference !== 0) {
+    return timeDifference > 0;
+  }
+  return record.deleted || JSON.stringify(record.data) !== JSON.stringify(localRecord.data);
+}
+
+/**
+ * Applies records received from the server, which has already settled any conflicts.
+ * Records with a change still waiting in the outbox are skipped: the server settles
+ * that change when it is sent, and answers with its own version if that one wins.
+ * Records that would not change anything here are skipped too (see `isNewerThanLocal`),
+ * so receiving this device's own changes back leaves its entries alone.
+ * Photos and voice memos are downloaded first, so entries never refer to a missing
+ * file, and the files of deleted entries and images are removed.
+ *
+ * @param {Object} settings The sync settings.
+ * @param {Array<Object>} records The records received, oldest change first.
+ * @returns {Promise<void>} A promise that resolves when the records are applied.
+ */
+async function applyReceivedRecords(settings, records) {
+  const pendingKeys = new Set((await getSyncOutbox()).map(getSyncRecordKey));
+  const latestRecords = new Map();
+  for (const record of records) {
+    if (!pendingKeys.has(getSyncRecordKey(record))) {
+      latestRecords.set(getSyncRecordKey(record), record);
+    }
+  }
+  if (latestRecords.size === 0) {
+    return;
+  }
+
+  const [entries, boards, images] = await Promise.all([
+    getMoodEntries(),
+    getInspirationBoards(),
+    getInspirationImages(),
+  ]);
+  const localRecords = new Map(
+    [
+      ...entries.map((entry) => toEntryRecord(entry)),
+      ...boards.map(toBoardRecord),
+      ...images.map(toImageRecord),
+    ].map((record) => [getSyncRecordKey(record), record])
+  );
+  const received = [...latestRecords.values()].filter((record) =>
+    isNewerThanLocal(record, localRecords.get(getSyncRecordKey(record)))
+  );
+  if (received.length === 0) {
+    return;
+  }
+  await downloadFiles(settings, received);
+
+  const inCollection = (collection) => received.filter((record) => record.collection === collection);
+  const entryChanges = inCollection(COLLECTIONS.entries).map((record) => ({
+    id: record.id,
+    deleted: record.deleted,
+    entry: record.deleted
+      ? null
+      : {
+          ...record.data,
+          imageUris: record.data.imageUris.map((reference) => fromFileReference(reference, getManagedPhotoUri)),
+          voiceMemo: record.data.voiceMemo
+            ? {
+                ...record.data.voiceMemo,
+                uri: fromFileReference(record.data.voiceMemo.uri, getManagedVoiceMemoUri),
+              }
+            : null,
+        },
+  }));
+  const boardChanges = inCollection(COLLECTIONS.boards).map((record) => ({
+    id: record.id,
+    deleted: record.deleted,
+    board: record.data,
+  }));
+  const imageChanges = inCollection(COLLECTIONS.images).map((record) => ({
+    id: record.id,
+    deleted: record.deleted,
+    image: record.deleted ? null : { ...record.data, uri: fromFileReference(record.data.uri, getManagedPhotoUri) },
+  }));
+
+  const removedEntries = entryChanges.length > 0 ? await applySyncedMoodEntries(entryChanges) : [];
+  const removedImages =
+    boardChanges.length > 0 || imageChanges.length > 0
+      ? await applySyncedInspiration({ boards: boardChanges, images: imageChanges })
+      : [];
+  const removedUris = [...removedEntries.flatMap((entry) => entry.imageUris), ...removedImages.map((image) => image.uri)];
+  for (const uri of removedUris) {
+    await deletePhoto(uri);
+  }
+  for (const entry of removedEntries) {
+    await deleteVoiceMemo(entry.voiceMemo?.uri);
+  }
+}
+
+/**
+ * Runs one sync: sends the outbox, then receives every change made on other devices
+ * since the last sync. On the first sync with a server, everything on the device is sent.
+ *
+ * @returns {Promise<void>} A promise that resolves when the sync is over, whether or not it succeeded.
+ */
+async function runSync() {
+  const settings = currentSettings ?? (await getSyncSettings());
+  if (!settings.enabled || !settings.serverUrl.trim()) {
+    updateStatus({ state: 'disabled', errorMessage: null });
+    return;
+  }
+
+  updateStatus({ state: 'syncing', errorMessage: null });
+  try {
+    const syncState = await getSyncState();
+    if (syncState.cursor === null) {
+      await addToSyncOutbox(await buildAllRecords());
+      hasSynced = true;
+    }
+
+    const outbox = await getSyncOutbox();
+    if (outbox.length > 0) {
+      await uploadFiles(settings, outbox);
+      const { rejected } = await requestJson(settings, '/changes', { method: 'POST', body: { records: outbox } });
+      await removeFromSyncOutbox(outbox);
+      await applyReceivedRecords(settings, rejected);
+    }
+
+    let cursor = syncState.cursor ?? 0;
+    let hasMore = true;
+    while (hasMore) {
+      const page = await requestJson(settings, `/changes?since=${cursor}`);
+      await applyReceivedRecords(settings, page.records);
+      cursor = page.cursor;
+      hasMore = page.hasMore;
+      await saveSyncState({ ...syncState, cursor });
+    }
+
+    const lastSyncedAt = new Date().toISOString();
+    await saveSyncState({ cursor, lastSyncedAt });
+    updateStatus({ state: 'idle', lastSyncedAt, pendingCount: (await getSyncOutbox()).length });
+  } catch (error) {
+    const isUnreachable = error instanceof SyncUnreachableError;
+    if (!isUnreachable) {
+      console.error('Error syncing:', error);
+    }
+    updateStatus({
+      state: isUnreachable ? 'offline' : 'error',
+      errorMessage: error.message,
+      pendingCount: (await getSyncOutbox().catch(() => [])).length,
+    });
+  }
+}
+
+/**
+ * Syncs now. If a sync is already running, another one follows it, so changes made
+ * in the meantime are not left waiting.
+ *
+ * @returns {Promise<void>} A promise that resolves when the sync is over.
+ */
+export function syncNow() {
+  if (scheduledSync) {
+    clearTimeout(scheduledSync);
+    scheduledSync = null;
+  }
+  if (activeSync) {
+    isSyncRequested = true;
+    return activeSync;
+  }
+  activeSync = runSync().finally(() => {
+    activeSync = null;
+    if (isSyncRequested) {
+      isSyncRequested = false;
+      syncNow();
+    }
+  });
+  return activeSync;
+}
+
+/**
+ * Queues records to send, and schedules a sync shortly after, if sync is on.
+ * Before the first sync nothing needs queueing, since it sends everything.
+ *
+ * @param {Array<Object>} records The records that changed.
+ * @returns {void}
+ */
+function queueRecords(records) {
+  if (!hasSynced || records.length === 0) {
+    return;
+  }
+  addToSyncOutbox(records)
+    .then(getSyncOutbox)
+    .then((outbox) => {
+      updateStatus({ pendingCount: outbox.length });
+      if (currentSettings?.enabled && !scheduledSync) {
+        scheduledSync = setTimeout(syncNow, SYNC_DELAY_MS);
+      }
+    })
+    .catch((error) => {
+      console.error('Error queueing changes to sync:', error);
+    });
+}
+
+/**
+ * Turns a change to the mood entries into the records to send.
+ * Restoring a deleted entry counts as a change made now, so it wins over the deletion.
+ * Changes received from the server, and clearing or resetting the journal on this device, are not sent.
+ *
+ * @param {Object} change The change reported by the mood entry store.
+ * @returns {Array<Object>} The records to send.
+ */
+function getEntryChangeRecords(change) {
+  switch (change.type) {
+    case 'created':
+    case 'updated':
+      return [toEntryRecord(change.entry)];
+    case 'restored':
+      return [toEntryRecord(change.entry, new Date().toISOString())];
+    case 'deleted':
+      return [toTombstone(COLLECTIONS.entries, change.entry.id)];
+    case 'imported':
+      return change.entries.map((entry) => toEntryRecord(entry));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Saves new sync settings. Switching to another server starts over with it, so
+ * everything on the device is sent to it and everything on it received. Sync runs
+ * right away if it is on.
+ *
+ * @param {Object} settings The sync settings to save.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ */
+export async function updateSyncSettings(settings) {
+  const previousSettings = currentSettings ?? (await getSyncSettings());
+  if (settings.serverUrl.trim() !== previousSettings.serverUrl.trim()) {
+    await clearSyncData();
+    hasSynced = false;
+  }
+  await saveSyncSettings(settings);
+}
+
+/**
+ * Starts keeping the journal in sync: changes are queued as they are made and sent
+ * shortly after, and changes from other devices are received when the app starts,
+ * when it comes back to the foreground and every so often while it is open.
+ * Works offline: queued changes wait in the outbox until the server can be reached.
+ *
+ * @returns {Function} A function that stops syncing.
+ */
+export function startSync() {
+  Promise.all([getSyncSettings(), getSyncState()])
+    .then(([settings, syncState]) => {
+      currentSettings = settings;
+      hasSynced = syncState.cursor !== null;
+      updateStatus({ lastSyncedAt: syncState.lastSyncedAt });
+      syncNow();
+    })
+    .catch((error) => {
+      console.error('Error starting sync:', error);
+    });
+
+  const unsubscribeFromSettings = subscribeToSyncSettings((settings) => {
+    currentSettings = settings;
+    getSyncState()
+      .then((syncState) => {
+        hasSynced = syncState.cursor !== null;
+        syncNow();
+      })
+      .catch((error) => {
+        console.error('Error starting sync:', error);
+      });
+  });
+  const unsubscribeFromEntries = subscribeToMoodEntries((change) => {
+    queueRecords(getEntryChangeRecords(change));
+  });
+  const unsubscribeFromInspiration = subscribeToInspiration((change) => {
+    if (change.fromSync) {
+      return;
+    }
+    queueRecords([
+      ...change.boards.map(toBoardRecord),
+      ...change.removedBoardIds.map((id) => toTombstone(COLLECTIONS.boards, id)),
+      ...change.images.map(toImageRecord),
+      ...change.removedImageIds.map((id) => toTombstone(COLLECTIONS.images, id)),
+    ]);
+  });
+  const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+    if (nextAppState === 'active') {
+      syncNow();
+    }
+  });
+  const interval = setInterval(() => {
+    if (AppState.currentState === 'active') {
+      syncNow();
+    }
+  }, SYNC_INTERVAL_MS);
+
+  return () => {
+    unsubscribeFromSettings();
+    unsubscribeFromEntries();
+    unsubscribeFromInspiration();
+    appStateSubscription.remove();
+    clearInterval(interval);
+    if (scheduledSync) {
+      clearTimeout(scheduledSync);
+      scheduledSync = null;
+    }
+  };
+}
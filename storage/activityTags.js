@@ -0,0 +1,149 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { runMigrations } from '@/storage/migrations';
+
+/**
+ * Key used for storing and retrieving the activity tags in AsyncStorage.
+ * @type {string}
+ */
+const ACTIVITY_TAGS_KEY = 'activityTags';
+
+/**
+ * Ordered schema migrations for the stored activity tags.
+ * Append new migrations to the end with the next version number; never edit
+ * or remove one that has shipped, since users may be upgrading from any version.
+ * @type {Array<{version: number, migrate: Function}>}
+ */
+const ACTIVITY_TAG_MIGRATIONS = [
+  {
+    // Version 1: every journal starts out with a few common activities.
+    version: 1,
+    migrate: (tags) =>
+      Array.isArray(tags) && tags.length > 0
+        ? tags
+        : [
+            { id: 'work', label: 'Work' },
+            { id: 'sleep', label: 'Sleep' },
+            { id: 'exercise', label: 'Exercise' },
+            { id: 'people', label: 'People' },
+          ],
+  },
+];
+
+/**
+ * Promise for the one-time migration run, shared by every caller.
+ * @type {Promise<*>|null}
+ */
+let readyPromise = null;
+
+/**
+ * Tail of the write queue, so concurrent changes to the tags cannot overwrite each other.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Functions to call with the new list of tags whenever it changes.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with every tag whenever a tag is added.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToActivityTags(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Runs any pending schema migrations for the activity tags, creating the defaults on first launch.
+ * Safe to call more than once; if the migration fails, the next call tries again.
+ *
+ * @returns {Promise<void>} A promise that resolves once the stored tags are up to date.
+ */
+export async function initializeActivityTags() {
+  if (!readyPromise) {
+    readyPromise = runMigrations(ACTIVITY_TAGS_KEY, ACTIVITY_TAG_MIGRATIONS, []).catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  await readyPromise;
+}
+
+/**
+ * Returns every activity tag, in the order they were created.
+ *
+ * @returns {Promise<Array<{id: string, label: string}>>} A promise resolving to the tags.
+ */
+export async function getActivityTags() {
+  await initializeActivityTags();
+  const storedTags = await AsyncStorage.getItem(ACTIVITY_TAGS_KEY);
+  return storedTags ? JSON.parse(storedTags) : [];
+}
+
+/**
+ * Queues a read-modify-write of the tags.
+ * `update` receives the current tags and returns `{ tags, result }`; the tags are
+ * written back and the listeners told, unless `update` returns the same array.
+ *
+ * @param {Function} update The function computing the new list of tags.
+ * @returns {Promise<*>} A promise resolving to the `result` returned by `update`.
+ */
+function modifyTags(update) {
+  const task = writeQueue.then(async () => {
+    const currentTags = await getActivityTags();
+    const { tags, result } = update(currentTags);
+    if (tags !== currentTags) {
+      await AsyncStorage.setItem(ACTIVITY_TAGS_KEY, JSON.stringify(tags));
+      listeners.forEach((listener) => listener(tags));
+    }
+    return result;
+  });
+  writeQueue = task.then(
+    () => {},
+    () => {}
+  );
+  return task;
+}
+
+/**
+ * Creates a tag, unless one with the same label already exists (ignoring case),
+ * in which case that tag is returned instead. This keeps tags reusable when the
+ * user types one they already have.
+ *
+ * @param {string} label The tag's label.
+ * @returns {Promise<{id: string, label: string}>} A promise resolving to the new or existing tag.
+ */
+export function createActivityTag(label) {
+  const trimmedLabel = label.trim();
+  return modifyTags((tags) => {
+    const existingTag = tags.find((tag) => tag.label.toLowerCase() === trimmedLabel.toLowerCase());
+    if (existingTag) {
+      return { tags, result: existingTag };
+    }
+    const newTag = { id: `tag-${Date.now()}`, label: trimmedLabel };
+    return { tags: [...tags, newTag], result: newTag };
+  });
+}
+
+/**
+ * Adds tags from elsewhere (such as an imported archive) that are not stored yet.
+ * Tags whose id is already stored are left as they are.
+ *
+ * @param {Array<{id: string, label: string}>} importedTags The tags to merge in.
+ * @returns {Promise<void>} A promise that resolves when the tags are saved.
+ */
+export function mergeActivityTags(importedTags) {
+  return modifyTags((tags) => {
+    const existingIds = new Set(tags.map((tag) => tag.id));
+    const addedTags = importedTags.filter((tag) => !existingIds.has(tag.id));
+    return { tags: addedTags.length > 0 ? [...tags, ...addedTags] : tags };
+  });
+}
@@ -0,0 +1,129 @@
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToHex, bytesToUtf8, hexToBytes, utf8ToBytes } from '@noble/ciphers/utils';
+import * as Crypto from 'expo-crypto';
+import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
+
+/**
+ * Key under which the journal encryption key is kept in the platform secure store.
+ * @type {string}
+ */
+const ENCRYPTION_KEY_NAME = 'journalEncryptionKey';
+
+/**
+ * Prefix marking a stored value as encrypted, followed by the hex nonce and ciphertext
+ * separated by a colon. Values without it are plaintext JSON written by older versions.
+ * @type {string}
+ */
+const ENCRYPTED_PREFIX = 'enc1:';
+
+/**
+ * Whether data can be encrypted on this platform. The secure store holding
+ * the key is not available on web, where data is stored as plain JSON.
+ * @type {boolean}
+ */
+export const IS_ENCRYPTION_SUPPORTED = Platform.OS !== 'web';
+
+/**
+ * Error thrown when stored data exists but cannot be read back, because it is
+ * damaged or its encryption key is gone. Its message is suitable for showing to the user.
+ */
+export class UnreadableDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnreadableDataError';
+  }
+}
+
+/**
+ * The encryption key, once it has been read from the secure store.
+ * @type {Uint8Array|null}
+ */
+let cachedKey = null;
+
+/**
+ * Reads the encryption key from the secure store.
+ * When `create` is set and there is no key yet, a new random one is generated and stored.
+ * A key is never created for reading, so data encrypted with a lost key is reported
+ * as unreadable instead of being overwritten.
+ *
+ * @param {boolean} create Whether to create the key if there is none.
+ * @returns {Promise<Uint8Array|null>} A promise resolving to the 256-bit key, or `null` if there is none.
+ */
+async function getEncryptionKey(create) {
+  if (cachedKey) {
+    return cachedKey;
+  }
+  const storedKey = await SecureStore.getItemAsync(ENCRYPTION_KEY_NAME);
+  if (storedKey) {
+    cachedKey = hexToBytes(storedKey);
+  } else if (create) {
+    const newKey = Crypto.getRandomBytes(32);
+    await SecureStore.setItemAsync(ENCRYPTION_KEY_NAME, bytesToHex(newKey));
+    cachedKey = newKey;
+  }
+  return cachedKey;
+}
+
+/**
+ * Tells whether a stored value was written by `encryptJson`.
+ *
+ * @param {string} storedValue The stored value.
+ * @returns {boolean} `true` if the value is encrypted.
+ */
+export function isEncrypted(storedValue) {
+  return storedValue.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Serializes a value to JSON and encrypts it with XChaCha20-Poly1305 under
+ * the journal key, creating the key on first use. On platforms without
+ * encryption support, the plain JSON is returned.
+ *
+ * @param {*} value The value to store.
+ * @returns {Promise<string>} A promise resolving to the string to store.
+ */
+export async function encryptJson(value) {
+  const json = JSON.stringify(value);
+  if (!IS_ENCRYPTION_SUPPORTED) {
+    return json;
+  }
+  const key = await getEncryptionKey(true);
+  const nonce = Crypto.getRandomBytes(24);
+  const ciphertext = xchacha20poly1305(key, nonce).encrypt(utf8ToBytes(json));
+  return `${ENCRYPTED_PREFIX}${bytesToHex(nonce)}:${bytesToHex(ciphertext)}`;
+}
+
+/**
+ * Reads back a value stored with `encryptJson`. Plaintext JSON from before
+ * encryption is accepted too, so existing data stays readable until it is rewritten.
+ *
+ * @param {string} storedValue The stored string.
+ * @returns {Promise<*>} A promise resolving to the stored value.
+ * @throws {UnreadableDataError} If the value is damaged, or was encrypted with a key this device no longer has.
+ */
+export async function decryptJson(storedValue) {
+  if (!isEncrypted(storedValue)) {
+    try {
+      return JSON.parse(storedValue);
+    } catch {
+      throw new UnreadableDataError('Your journal data is damaged and could not be read.');
+    }
+  }
+
+  const key = IS_ENCRYPTION_SUPPORTED ? await getEncryptionKey(false) : null;
+  if (!key) {
+    throw new UnreadableDataError(
+      "Your journal is encrypted, but the key to unlock it is missing from this device's secure storage. " +
+        'This can happen after restoring the app from a device backup.'
+    );
+  }
+
+  try {
+    const [nonceHex, ciphertextHex] = storedValue.slice(ENCRYPTED_PREFIX.length).split(':');
+    const plaintext = xchacha20poly1305(key, hexToBytes(nonceHex)).decrypt(hexToBytes(ciphertextHex));
+    return JSON.parse(bytesToUtf8(plaintext));
+  } catch {
+    throw new UnreadableDataError('Your journal data is damaged and could not be decrypted.');
+  }
+}
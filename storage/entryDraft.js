@@ -0,0 +1,92 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { decryptJson, encryptJson } from '@/storage/encryption';
+
+/**
+ * Key under which the New Entry form's draft is stored in AsyncStorage.
+ * @type {string}
+ */
+const ENTRY_DRAFT_KEY = 'entryDraft';
+
+/**
+ * Tail of the write queue, so draft saves and removals happen in the order they were
+ * made, and a save started before a removal cannot bring the draft back after it.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Queues a change to the stored draft behind the ones already pending.
+ *
+ * @param {Function} write An async function making the change.
+ * @returns {Promise<void>} A promise that resolves when the change is made.
+ */
+function queueWrite(write) {
+  const task = writeQueue.then(write);
+  writeQueue = task.then(
+    () => {},
+    () => {}
+  );
+  return task;
+}
+
+/**
+ * Tells whether a draft holds anything worth keeping. The intensity and the
+ * entry's time alone do not count, since they always have a value.
+ *
+ * @param {Object} draft The draft.
+ * @returns {boolean} `true` if nothing has been filled in.
+ */
+export function isEntryDraftEmpty(draft) {
+  return (
+    !draft.moodId &&
+    !draft.secondaryMoodId &&
+    draft.tagIds.length === 0 &&
+    draft.journalText.trim() === '' &&
+    draft.imageUris.length === 0 &&
+    !draft.voiceMemo
+  );
+}
+
+/**
+ * Returns the draft of the entry being written on the New Entry screen, if any.
+ * Drafts are encrypted like the journal, since they hold the same kind of text.
+ * The draft has the fields of a new entry (`timestamp`, `moodId`, `intensity`, `secondaryMoodId`,
+ * `tagIds`, `journalText`, `imageUris` and `voiceMemo`) and the `savedAt` time it was last saved.
+ * Its `timestamp` is `null` unless the entry was backdated. Drafts saved before voice memos
+ * existed have no `voiceMemo`.
+ *
+ * @returns {Promise<Object|null>} A promise resolving to the draft, or `null` if there is none.
+ * @throws {UnreadableDataError} If the stored draft is damaged or cannot be decrypted.
+ */
+export async function getEntryDraft() {
+  const storedDraft = await AsyncStorage.getItem(ENTRY_DRAFT_KEY);
+  return storedDraft ? decryptJson(storedDraft) : null;
+}
+
+/**
+ * Saves the draft of the entry being written, stamping when it was saved.
+ * An empty draft is not worth keeping, so saving one removes the stored draft instead.
+ *
+ * @param {Object} draft The form's fields.
+ * @returns {Promise<void>} A promise that resolves when the draft is saved.
+ */
+export function saveEntryDraft(draft) {
+  return queueWrite(async () => {
+    if (isEntryDraftEmpty(draft)) {
+      await AsyncStorage.removeItem(ENTRY_DRAFT_KEY);
+      return;
+    }
+    const storedDraft = await encryptJson({ ...draft, savedAt: new Date().toISOString() });
+    await AsyncStorage.setItem(ENTRY_DRAFT_KEY, storedDraft);
+  });
+}
+
+/**
+ * Removes the stored draft. Its photos and voice memo are left alone: after a save they belong to the entry.
+ *
+ * @returns {Promise<void>} A promise that resolves when the draft is removed.
+ */
+export function clearEntryDraft() {
+  return queueWrite(() => AsyncStorage.removeItem(ENTRY_DRAFT_KEY));
+}
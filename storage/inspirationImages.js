@@ -0,0 +1,353 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { runMigrations } from '@/storage/migrations';
+import { rescuePhoto } from '@/storage/photos';
+
+/**
+ * Key used for storing and retrieving the inspiration board in AsyncStorage.
+ * @type {string}
+ */
+export const INSPIRATION_KEY = 'inspirationImages';
+
+/**
+ * Id of the board every photo starts on. It always exists and cannot be deleted,
+ * so photos on a deleted board have somewhere to go.
+ * @type {string}
+ */
+export const DEFAULT_BOARD_ID = 'default';
+
+/**
+ * The board created for the photos added before boards existed.
+ * @type {{id: string, name: string}}
+ */
+const DEFAULT_BOARD = { id: DEFAULT_BOARD_ID, name: 'Inspiration' };
+
+/**
+ * Ordered schema migrations for the stored inspiration images.
+ * Append new migrations to the end with the next version number; never edit
+ * or remove one that has shipped.
+ * @type {Array<{version: number, migrate: Function}>}
+ */
+const INSPIRATION_MIGRATIONS = [
+  {
+    // Version 1: photos are kept in app storage instead of the image picker's cache.
+    // Copies over every photo the OS has not purged yet.
+    version: 1,
+    migrate: async (images) => {
+      const migratedImages = [];
+      for (const image of Array.isArray(images) ? images : []) {
+        migratedImages.push({ ...image, uri: await rescuePhoto(image.uri) });
+      }
+      return migratedImages;
+    },
+  },
+  {
+    // Version 2: photos are sorted onto named boards, can be pinned to the top of
+    // their board and record when they were added. The flat list of images becomes
+    // `{ boards, images }`; existing photos go on the default board, dated by their
+    // id, which was the time they were added.
+    version: 2,
+    migrate: (images) => ({
+      boards: [DEFAULT_BOARD],
+      images: images.map((image) => {
+        const addedAt = new Date(Number(image.id));
+        return {
+          ...image,
+          note: image.note ?? '',
+          boardId: DEFAULT_BOARD_ID,
+          pinned: false,
+          createdAt: Number.isNaN(addedAt.getTime()) ? new Date().toISOString() : addedAt.toISOString(),
+        };
+      }),
+    }),
+  },
+  {
+    // Version 3: photos can be tagged with the moods they help with, so they can be
+    // offered as a pick-me-up after a low mood is logged. Existing photos have none.
+    version: 3,
+    migrate: (data) => ({
+      ...data,
+      images: data.images.map((image) => ({ ...image, moodIds: image.moodIds ?? [] })),
+    }),
+  },
+  {
+    // Version 4: boards and photos record when they last changed, so they can be synced.
+    // Photos count as unchanged since they were added; boards never recorded when
+    // they were created, so they count as unchanged since the start of time.
+    version: 4,
+    migrate: (data) => ({
+      boards: data.boards.map((board) => ({ ...board, updatedAt: board.updatedAt ?? new Date(0).toISOString() })),
+      images: data.images.map((image) => ({ ...image, updatedAt: image.updatedAt ?? image.createdAt })),
+    }),
+  },
+];
+
+/**
+ * Promise for the one-time migration run, shared by every caller.
+ * @type {Promise<*>|null}
+ */
+let readyPromise = null;
+
+/**
+ * Tail of the write queue, so saving the boards and the images at the same time
+ * cannot overwrite one or the other.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Functions to call whenever boards or images change.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called whenever boards or images are added, changed or removed.
+ * The listener receives `{ boards, removedBoardIds, images, removedImageIds, fromSync }`,
+ * where `boards` and `images` are the ones added or changed, and `fromSync` is `true`
+ * when the change was received from the sync server. Rearranging photos alone is not reported.
+ *
+ * @param {Function} listener The function to call with each change.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToInspiration(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Runs any pending schema migrations for the inspiration images.
+ * Safe to call more than once: migrations only run the first time.
+ * If the migration fails, the next call tries again.
+ *
+ * @returns {Promise<void>} A promise that resolves once the stored images are up to date.
+ */
+export async function initializeInspirationImages() {
+  if (!readyPromise) {
+    readyPromise = runMigrations(INSPIRATION_KEY, INSPIRATION_MIGRATIONS, []).catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  await readyPromise;
+}
+
+/**
+ * Reads the stored boards and images together.
+ *
+ * @returns {Promise<{boards: Array<Object>, images: Array<Object>}>} A promise resolving to the stored board data.
+ */
+async function readInspiration() {
+  await initializeInspirationImages();
+  const storedData = await AsyncStorage.getItem(INSPIRATION_KEY);
+  return storedData ? JSON.parse(storedData) : { boards: [DEFAULT_BOARD], images: [] };
+}
+
+/**
+ * Tells whether two versions of a board or image are the same, apart from when they were last changed.
+ *
+ * @param {Object} a One version.
+ * @param {Object} b The other version.
+ * @returns {boolean} `true` if nothing but `updatedAt` differs.
+ */
+function isUnchanged(a, b) {
+  return JSON.stringify({ ...a, updatedAt: null }) === JSON.stringify({ ...b, updatedAt: null });
+}
+
+/**
+ * Compares the boards or images before and after a write, stamping the ones that
+ * were added or changed with the time of the write. Added ones that already carry
+ * an `updatedAt` (such as imported ones) keep it.
+ *
+ * @param {Array<Object>} previousItems The boards or images before the write.
+ * @param {Array<Object>} nextItems The boards or images being written.
+ * @param {string} now The time of the write.
+ * @returns {{items: Array<Object>, changed: Array<Object>, removedIds: Array<string>}} The stamped items, the ones added or changed, and the ids of the ones removed.
+ */
+function stampChanges(previousItems, nextItems, now) {
+  const previousById = new Map(previousItems.map((item) => [item.id, item]));
+  const changed = [];
+  const items = nextItems.map((item) => {
+    const previous = previousById.get(item.id);
+    if (previous && isUnchanged(previous, item)) {
+      return item;
+    }
+    const stampedItem = { ...item, updatedAt: previous || !item.updatedAt ? now : item.updatedAt };
+    changed.push(stampedItem);
+    return stampedItem;
+  });
+  const nextIds = new Set(nextItems.map((item) => item.id));
+  const removedIds = previousItems.filter((item) => !nextIds.has(item.id)).map((item) => item.id);
+  return { items, changed, removedIds };
+}
+
+/**
+ * Queues a read-modify-write of the stored boards and images.
+ * Boards and images that were added or changed are stamped with `updatedAt`, and the
+ * listeners are told about them. Changes received from the sync server already carry
+ * their `updatedAt` and are stored as they are.
+ *
+ * @param {Function} update Receives `{ boards, images }` and returns the data to store.
+ * @param {Object} [options] The write options.
+ * @param {boolean} [options.fromSync=false] Whether the change was received from the sync server.
+ * @returns {Promise<void>} A promise that resolves when the data is saved.
+ */
+function modifyInspiration(update, { fromSync = false } = {}) {
+  const task = writeQueue.then(async () => {
+    const data = await readInspiration();
+    const nextData = update(data);
+    const now = new Date().toISOString();
+    const boardChanges = stampChanges(data.boards, nextData.boards, now);
+    const imageChanges = stampChanges(data.images, nextData.images, now);
+    const storedData = fromSync ? nextData : { boards: boardChanges.items, images: imageChanges.items };
+    await AsyncStorage.setItem(INSPIRATION_KEY, JSON.stringify(storedData));
+
+    const hasChanges = [
+      boardChanges.changed,
+      boardChanges.removedIds,
+      imageChanges.changed,
+      imageChanges.removedIds,
+    ].some((list) => list.length > 0);
+    if (hasChanges) {
+      const change = {
+        boards: boardChanges.changed,
+        removedBoardIds: boardChanges.removedIds,
+        images: imageChanges.changed,
+        removedImageIds: imageChanges.removedIds,
+        fromSync,
+      };
+      listeners.forEach((listener) => listener(change));
+    }
+  });
+  writeQueue = task.then(
+    () => {},
+    () => {}
+  );
+  return task;
+}
+
+/**
+ * Returns every inspiration board, in the order they were created.
+ * Each board has an `id`, a `name` and the `updatedAt` time it last changed.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the boards.
+ */
+export async function getInspirationBoards() {
+  return (await readInspiration()).boards;
+}
+
+/**
+ * Replaces the stored list of boards. The default board is kept even if it is left out.
+ *
+ * @param {Array<Object>} boards The boards to save.
+ * @returns {Promise<void>} A promise that resolves when the boards are saved.
+ */
+export function saveInspirationBoards(boards) {
+  const hasDefaultBoard = boards.some((board) => board.id === DEFAULT_BOARD_ID);
+  return modifyInspiration((data) => ({
+    ...data,
+    boards: hasDefaultBoard ? boards : [DEFAULT_BOARD, ...boards],
+  }));
+}
+
+/**
+ * Returns every stored inspiration image, across all boards, in the order the user arranged them.
+ * Each image object includes an `id`, `uri`, `note`, `boardId`, `pinned`, `createdAt`, `updatedAt` and `moodIds`.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the stored images.
+ */
+export async function getInspirationImages() {
+  return (await readInspiration()).images;
+}
+
+/**
+ * Replaces the stored list of inspiration images.
+ *
+ * @param {Array<Object>} images The array of image objects to save.
+ * @returns {Promise<void>} A promise that resolves when the images are saved.
+ */
+export function saveInspirationImages(images) {
+  return modifyInspiration((data) => ({ ...data, images }));
+}
+
+/**
+ * Merges images and boards from elsewhere (such as an imported archive) into the stored ones.
+ * Boards and images whose `id` is already stored are skipped. New ones are added at the end;
+ * images on a board that does not exist are put on the default board.
+ *
+ * @param {Array<Object>} importedImages The images to merge in.
+ * @param {Array<Object>} [importedBoards=[]] The boards to merge in.
+ * @returns {Promise<Array<Object>>} A promise resolving to the images that were added.
+ */
+export async function importInspirationImages(importedImages, importedBoards = []) {
+  let addedImages = [];
+  await modifyInspiration(({ boards, images }) => {
+    const existingBoardIds = new Set(boards.map((board) => board.id));
+    const mergedBoards = [...boards, ...importedBoards.filter((board) => !existingBoardIds.has(board.id))];
+    const boardIds = new Set(mergedBoards.map((board) => board.id));
+
+    const existingIds = new Set(images.map((image) => image.id));
+    addedImages = importedImages
+      .filter((image) => !existingIds.has(image.id))
+      .map((image) => (boardIds.has(image.boardId) ? image : { ...image, boardId: DEFAULT_BOARD_ID }));
+    return { boards: mergedBoards, images: [...images, ...addedImages] };
+  });
+  return addedImages;
+}
+
+/**
+ * Applies boards and images received from the sync server, which has already settled
+ * any conflicts: each one replaces the stored one with the same `id`, or is added at
+ * the end, and deleted ones are removed. Photos left on a board that no longer exists
+ * are put on the default board.
+ *
+ * @param {Object} changes The changes to apply.
+ * @param {Array<{id: string, deleted: boolean, board: Object|null}>} changes.boards The boards that changed, with `board` being `null` for deleted ones.
+ * @param {Array<{id: string, deleted: boolean, image: Object|null}>} changes.images The images that changed, with `image` being `null` for deleted ones.
+ * @returns {Promise<Array<Object>>} A promise resolving to the images that were removed, whose photos may need deleting.
+ */
+export async function applySyncedInspiration({ boards: boardChanges, images: imageChanges }) {
+  let removedImages = [];
+  await modifyInspiration(
+    ({ boards, images }) => {
+      let mergedBoards = mergeSyncedItems(
+        boards,
+        boardChanges.map(({ id, deleted, board }) => ({ id, deleted, item: board }))
+      );
+      if (!mergedBoards.some((board) => board.id === DEFAULT_BOARD_ID)) {
+        mergedBoards = [DEFAULT_BOARD, ...mergedBoards];
+      }
+      const boardIds = new Set(mergedBoards.map((board) => board.id));
+
+      const deletedImageIds = new Set(imageChanges.filter((change) => change.deleted).map((change) => change.id));
+      removedImages = images.filter((image) => deletedImageIds.has(image.id));
+      const mergedImages = mergeSyncedItems(
+        images,
+        imageChanges.map(({ id, deleted, image }) => ({ id, deleted, item: image }))
+      ).map((image) => (boardIds.has(image.boardId) ? image : { ...image, boardId: DEFAULT_BOARD_ID }));
+      return { boards: mergedBoards, images: mergedImages };
+    },
+    { fromSync: true }
+  );
+  return removedImages;
+}
+
+/**
+ * Replaces, adds and removes boards or images by id, keeping the stored order.
+ *
+ * @param {Array<Object>} items The stored boards or images.
+ * @param {Array<{id: string, deleted: boolean, item: Object|null}>} changes The changes to apply.
+ * @returns {Array<Object>} The boards or images after the changes.
+ */
+function mergeSyncedItems(items, changes) {
+  const changesById = new Map(changes.map((change) => [change.id, change]));
+  const existingIds = new Set(items.map((item) => item.id));
+  return [
+    ...items
+      .filter((item) => !changesById.get(item.id)?.deleted)
+      .map((item) => changesById.get(item.id)?.item ?? item),
+    ...changes.filter((change) => !change.deleted && !existingIds.has(change.id)).map((change) => change.item),
+  ];
+}
@@ -0,0 +1,441 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+import { getActivityTags, mergeActivityTags } from '@/storage/activityTags';
+import {
+  DEFAULT_BOARD_ID,
+  getInspirationBoards,
+  getInspirationImages,
+  importInspirationImages,
+} from '@/storage/inspirationImages';
+import { getMoodCatalog, getMoodIdsForLabels, mergeMoods } from '@/storage/moodCatalog';
+import { getMoodEntries, importMoodEntries } from '@/storage/moodEntries';
+import { readPhotoAsBase64, savePhotoFromBase64 } from '@/storage/photos';
+import { readVoiceMemoAsBase64, saveVoiceMemoFromBase64 } from '@/storage/voiceMemos';
+import { getDayKey } from '@/utils/moodStats';
+import { findMood } from '@/utils/moods';
+
+/**
+ * Value of the `format` field identifying a MoodSnap journal archive.
+ * @type {string}
+ */
+const ARCHIVE_FORMAT = 'moodsnap-archive';
+
+/**
+ * Version of the archive layout written by this app.
+ * Bump it when the layout changes, and keep `validateArchive` able to read older versions.
+ * Version 2 added the mood catalog, with entries referencing moods by id instead of label.
+ * Activity tags and inspiration boards were added later without a version bump, since older
+ * archives simply have none.
+ * Version 3 replaced each entry's single `imageUri` with a list of `imageUris`.
+ * Voice memos were added later without a version bump, since older archives simply have none.
+ * @type {number}
+ */
+export const ARCHIVE_VERSION = 3;
+
+/**
+ * Writes text to a file in the cache directory and opens the system share sheet for it.
+ *
+ * @param {string} fileName The name of the file to share.
+ * @param {string} contents The file's contents.
+ * @param {string} mimeType The file's MIME type.
+ * @returns {Promise<void>} A promise that resolves when the share sheet is closed.
+ * @throws {Error} If sharing is not available on this device.
+ */
+async function shareTextFile(fileName, contents, mimeType) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device.');
+  }
+  const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(fileUri, contents);
+  await Sharing.shareAsync(fileUri, { mimeType, dialogTitle: 'Export MoodSnap journal' });
+}
+
+/**
+ * Builds a file name for an export made today, e.g. `moodsnap-2025-07-04.json`.
+ *
+ * @param {string} extension The file extension, without the dot.
+ * @returns {string} The file name.
+ */
+function getExportFileName(extension) {
+  return `moodsnap-${getDayKey(new Date())}.${extension}`;
+}
+
+/**
+ * Builds a versioned archive of the whole journal: the mood catalog, the activity tags,
+ * every mood entry, and the inspiration boards and images.
+ * When `includePhotos` is set, the photo and voice memo files are bundled too, keyed by
+ * the URI they are referenced by, so the archive can be restored on another device.
+ *
+ * @param {Object} [options] The export options.
+ * @param {boolean} [options.includePhotos=false] Whether to bundle the photo and voice memo files.
+ * @returns {Promise<Object>} A promise resolving to the archive object.
+ */
+export async function buildJournalArchive({ includePhotos = false } = {}) {
+  const [moods, activityTags, moodEntries, inspirationBoards, inspirationImages] = await Promise.all([
+    getMoodCatalog(),
+    getActivityTags(),
+    getMoodEntries(),
+    getInspirationBoards(),
+    getInspirationImages(),
+  ]);
+
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    moods,
+    activityTags,
+    moodEntries,
+    inspirationBoards,
+    inspirationImages,
+  };
+
+  if (includePhotos) {
+    archive.photos = {};
+    const photoUris = [
+      ...moodEntries.flatMap((entry) => entry.imageUris),
+      ...inspirationImages.map((image) => image.uri),
+    ].filter(Boolean);
+    for (const uri of photoUris) {
+      const data = await readPhotoAsBase64(uri);
+      if (data) {
+        archive.photos[uri] = { fileName: uri.substring(uri.lastIndexOf('/') + 1), data };
+      }
+    }
+
+    archive.voiceMemos = {};
+    const voiceMemoUris = moodEntries.map((entry) => entry.voiceMemo?.uri).filter(Boolean);
+    for (const uri of voiceMemoUris) {
+      const data = await readVoiceMemoAsBase64(uri);
+      if (data) {
+        archive.voiceMemos[uri] = { fileName: uri.substring(uri.lastIndexOf('/') + 1), data };
+      }
+    }
+  }
+
+  return archive;
+}
+
+/**
+ * Exports the whole journal as a JSON archive through the system share sheet.
+ *
+ * @param {Object} [options] The export options, as for `buildJournalArchive`.
+ * @returns {Promise<void>} A promise that resolves when the share sheet is closed.
+ */
+export async function exportJournalAsJson(options) {
+  const archive = await buildJournalArchive(options);
+  await shareTextFile(getExportFileName('json'), JSON.stringify(archive), 'application/json');
+}
+
+/**
+ * Quotes a value for a CSV cell if it contains a comma, quote or line break.
+ *
+ * @param {string} value The cell value.
+ * @returns {string} The value, safe to place in a CSV row.
+ */
+function escapeCsvValue(value) {
+  if (/[",\r\n]/.test(value)) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
+
+/**
+ * Builds a CSV document with one row per mood entry, oldest first, with columns for
+ * the date, time, mood, intensity, secondary mood, activity tags and journal text.
+ * Multiple tags share one cell, separated by semicolons.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog, for each mood's label.
+ * @param {Array<Object>} tags The activity tags, for each tag's label.
+ * @returns {string} The CSV document.
+ */
+export function buildMoodEntriesCsv(entries, moods, tags) {
+  const rows = [...entries]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map((entry) => {
+      const date = new Date(entry.timestamp);
+      const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+      const tagLabels = (entry.tagIds ?? [])
+        .map((tagId) => tags.find((tag) => tag.id === tagId)?.label)
+        .filter(Boolean);
+      return [
+        getDayKey(date),
+        time,
+        findMood(moods, entry.moodId).label,
+        entry.intensity ? String(entry.intensity) : '',
+        entry.secondaryMoodId ? findMood(moods, entry.secondaryMoodId).label : '',
+        tagLabels.join('; '),
+        entry.journalText ?? '',
+      ]
+        .map(escapeCsvValue)
+        .join(',');
+    });
+  return ['Date,Time,Mood,Intensity,Also Feeling,Tags,Journal Text', ...rows].join('\r\n');
+}
+
+/**
+ * Exports the mood entries as a CSV spreadsheet through the system share sheet.
+ *
+ * @returns {Promise<void>} A promise that resolves when the share sheet is closed.
+ */
+export async function exportJournalAsCsv() {
+  const [entries, moods, tags] = await Promise.all([
+    getMoodEntries(),
+    getMoodCatalog(),
+    getActivityTags(),
+  ]);
+  await shareTextFile(getExportFileName('csv'), buildMoodEntriesCsv(entries, moods, tags), 'text/csv');
+}
+
+/**
+ * Checks that a parsed file is a journal archive this app can read, and brings
+ * its entries up to the current entry schema, except for their mood: entries from
+ * version 1 archives still name their mood by `mood` label instead of `moodId`,
+ * which needs the catalog to resolve (see `importJournalArchive`).
+ *
+ * @param {*} archive The parsed contents of the file.
+ * @returns {{moods: Array<Object>, activityTags: Array<Object>, moodEntries: Array<Object>, inspirationBoards: Array<Object>, inspirationImages: Array<Object>, photos: Object, voiceMemos: Object}} The validated archive contents.
+ * @throws {Error} With a message suitable for showing to the user if the archive is invalid.
+ */
+export function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) {
+    throw new Error('This file is not a MoodSnap journal archive.');
+  }
+  if (typeof archive.version !== 'number' || archive.version > ARCHIVE_VERSION) {
+    throw new Error('This archive was made by a newer version of MoodSnap. Please update the app and try again.');
+  }
+  if (!Array.isArray(archive.moodEntries)) {
+    throw new Error('This archive is missing its mood entries.');
+  }
+
+  const moods = (archive.version >= 2 && Array.isArray(archive.moods) ? archive.moods : [])
+    .map((mood, index) => {
+      if (!mood || typeof mood.id !== 'string' || typeof mood.label !== 'string') {
+        throw new Error(`Mood ${index + 1} in this archive is damaged.`);
+      }
+      return {
+        id: mood.id,
+        label: mood.label,
+        emoji: typeof mood.emoji === 'string' ? mood.emoji : '',
+        color: typeof mood.color === 'string' ? mood.color : '#9E9E9E',
+        score: typeof mood.score === 'number' ? mood.score : 0,
+        archived: Boolean(mood.archived),
+      };
+    });
+
+  const activityTags = (Array.isArray(archive.activityTags) ? archive.activityTags : [])
+    .map((tag, index) => {
+      if (!tag || typeof tag.id !== 'string' || typeof tag.label !== 'string') {
+        throw new Error(`Activity tag ${index + 1} in this archive is damaged.`);
+      }
+      return { id: tag.id, label: tag.label };
+    });
+
+  const moodEntries = archive.moodEntries.map((entry, index) => {
+    const hasMood = archive.version >= 2 ? typeof entry?.moodId === 'string' : typeof entry?.mood === 'string';
+    const isValid =
+      entry &&
+      typeof entry.id === 'string' &&
+      hasMood &&
+      !Number.isNaN(new Date(entry.timestamp).getTime());
+    if (!isValid) {
+      throw new Error(`Mood entry ${index + 1} in this archive is damaged.`);
+    }
+    const { imageUri, ...fields } = entry;
+    return {
+      ...fields,
+      journalText: typeof entry.journalText === 'string' ? entry.journalText : '',
+      imageUris: Array.isArray(entry.imageUris)
+        ? entry.imageUris.filter((uri) => typeof uri === 'string')
+        : typeof imageUri === 'string' ? [imageUri] : [],
+      intensity: typeof entry.intensity === 'number' ? entry.intensity : null,
+      secondaryMoodId: typeof entry.secondaryMoodId === 'string' ? entry.secondaryMoodId : null,
+      tagIds: Array.isArray(entry.tagIds) ? entry.tagIds.filter((tagId) => typeof tagId === 'string') : [],
+      pickMeUpImageIds: Array.isArray(entry.pickMeUpImageIds)
+        ? entry.pickMeUpImageIds.filter((imageId) => typeof imageId === 'string')
+        : [],
+      voiceMemo:
+        typeof entry.voiceMemo?.uri === 'string'
+          ? {
+              uri: entry.voiceMemo.uri,
+              durationMillis: typeof entry.voiceMemo.durationMillis === 'number' ? entry.voiceMemo.durationMillis : 0,
+            }
+          : null,
+      createdAt: entry.createdAt ?? entry.timestamp,
+      updatedAt: entry.updatedAt ?? entry.timestamp,
+    };
+  });
+
+  const inspirationBoards = (Array.isArray(archive.inspirationBoards) ? archive.inspirationBoards : [])
+    .map((board, index) => {
+      if (!board || typeof board.id !== 'string' || typeof board.name !== 'string') {
+        throw new Error(`Inspiration board ${index + 1} in this archive is damaged.`);
+      }
+      return { id: board.id, name: board.name };
+    });
+
+  const inspirationImages = (Array.isArray(archive.inspirationImages) ? archive.inspirationImages : [])
+    .map((image, index) => {
+      if (!image || typeof image.id !== 'string' || typeof image.uri !== 'string') {
+        throw new Error(`Inspiration image ${index + 1} in this archive is damaged.`);
+      }
+      const addedAt = new Date(image.createdAt ?? Number(image.id));
+      return {
+        ...image,
+        note: typeof image.note === 'string' ? image.note : '',
+        boardId: typeof image.boardId === 'string' ? image.boardId : DEFAULT_BOARD_ID,
+        pinned: Boolean(image.pinned),
+        moodIds: Array.isArray(image.moodIds) ? image.moodIds.filter((moodId) => typeof moodId === 'string') : [],
+        createdAt: Number.isNaN(addedAt.getTime()) ? new Date().toISOString() : addedAt.toISOString(),
+      };
+    });
+
+  const photos = archive.photos && typeof archive.photos === 'object' ? archive.photos : {};
+  const voiceMemos = archive.voiceMemos && typeof archive.voiceMemos === 'object' ? archive.voiceMemos : {};
+
+  return { moods, activityTags, moodEntries, inspirationBoards, inspirationImages, photos, voiceMemos };
+}
+
+/**
+ * Pattern a bundled file's name must match before it is written into app storage: the
+ * names the app gives its photos and voice memos, with no path separators or leading dot.
+ * @type {RegExp}
+ */
+const BUNDLED_FILE_NAME_PATTERN = /^[\w-][\w.-]*$/;
+
+/**
+ * Looks up the file an archive bundles for a URI. Only the archive's own entries count,
+ * and one with missing data or an unexpected file name is treated as not bundled.
+ *
+ * @param {Object} files The archive's bundled files, keyed by URI.
+ * @param {string|null} uri The URI the file was referenced by when exported.
+ * @returns {{fileName: string, data: string}|null} The bundled file, or `null` if there is none to restore.
+ */
+function getBundledFile(files, uri) {
+  const bundledFile = uri && Object.hasOwn(files, uri) ? files[uri] : null;
+  const isValid =
+    typeof bundledFile?.data === 'string' &&
+    typeof bundledFile.fileName === 'string' &&
+    BUNDLED_FILE_NAME_PATTERN.test(bundledFile.fileName);
+  return isValid ? bundledFile : null;
+}
+
+/**
+ * Restores a bundled photo into app storage, if the archive contains it.
+ * Photos that were not bundled keep their original URI. A photo referenced more than
+ * once is only written the first time; later references reuse the restored URI.
+ *
+ * @param {string|null} uri The URI the photo was referenced by when exported.
+ * @param {Object} photos The archive's bundled photos, keyed by URI.
+ * @param {Map<string, string>} restoredUris The URIs already restored during this import, keyed by exported URI.
+ * @returns {Promise<string|null>} A promise resolving to the URI to reference the photo by now.
+ */
+async function restoreBundledPhoto(uri, photos, restoredUris) {
+  const bundledPhoto = getBundledFile(photos, uri);
+  if (!bundledPhoto) {
+    return uri;
+  }
+  if (!restoredUris.has(uri)) {
+    restoredUris.set(uri, (await savePhotoFromBase64(bundledPhoto.data, bundledPhoto.fileName)) ?? uri);
+  }
+  return restoredUris.get(uri);
+}
+
+/**
+ * Restores each of an entry's bundled photos into app storage, keeping their order.
+ *
+ * @param {Array<string>} uris The URIs the photos were referenced by when exported.
+ * @param {Object} photos The archive's bundled photos, keyed by URI.
+ * @param {Map<string, string>} restoredUris The URIs already restored during this import, keyed by exported URI.
+ * @returns {Promise<Array<string>>} A promise resolving to the URIs to reference the photos by now.
+ */
+async function restoreBundledPhotos(uris, photos, restoredUris) {
+  const entryUris = [];
+  for (const uri of uris) {
+    entryUris.push(await restoreBundledPhoto(uri, photos, restoredUris));
+  }
+  return entryUris;
+}
+
+/**
+ * Restores an entry's bundled voice memo into app storage, if the archive contains it.
+ * A memo that was not bundled keeps its original URI, and one already restored during
+ * this import is not written again.
+ *
+ * @param {{uri: string, durationMillis: number}|null} voiceMemo The entry's voice memo when exported.
+ * @param {Object} voiceMemos The archive's bundled voice memos, keyed by URI.
+ * @param {Map<string, string>} restoredUris The URIs already restored during this import, keyed by exported URI.
+ * @returns {Promise<{uri: string, durationMillis: number}|null>} A promise resolving to the voice memo to reference now.
+ */
+async function restoreBundledVoiceMemo(voiceMemo, voiceMemos, restoredUris) {
+  const bundledVoiceMemo = voiceMemo ? getBundledFile(voiceMemos, voiceMemo.uri) : null;
+  if (!bundledVoiceMemo) {
+    return voiceMemo;
+  }
+  if (!restoredUris.has(voiceMemo.uri)) {
+    const uri = await saveVoiceMemoFromBase64(bundledVoiceMemo.data, bundledVoiceMemo.fileName);
+    restoredUris.set(voiceMemo.uri, uri ?? voiceMemo.uri);
+  }
+  return { ...voiceMemo, uri: restoredUris.get(voiceMemo.uri) };
+}
+
+/**
+ * Imports a JSON journal archive, merging it into the existing journal.
+ * Moods, tags, entries, inspiration boards and images whose `id` already exists are skipped, so
+ * importing the same archive twice is harmless. Bundled photos and voice memos are restored
+ * into app storage only for the items actually added, and each only once however many
+ * items share it.
+ *
+ * @param {string} fileUri The URI of the archive file.
+ * @returns {Promise<{entriesAdded: number, imagesAdded: number}>} A promise resolving to how many items were added.
+ * @throws {Error} With a message suitable for showing to the user if the file cannot be imported.
+ */
+export async function importJournalArchive(fileUri) {
+  let parsedArchive;
+  try {
+    parsedArchive = JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+  } catch {
+    throw new Error('This file could not be read as a MoodSnap journal archive.');
+  }
+  const { moods, activityTags, moodEntries, inspirationBoards, inspirationImages, photos, voiceMemos } =
+    validateArchive(parsedArchive);
+
+  await mergeMoods(moods);
+  await mergeActivityTags(activityTags);
+  const legacyMoodIds = await getMoodIdsForLabels(
+    moodEntries.filter((entry) => entry.moodId === undefined).map((entry) => entry.mood)
+  );
+
+  const [existingEntries, existingImages] = await Promise.all([
+    getMoodEntries(),
+    getInspirationImages(),
+  ]);
+  const existingEntryIds = new Set(existingEntries.map((entry) => entry.id));
+  const existingImageIds = new Set(existingImages.map((image) => image.id));
+
+  const restoredUris = new Map();
+  const newEntries = [];
+  for (const entry of moodEntries) {
+    if (!existingEntryIds.has(entry.id)) {
+      const { mood, ...fields } = entry;
+      newEntries.push({
+        ...fields,
+        moodId: entry.moodId ?? legacyMoodIds.get(mood),
+        imageUris: await restoreBundledPhotos(entry.imageUris, photos, restoredUris),
+        voiceMemo: await restoreBundledVoiceMemo(entry.voiceMemo, voiceMemos, restoredUris),
+      });
+    }
+  }
+  const newImages = [];
+  for (const image of inspirationImages) {
+    if (!existingImageIds.has(image.id)) {
+      newImages.push({ ...image, uri: await restoreBundledPhoto(image.uri, photos, restoredUris) });
+    }
+  }
+
+  const addedEntries = await importMoodEntries(newEntries);
+  const addedImages = await importInspirationImages(newImages, inspirationBoards);
+  return { entriesAdded: addedEntries.length, imagesAdded: addedImages.length };
+}
@@ -0,0 +1,35 @@
+import { clearEntryDraft } from '@/storage/entryDraft';
+import { saveInspirationImages } from '@/storage/inspirationImages';
+import { clearMoodEntries } from '@/storage/moodEntries';
+import { deletePhoto, listManagedPhotos } from '@/storage/photos';
+import { clearSyncData } from '@/storage/syncOutbox';
+import { getSyncSettings, saveSyncSettings } from '@/storage/syncSettings';
+import { deleteVoiceMemo, listManagedVoiceMemos } from '@/storage/voiceMemos';
+
+/**
+ * Deletes everything written in the journal: every mood entry, the New Entry draft,
+ * every inspiration photo, and all photo and voice memo files. Settings, the mood catalog and activity tags are kept,
+ * so the journal can be started over without setting the app up again.
+ * Only this device is cleared: sync is turned off, so the copy on the sync server is left alone.
+ *
+ * @returns {Promise<void>} A promise that resolves once the journal is empty.
+ */
+export async function clearJournalData() {
+  const syncSettings = await getSyncSettings();
+  if (syncSettings.enabled) {
+    await saveSyncSettings({ ...syncSettings, enabled: false });
+  }
+  await clearMoodEntries();
+  await clearEntryDraft();
+  await saveInspirationImages([]);
+  const photos = await listManagedPhotos();
+  for (const photo of photos) {
+    await deletePhoto(photo.uri);
+  }
+  const voiceMemos = await listManagedVoiceMemos();
+  for (const voiceMemo of voiceMemos) {
+    await deleteVoiceMemo(voiceMemo.uri);
+  }
+  // Last, so the deletions above are not left queued to be sent.
+  await clearSyncData();
+}
@@ -0,0 +1,62 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Key used for storing and retrieving the app lock settings in AsyncStorage.
+ * The PIN itself is not stored here; see `services/appLock.js`.
+ * @type {string}
+ */
+const LOCK_SETTINGS_KEY = 'lockSettings';
+
+/**
+ * App lock settings used until the user changes them: lock off, biometrics off,
+ * and locking as soon as the app has been in the background.
+ * `autoLockSeconds` is how long the app may stay in the background before it locks.
+ * @type {{enabled: boolean, biometricsEnabled: boolean, autoLockSeconds: number}}
+ */
+export const DEFAULT_LOCK_SETTINGS = {
+  enabled: false,
+  biometricsEnabled: false,
+  autoLockSeconds: 0,
+};
+
+/**
+ * Functions to call whenever the lock settings are saved.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with the new settings whenever they are saved.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToLockSettings(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Reads the stored app lock settings, filling in defaults for anything missing.
+ *
+ * @returns {Promise<Object>} A promise resolving to the lock settings.
+ */
+export async function getLockSettings() {
+  const storedSettings = await AsyncStorage.getItem(LOCK_SETTINGS_KEY);
+  return storedSettings
+    ? { ...DEFAULT_LOCK_SETTINGS, ...JSON.parse(storedSettings) }
+    : DEFAULT_LOCK_SETTINGS;
+}
+
+/**
+ * Stores the app lock settings and notifies the listeners.
+ *
+ * @param {Object} settings The lock settings to store.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ */
+export async function saveLockSettings(settings) {
+  await AsyncStorage.setItem(LOCK_SETTINGS_KEY, JSON.stringify(settings));
+  listeners.forEach((listener) => listener(settings));
+}
@@ -0,0 +1,73 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Suffix appended to a data key to build the key holding its schema version.
+ * For example, the schema version of `moodEntries` is stored under `moodEntries:schemaVersion`.
+ * @type {string}
+ */
+const SCHEMA_VERSION_SUFFIX = ':schemaVersion';
+
+/**
+ * Builds the AsyncStorage key used to store the schema version for a data key.
+ *
+ * @param {string} dataKey The AsyncStorage key holding the versioned data.
+ * @returns {string} The key under which the schema version is stored.
+ */
+export function getSchemaVersionKey(dataKey) {
+  return `${dataKey}${SCHEMA_VERSION_SUFFIX}`;
+}
+
+/**
+ * Brings the JSON value stored under `dataKey` up to the latest schema version.
+ *
+ * Each migration is an object of the shape `{ version, migrate }`, where `migrate`
+ * receives the data as it looked at `version - 1` and returns the data for `version`.
+ * Migrations are applied in ascending `version` order, and only those newer than
+ * the stored schema version are run. Data that has never been versioned is treated
+ * as version 0, so existing journals are upgraded the first time this runs.
+ *
+ * The migrated data and the new version are written together with `multiSet`,
+ * so an interrupted upgrade is retried on the next launch instead of leaving
+ * data and version out of step.
+ *
+ * Data is stored as JSON by default; stores that keep their data in another
+ * form (such as encrypted) pass their own `serialize` and `deserialize` functions.
+ *
+ * @param {string} dataKey The AsyncStorage key holding the versioned data.
+ * @param {Array<{version: number, migrate: Function}>} migrations The ordered list of migrations.
+ * @param {*} emptyValue The value to start from when nothing is stored yet.
+ * @param {Object} [options] How the data is stored.
+ * @param {Function} [options.serialize=JSON.stringify] Turns the data into the string to store; may be async.
+ * @param {Function} [options.deserialize=JSON.parse] Turns the stored string back into data; may be async.
+ * @returns {Promise<*>} A promise resolving to the data at the latest schema version.
+ */
+export async function runMigrations(
+  dataKey,
+  migrations,
+  emptyValue,
+  { serialize = JSON.stringify, deserialize = JSON.parse } = {}
+) {
+  const versionKey = getSchemaVersionKey(dataKey);
+  const [[, storedData], [, storedVersion]] = await AsyncStorage.multiGet([dataKey, versionKey]);
+
+  const currentVersion = storedVersion !== null ? parseInt(storedVersion, 10) : 0;
+  const pending = [...migrations]
+    .sort((a, b) => a.version - b.version)
+    .filter((migration) => migration.version > currentVersion);
+
+  let data = storedData !== null ? await deserialize(storedData) : emptyValue;
+  if (pending.length === 0) {
+    return data;
+  }
+
+  for (const migration of pending) {
+    data = await migration.migrate(data);
+  }
+
+  const latestVersion = pending[pending.length - 1].version;
+  await AsyncStorage.multiSet([
+    [dataKey, await serialize(data)],
+    [versionKey, String(latestVersion)],
+  ]);
+  return data;
+}
@@ -0,0 +1,252 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { DEFAULT_MOODS } from '@/constants/Moods';
+import { runMigrations } from '@/storage/migrations';
+
+/**
+ * Key used for storing and retrieving the mood catalog in AsyncStorage.
+ * @type {string}
+ */
+const MOOD_CATALOG_KEY = 'moodCatalog';
+
+/**
+ * Ordered schema migrations for the stored mood catalog.
+ * Append new migrations to the end with the next version number; never edit
+ * or remove one that has shipped, since users may be upgrading from any version.
+ * @type {Array<{version: number, migrate: Function}>}
+ */
+const MOOD_CATALOG_MIGRATIONS = [
+  {
+    // Version 1: the catalog starts out with the moods that used to be built in.
+    version: 1,
+    migrate: (moods) =>
+      Array.isArray(moods) && moods.length > 0
+        ? moods
+        : DEFAULT_MOODS.map((mood) => ({ ...mood, archived: false })),
+  },
+];
+
+/**
+ * Promise for the one-time migration run, shared by every caller.
+ * @type {Promise<*>|null}
+ */
+let readyPromise = null;
+
+/**
+ * Tail of the write queue, so concurrent changes to the catalog cannot overwrite each other.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Functions to call with the new catalog whenever it changes.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with the full catalog whenever a mood is
+ * added, changed, reordered or archived.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToMoodCatalog(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Runs any pending schema migrations for the mood catalog, creating it on first launch.
+ * Safe to call more than once; if the migration fails, the next call tries again.
+ *
+ * @returns {Promise<void>} A promise that resolves once the stored catalog is up to date.
+ */
+export async function initializeMoodCatalog() {
+  if (!readyPromise) {
+    readyPromise = runMigrations(MOOD_CATALOG_KEY, MOOD_CATALOG_MIGRATIONS, []).catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  await readyPromise;
+}
+
+/**
+ * Returns every mood in the catalog in display order, including archived ones.
+ *
+ * @returns {Promise<Array<{id: string, label: string, emoji: string, color: string, score: number, archived: boolean}>>} A promise resolving to the catalog.
+ */
+export async function getMoodCatalog() {
+  await initializeMoodCatalog();
+  const storedMoods = await AsyncStorage.getItem(MOOD_CATALOG_KEY);
+  return storedMoods ? JSON.parse(storedMoods) : [];
+}
+
+/**
+ * Queues a read-modify-write of the catalog.
+ * `update` receives the current moods and returns `{ moods, result }`; the moods
+ * are written back and the listeners told, unless `update` returns the same array.
+ *
+ * @param {Function} update The function computing the new catalog.
+ * @returns {Promise<*>} A promise resolving to the `result` returned by `update`.
+ */
+function modifyCatalog(update) {
+  const task = writeQueue.then(async () => {
+    const currentMoods = await getMoodCatalog();
+    const { moods, result } = update(currentMoods);
+    if (moods !== currentMoods) {
+      await AsyncStorage.setItem(MOOD_CATALOG_KEY, JSON.stringify(moods));
+      listeners.forEach((listener) => listener(moods));
+    }
+    return result;
+  });
+  writeQueue = task.then(
+    () => {},
+    () => {}
+  );
+  return task;
+}
+
+/**
+ * Checks that no other active mood already uses a label, ignoring case.
+ *
+ * @param {Array<Object>} moods The catalog.
+ * @param {string} label The label to check.
+ * @param {string|null} exceptId The id of the mood being renamed, if any.
+ * @returns {void}
+ * @throws {Error} With a message suitable for showing to the user if the label is taken.
+ */
+function assertLabelAvailable(moods, label, exceptId) {
+  const normalizedLabel = label.trim().toLowerCase();
+  const isTaken = moods.some(
+    (mood) => mood.id !== exceptId && !mood.archived && mood.label.toLowerCase() === normalizedLabel
+  );
+  if (isTaken) {
+    throw new Error(`There is already a mood called "${label.trim()}".`);
+  }
+}
+
+/**
+ * Adds a new mood to the end of the catalog.
+ *
+ * @param {Object} fields The mood's `label`, `emoji`, `color` and `score`.
+ * @returns {Promise<Object>} A promise resolving to the new mood.
+ * @throws {Error} If an active mood already has the same label.
+ */
+export function addMood(fields) {
+  return modifyCatalog((moods) => {
+    assertLabelAvailable(moods, fields.label, null);
+    const newMood = {
+      ...fields,
+      id: `mood-${Date.now()}`,
+      label: fields.label.trim(),
+      archived: false,
+    };
+    return { moods: [...moods, newMood], result: newMood };
+  });
+}
+
+/**
+ * Changes a mood's label, emoji, color, score or archived state.
+ * Entries reference moods by id, so a renamed mood keeps all its past entries.
+ *
+ * @param {string} id The id of the mood to change.
+ * @param {Object} changes The fields to change.
+ * @returns {Promise<Object>} A promise resolving to the updated mood.
+ * @throws {Error} If the mood does not exist, or the new label is already in use.
+ */
+export function updateMood(id, changes) {
+  return modifyCatalog((moods) => {
+    const existingMood = moods.find((mood) => mood.id === id);
+    if (!existingMood) {
+      throw new Error(`Mood not found: ${id}`);
+    }
+    const updatedMood = { ...existingMood, ...changes, id };
+    updatedMood.label = updatedMood.label.trim();
+    if (!updatedMood.archived) {
+      assertLabelAvailable(moods, updatedMood.label, id);
+    }
+    return {
+      moods: moods.map((mood) => (mood.id === id ? updatedMood : mood)),
+      result: updatedMood,
+    };
+  });
+}
+
+/**
+ * Moves a mood to the position another mood has in the display order,
+ * shifting the moods in between by one place.
+ *
+ * @param {string} id The id of the mood to move.
+ * @param {string} targetId The id of the mood whose position it takes.
+ * @returns {Promise<void>} A promise that resolves when the new order is saved.
+ */
+export function moveMood(id, targetId) {
+  return modifyCatalog((moods) => {
+    const index = moods.findIndex((mood) => mood.id === id);
+    const targetIndex = moods.findIndex((mood) => mood.id === targetId);
+    if (index === -1 || targetIndex === -1 || index === targetIndex) {
+      return { moods };
+    }
+    const reorderedMoods = [...moods];
+    const [movedMood] = reorderedMoods.splice(index, 1);
+    reorderedMoods.splice(targetIndex, 0, movedMood);
+    return { moods: reorderedMoods };
+  });
+}
+
+/**
+ * Adds moods from elsewhere (such as an imported archive) that the catalog does not have yet.
+ * Moods whose id is already in the catalog are left as the user has them.
+ *
+ * @param {Array<Object>} importedMoods The moods to merge in.
+ * @returns {Promise<void>} A promise that resolves when the catalog is saved.
+ */
+export function mergeMoods(importedMoods) {
+  return modifyCatalog((moods) => {
+    const existingIds = new Set(moods.map((mood) => mood.id));
+    const addedMoods = importedMoods.filter((mood) => !existingIds.has(mood.id));
+    return { moods: addedMoods.length > 0 ? [...moods, ...addedMoods] : moods };
+  });
+}
+
+/**
+ * Finds the id of the mood each label refers to, for data written before entries
+ * referenced moods by id. Labels are matched ignoring case; a label that matches no
+ * mood is added to the catalog as an archived mood, so no entry is left without one.
+ *
+ * @param {Array<string>} labels The mood labels.
+ * @returns {Promise<Map<string, string>>} A promise resolving to the mood id for each label.
+ */
+export function getMoodIdsForLabels(labels) {
+  return modifyCatalog((moods) => {
+    const moodIds = new Map();
+    const addedMoods = [];
+    [...new Set(labels)].forEach((label, index) => {
+      const match = [...moods, ...addedMoods].find(
+        (mood) => mood.label.toLowerCase() === label.toLowerCase()
+      );
+      if (match) {
+        moodIds.set(label, match.id);
+        return;
+      }
+      const newMood = {
+        id: `mood-${Date.now()}-${index}`,
+        label,
+        emoji: '',
+        color: '#9E9E9E',
+        score: 0,
+        archived: true,
+      };
+      addedMoods.push(newMood);
+      moodIds.set(label, newMood.id);
+    });
+    return {
+      moods: addedMoods.length > 0 ? [...moods, ...addedMoods] : moods,
+      result: moodIds,
+    };
+  });
+}
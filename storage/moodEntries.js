@@ -0,0 +1,594 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { decryptJson, encryptJson } from '@/storage/encryption';
+import { getSchemaVersionKey, runMigrations } from '@/storage/migrations';
+import { getMoodIdsForLabels } from '@/storage/moodCatalog';
+import { rescuePhoto } from '@/storage/photos';
+
+/**
+ * Key used for storing and retrieving mood entries in AsyncStorage.
+ * @type {string}
+ */
+export const MOOD_ENTRIES_KEY = 'moodEntries';
+
+/**
+ * Key under which unreadable entries are set aside when the journal is reset,
+ * so they are never destroyed outright.
+ * @type {string}
+ */
+const UNREADABLE_ENTRIES_KEY = `${MOOD_ENTRIES_KEY}:unreadable`;
+
+/**
+ * Ordered schema migrations for the stored mood entries.
+ * Append new migrations to the end with the next version number; never edit
+ * or remove one that has shipped, since users may be upgrading from any version.
+ * @type {Array<{version: number, migrate: Function}>}
+ */
+const MOOD_ENTRY_MIGRATIONS = [
+  {
+    // Version 1: entries written before the schema was versioned.
+    // Drops malformed items and fills in any fields an entry may be missing.
+    version: 1,
+    migrate: (entries) =>
+      (Array.isArray(entries) ? entries : [])
+        .filter((entry) => entry && entry.mood && entry.timestamp)
+        .map((entry) => ({
+          id: String(entry.id ?? new Date(entry.timestamp).getTime()),
+          mood: entry.mood,
+          journalText: entry.journalText ?? '',
+          imageUri: entry.imageUri ?? null,
+          timestamp: entry.timestamp,
+        })),
+  },
+  {
+    // Version 2: entries track when they were last edited.
+    // Entries that were never edited count as last changed when they were created.
+    version: 2,
+    migrate: (entries) =>
+      entries.map((entry) => ({ ...entry, updatedAt: entry.updatedAt ?? entry.timestamp })),
+  },
+  {
+    // Version 3: photos are kept in app storage instead of the image picker's cache.
+    // Copies over every photo the OS has not purged yet.
+    version: 3,
+    migrate: async (entries) => {
+      const migratedEntries = [];
+      for (const entry of entries) {
+        migratedEntries.push({ ...entry, imageUri: await rescuePhoto(entry.imageUri) });
+      }
+      return migratedEntries;
+    },
+  },
+  {
+    // Version 4: the journal is encrypted at rest.
+    // The entries are unchanged; finishing the migration rewrites them encrypted.
+    version: 4,
+    migrate: (entries) => entries,
+  },
+  {
+    // Version 5: entries reference their mood by its stable id in the mood catalog
+    // instead of by label, so moods can be renamed. Labels the catalog does not
+    // know are added to it as archived moods.
+    version: 5,
+    migrate: async (entries) => {
+      const moodIds = await getMoodIdsForLabels(entries.map((entry) => entry.mood));
+      return entries.map(({ mood, ...entry }) => ({ ...entry, moodId: moodIds.get(mood) }));
+    },
+  },
+  {
+    // Version 6: entries can record how intense the mood was (1-10), a secondary
+    // mood and activity tags. Older entries have none of these.
+    version: 6,
+    migrate: (entries) =>
+      entries.map((entry) => ({
+        ...entry,
+        intensity: entry.intensity ?? null,
+        secondaryMoodId: entry.secondaryMoodId ?? null,
+        tagIds: entry.tagIds ?? [],
+      })),
+  },
+  {
+    // Version 7: entries can have several photos, kept in gallery order in
+    // `imageUris`. An entry's single `imageUri` becomes a one-photo list.
+    version: 7,
+    migrate: (entries) =>
+      entries.map(({ imageUri, ...entry }) => ({
+        ...entry,
+        imageUris: entry.imageUris ?? (imageUri ? [imageUri] : []),
+      })),
+  },
+  {
+    // Version 8: entries record the inspiration photos offered as a pick-me-up
+    // when the entry was logged, so it can later be seen whether they helped.
+    version: 8,
+    migrate: (entries) =>
+      entries.map((entry) => ({ ...entry, pickMeUpImageIds: entry.pickMeUpImageIds ?? [] })),
+  },
+  {
+    // Version 9: entries can be backdated, so when an entry happened (`timestamp`)
+    // is no longer when it was logged, which is kept in `createdAt`. Older entries
+    // were logged when they happened. Entries are kept in order of when they happened.
+    version: 9,
+    migrate: (entries) =>
+      entries
+        .map((entry) => ({ ...entry, createdAt: entry.createdAt ?? entry.timestamp }))
+        .sort(compareNewestFirst),
+  },
+  {
+    // Version 10: entries can have a voice memo, kept in `voiceMemo` as its file's URI
+    // and how long it is. Older entries have none.
+    version: 10,
+    migrate: (entries) => entries.map((entry) => ({ ...entry, voiceMemo: entry.voiceMemo ?? null })),
+  },
+];
+
+/**
+ * Orders entries by when they happened, newest first.
+ *
+ * @param {Object} a An entry.
+ * @param {Object} b Another entry.
+ * @returns {number} A negative number if `a` happened after `b`, a positive number if before.
+ */
+function compareNewestFirst(a, b) {
+  return new Date(b.timestamp) - new Date(a.timestamp);
+}
+
+/**
+ * Promise for the one-time migration run, shared by every caller.
+ * @type {Promise<*>|null}
+ */
+let readyPromise = null;
+
+/**
+ * The decrypted entries, kept after the first read so later reads do not have to
+ * decrypt and parse the whole journal again. Every write goes through this module
+ * and updates it. `null` until the entries are first read.
+ * @type {Array<Object>|null}
+ */
+let cachedEntries = null;
+
+/**
+ * Counts the changes made to the stored entries, so screens can tell whether
+ * anything changed since they last loaded.
+ * @type {number}
+ */
+let revision = 0;
+
+/**
+ * Tail of the write queue. Every read-modify-write goes through this chain
+ * so two screens saving at the same time cannot overwrite each other's changes.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Functions to call whenever the stored entries change.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called whenever a mood entry is created, updated,
+ * deleted or restored. The listener receives a change object of the shape
+ * `{ type, entry }`, where `type` is one of `'created'`, `'updated'`, `'deleted'`
+ * or `'restored'`. Deletions also carry the `index` the entry was removed from,
+ * which can be passed to `restoreMoodEntry` to undo the deletion.
+ * Imports are reported as `{ type: 'imported', entries }`, changes received from the
+ * sync server as `{ type: 'synced' }`, clearing the whole journal as `{ type: 'cleared' }`,
+ * and resets of an unreadable journal as `{ type: 'reset' }`.
+ *
+ * @param {Function} listener The function to call with each change.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToMoodEntries(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Runs any pending schema migrations for the mood entries.
+ * Safe to call more than once: migrations only run the first time, and every
+ * other read or write in this module waits for them to finish.
+ * If the migration fails, the next call tries again.
+ *
+ * @returns {Promise<void>} A promise that resolves once the stored entries are up to date.
+ */
+export async function initializeMoodEntries() {
+  if (!readyPromise) {
+    readyPromise = runMigrations(MOOD_ENTRIES_KEY, MOOD_ENTRY_MIGRATIONS, [], {
+      serialize: encryptJson,
+      deserialize: decryptJson,
+    }).catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  await readyPromise;
+}
+
+/**
+ * Reads and decrypts the full list of stored mood entries, newest first by when they happened.
+ * Only the first read decrypts them; later reads return the cached list, which must not be modified.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the stored entries.
+ * @throws {UnreadableDataError} If the stored entries are damaged or cannot be decrypted.
+ */
+async function readEntries() {
+  await initializeMoodEntries();
+  if (!cachedEntries) {
+    const storedEntries = await AsyncStorage.getItem(MOOD_ENTRIES_KEY);
+    cachedEntries = storedEntries ? await decryptJson(storedEntries) : [];
+  }
+  return cachedEntries;
+}
+
+/**
+ * Encrypts and replaces the stored list of mood entries.
+ *
+ * @param {Array<Object>} entries The entries to store.
+ * @returns {Promise<void>} A promise that resolves when the entries are saved.
+ */
+async function writeEntries(entries) {
+  await AsyncStorage.setItem(MOOD_ENTRIES_KEY, await encryptJson(entries));
+  cachedEntries = entries;
+  revision += 1;
+}
+
+/**
+ * Adds a task to the write queue, so it runs after every write queued before it.
+ *
+ * @param {Function} task The async function to run.
+ * @returns {Promise<*>} A promise resolving to the task's result.
+ */
+function enqueueWrite(task) {
+  const queuedTask = writeQueue.then(task);
+  writeQueue = queuedTask.then(
+    () => {},
+    () => {}
+  );
+  return queuedTask;
+}
+
+/**
+ * Queues a read-modify-write of the stored entries.
+ * `update` receives the current entries and returns `{ entries, result, change }`,
+ * where `entries` is written back, `result` is what the returned promise resolves to,
+ * and `change` (if any) is passed to the listeners once the write succeeds.
+ *
+ * @param {Function} update The function computing the new list of entries.
+ * @returns {Promise<*>} A promise resolving to the `result` returned by `update`.
+ */
+function modifyEntries(update) {
+  return enqueueWrite(async () => {
+    const { entries, result, change } = update(await readEntries());
+    await writeEntries(entries);
+    if (change) {
+      listeners.forEach((listener) => listener(change));
+    }
+    return result;
+  });
+}
+
+/**
+ * Returns every stored mood entry, newest first by when they happened.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to all mood entries.
+ */
+export async function getMoodEntries() {
+  return [...(await readEntries())];
+}
+
+/**
+ * Returns how many mood entries are stored.
+ *
+ * @returns {Promise<number>} A promise resolving to the number of entries.
+ */
+export async function countMoodEntries() {
+  return (await readEntries()).length;
+}
+
+/**
+ * Returns a number that changes whenever the stored entries do. Comparing it with
+ * the one seen at the last load tells a screen whether it needs to load again.
+ *
+ * @returns {number} The current revision.
+ */
+export function getMoodEntriesRevision() {
+  return revision;
+}
+
+/**
+ * Looks up a single mood entry by its id.
+ *
+ * @param {string} id The id of the entry to find.
+ * @returns {Promise<Object|null>} A promise resolving to the entry, or `null` if there is none.
+ */
+export async function getMoodEntry(id) {
+  const entries = await readEntries();
+  return entries.find((entry) => entry.id === id) ?? null;
+}
+
+/**
+ * Returns the mood entries matching a query.
+ *
+ * @param {Object} [query] The query options.
+ * @param {Function} [query.filter] Predicate an entry must satisfy to be included.
+ * @param {Function} [query.sort] Comparator used to order the results. Defaults to the stored order (newest first by when they happened).
+ * @param {number} [query.limit] Maximum number of entries to return.
+ * @returns {Promise<Array<Object>>} A promise resolving to the matching entries.
+ */
+export async function queryMoodEntries({ filter, sort, limit } = {}) {
+  let entries = [...(await readEntries())];
+  if (filter) {
+    entries = entries.filter(filter);
+  }
+  if (sort) {
+    entries.sort(sort);
+  }
+  if (limit !== undefined) {
+    entries = entries.slice(0, limit);
+  }
+  return entries;
+}
+
+/**
+ * Returns the start of the month after the one a date falls in.
+ *
+ * @param {Date} date The date.
+ * @returns {Date} Local midnight on the first day of the next month.
+ */
+function getNextMonthStart(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+}
+
+/**
+ * Returns one page of the entries matching a filter, walking through the journal a
+ * month at a time so a page always holds whole months. Each page has at least
+ * `minCount` entries, unless there are no more, and ends at a month boundary.
+ * The `nextCursor` of one page is passed as the `cursor` of the next; it is `null`
+ * once there are no more entries.
+ *
+ * @param {Object} [options] The paging options.
+ * @param {Function} [options.filter] Predicate an entry must satisfy to be included.
+ * @param {string|null} [options.cursor] Where the page starts, from the previous page's `nextCursor`. `null` for the first page.
+ * @param {boolean} [options.newestFirst=true] Whether to walk back from the newest entries, or forward from the oldest.
+ * @param {number} [options.minCount=30] The fewest entries a page holds while more remain.
+ * @returns {Promise<{entries: Array<Object>, nextCursor: string|null}>} A promise resolving to the page.
+ */
+export async function getMoodEntriesPage({ filter, cursor = null, newestFirst = true, minCount = 30 } = {}) {
+  const entries = await readEntries();
+  const ordered = newestFirst ? entries : [...entries].reverse();
+  const remaining = ordered.filter((entry) => {
+    if (cursor && (new Date(entry.timestamp) < new Date(cursor)) !== newestFirst) {
+      return false;
+    }
+    return !filter || filter(entry);
+  });
+  if (remaining.length <= minCount) {
+    return { entries: remaining, nextCursor: null };
+  }
+
+  // Extend the page to the end of the month its last entry falls in.
+  const lastDate = new Date(remaining[minCount - 1].timestamp);
+  const boundary = newestFirst
+    ? new Date(lastDate.getFullYear(), lastDate.getMonth(), 1)
+    : getNextMonthStart(lastDate);
+  const isInPage = (entry) => (new Date(entry.timestamp) >= boundary) === newestFirst;
+  const pageEntries = remaining.filter(isInPage);
+  return {
+    entries: pageEntries,
+    nextCursor: pageEntries.length < remaining.length ? boundary.toISOString() : null,
+  };
+}
+
+/**
+ * Creates a new mood entry and stores it in order of when it happened.
+ * A unique `id` is assigned automatically, and `createdAt` and `updatedAt` are set to now.
+ * The `timestamp` of when the entry happened defaults to now; a backdated one can be given.
+ *
+ * @param {Object} fields The entry's fields, such as `timestamp`, `moodId`, `intensity`, `secondaryMoodId`, `tagIds`, `journalText`, `imageUris`, `voiceMemo` and `pickMeUpImageIds`.
+ * @returns {Promise<Object>} A promise resolving to the newly created entry.
+ */
+export function createMoodEntry(fields) {
+  const now = new Date().toISOString();
+  const newEntry = {
+    id: Date.now().toString(),
+    journalText: '',
+    imageUris: [],
+    voiceMemo: null,
+    pickMeUpImageIds: [],
+    intensity: null,
+    secondaryMoodId: null,
+    tagIds: [],
+    ...fields,
+    timestamp: fields.timestamp ?? now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  return modifyEntries((entries) => {
+    const index = entries.findIndex((entry) => compareNewestFirst(newEntry, entry) <= 0);
+    const updatedEntries = [...entries];
+    updatedEntries.splice(index === -1 ? entries.length : index, 0, newEntry);
+    return {
+      entries: updatedEntries,
+      result: newEntry,
+      change: { type: 'created', entry: newEntry },
+    };
+  });
+}
+
+/**
+ * Applies changes to an existing mood entry and stamps its `updatedAt`.
+ * The entry's `id`, `timestamp` and `createdAt` cannot be changed.
+ *
+ * @param {string} id The id of the entry to update.
+ * @param {Object} changes The fields to change.
+ * @returns {Promise<Object>} A promise resolving to the updated entry.
+ * @throws {Error} If no entry with the given id exists.
+ */
+export function updateMoodEntry(id, changes) {
+  return modifyEntries((entries) => {
+    const index = entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      throw new Error(`Mood entry not found: ${id}`);
+    }
+
+    const updatedEntry = {
+      ...entries[index],
+      ...changes,
+      id,
+      timestamp: entries[index].timestamp,
+      createdAt: entries[index].createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    const updatedEntries = [...entries];
+    updatedEntries[index] = updatedEntry;
+    return {
+      entries: updatedEntries,
+      result: updatedEntry,
+      change: { type: 'updated', entry: updatedEntry },
+    };
+  });
+}
+
+/**
+ * Deletes a mood entry.
+ * Listeners are told the position the entry was removed from, so the deletion can be undone.
+ *
+ * @param {string} id The id of the entry to delete.
+ * @returns {Promise<Object|null>} A promise resolving to the deleted entry, or `null` if it did not exist.
+ */
+export function deleteMoodEntry(id) {
+  return modifyEntries((entries) => {
+    const index = entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return { entries, result: null };
+    }
+
+    return {
+      entries: entries.filter((entry) => entry.id !== id),
+      result: entries[index],
+      change: { type: 'deleted', entry: entries[index], index },
+    };
+  });
+}
+
+/**
+ * Puts a deleted mood entry back, typically to undo a deletion.
+ * The entry is reinserted at `index` (or at the end if the list has since become shorter).
+ * Nothing happens if an entry with the same id already exists.
+ *
+ * @param {Object} entry The entry to restore, exactly as it was deleted.
+ * @param {number} [index=0] The position to reinsert the entry at.
+ * @returns {Promise<Object>} A promise resolving to the restored entry.
+ */
+export function restoreMoodEntry(entry, index = 0) {
+  return modifyEntries((entries) => {
+    if (entries.some((existing) => existing.id === entry.id)) {
+      return { entries, result: entry };
+    }
+
+    const updatedEntries = [...entries];
+    updatedEntries.splice(Math.min(index, entries.length), 0, entry);
+    return {
+      entries: updatedEntries,
+      result: entry,
+      change: { type: 'restored', entry },
+    };
+  });
+}
+
+/**
+ * Merges entries from elsewhere (such as an imported archive) into the stored entries.
+ * Entries whose `id` is already stored are skipped, so importing the same archive
+ * twice does not create duplicates. The merged list is kept newest first by when they happened.
+ *
+ * @param {Array<Object>} importedEntries The entries to merge in, already at the current schema.
+ * @returns {Promise<Array<Object>>} A promise resolving to the entries that were added.
+ */
+export function importMoodEntries(importedEntries) {
+  return modifyEntries((entries) => {
+    const existingIds = new Set(entries.map((entry) => entry.id));
+    const addedEntries = importedEntries.filter((entry) => !existingIds.has(entry.id));
+    if (addedEntries.length === 0) {
+      return { entries, result: [] };
+    }
+
+    const mergedEntries = [...entries, ...addedEntries].sort(compareNewestFirst);
+    return {
+      entries: mergedEntries,
+      result: addedEntries,
+      change: { type: 'imported', entries: addedEntries },
+    };
+  });
+}
+
+/**
+ * Applies entries received from the sync server, which has already settled any conflicts:
+ * each entry replaces the stored one with the same `id`, or is added, and deleted ones are removed.
+ * The entries are stored exactly as received, keeping their `updatedAt`.
+ *
+ * @param {Array<{id: string, deleted: boolean, entry: Object|null}>} changes The entries that changed, with `entry` being `null` for deleted ones.
+ * @returns {Promise<Array<Object>>} A promise resolving to the entries that were removed, whose photos may need deleting.
+ */
+export function applySyncedMoodEntries(changes) {
+  return modifyEntries((entries) => {
+    const changesById = new Map(changes.map((change) => [change.id, change]));
+    const removedEntries = entries.filter((entry) => changesById.get(entry.id)?.deleted);
+    const updatedEntries = [
+      ...entries.filter((entry) => !changesById.has(entry.id)),
+      ...changes.filter((change) => !change.deleted).map((change) => change.entry),
+    ].sort(compareNewestFirst);
+    return {
+      entries: updatedEntries,
+      result: removedEntries,
+      change: { type: 'synced' },
+    };
+  });
+}
+
+/**
+ * Deletes every mood entry. Their photos are left for the caller to delete.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the deleted entries.
+ */
+export function clearMoodEntries() {
+  return modifyEntries((entries) => ({
+    entries: [],
+    result: entries,
+    change: { type: 'cleared' },
+  }));
+}
+
+/**
+ * Tells whether unreadable entries were set aside by `resetMoodEntries`.
+ *
+ * @returns {Promise<boolean>} A promise resolving to `true` if set-aside entries exist.
+ */
+export async function hasUnreadableMoodEntries() {
+  return (await AsyncStorage.getItem(UNREADABLE_ENTRIES_KEY)) !== null;
+}
+
+/**
+ * Starts over with an empty journal after the stored entries turned out to be unreadable.
+ * The unreadable data is set aside under a separate key rather than deleted, in case it
+ * can be recovered later; the journal can then be refilled from a backup.
+ *
+ * @returns {Promise<void>} A promise that resolves once the journal is empty and usable again.
+ */
+export function resetMoodEntries() {
+  return enqueueWrite(async () => {
+    const storedEntries = await AsyncStorage.getItem(MOOD_ENTRIES_KEY);
+    if (storedEntries !== null) {
+      await AsyncStorage.setItem(UNREADABLE_ENTRIES_KEY, storedEntries);
+    }
+    await AsyncStorage.multiRemove([MOOD_ENTRIES_KEY, getSchemaVersionKey(MOOD_ENTRIES_KEY)]);
+    readyPromise = null;
+    cachedEntries = null;
+    revision += 1;
+    listeners.forEach((listener) => listener({ type: 'reset' }));
+  });
+}
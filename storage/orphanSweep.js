@@ -0,0 +1,47 @@
+import { hasUnreadableMoodEntries } from '@/storage/moodEntries';
+
+/**
+ * How long, in seconds, a managed file may go unreferenced before the sweep deletes it.
+ * This protects photos and voice memos just captured for an entry that has not been
+ * saved yet, and those of entries that were just deleted but can still be restored.
+ * @type {number}
+ */
+const ORPHAN_GRACE_PERIOD_SECONDS = 24 * 60 * 60;
+
+/**
+ * Finds managed files of one kind that nothing refers to anymore.
+ * Files changed within the grace period are never reported, and nothing is reported
+ * while unreadable entries are set aside, since their files cannot be told apart.
+ *
+ * @param {Object} files How to reach the files of this kind.
+ * @param {Function} files.listFiles Resolves to the managed files, as `{uri, modificationTime}` objects.
+ * @param {Function} files.getReferencedUris Resolves to the URIs of the files still referred to.
+ * @returns {Promise<Array<string>>} A promise resolving to the URIs of the orphaned files.
+ */
+export async function findOrphanedFiles({ listFiles, getReferencedUris }) {
+  if (await hasUnreadableMoodEntries()) {
+    return [];
+  }
+  const [managedFiles, referencedUris] = await Promise.all([listFiles(), getReferencedUris()]);
+  const referencedUriSet = new Set(referencedUris);
+  const cutoff = Date.now() / 1000 - ORPHAN_GRACE_PERIOD_SECONDS;
+
+  return managedFiles
+    .filter((file) => !referencedUriSet.has(file.uri) && file.modificationTime < cutoff)
+    .map((file) => file.uri);
+}
+
+/**
+ * Deletes every orphaned file of one kind.
+ *
+ * @param {Object} files How to reach the files of this kind (see `findOrphanedFiles`).
+ * @param {Function} files.deleteFile Deletes a file, given its URI.
+ * @returns {Promise<number>} A promise resolving to the number of files deleted.
+ */
+export async function sweepOrphanedFiles(files) {
+  const orphanedUris = await findOrphanedFiles(files);
+  for (const uri of orphanedUris) {
+    await files.deleteFile(uri);
+  }
+  return orphanedUris.length;
+}
@@ -0,0 +1,43 @@
+import { getEntryDraft } from '@/storage/entryDraft';
+import { getInspirationImages } from '@/storage/inspirationImages';
+import { getMoodEntries } from '@/storage/moodEntries';
+import { findOrphanedFiles, sweepOrphanedFiles } from '@/storage/orphanSweep';
+import { deletePhoto, listManagedPhotos } from '@/storage/photos';
+
+/**
+ * How the sweep reaches managed photos: they are referred to by mood entries,
+ * inspiration images and the entry draft, and deleted along with their thumbnails.
+ * @type {{listFiles: Function, getReferencedUris: Function, deleteFile: Function}}
+ */
+const PHOTO_FILES = {
+  listFiles: listManagedPhotos,
+  getReferencedUris: async () => {
+    const [entries, images, draft] = await Promise.all([getMoodEntries(), getInspirationImages(), getEntryDraft()]);
+    return [
+      ...entries.flatMap((entry) => entry.imageUris),
+      ...images.map((image) => image.uri),
+      ...(draft?.imageUris ?? []),
+    ];
+  },
+  deleteFile: deletePhoto,
+};
+
+/**
+ * Finds managed photos that no mood entry, inspiration image or entry draft refers to anymore,
+ * such as photos retaken before saving or photos of entries deleted while the app was closing.
+ * See `findOrphanedFiles` for the photos that are never reported.
+ *
+ * @returns {Promise<Array<string>>} A promise resolving to the URIs of the orphaned photos.
+ */
+export function findOrphanedPhotos() {
+  return findOrphanedFiles(PHOTO_FILES);
+}
+
+/**
+ * Deletes every orphaned photo, along with its thumbnail.
+ *
+ * @returns {Promise<number>} A promise resolving to the number of photos deleted.
+ */
+export function sweepOrphanedPhotos() {
+  return sweepOrphanedFiles(PHOTO_FILES);
+}
@@ -0,0 +1,263 @@
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+
+/**
+ * Directory inside the app's document storage where photos are kept.
+ * Unlike the image picker's cache, the OS never purges this directory.
+ * `null` on platforms without a document directory (such as web).
+ * @type {string|null}
+ */
+export const PHOTOS_DIRECTORY = FileSystem.documentDirectory
+  ? `${FileSystem.documentDirectory}photos/`
+  : null;
+
+/**
+ * Directory holding a small thumbnail for every managed photo, under the same file name.
+ * @type {string|null}
+ */
+const THUMBNAILS_DIRECTORY = PHOTOS_DIRECTORY ? `${PHOTOS_DIRECTORY}thumbnails/` : null;
+
+/**
+ * Width, in pixels, that thumbnails are resized to. The height keeps the photo's aspect ratio.
+ * @type {number}
+ */
+const THUMBNAIL_WIDTH = 400;
+
+/**
+ * Creates the photo and thumbnail directories if they do not exist yet.
+ *
+ * @returns {Promise<void>} A promise that resolves when both directories exist.
+ */
+async function ensurePhotoDirectories() {
+  const info = await FileSystem.getInfoAsync(THUMBNAILS_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(THUMBNAILS_DIRECTORY, { intermediates: true });
+  }
+}
+
+/**
+ * Returns the file name part of a URI, e.g. `photo.jpg` for `file:///a/b/photo.jpg`.
+ *
+ * @param {string} uri The URI to take the file name from.
+ * @returns {string} The file name.
+ */
+function getFileName(uri) {
+  return uri.substring(uri.lastIndexOf('/') + 1);
+}
+
+/**
+ * Tells whether a URI points at a photo stored by this module.
+ *
+ * @param {string|null|undefined} uri The URI to check.
+ * @returns {boolean} `true` if the photo lives in the managed photos directory.
+ */
+export function isManagedPhoto(uri) {
+  return Boolean(PHOTOS_DIRECTORY && uri && uri.startsWith(PHOTOS_DIRECTORY));
+}
+
+/**
+ * Returns the URI of the thumbnail for a photo.
+ * Photos that are not managed by this module have no thumbnail, so their own URI is returned.
+ *
+ * @param {string|null} uri The URI of the photo.
+ * @returns {string|null} The URI of the thumbnail, or the photo's URI if it has none.
+ */
+export function getThumbnailUri(uri) {
+  if (!isManagedPhoto(uri)) {
+    return uri;
+  }
+  return `${THUMBNAILS_DIRECTORY}${getFileName(uri)}`;
+}
+
+/**
+ * Returns the file name of a managed photo, which is the same on every device, so
+ * synced entries can refer to their photos by it.
+ *
+ * @param {string|null} uri The URI of the photo.
+ * @returns {string|null} The file name, or `null` if the photo is not managed by this module.
+ */
+export function getPhotoFileName(uri) {
+  return isManagedPhoto(uri) ? getFileName(uri) : null;
+}
+
+/**
+ * Returns the URI a managed photo has, or would have, on this device.
+ *
+ * @param {string} fileName The photo's file name (see `getPhotoFileName`).
+ * @returns {string|null} The photo's URI, or `null` on platforms without a document directory.
+ */
+export function getManagedPhotoUri(fileName) {
+  return PHOTOS_DIRECTORY ? `${PHOTOS_DIRECTORY}${fileName}` : null;
+}
+
+/**
+ * Generates the thumbnail for a photo in the managed photos directory.
+ *
+ * @param {string} photoUri The URI of the managed photo.
+ * @returns {Promise<void>} A promise that resolves when the thumbnail is saved.
+ */
+async function createThumbnail(photoUri) {
+  const thumbnail = await ImageManipulator.manipulateAsync(
+    photoUri,
+    [{ resize: { width: THUMBNAIL_WIDTH } }],
+    { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  await FileSystem.moveAsync({ from: thumbnail.uri, to: getThumbnailUri(photoUri) });
+}
+
+/**
+ * Copies a photo (typically from the image picker's temporary cache) into the
+ * managed photos directory and generates its thumbnail.
+ * Photos that are already managed are returned unchanged. On platforms without
+ * a document directory, the original URI is returned as-is.
+ *
+ * @param {string} sourceUri The URI of the photo to keep.
+ * @returns {Promise<string>} A promise resolving to the URI of the stored photo.
+ */
+export async function persistPhoto(sourceUri) {
+  if (!PHOTOS_DIRECTORY || isManagedPhoto(sourceUri)) {
+    return sourceUri;
+  }
+
+  await ensurePhotoDirectories();
+
+  const sourceName = getFileName(sourceUri);
+  const extension = sourceName.includes('.') ? sourceName.split('.').pop().toLowerCase() : 'jpg';
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+  const photoUri = `${PHOTOS_DIRECTORY}${fileName}`;
+
+  await FileSystem.copyAsync({ from: sourceUri, to: photoUri });
+  await createThumbnail(photoUri);
+
+  return photoUri;
+}
+
+/**
+ * Moves a photo (such as one just downloaded) into the managed photos directory
+ * under the given file name, and generates its thumbnail. Used for photos that
+ * already have a file name on another device, so references to it keep working.
+ *
+ * @param {string} temporaryUri The URI of the photo file to move.
+ * @param {string} fileName The file name to keep it under.
+ * @returns {Promise<string>} A promise resolving to the URI of the stored photo.
+ */
+export async function adoptPhoto(temporaryUri, fileName) {
+  await ensurePhotoDirectories();
+  const photoUri = getManagedPhotoUri(fileName);
+  await FileSystem.moveAsync({ from: temporaryUri, to: photoUri });
+  await createThumbnail(photoUri);
+  return photoUri;
+}
+
+/**
+ * Tells whether a managed photo's file exists on this device.
+ *
+ * @param {string} fileName The photo's file name.
+ * @returns {Promise<boolean>} A promise resolving to `true` if the file exists.
+ */
+export async function hasManagedPhoto(fileName) {
+  if (!PHOTOS_DIRECTORY) {
+    return false;
+  }
+  return (await FileSystem.getInfoAsync(getManagedPhotoUri(fileName))).exists;
+}
+
+/**
+ * Copies a photo into managed storage if its file still exists.
+ * Used by data migrations to rescue photos that were saved before photos were managed:
+ * photos the OS has already purged cannot be recovered, so their URI is kept as it was.
+ *
+ * @param {string|null} uri The URI of the photo.
+ * @returns {Promise<string|null>} A promise resolving to the managed URI, or the original URI if the photo could not be copied.
+ */
+export async function rescuePhoto(uri) {
+  if (!uri || !PHOTOS_DIRECTORY || isManagedPhoto(uri)) {
+    return uri;
+  }
+  try {
+    const info = await FileSystem.getInfoAsync(uri);
+    return info.exists ? await persistPhoto(uri) : uri;
+  } catch (error) {
+    console.error('Error rescuing photo:', error);
+    return uri;
+  }
+}
+
+/**
+ * Deletes a managed photo and its thumbnail.
+ * Photos that are not managed by this module (such as ones still in the image
+ * picker's cache) are left alone. Files that are already gone are ignored.
+ *
+ * @param {string|null} uri The URI of the photo to delete.
+ * @returns {Promise<void>} A promise that resolves when the files are removed.
+ */
+export async function deletePhoto(uri) {
+  if (!isManagedPhoto(uri)) {
+    return;
+  }
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+  await FileSystem.deleteAsync(getThumbnailUri(uri), { idempotent: true });
+}
+
+/**
+ * Lists every photo currently in the managed photos directory, with its last modification time.
+ *
+ * @returns {Promise<Array<{uri: string, modificationTime: number}>>} A promise resolving to the stored photos. `modificationTime` is in seconds since the epoch.
+ */
+export async function listManagedPhotos() {
+  if (!PHOTOS_DIRECTORY) {
+    return [];
+  }
+  const directoryInfo = await FileSystem.getInfoAsync(PHOTOS_DIRECTORY);
+  if (!directoryInfo.exists) {
+    return [];
+  }
+
+  const fileNames = await FileSystem.readDirectoryAsync(PHOTOS_DIRECTORY);
+  const photos = [];
+  for (const fileName of fileNames) {
+    const uri = `${PHOTOS_DIRECTORY}${fileName}`;
+    const info = await FileSystem.getInfoAsync(uri);
+    if (info.exists && !info.isDirectory) {
+      photos.push({ uri, modificationTime: info.modificationTime });
+    }
+  }
+  return photos;
+}
+
+/**
+ * Stores a photo given as base64 data (such as one bundled in a journal archive)
+ * in the managed photos directory, and generates its thumbnail.
+ *
+ * @param {string} base64 The photo's file contents, base64-encoded.
+ * @param {string} fileName The photo's original file name, used for its extension.
+ * @returns {Promise<string|null>} A promise resolving to the URI of the stored photo, or `null` on platforms without a document directory.
+ */
+export async function savePhotoFromBase64(base64, fileName) {
+  if (!PHOTOS_DIRECTORY) {
+    return null;
+  }
+  const temporaryUri = `${FileSystem.cacheDirectory}${Date.now()}-${fileName}`;
+  await FileSystem.writeAsStringAsync(temporaryUri, base64, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  try {
+    return await persistPhoto(temporaryUri);
+  } finally {
+    await FileSystem.deleteAsync(temporaryUri, { idempotent: true });
+  }
+}
+
+/**
+ * Reads a photo's file contents as base64, for bundling it into a journal archive.
+ *
+ * @param {string} uri The URI of the photo.
+ * @returns {Promise<string|null>} A promise resolving to the base64 data, or `null` if the file no longer exists.
+ */
+export async function readPhotoAsBase64(uri) {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) {
+    return null;
+  }
+  return FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+}
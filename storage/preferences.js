@@ -0,0 +1,72 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Key used for storing and retrieving the user's preferences in AsyncStorage.
+ * @type {string}
+ */
+const PREFERENCES_KEY = 'preferences';
+
+/**
+ * Preferences used until the user changes them.
+ * - `locale`: language tag used to format dates, or `'system'` for the device's.
+ * - `dateStyle`: how dates are written: `'long'` (July 4, 2025), `'medium'` (Jul 4, 2025) or `'short'` (7/4/25).
+ * - `hourCycle`: `'h12'`, `'h23'`, or `'system'` to use the locale's convention.
+ * - `firstDayOfWeek`: the `Date.getDay()` number calendars and weekday charts start on.
+ * - `photoQuality`: compression quality of new photos, from 0 to 1.
+ * - `photoAspect`: the `[width, height]` crop for new photos, or `null` for a free crop.
+ * - `defaultTab`: the name of the tab the app opens on.
+ * - `inspirationLayout`: how the Inspiration Board is laid out: `'grid'` (equal cards) or `'masonry'` (each photo at its own shape).
+ * @type {{locale: string, dateStyle: string, hourCycle: string, firstDayOfWeek: number, photoQuality: number, photoAspect: Array<number>|null, defaultTab: string, inspirationLayout: string}}
+ */
+export const DEFAULT_PREFERENCES = {
+  locale: 'system',
+  dateStyle: 'long',
+  hourCycle: 'system',
+  firstDayOfWeek: 0,
+  photoQuality: 1,
+  photoAspect: [4, 3],
+  defaultTab: 'index',
+  inspirationLayout: 'grid',
+};
+
+/**
+ * Functions to call whenever the preferences are saved.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with the new preferences whenever they are saved.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToPreferences(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Reads the stored preferences, filling in defaults for anything missing.
+ *
+ * @returns {Promise<Object>} A promise resolving to the preferences.
+ */
+export async function getPreferences() {
+  const storedPreferences = await AsyncStorage.getItem(PREFERENCES_KEY);
+  return storedPreferences
+    ? { ...DEFAULT_PREFERENCES, ...JSON.parse(storedPreferences) }
+    : DEFAULT_PREFERENCES;
+}
+
+/**
+ * Stores the preferences and notifies the listeners.
+ *
+ * @param {Object} preferences The preferences to store.
+ * @returns {Promise<void>} A promise that resolves when the preferences are saved.
+ */
+export async function savePreferences(preferences) {
+  await AsyncStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  listeners.forEach((listener) => listener(preferences));
+}
@@ -0,0 +1,48 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Key used for storing and retrieving the daily reminder settings in AsyncStorage.
+ * @type {string}
+ */
+const REMINDER_SETTINGS_KEY = 'reminderSettings';
+
+/**
+ * Reminder settings used until the user changes them: reminders off, one
+ * evening reminder every day, and a quiet-hours window overnight.
+ * Times are `HH:MM` strings in 24-hour local time; weekdays are `Date.getDay()` numbers.
+ * @type {{enabled: boolean, times: Array<string>, weekdays: Array<number>, quietHours: {enabled: boolean, start: string, end: string}}}
+ */
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  times: ['20:00'],
+  weekdays: [0, 1, 2, 3, 4, 5, 6],
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+/**
+ * Reads the stored reminder settings, filling in defaults for anything missing.
+ *
+ * @returns {Promise<Object>} A promise resolving to the reminder settings.
+ */
+export async function getReminderSettings() {
+  const storedSettings = await AsyncStorage.getItem(REMINDER_SETTINGS_KEY);
+  if (!storedSettings) {
+    return DEFAULT_REMINDER_SETTINGS;
+  }
+  const settings = JSON.parse(storedSettings);
+  return {
+    ...DEFAULT_REMINDER_SETTINGS,
+    ...settings,
+    quietHours: { ...DEFAULT_REMINDER_SETTINGS.quietHours, ...settings.quietHours },
+  };
+}
+
+/**
+ * Stores the reminder settings.
+ *
+ * @param {Object} settings The reminder settings to store.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ */
+export async function saveReminderSettings(settings) {
+  await AsyncStorage.setItem(REMINDER_SETTINGS_KEY, JSON.stringify(settings));
+}
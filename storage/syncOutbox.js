@@ -0,0 +1,150 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { decryptJson, encryptJson } from '@/storage/encryption';
+
+/**
+ * Key under which the changes waiting to be sent to the sync server are stored.
+ * They hold entries' contents, so they are encrypted like the journal.
+ * @type {string}
+ */
+const SYNC_OUTBOX_KEY = 'syncOutbox';
+
+/**
+ * Key under which how far this device has synced is stored.
+ * @type {string}
+ */
+const SYNC_STATE_KEY = 'syncState';
+
+/**
+ * Sync state before the first sync: nothing received from the server yet.
+ * `cursor` is the server's position in its change log that this device has received
+ * changes up to; `lastSyncedAt` is when the last sync finished.
+ * @type {{cursor: number|null, lastSyncedAt: string|null}}
+ */
+const INITIAL_SYNC_STATE = { cursor: null, lastSyncedAt: null };
+
+/**
+ * Tail of the write queue, so changes queued while a sync is sending the outbox are not lost.
+ * @type {Promise<void>}
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Returns the key a record is filed under: one record per collection and id.
+ *
+ * @param {{collection: string, id: string}} record The sync record.
+ * @returns {string} The record's key.
+ */
+export function getSyncRecordKey(record) {
+  return `${record.collection}:${record.id}`;
+}
+
+/**
+ * Reads the outbox, keyed by `getSyncRecordKey`.
+ *
+ * @returns {Promise<Object<string, Object>>} A promise resolving to the queued records.
+ */
+async function readOutbox() {
+  const storedOutbox = await AsyncStorage.getItem(SYNC_OUTBOX_KEY);
+  return storedOutbox ? decryptJson(storedOutbox) : {};
+}
+
+/**
+ * Queues a read-modify-write of the outbox.
+ *
+ * @param {Function} update Receives the queued records and returns the ones to store.
+ * @returns {Promise<void>} A promise that resolves when the outbox is saved.
+ */
+function modifyOutbox(update) {
+  const task = writeQueue.then(async () => {
+    const outbox = update(await readOutbox());
+    await AsyncStorage.setItem(SYNC_OUTBOX_KEY, await encryptJson(outbox));
+  });
+  writeQueue = task.then(
+    () => {},
+    () => {}
+  );
+  return task;
+}
+
+/**
+ * Returns every record waiting to be sent to the sync server.
+ * A record is `{ collection, id, updatedAt, deleted, data }`, where `data` is `null` for deletions.
+ *
+ * @returns {Promise<Array<Object>>} A promise resolving to the queued records.
+ */
+export async function getSyncOutbox() {
+  return Object.values(await readOutbox());
+}
+
+/**
+ * Adds records to the outbox. Only the latest change to each record needs sending,
+ * so a queued record is replaced by a newer one for the same collection and id.
+ *
+ * @param {Array<Object>} records The records to queue.
+ * @returns {Promise<void>} A promise that resolves when the records are queued.
+ */
+export function addToSyncOutbox(records) {
+  if (records.length === 0) {
+    return Promise.resolve();
+  }
+  return modifyOutbox((outbox) => {
+    const updatedOutbox = { ...outbox };
+    for (const record of records) {
+      updatedOutbox[getSyncRecordKey(record)] = record;
+    }
+    return updatedOutbox;
+  });
+}
+
+/**
+ * Removes records from the outbox once the server has them. A record that changed
+ * again while it was being sent is left in the outbox, so the newer change is sent too.
+ *
+ * @param {Array<Object>} records The records that were sent.
+ * @returns {Promise<void>} A promise that resolves when the records are removed.
+ */
+export function removeFromSyncOutbox(records) {
+  return modifyOutbox((outbox) => {
+    const updatedOutbox = { ...outbox };
+    for (const record of records) {
+      const key = getSyncRecordKey(record);
+      const queued = updatedOutbox[key];
+      if (queued && queued.updatedAt === record.updatedAt && queued.deleted === record.deleted) {
+        delete updatedOutbox[key];
+      }
+    }
+    return updatedOutbox;
+  });
+}
+
+/**
+ * Returns how far this device has synced.
+ *
+ * @returns {Promise<{cursor: number|null, lastSyncedAt: string|null}>} A promise resolving to the sync state.
+ */
+export async function getSyncState() {
+  const storedState = await AsyncStorage.getItem(SYNC_STATE_KEY);
+  return storedState ? { ...INITIAL_SYNC_STATE, ...JSON.parse(storedState) } : INITIAL_SYNC_STATE;
+}
+
+/**
+ * Stores how far this device has synced.
+ *
+ * @param {{cursor: number|null, lastSyncedAt: string|null}} state The sync state.
+ * @returns {Promise<void>} A promise that resolves when the state is saved.
+ */
+export async function saveSyncState(state) {
+  await AsyncStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Forgets the outbox and how far this device has synced, so the next sync starts
+ * from scratch: everything on the device is sent, and everything on the server received.
+ *
+ * @returns {Promise<void>} A promise that resolves when the sync data is removed.
+ */
+export async function clearSyncData() {
+  await modifyOutbox(() => ({}));
+  await AsyncStorage.removeItem(SYNC_STATE_KEY);
+}
@@ -0,0 +1,91 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { Platform } from 'react-native';
+
+/**
+ * Key used for storing and retrieving the sync settings in AsyncStorage.
+ * The access token is not stored here but in the platform secure store.
+ * @type {string}
+ */
+const SYNC_SETTINGS_KEY = 'syncSettings';
+
+/**
+ * Key under which the sync server's access token is kept in the platform secure store.
+ * @type {string}
+ */
+const SYNC_TOKEN_KEY = 'syncToken';
+
+/**
+ * Whether sync can be used on this platform. It keeps its access token in the
+ * secure store and its photos in the document directory, neither of which exists on web.
+ * @type {boolean}
+ */
+export const IS_SYNC_SUPPORTED = Platform.OS !== 'web';
+
+/**
+ * Sync settings used until the user changes them: sync off and no server.
+ * `serverUrl` is the base URL of the sync server, e.g. `http://192.168.1.10:8787`;
+ * `token` is the access token the server was started with, or `''` if it needs none.
+ * @type {{enabled: boolean, serverUrl: string, token: string}}
+ */
+export const DEFAULT_SYNC_SETTINGS = {
+  enabled: false,
+  serverUrl: '',
+  token: '',
+};
+
+/**
+ * Functions to call whenever the sync settings are saved.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with the new settings whenever they are saved.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToSyncSettings(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Reads the stored sync settings, filling in defaults for anything missing.
+ *
+ * @returns {Promise<Object>} A promise resolving to the sync settings, including the access token.
+ */
+export async function getSyncSettings() {
+  if (!IS_SYNC_SUPPORTED) {
+    return DEFAULT_SYNC_SETTINGS;
+  }
+  const [storedSettings, token] = await Promise.all([
+    AsyncStorage.getItem(SYNC_SETTINGS_KEY),
+    SecureStore.getItemAsync(SYNC_TOKEN_KEY),
+  ]);
+  return {
+    ...DEFAULT_SYNC_SETTINGS,
+    ...(storedSettings ? JSON.parse(storedSettings) : {}),
+    token: token ?? '',
+  };
+}
+
+/**
+ * Stores the sync settings and notifies the listeners.
+ *
+ * @param {Object} settings The sync settings to store, including the access token.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ */
+export async function saveSyncSettings(settings) {
+  const { token, ...storedSettings } = settings;
+  await AsyncStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify(storedSettings));
+  if (token) {
+    await SecureStore.setItemAsync(SYNC_TOKEN_KEY, token);
+  } else {
+    await SecureStore.deleteItemAsync(SYNC_TOKEN_KEY);
+  }
+  listeners.forEach((listener) => listener(settings));
+}
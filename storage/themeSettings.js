@@ -0,0 +1,62 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { DEFAULT_ACCENT } from '@/constants/Colors';
+
+/**
+ * Key used for storing and retrieving the appearance settings in AsyncStorage.
+ * @type {string}
+ */
+const THEME_SETTINGS_KEY = 'themeSettings';
+
+/**
+ * Appearance settings used until the user changes them: follow the device's
+ * light or dark setting, with the original lavender accent.
+ * `mode` is `'system'`, `'light'` or `'dark'`; `accent` is a key of `AccentPalettes`.
+ * @type {{mode: string, accent: string}}
+ */
+export const DEFAULT_THEME_SETTINGS = {
+  mode: 'system',
+  accent: DEFAULT_ACCENT,
+};
+
+/**
+ * Functions to call whenever the appearance settings are saved.
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Registers a function to be called with the new settings whenever they are saved.
+ *
+ * @param {Function} listener The function to call.
+ * @returns {Function} A function that removes the listener.
+ */
+export function subscribeToThemeSettings(listener) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Reads the stored appearance settings, filling in defaults for anything missing.
+ *
+ * @returns {Promise<{mode: string, accent: string}>} A promise resolving to the appearance settings.
+ */
+export async function getThemeSettings() {
+  const storedSettings = await AsyncStorage.getItem(THEME_SETTINGS_KEY);
+  return storedSettings
+    ? { ...DEFAULT_THEME_SETTINGS, ...JSON.parse(storedSettings) }
+    : DEFAULT_THEME_SETTINGS;
+}
+
+/**
+ * Stores the appearance settings and notifies the listeners, so the new theme applies at once.
+ *
+ * @param {{mode: string, accent: string}} settings The appearance settings to store.
+ * @returns {Promise<void>} A promise that resolves when the settings are saved.
+ */
+export async function saveThemeSettings(settings) {
+  await AsyncStorage.setItem(THEME_SETTINGS_KEY, JSON.stringify(settings));
+  listeners.forEach((listener) => listener(settings));
+}
@@ -0,0 +1,37 @@
+import { getEntryDraft } from '@/storage/entryDraft';
+import { getMoodEntries } from '@/storage/moodEntries';
+import { findOrphanedFiles, sweepOrphanedFiles } from '@/storage/orphanSweep';
+import { deleteVoiceMemo, listManagedVoiceMemos } from '@/storage/voiceMemos';
+
+/**
+ * How the sweep reaches managed voice memos: they are referred to by mood entries and the entry draft.
+ * @type {{listFiles: Function, getReferencedUris: Function, deleteFile: Function}}
+ */
+const VOICE_MEMO_FILES = {
+  listFiles: listManagedVoiceMemos,
+  getReferencedUris: async () => {
+    const [entries, draft] = await Promise.all([getMoodEntries(), getEntryDraft()]);
+    return [...entries.map((entry) => entry.voiceMemo?.uri), draft?.voiceMemo?.uri];
+  },
+  deleteFile: deleteVoiceMemo,
+};
+
+/**
+ * Finds managed voice memos that no mood entry or entry draft refers to anymore,
+ * such as memos removed before saving or memos of entries deleted while the app was closing.
+ * See `findOrphanedFiles` for the memos that are never reported.
+ *
+ * @returns {Promise<Array<string>>} A promise resolving to the URIs of the orphaned memos.
+ */
+export function findOrphanedVoiceMemos() {
+  return findOrphanedFiles(VOICE_MEMO_FILES);
+}
+
+/**
+ * Deletes every orphaned voice memo.
+ *
+ * @returns {Promise<number>} A promise resolving to the number of memos deleted.
+ */
+export function sweepOrphanedVoiceMemos() {
+  return sweepOrphanedFiles(VOICE_MEMO_FILES);
+}
@@ -0,0 +1,188 @@
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * Directory inside the app's document storage where voice memos are kept.
+ * Recordings start out in the recorder's cache, which the OS may purge, so they are moved here.
+ * `null` on platforms without a document directory (such as web).
+ * @type {string|null}
+ */
+export const VOICE_MEMOS_DIRECTORY = FileSystem.documentDirectory
+  ? `${FileSystem.documentDirectory}voice-memos/`
+  : null;
+
+/**
+ * Returns the file name part of a URI, e.g. `memo.m4a` for `file:///a/b/memo.m4a`.
+ *
+ * @param {string} uri The URI to take the file name from.
+ * @returns {string} The file name.
+ */
+function getFileName(uri) {
+  return uri.substring(uri.lastIndexOf('/') + 1);
+}
+
+/**
+ * Creates the voice memo directory if it does not exist yet.
+ *
+ * @returns {Promise<void>} A promise that resolves when the directory exists.
+ */
+async function ensureVoiceMemoDirectory() {
+  const info = await FileSystem.getInfoAsync(VOICE_MEMOS_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(VOICE_MEMOS_DIRECTORY, { intermediates: true });
+  }
+}
+
+/**
+ * Tells whether a URI points at a voice memo stored by this module.
+ *
+ * @param {string|null|undefined} uri The URI to check.
+ * @returns {boolean} `true` if the memo lives in the managed voice memo directory.
+ */
+export function isManagedVoiceMemo(uri) {
+  return Boolean(VOICE_MEMOS_DIRECTORY && uri && uri.startsWith(VOICE_MEMOS_DIRECTORY));
+}
+
+/**
+ * Returns the file name of a managed voice memo, which is the same on every device, so
+ * synced entries can refer to their memo by it.
+ *
+ * @param {string|null} uri The URI of the voice memo.
+ * @returns {string|null} The file name, or `null` if the memo is not managed by this module.
+ */
+export function getVoiceMemoFileName(uri) {
+  return isManagedVoiceMemo(uri) ? getFileName(uri) : null;
+}
+
+/**
+ * Returns the URI a managed voice memo has, or would have, on this device.
+ *
+ * @param {string} fileName The memo's file name (see `getVoiceMemoFileName`).
+ * @returns {string|null} The memo's URI, or `null` on platforms without a document directory.
+ */
+export function getManagedVoiceMemoUri(fileName) {
+  return VOICE_MEMOS_DIRECTORY ? `${VOICE_MEMOS_DIRECTORY}${fileName}` : null;
+}
+
+/**
+ * Moves a finished recording out of the recorder's cache into the managed voice memo directory.
+ * Memos that are already managed are returned unchanged. On platforms without
+ * a document directory, the original URI is returned as-is.
+ *
+ * @param {string} recordingUri The URI of the recording to keep.
+ * @returns {Promise<string>} A promise resolving to the URI of the stored memo.
+ */
+export async function persistVoiceMemo(recordingUri) {
+  if (!VOICE_MEMOS_DIRECTORY || isManagedVoiceMemo(recordingUri)) {
+    return recordingUri;
+  }
+
+  await ensureVoiceMemoDirectory();
+
+  const sourceName = getFileName(recordingUri);
+  const extension = sourceName.includes('.') ? sourceName.split('.').pop().toLowerCase() : 'm4a';
+  const memoUri = `${VOICE_MEMOS_DIRECTORY}${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+
+  await FileSystem.moveAsync({ from: recordingUri, to: memoUri });
+  return memoUri;
+}
+
+/**
+ * Moves a voice memo (such as one just downloaded) into the managed voice memo directory
+ * under the given file name, so references to it from another device keep working.
+ *
+ * @param {string} temporaryUri The URI of the memo file to move.
+ * @param {string} fileName The file name to keep it under.
+ * @returns {Promise<string>} A promise resolving to the URI of the stored memo.
+ */
+export async function adoptVoiceMemo(temporaryUri, fileName) {
+  await ensureVoiceMemoDirectory();
+  const memoUri = getManagedVoiceMemoUri(fileName);
+  await FileSystem.moveAsync({ from: temporaryUri, to: memoUri });
+  return memoUri;
+}
+
+/**
+ * Tells whether a managed voice memo's file exists on this device.
+ *
+ * @param {string} fileName The memo's file name.
+ * @returns {Promise<boolean>} A promise resolving to `true` if the file exists.
+ */
+export async function hasManagedVoiceMemo(fileName) {
+  if (!VOICE_MEMOS_DIRECTORY) {
+    return false;
+  }
+  return (await FileSystem.getInfoAsync(getManagedVoiceMemoUri(fileName))).exists;
+}
+
+/**
+ * Deletes a managed voice memo. Memos that are not managed by this module are left alone,
+ * and files that are already gone are ignored.
+ *
+ * @param {string|null} uri The URI of the memo to delete.
+ * @returns {Promise<void>} A promise that resolves when the file is removed.
+ */
+export async function deleteVoiceMemo(uri) {
+  if (!isManagedVoiceMemo(uri)) {
+    return;
+  }
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+}
+
+/**
+ * Lists every voice memo currently in the managed directory, with its last modification time.
+ *
+ * @returns {Promise<Array<{uri: string, modificationTime: number}>>} A promise resolving to the stored memos. `modificationTime` is in seconds since the epoch.
+ */
+export async function listManagedVoiceMemos() {
+  if (!VOICE_MEMOS_DIRECTORY) {
+    return [];
+  }
+  const directoryInfo = await FileSystem.getInfoAsync(VOICE_MEMOS_DIRECTORY);
+  if (!directoryInfo.exists) {
+    return [];
+  }
+
+  const fileNames = await FileSystem.readDirectoryAsync(VOICE_MEMOS_DIRECTORY);
+  const memos = [];
+  for (const fileName of fileNames) {
+    const uri = `${VOICE_MEMOS_DIRECTORY}${fileName}`;
+    const info = await FileSystem.getInfoAsync(uri);
+    if (info.exists && !info.isDirectory) {
+      memos.push({ uri, modificationTime: info.modificationTime });
+    }
+  }
+  return memos;
+}
+
+/**
+ * Stores a voice memo given as base64 data (such as one bundled in a journal archive)
+ * in the managed voice memo directory.
+ *
+ * @param {string} base64 The memo's file contents, base64-encoded.
+ * @param {string} fileName The memo's original file name, used for its extension.
+ * @returns {Promise<string|null>} A promise resolving to the URI of the stored memo, or `null` on platforms without a document directory.
+ */
+export async function saveVoiceMemoFromBase64(base64, fileName) {
+  if (!VOICE_MEMOS_DIRECTORY) {
+    return null;
+  }
+  const temporaryUri = `${FileSystem.cacheDirectory}${Date.now()}-${fileName}`;
+  await FileSystem.writeAsStringAsync(temporaryUri, base64, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return persistVoiceMemo(temporaryUri);
+}
+
+/**
+ * Reads a voice memo's file contents as base64, for bundling it into a journal archive.
+ *
+ * @param {string} uri The URI of the voice memo.
+ * @returns {Promise<string|null>} A promise resolving to the base64 data, or `null` if the file no longer exists.
+ */
+export async function readVoiceMemoAsBase64(uri) {
+  const info = await FileSystem.getInfoAsync(uri);
+  if (!info.exists) {
+    return null;
+  }
+  return FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+}
@@ -0,0 +1,123 @@
+/**
+ * Date options for each date style the user can choose in Settings.
+ * @type {Object<string, Object>}
+ */
+const DATE_STYLE_OPTIONS = {
+  long: { year: 'numeric', month: 'long', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: 'numeric' },
+  short: { year: '2-digit', month: 'numeric', day: 'numeric' },
+};
+
+/**
+ * Returns the locale to format dates in, or `undefined` for the device's own.
+ *
+ * @param {Object} preferences The user's preferences.
+ * @returns {string|undefined} The locale.
+ */
+function getLocale(preferences) {
+  return preferences.locale === 'system' ? undefined : preferences.locale;
+}
+
+/**
+ * Returns the `hour12` option for the user's clock preference, or `undefined`
+ * to use the locale's convention.
+ *
+ * @param {Object} preferences The user's preferences.
+ * @returns {boolean|undefined} Whether times use a 12-hour clock.
+ */
+function getHour12(preferences) {
+  if (preferences.hourCycle === 'system') {
+    return undefined;
+  }
+  return preferences.hourCycle === 'h12';
+}
+
+/**
+ * Formats the date part of a date in the user's date style, e.g. "July 4, 2025".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted date.
+ */
+export function formatDate(date, preferences) {
+  return date.toLocaleDateString(
+    getLocale(preferences),
+    DATE_STYLE_OPTIONS[preferences.dateStyle] ?? DATE_STYLE_OPTIONS.long
+  );
+}
+
+/**
+ * Formats the time of a date on the user's preferred clock, e.g. "09:30 AM" or "09:30".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted time.
+ */
+export function formatTime(date, preferences) {
+  return date.toLocaleTimeString(getLocale(preferences), {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: getHour12(preferences),
+  });
+}
+
+/**
+ * Formats a date with its time, e.g. "July 4, 2025 at 09:30 AM".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted date and time.
+ */
+export function formatDateTime(date, preferences) {
+  return `${formatDate(date, preferences)} at ${formatTime(date, preferences)}`;
+}
+
+/**
+ * Formats a day with its weekday and without the year, e.g. "Friday, July 4".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted day.
+ */
+export function formatDayHeading(date, preferences) {
+  return date.toLocaleDateString(getLocale(preferences), {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Formats the month and year of a date, e.g. "July 2025".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted month.
+ */
+export function formatMonthYear(date, preferences) {
+  return date.toLocaleDateString(getLocale(preferences), { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Formats a date as a short label without the year, e.g. "Jul 4".
+ *
+ * @param {Date} date The date to format.
+ * @param {Object} preferences The user's preferences.
+ * @returns {string} The formatted date.
+ */
+export function formatShortDate(date, preferences) {
+  return date.toLocaleDateString(getLocale(preferences), { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Formats a length of time as minutes and seconds, e.g. "2:05", as shown for voice memos.
+ *
+ * @param {number} millis The length of time, in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(millis) {
+  const totalSeconds = Math.max(0, Math.floor(millis / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
@@ -0,0 +1,173 @@
+import { getDayKey } from '@/utils/moodStats';
+
+/**
+ * Ways the History list can be sorted.
+ * @type {Array<{key: string, label: string}>}
+ */
+export const SORT_OPTIONS = [
+  { key: 'newest', label: 'Newest' },
+  { key: 'oldest', label: 'Oldest' },
+  { key: 'mood', label: 'Mood' },
+  { key: 'longest', label: 'Longest' },
+];
+
+/**
+ * Preset date ranges offered by the History filters, in days counting today.
+ * A `days` of `null` means all time.
+ * @type {Array<{key: string, label: string, days: number|null}>}
+ */
+export const DATE_RANGE_PRESETS = [
+  { key: 'all', label: 'All time', days: null },
+  { key: '7', label: '7 days', days: 7 },
+  { key: '30', label: '30 days', days: 30 },
+  { key: '90', label: '90 days', days: 90 },
+  { key: '365', label: 'Year', days: 365 },
+];
+
+/**
+ * Filters that show every entry, newest first.
+ * `moods` holds the ids of the moods to show. `startDayKey` and `endDayKey` are inclusive
+ * day keys (see `getDayKey`); `null` leaves that end open.
+ * @type {{searchText: string, moods: Array<string>, startDayKey: string|null, endDayKey: string|null, photoOnly: boolean, sortBy: string}}
+ */
+export const DEFAULT_FILTERS = {
+  searchText: '',
+  moods: [],
+  startDayKey: null,
+  endDayKey: null,
+  photoOnly: false,
+  sortBy: 'newest',
+};
+
+/**
+ * Builds the date range for a preset, ending today.
+ *
+ * @param {number|null} days How many days the range covers, counting today, or `null` for all time.
+ * @param {Date} [now=new Date()] The current date.
+ * @returns {{startDayKey: string|null, endDayKey: string|null}} The range's day keys.
+ */
+export function getPresetDateRange(days, now = new Date()) {
+  if (days === null) {
+    return { startDayKey: null, endDayKey: null };
+  }
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+  return { startDayKey: getDayKey(start), endDayKey: null };
+}
+
+/**
+ * Counts how many filters differ from the defaults. Sorting is not counted,
+ * since it never hides entries.
+ *
+ * @param {Object} filters The current filters.
+ * @returns {number} The number of active filters.
+ */
+export function countActiveFilters(filters) {
+  return [
+    filters.searchText.trim() !== '',
+    filters.moods.length > 0,
+    filters.startDayKey !== null || filters.endDayKey !== null,
+    filters.photoOnly,
+  ].filter(Boolean).length;
+}
+
+/**
+ * Tells whether a sort option orders entries by when they happened. Only then can
+ * History page through the entries by date and group them under month headings.
+ *
+ * @param {string} sortBy The key of the sort option.
+ * @returns {boolean} `true` for the newest and oldest options.
+ */
+export function isSortedByDate(sortBy) {
+  return sortBy === 'newest' || sortBy === 'oldest';
+}
+
+/**
+ * Builds the comparator for a sort option. Ties keep the stored order.
+ *
+ * @param {string} sortBy The key of the sort option.
+ * @param {Array<Object>} moods The mood catalog, whose order the `mood` option follows.
+ * @returns {Function} The comparator.
+ */
+export function getSortComparator(sortBy, moods) {
+  switch (sortBy) {
+    case 'oldest':
+      return (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+    case 'mood': {
+      const position = (entry) => {
+        const index = moods.findIndex((mood) => mood.id === entry.moodId);
+        return index === -1 ? moods.length : index;
+      };
+      return (a, b) => position(a) - position(b);
+    }
+    case 'longest':
+      return (a, b) => (b.journalText ?? '').length - (a.journalText ?? '').length;
+    default:
+      return (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+  }
+}
+
+/**
+ * Builds a predicate telling whether an entry matches the filters. Sorting is left out.
+ * The search is case-insensitive and matches anywhere in the journal text.
+ *
+ * @param {Object} filters The filters to apply (see `DEFAULT_FILTERS`).
+ * @returns {Function} The predicate, taking an entry and returning `true` if it matches.
+ */
+export function createEntryFilter(filters) {
+  const searchText = filters.searchText.trim().toLowerCase();
+
+  return (entry) => {
+    if (searchText && !(entry.journalText ?? '').toLowerCase().includes(searchText)) {
+      return false;
+    }
+    if (filters.moods.length > 0 && !filters.moods.includes(entry.moodId)) {
+      return false;
+    }
+    if (filters.photoOnly && entry.imageUris.length === 0) {
+      return false;
+    }
+    if (filters.startDayKey || filters.endDayKey) {
+      const dayKey = getDayKey(new Date(entry.timestamp));
+      if (filters.startDayKey && dayKey < filters.startDayKey) {
+        return false;
+      }
+      if (filters.endDayKey && dayKey > filters.endDayKey) {
+        return false;
+      }
+    }
+    return true;
+  };
+}
+
+/**
+ * Returns the entries matching the filters, in the order the filters ask for.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Object} filters The filters to apply (see `DEFAULT_FILTERS`).
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {Array<Object>} The matching entries.
+ */
+export function applyEntryFilters(entries, filters, moods) {
+  return entries.filter(createEntryFilter(filters)).sort(getSortComparator(filters.sortBy, moods));
+}
+
+/**
+ * Groups entries, already in date order, by the month they happened in.
+ *
+ * @param {Array<Object>} entries The entries, newest or oldest first.
+ * @returns {Array<{key: string, month: Date, data: Array<Object>}>} One group per month, in the entries' order. `key` is the month as `YYYY-MM`.
+ */
+export function groupEntriesByMonth(entries) {
+  const groups = [];
+  for (const entry of entries) {
+    const date = new Date(entry.timestamp);
+    const key = getDayKey(date).slice(0, 7);
+    const lastGroup = groups[groups.length - 1];
+    if (lastGroup?.key === key) {
+      lastGroup.data.push(entry);
+    } else {
+      groups.push({ key, month: new Date(date.getFullYear(), date.getMonth(), 1), data: [entry] });
+    }
+  }
+  return groups;
+}
@@ -0,0 +1,47 @@
+/**
+ * Works out how many columns of cards fit in a width: as many as fit at the
+ * minimum card width, between one and `maxColumns`.
+ *
+ * @param {number} availableWidth The width the cards are laid out in.
+ * @param {number} minCardWidth The narrowest a card may be.
+ * @param {number} cardMargin The margin around each side of a card.
+ * @param {number} [maxColumns=6] The most columns to use, however wide the screen.
+ * @returns {number} The number of columns.
+ */
+export function getColumnCount(availableWidth, minCardWidth, cardMargin, maxColumns = 6) {
+  const columns = Math.floor(availableWidth / (minCardWidth + cardMargin * 2));
+  return Math.min(maxColumns, Math.max(1, columns));
+}
+
+/**
+ * Works out the width of each card so a number of columns exactly fills a width.
+ *
+ * @param {number} availableWidth The width the cards are laid out in.
+ * @param {number} columns The number of columns.
+ * @param {number} cardMargin The margin around each side of a card.
+ * @returns {number} The width of a card.
+ */
+export function getCardWidth(availableWidth, columns, cardMargin) {
+  return Math.floor((availableWidth - cardMargin * columns * 2) / columns);
+}
+
+/**
+ * Splits items into columns for a masonry layout. Items are placed in order, each
+ * in the column that is shortest so far, so the columns end up close in height
+ * and reading order runs roughly left to right, top to bottom.
+ *
+ * @param {Array<*>} items The items to place.
+ * @param {number} columns The number of columns.
+ * @param {Function} getHeight Returns the height an item takes up.
+ * @returns {Array<Array<*>>} The items in each column.
+ */
+export function buildMasonryColumns(items, columns, getHeight) {
+  const columnItems = Array.from({ length: columns }, () => []);
+  const columnHeights = new Array(columns).fill(0);
+  for (const item of items) {
+    const shortest = columnHeights.indexOf(Math.min(...columnHeights));
+    columnItems[shortest].push(item);
+    columnHeights[shortest] += getHeight(item);
+  }
+  return columnItems;
+}
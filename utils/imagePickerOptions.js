@@ -0,0 +1,38 @@
+import * as ImagePicker from 'expo-image-picker';
+
+/**
+ * Builds the image picker options for a new photo from the user's photo quality
+ * and crop preferences. Photos can always be cropped before they are kept; a
+ * `null` aspect ratio leaves the crop free.
+ *
+ * @param {Object} preferences The user's preferences.
+ * @returns {Object} The options to pass to `ImagePicker.launchCameraAsync`, or to
+ * `ImagePicker.launchImageLibraryAsync` when a single photo is picked.
+ */
+export function getImagePickerOptions(preferences) {
+  return {
+    mediaTypes: ImagePicker.MediaTypeOptions.Images,
+    allowsEditing: true,
+    ...(preferences.photoAspect && { aspect: preferences.photoAspect }),
+    quality: preferences.photoQuality,
+  };
+}
+
+/**
+ * Builds the image picker options for choosing several photos from the library at
+ * once. The pickers can't crop when more than one photo is selected, so only the
+ * user's photo quality applies.
+ *
+ * @param {Object} preferences The user's preferences.
+ * @param {number} selectionLimit The most photos that can be selected.
+ * @returns {Object} The options to pass to `ImagePicker.launchImageLibraryAsync`.
+ */
+export function getMultiplePickerOptions(preferences, selectionLimit) {
+  return {
+    mediaTypes: ImagePicker.MediaTypeOptions.Images,
+    allowsMultipleSelection: true,
+    selectionLimit,
+    orderedSelection: true,
+    quality: preferences.photoQuality,
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Returns the photos on a board in the order they are shown: pinned photos
+ * first, then the rest, each group in the order the user arranged them.
+ *
+ * @param {Array<Object>} images Every inspiration image.
+ * @param {string} boardId The id of the board.
+ * @returns {Array<Object>} The board's images, in display order.
+ */
+export function getBoardImages(images, boardId) {
+  const boardImages = images.filter((image) => image.boardId === boardId);
+  return [
+    ...boardImages.filter((image) => image.pinned),
+    ...boardImages.filter((image) => !image.pinned),
+  ];
+}
+
+/**
+ * Rearranges the photos on one board, leaving the photos on other boards where
+ * they are. The board's photos take the places its photos held before, in the new order.
+ *
+ * @param {Array<Object>} images Every inspiration image.
+ * @param {string} boardId The id of the board being rearranged.
+ * @param {Array<Object>} orderedImages The board's images, in their new order.
+ * @returns {Array<Object>} Every inspiration image, with the board's images reordered.
+ */
+export function reorderBoardImages(images, boardId, orderedImages) {
+  const remaining = [...orderedImages];
+  return images.map((image) => (image.boardId === boardId ? remaining.shift() : image));
+}
+
+/**
+ * Counts the photos on each board.
+ *
+ * @param {Array<Object>} images Every inspiration image.
+ * @returns {Map<string, number>} The number of photos, keyed by board id.
+ */
+export function countBoardImages(images) {
+  const counts = new Map();
+  for (const image of images) {
+    counts.set(image.boardId, (counts.get(image.boardId) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Picks the inspiration photos to offer as a pick-me-up for a mood: those tagged
+ * with it, pinned photos first, then the most recently added.
+ *
+ * @param {Array<Object>} images Every inspiration image.
+ * @param {string} moodId The id of the mood that was logged.
+ * @param {number} [limit=5] The most photos to offer.
+ * @returns {Array<Object>} The photos to offer.
+ */
+export function getPickMeUpImages(images, moodId, limit = 5) {
+  return images
+    .filter((image) => image.moodIds.includes(moodId))
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
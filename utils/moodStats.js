@@ -0,0 +1,284 @@
+import { findMood } from '@/utils/moods';
+
+/**
+ * Number of milliseconds in one day.
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Short weekday labels, indexed by `Date.getDay()` (0 is Sunday).
+ * @type {Array<string>}
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Lists the days of the week in display order, starting from the user's first day of the week.
+ *
+ * @param {number} [firstDayOfWeek=0] The `Date.getDay()` number of the first day (0 is Sunday).
+ * @returns {Array<number>} The seven `Date.getDay()` numbers in display order.
+ */
+export function getOrderedWeekdays(firstDayOfWeek = 0) {
+  return WEEKDAY_LABELS.map((label, index) => (firstDayOfWeek + index) % 7);
+}
+
+/**
+ * Parts of the day that entries are grouped into, by the local hour they were logged at.
+ * A range whose `startHour` is after its `endHour` wraps around midnight.
+ * @type {Array<{key: string, label: string, startHour: number, endHour: number}>}
+ */
+export const TIMES_OF_DAY = [
+  { key: 'morning', label: 'Morning', startHour: 5, endHour: 12 },
+  { key: 'afternoon', label: 'Afternoon', startHour: 12, endHour: 17 },
+  { key: 'evening', label: 'Evening', startHour: 17, endHour: 22 },
+  { key: 'night', label: 'Night', startHour: 22, endHour: 5 },
+];
+
+/**
+ * Builds a key identifying the local calendar day of a date, e.g. `2025-07-04`.
+ * Keys sort in chronological order.
+ *
+ * @param {Date} date The date to build the key for.
+ * @returns {string} The day key.
+ */
+export function getDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the start (local midnight) of the day a date falls on.
+ *
+ * @param {Date} date The date.
+ * @returns {Date} A new date at the start of that day.
+ */
+export function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Counts the entries of each mood.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @returns {Map<string, number>} The number of entries per mood id.
+ */
+function countMoods(entries) {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    counts.set(entry.moodId, (counts.get(entry.moodId) ?? 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Computes how often each mood was logged, most frequent first.
+ * Moods that were never logged are left out.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {Array<{moodId: string, label: string, emoji: string, color: string, count: number, share: number}>} One row per logged mood, where `share` is the fraction of all entries.
+ */
+export function computeMoodDistribution(entries, moods) {
+  const counts = countMoods(entries);
+  return [...counts.entries()]
+    .map(([moodId, count]) => {
+      const mood = findMood(moods, moodId);
+      return {
+        moodId,
+        label: mood.label,
+        emoji: mood.emoji,
+        color: mood.color,
+        count,
+        share: count / entries.length,
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Finds the mood logged most often among some entries.
+ * Ties go to the mood listed first in the catalog.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {string|null} The dominant mood's id, or `null` if there are no entries.
+ */
+export function getDominantMood(entries, moods) {
+  const counts = countMoods(entries);
+  let dominantMood = null;
+  let highestCount = 0;
+  const orderedMoodIds = [
+    ...moods.map((mood) => mood.id),
+    ...[...counts.keys()].filter((moodId) => !moods.some((mood) => mood.id === moodId)),
+  ];
+  orderedMoodIds.forEach((moodId) => {
+    const count = counts.get(moodId) ?? 0;
+    if (count > highestCount) {
+      dominantMood = moodId;
+      highestCount = count;
+    }
+  });
+  return dominantMood;
+}
+
+/**
+ * Computes logging streaks: runs of consecutive days with at least one entry.
+ * The current streak is still alive if the last entry was today or yesterday,
+ * so it does not drop to zero before the user has had a chance to log today.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Date} [now=new Date()] The current date.
+ * @returns {{current: number, longest: number}} The current and longest streaks, in days.
+ */
+export function computeStreaks(entries, now = new Date()) {
+  const loggedDays = new Set(entries.map((entry) => getDayKey(new Date(entry.timestamp))));
+  const sortedDays = [...loggedDays].sort();
+
+  let longest = 0;
+  let run = 0;
+  let previousDay = null;
+  sortedDays.forEach((dayKey) => {
+    const day = new Date(`${dayKey}T00:00:00`);
+    const isNextDay = previousDay && Math.round((day - previousDay) / DAY_MS) === 1;
+    run = isNextDay ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previousDay = day;
+  });
+
+  let current = 0;
+  const cursor = startOfDay(now);
+  if (!loggedDays.has(getDayKey(cursor))) {
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  while (loggedDays.has(getDayKey(cursor))) {
+    current += 1;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Groups entries into buckets and counts the moods in each.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @param {Array<{key: string, label: string}>} buckets The buckets to group into.
+ * @param {Function} getBucketKey Returns the key of the bucket an entry belongs to.
+ * @returns {Array<{key: string, label: string, total: number, segments: Array<{moodId: string, color: string, count: number}>}>} One row per bucket, in the given order.
+ */
+function groupMoods(entries, moods, buckets, getBucketKey) {
+  return buckets.map((bucket) => {
+    const bucketEntries = entries.filter((entry) => getBucketKey(entry) === bucket.key);
+    const counts = countMoods(bucketEntries);
+    return {
+      key: bucket.key,
+      label: bucket.label,
+      total: bucketEntries.length,
+      segments: [...counts.entries()].map(([moodId, count]) => ({
+        moodId,
+        color: findMood(moods, moodId).color,
+        count,
+      })),
+    };
+  });
+}
+
+/**
+ * Computes the mix of moods logged on each day of the week.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @param {number} [firstDayOfWeek=0] The `Date.getDay()` number of the day to list first.
+ * @returns {Array<Object>} One row per weekday, as returned by `groupMoods`.
+ */
+export function computeMoodByWeekday(entries, moods, firstDayOfWeek = 0) {
+  const weekdays = getOrderedWeekdays(firstDayOfWeek).map((weekday) => ({
+    key: String(weekday),
+    label: WEEKDAY_LABELS[weekday],
+  }));
+  return groupMoods(entries, moods, weekdays, (entry) => String(new Date(entry.timestamp).getDay()));
+}
+
+/**
+ * Computes the mix of moods logged in each part of the day.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {Array<Object>} One row per time of day, as returned by `groupMoods`.
+ */
+export function computeMoodByTimeOfDay(entries, moods) {
+  return groupMoods(entries, moods, TIMES_OF_DAY, (entry) => {
+    const hour = new Date(entry.timestamp).getHours();
+    const timeOfDay = TIMES_OF_DAY.find(({ startHour, endHour }) =>
+      startHour < endHour
+        ? hour >= startHour && hour < endHour
+        : hour >= startHour || hour < endHour
+    );
+    return timeOfDay.key;
+  });
+}
+
+/**
+ * Computes the average mood score for each of the last `days` days, oldest first.
+ * Scores come from the mood catalog; entries with an unknown mood are ignored.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @param {number} days How many days to include, counting today.
+ * @param {Date} [now=new Date()] The current date.
+ * @returns {Array<{dayKey: string, date: Date, count: number, averageScore: number|null}>} One point per day; `averageScore` is `null` on days without scored entries.
+ */
+export function computeMoodTrend(entries, moods, days, now = new Date()) {
+  const scoresByDay = new Map();
+  entries.forEach((entry) => {
+    const { score } = findMood(moods, entry.moodId);
+    if (typeof score !== 'number') {
+      return;
+    }
+    const dayKey = getDayKey(new Date(entry.timestamp));
+    scoresByDay.set(dayKey, [...(scoresByDay.get(dayKey) ?? []), score]);
+  });
+
+  const today = startOfDay(now);
+  const trend = [];
+  for (let offset = days - 1; offset >= 0; offset -= 1) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    const dayKey = getDayKey(date);
+    const scores = scoresByDay.get(dayKey) ?? [];
+    trend.push({
+      dayKey,
+      date,
+      count: scores.length,
+      averageScore: scores.length > 0
+        ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+        : null,
+    });
+  }
+  return trend;
+}
+
+/**
+ * Computes the mix of moods logged with each activity tag, most used tag first.
+ * An entry with several tags counts towards each of them; tags never used are left out.
+ *
+ * @param {Array<Object>} entries The mood entries.
+ * @param {Array<Object>} moods The mood catalog.
+ * @param {Array<{id: string, label: string}>} tags The activity tags.
+ * @returns {Array<Object>} One row per used tag, as returned by `groupMoods`.
+ */
+export function computeMoodByTag(entries, moods, tags) {
+  return tags
+    .map((tag) => {
+      const [row] = groupMoods(
+        entries.filter((entry) => (entry.tagIds ?? []).includes(tag.id)),
+        moods,
+        [{ key: tag.id, label: `#${tag.label}` }],
+        () => tag.id
+      );
+      return row;
+    })
+    .filter((row) => row.total > 0)
+    .sort((a, b) => b.total - a.total);
+}
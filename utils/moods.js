@@ -0,0 +1,47 @@
+/**
+ * Color used for a mood that is missing from the catalog.
+ * @type {string}
+ */
+export const UNKNOWN_MOOD_COLOR = '#666';
+
+/**
+ * Looks up a mood in the catalog by its id. Entries always reference a mood in
+ * the catalog, but a placeholder is returned for a missing one so displays never break.
+ *
+ * @param {Array<Object>} moods The mood catalog.
+ * @param {string} moodId The id of the mood.
+ * @returns {{id: string, label: string, emoji: string, color: string, score: number|null, archived: boolean}} The mood, or a placeholder.
+ */
+export function findMood(moods, moodId) {
+  return (
+    moods.find((mood) => mood.id === moodId) ?? {
+      id: moodId,
+      label: 'Unknown mood',
+      emoji: '',
+      color: UNKNOWN_MOOD_COLOR,
+      score: null,
+      archived: true,
+    }
+  );
+}
+
+/**
+ * Returns the moods that can be chosen for new entries, in catalog order.
+ *
+ * @param {Array<Object>} moods The mood catalog.
+ * @returns {Array<Object>} The moods that are not archived.
+ */
+export function getActiveMoods(moods) {
+  return moods.filter((mood) => !mood.archived);
+}
+
+/**
+ * Whether a mood is unpleasant (scored below zero), such as Sad, Anxious, Stressed
+ * or Angry. Logging one of these offers a pick-me-up from the Inspiration Board.
+ *
+ * @param {Object} mood The mood.
+ * @returns {boolean} Whether the mood is unpleasant.
+ */
+export function isLowMood(mood) {
+  return typeof mood.score === 'number' && mood.score < 0;
+}